@@ -0,0 +1,161 @@
+// Audience of a schedule entry: the batches that attend it.
+// Stored one row per batch in ScheduleBatches. Schedule.batch_id keeps the first (lead)
+// batch so older queries and the FK keep working; ScheduleBatches is the source of truth.
+
+// 'CS-A-A1' style label for a batch row carrying branch_code / division_name / batch_name
+const batchLabel = (b) => `${b.branch_code}-${b.division_name}-${b.batch_name}`;
+
+/**
+ * Resolve a requested audience to a sorted, de-duplicated list of batch IDs.
+ * Whole divisions expand to all of their batches.
+ *
+ * @param connection  mysql2 connection
+ * @param audience    { batch_ids, division_ids, batch_id } - any combination; batch_id is the legacy single batch
+ * @returns { batchIds, error } - error is a message for a 400 response, or null
+ */
+export async function resolveAudienceBatchIds(connection, { batch_ids, division_ids, batch_id }) {
+    const requestedBatchIds = [...(Array.isArray(batch_ids) ? batch_ids : []), ...(batch_id != null ? [batch_id] : [])]
+        .map(Number);
+    const requestedDivisionIds = (Array.isArray(division_ids) ? division_ids : []).map(Number);
+    if (requestedBatchIds.length === 0 && requestedDivisionIds.length === 0) {
+        return { batchIds: [], error: 'Select at least one batch or division.' };
+    }
+    if ([...requestedBatchIds, ...requestedDivisionIds].some(id => !Number.isInteger(id))) {
+        return { batchIds: [], error: 'Invalid Batch or Division ID provided.' };
+    }
+
+    const batchIds = new Set();
+    if (requestedBatchIds.length > 0) {
+        const [rows] = await connection.query("SELECT batch_id FROM Batches WHERE batch_id IN (?)", [requestedBatchIds]);
+        if (rows.length !== new Set(requestedBatchIds).size) {
+            return { batchIds: [], error: 'Invalid Batch ID provided.' };
+        }
+        rows.forEach(r => batchIds.add(r.batch_id));
+    }
+    for (const divisionId of new Set(requestedDivisionIds)) {
+        const [rows] = await connection.query("SELECT batch_id FROM Batches WHERE division_id = ?", [divisionId]);
+        if (rows.length === 0) {
+            return { batchIds: [], error: `Division ${divisionId} does not exist or has no batches.` };
+        }
+        rows.forEach(r => batchIds.add(r.batch_id));
+    }
+    return { batchIds: [...batchIds].sort((a, b) => a - b), error: null };
+}
+
+// Who an Extra class is for: one batch, every batch of a division, or every batch of a branch
+export const EXTRA_AUDIENCE_SCOPES = ['batch', 'division', 'branch'];
+
+/**
+ * Resolve the audience of an Extra class to batch IDs.
+ * Without an explicit scope, Theory courses default to the whole division of batch_id
+ * (how extra classes were shown before scopes existed) and other courses to the batch.
+ *
+ * @param connection  mysql2 connection
+ * @param audience    { audience_scope, batch_id, division_id, branch_id } - the ID matching the scope;
+ *                    division/branch may also be derived from batch_id
+ * @param courseId    booked course, used for the default scope
+ * @returns { scope, batchIds, error } - error is a message for a 400 response, or null
+ */
+export async function resolveExtraAudience(connection, { audience_scope, batch_id, division_id, branch_id }, courseId) {
+    let scope = audience_scope;
+    if (!scope) {
+        const [courses] = await connection.query("SELECT type FROM Courses WHERE course_id = ?", [courseId]);
+        if (courses.length === 0) return { scope: null, batchIds: [], error: 'Invalid Course ID provided.' };
+        scope = String(courses[0].type).toLowerCase() === 'theory' ? 'division' : 'batch';
+    }
+    if (!EXTRA_AUDIENCE_SCOPES.includes(scope)) {
+        return { scope, batchIds: [], error: `Audience scope must be one of: ${EXTRA_AUDIENCE_SCOPES.join(', ')}.` };
+    }
+
+    let rows = [];
+    if (scope === 'batch' && batch_id != null) {
+        [rows] = await connection.query("SELECT batch_id FROM Batches WHERE batch_id = ?", [batch_id]);
+    } else if (scope === 'division' && (division_id != null || batch_id != null)) {
+        [rows] = await connection.query(
+            "SELECT batch_id FROM Batches WHERE division_id = COALESCE(?, (SELECT division_id FROM Batches WHERE batch_id = ?))",
+            [division_id ?? null, batch_id ?? null]
+        );
+    } else if (scope === 'branch' && (branch_id != null || division_id != null || batch_id != null)) {
+        [rows] = await connection.query(`
+            SELECT b.batch_id
+            FROM Batches b
+            JOIN Divisions d ON b.division_id = d.division_id
+            WHERE d.branch_id = COALESCE(
+                ?,
+                (SELECT branch_id FROM Divisions WHERE division_id = ?),
+                (SELECT d2.branch_id FROM Batches b2 JOIN Divisions d2 ON b2.division_id = d2.division_id WHERE b2.batch_id = ?)
+            )
+        `, [branch_id ?? null, division_id ?? null, batch_id ?? null]);
+    } else {
+        return { scope, batchIds: [], error: `A ${scope} must be selected for a ${scope}-wide class.` };
+    }
+    if (rows.length === 0) {
+        return { scope, batchIds: [], error: `Invalid ${scope} provided, or it has no batches.` };
+    }
+    return { scope, batchIds: rows.map(r => r.batch_id).sort((a, b) => a - b), error: null };
+}
+
+// Batch IDs attending an existing schedule entry
+export async function getScheduleBatchIds(connection, scheduleId) {
+    const [rows] = await connection.query(
+        "SELECT batch_id FROM ScheduleBatches WHERE schedule_id = ? ORDER BY batch_id",
+        [scheduleId]
+    );
+    return rows.map(r => r.batch_id);
+}
+
+// Replace the audience of a schedule entry; an empty list just clears it
+export async function saveScheduleBatches(connection, scheduleId, batchIds) {
+    await connection.query("DELETE FROM ScheduleBatches WHERE schedule_id = ?", [scheduleId]);
+    if (batchIds.length === 0) return;
+    await connection.query(
+        "INSERT INTO ScheduleBatches (schedule_id, batch_id) VALUES ?",
+        [batchIds.map(batchId => [scheduleId, batchId])]
+    );
+}
+
+// Human-readable audience: a division whose every batch attends collapses to 'CS-A (all batches)'
+export const describeAudience = (batches) => {
+    const byDivision = new Map();
+    batches.forEach(b => {
+        if (!byDivision.has(b.division_id)) byDivision.set(b.division_id, []);
+        byDivision.get(b.division_id).push(b);
+    });
+    return [...byDivision.values()].map(group =>
+        group.length > 1 && group.length === Number(group[0].division_batch_count)
+            ? `${group[0].branch_code}-${group[0].division_name} (all batches)`
+            : group.map(batchLabel).join(', ')
+    ).join(', ');
+};
+
+/**
+ * Add the audience to schedule rows: batch_ids (array) and batch_details (combined label).
+ * Rows must carry schedule_id. Returns new row objects.
+ */
+export async function attachAudiences(connection, rows) {
+    if (rows.length === 0) return rows;
+    const [audienceRows] = await connection.query(`
+        SELECT sb.schedule_id, b.batch_id, b.batch_name, d.division_id, d.division_name, br.branch_code,
+               (SELECT COUNT(*) FROM Batches b2 WHERE b2.division_id = d.division_id) AS division_batch_count
+        FROM ScheduleBatches sb
+        JOIN Batches b ON sb.batch_id = b.batch_id
+        JOIN Divisions d ON b.division_id = d.division_id
+        JOIN Branches br ON d.branch_id = br.branch_id
+        WHERE sb.schedule_id IN (?)
+        ORDER BY br.branch_code, d.division_name, b.batch_name
+    `, [[...new Set(rows.map(row => row.schedule_id))]]);
+
+    const bySchedule = new Map();
+    audienceRows.forEach(a => {
+        if (!bySchedule.has(a.schedule_id)) bySchedule.set(a.schedule_id, []);
+        bySchedule.get(a.schedule_id).push(a);
+    });
+    return rows.map(row => {
+        const batches = bySchedule.get(row.schedule_id) || [];
+        return {
+            ...row,
+            batch_ids: batches.map(b => b.batch_id),
+            batch_details: batches.length > 0 ? describeAudience(batches) : (row.batch_details ?? 'N/A'),
+        };
+    });
+}
@@ -0,0 +1,114 @@
+// Audit log (see migrations/015_audit_log.sql): who changed what, when and from where.
+// Mutating routes take the auditLog(entityType, action) middleware. It snapshots the entity's row before the
+// handler runs and again once the response has gone out, and writes one AuditLog row for every request that
+// succeeded (status below 400). Entities without a row of their own record the request instead.
+
+import { getPool } from './db.js';
+
+// Never written to the log, wherever they appear
+const REDACTED_FIELD = /password|token/i;
+
+/**
+ * Entities whose rows can be snapshotted: table and primary key. The primary key is also the field a
+ * create route returns the new id in (e.g. { classroom_id }), unless the route names another one.
+ */
+export const AUDIT_ENTITIES = {
+    User: { table: 'Users', key: 'user_id' },
+    Classroom: { table: 'Classrooms', key: 'classroom_id' },
+    Course: { table: 'Courses', key: 'course_id' },
+    Schedule: { table: 'Schedule', key: 'schedule_id' },
+    ExtraClassSeries: { table: 'ExtraClassSeries', key: 'series_id' },
+    AcademicTerm: { table: 'AcademicTerms', key: 'term_id' },
+    Holiday: { table: 'Holidays', key: 'holiday_id' },
+    Unavailability: { table: 'ProfessorUnavailability', key: 'unavailability_id' },
+    WorkloadPolicy: { table: 'WorkloadPolicies', key: 'professor_id' },
+    ExamSession: { table: 'ExamSessions', key: 'session_id' },
+    Exam: { table: 'Exams', key: 'exam_id' },
+    ClassSwap: { table: 'ClassSwaps', key: 'swap_id' },
+    RoomReservation: { table: 'RoomReservations', key: 'reservation_id' },
+    TimetableVersion: { table: 'TimetableVersions', key: 'version_id' },
+    TimetableVersionEntry: { table: 'TimetableVersionEntries', key: 'entry_id' },
+};
+
+// Copy of a value with secrets dropped, at any depth
+export const redact = (value) => {
+    if (Array.isArray(value)) return value.map(redact);
+    if (value === null || typeof value !== 'object') return value;
+    return Object.fromEntries(Object.entries(value)
+        .filter(([field]) => !REDACTED_FIELD.test(field))
+        .map(([field, inner]) => [field, redact(inner)]));
+};
+
+// The entity's row as it is now; null when there is none
+const loadSnapshot = async (connection, entity, id) => {
+    const [rows] = await connection.query(`SELECT * FROM ${entity.table} WHERE ${entity.key} = ?`, [id]);
+    return rows[0] ? redact(rows[0]) : null;
+};
+
+/**
+ * Write one audit entry.
+ * @param entry { actor: req.user or null, action, entityType, entityId, before, after, method, path, statusCode, ip }
+ */
+export async function recordAudit(connection, { actor = null, action, entityType, entityId = null, before = null, after = null, method = null, path = null, statusCode = null, ip = null }) {
+    await connection.query(`
+        INSERT INTO AuditLog (actor_id, actor_email, actor_role, action, entity_type, entity_id,
+                              before_values, after_values, method, path, status_code, ip_address)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+        actor?.user_id ?? null, actor?.email ?? null, actor?.role ?? null, action, entityType,
+        entityId == null ? null : String(entityId),
+        before == null ? null : JSON.stringify(before), after == null ? null : JSON.stringify(after),
+        method, path, statusCode, ip,
+    ]);
+}
+
+/**
+ * Middleware that audits the route it is mounted on; goes after verifyToken / the role check so the actor is known.
+ *
+ * @param entityType  a key of AUDIT_ENTITIES (row snapshots), or any other name (the request is recorded)
+ * @param action      e.g. 'create', 'update', 'delete', 'approve'
+ * @param options     { entityId(req) } - id of the affected entity, default req.params.id;
+ *                    { createdIdKey } - response field holding the id of a created row, default the entity's key;
+ *                    { snapshot: false } - record the request even for a known entity (the change is not in its row)
+ */
+export const auditLog = (entityType, action, { entityId = (req) => req.params.id, createdIdKey, snapshot = true } = {}) => async (req, res, next) => {
+    const entity = snapshot ? AUDIT_ENTITIES[entityType] : null;
+    const id = entityId(req) ?? null;
+    const isDelete = req.method === 'DELETE';
+    // The row before the change. Read outside the handler's transaction: a concurrent change in between is
+    // possible, but shows up as its own entry.
+    let before = null;
+    if (entity && id != null) {
+        try {
+            before = await loadSnapshot(getPool(), entity, id);
+        } catch (error) {
+            console.error(`Audit: error reading ${entityType} ${id} before ${action}:`, error);
+        }
+    } else if (isDelete) {
+        before = redact({ ...req.params });
+    }
+
+    let responseBody = null;
+    const sendJson = res.json.bind(res);
+    res.json = (body) => { responseBody = body; return sendJson(body); };
+
+    res.on('finish', async () => {
+        if (res.statusCode >= 400) return;
+        const affectedId = id ?? (entity ? responseBody?.[createdIdKey || entity.key] : null) ?? null;
+        try {
+            let after = null;
+            if (!isDelete) {
+                after = entity && affectedId != null
+                    ? await loadSnapshot(getPool(), entity, affectedId)
+                    : redact({ ...req.params, ...req.body });
+            }
+            await recordAudit(getPool(), {
+                actor: req.user, action, entityType, entityId: affectedId, before, after,
+                method: req.method, path: req.originalUrl.slice(0, 255), statusCode: res.statusCode, ip: req.ip || null,
+            });
+        } catch (error) {
+            console.error(`Audit: error recording ${action} of ${entityType} ${affectedId ?? ''}:`, error);
+        }
+    });
+    next();
+};
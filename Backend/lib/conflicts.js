@@ -0,0 +1,1067 @@
+// Shared schedule conflict detection.
+// Every route that writes to Schedule (extra bookings, Base timetable entries)
+// runs its proposed slot through findScheduleConflicts so all of them agree on
+// what counts as a clash.
+
+export const WEEK_DAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+
+export const TIME_REGEX = /^\d{2}:\d{2}(:\d{2})?$/; // HH:MM or HH:MM:SS
+export const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;   // YYYY-MM-DD
+
+// Base rows only care about the time of day, so they are stored against a fixed date.
+export const BASE_ANCHOR_DATE = '1970-01-01';
+
+// Ensure seconds are present ('09:00' -> '09:00:00')
+export const normalizeTime = (time) => (time.length === 5 ? `${time}:00` : time);
+
+// Day name for a YYYY-MM-DD string, computed in UTC to avoid local timezone shifts
+export const getDayOfWeek = (dateStr) => {
+    const dateObj = new Date(dateStr + 'T00:00:00Z');
+    if (isNaN(dateObj)) return null;
+    return dateObj.toLocaleDateString('en-US', { weekday: 'long', timeZone: 'UTC' });
+};
+
+// 'YYYY-MM-DD' + n days, in UTC like getDayOfWeek
+export const addDaysToDateStr = (dateStr, days) => {
+    const date = new Date(dateStr + 'T00:00:00Z');
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().split('T')[0];
+};
+
+// Today as 'YYYY-MM-DD' in server local time (same day as CURDATE())
+const todayDateStr = () => {
+    const now = new Date();
+    return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+};
+
+// SQL predicate: the Base row `s` actually takes place on a given date.
+// Binds the date three times: not cancelled (ScheduleExceptions), inside its term, not a holiday.
+export const BASE_RUNS_ON_DATE = `(
+    NOT EXISTS (SELECT 1 FROM ScheduleExceptions se WHERE se.schedule_id = s.schedule_id AND se.exception_date = ?)
+    AND (s.term_id IS NULL OR EXISTS (
+        SELECT 1 FROM AcademicTerms t WHERE t.term_id = s.term_id AND ? BETWEEN t.start_date AND t.end_date
+    ))
+    AND NOT EXISTS (SELECT 1 FROM Holidays h WHERE h.holiday_date = ?)
+)`;
+
+// Holiday row for a date, or null
+export async function getHoliday(connection, dateStr) {
+    const [rows] = await connection.query(
+        "SELECT holiday_id, holiday_date, description, allow_extra_classes FROM Holidays WHERE holiday_date = ?",
+        [dateStr]
+    );
+    return rows[0] || null;
+}
+
+// { termStart, termEnd } for a term id; both null when there is no (known) term
+async function getTermBounds(connection, termId) {
+    if (termId == null) return { termStart: null, termEnd: null };
+    const [terms] = await connection.query(
+        "SELECT DATE_FORMAT(start_date, '%Y-%m-%d') AS start_date, DATE_FORMAT(end_date, '%Y-%m-%d') AS end_date FROM AcademicTerms WHERE term_id = ?",
+        [termId]
+    );
+    if (terms.length === 0) return { termStart: null, termEnd: null };
+    return { termStart: terms[0].start_date, termEnd: terms[0].end_date };
+}
+
+// SQL scope for a recurring Base slot on a weekday: Base rows on that weekday whose term
+// overlaps, plus upcoming Extra rows on that weekday within the term (holidays excluded).
+// Binds [dayOfWeek, termStart, termEnd, termStart, dayOfWeek, termStart, termStart, termEnd].
+const BASE_WEEKDAY_SCOPE = `(
+    (
+        s.class_type = 'Base' AND s.day_of_week = ?
+        AND (s.term_id IS NULL OR ? IS NULL OR EXISTS (
+            SELECT 1 FROM AcademicTerms t WHERE t.term_id = s.term_id AND t.start_date <= ? AND t.end_date >= ?
+        ))
+    )
+    OR (
+        s.class_type = 'Extra' AND DAYNAME(s.class_date) = ? AND s.class_date >= CURDATE()
+        AND (? IS NULL OR s.class_date BETWEEN ? AND ?)
+        AND NOT EXISTS (SELECT 1 FROM Holidays h WHERE h.holiday_date = s.class_date)
+    )
+)`;
+const baseWeekdayParams = (dayOfWeek, { termStart, termEnd }) => [
+    dayOfWeek, termStart, termEnd, termStart,
+    dayOfWeek, termStart, termStart, termEnd,
+];
+
+// Split an unavailability window ({ start_date, start_time, end_date, end_time }, times 'HH:MM')
+// into one segment per day, optionally clipped to [from, to] and limited to one weekday.
+// Mon 14:00 -> Wed 10:00 gives Mon 14:00-24:00, Tue 00:00-24:00, Wed 00:00-10:00.
+export const splitUnavailabilityByDay = (window, { from = null, to = null, dayOfWeek = null } = {}) => {
+    const { unavailability_id, professor_id, reason } = window;
+    const first = from && from > window.start_date ? from : window.start_date;
+    const last = to && to < window.end_date ? to : window.end_date;
+    const segments = [];
+    for (let date = first; date <= last; date = addDaysToDateStr(date, 1)) {
+        if (dayOfWeek && getDayOfWeek(date) !== dayOfWeek) continue;
+        const start_time = date === window.start_date ? window.start_time : '00:00';
+        const end_time = date === window.end_date ? window.end_time : '24:00';
+        if (start_time < end_time) segments.push({ unavailability_id, professor_id, reason, date, start_time, end_time });
+    }
+    return segments;
+};
+
+/**
+ * Approved professor unavailability between two dates, as per-day segments (see splitUnavailabilityByDay).
+ * @param filter  { professorId (all professors when omitted), from, to (YYYY-MM-DD, inclusive; to may be null), dayOfWeek }
+ * @returns [{ unavailability_id, professor_id, reason, date, start_time, end_time }]
+ */
+export async function findUnavailability(connection, { professorId = null, from, to = null, dayOfWeek = null }) {
+    const [windows] = await connection.query(`
+        SELECT unavailability_id, professor_id, reason,
+               DATE_FORMAT(start_datetime, '%Y-%m-%d') AS start_date, DATE_FORMAT(start_datetime, '%H:%i') AS start_time,
+               DATE_FORMAT(end_datetime, '%Y-%m-%d') AS end_date, DATE_FORMAT(end_datetime, '%H:%i') AS end_time
+        FROM ProfessorUnavailability
+        WHERE status = 'Approved' AND (? IS NULL OR professor_id = ?)
+          AND end_datetime > ? AND (? IS NULL OR start_datetime < DATE_ADD(?, INTERVAL 1 DAY))
+        ORDER BY start_datetime
+    `, [professorId, professorId, from, to, to]);
+    return windows.flatMap(window => splitUnavailabilityByDay(window, { from, to, dayOfWeek }));
+}
+
+// Weekday counterpart of findUnavailability: leave that overlaps an upcoming occurrence of
+// a recurring Base slot on this weekday (within the term when given).
+export async function findUnavailabilityOnWeekday(connection, dayOfWeek, termId = null, professorId = null) {
+    const { termStart, termEnd } = await getTermBounds(connection, termId);
+    const today = todayDateStr();
+    return findUnavailability(connection, {
+        professorId, from: termStart && termStart > today ? termStart : today, to: termEnd, dayOfWeek,
+    });
+}
+
+// Batches a proposed slot is taught to: `batchIds` for combined entries, else the single `batchId`
+export const getSlotBatchIds = (slot) => (Array.isArray(slot.batchIds) ? slot.batchIds : [slot.batchId]).map(Number);
+
+// SQL predicate: the row `s` is a class of an elective course. Electives are attended by their
+// enrolled students (CourseEnrollments), not by whole batches, so they never clash on a batch.
+const ROW_IS_ELECTIVE = `EXISTS (SELECT 1 FROM Courses ec WHERE ec.course_id = s.course_id AND ec.is_elective)`;
+
+// SQL predicate: the row `s` is attended by any of the bound batch IDs (binds one array)
+const SCHEDULE_HAS_BATCH = `(EXISTS (SELECT 1 FROM ScheduleBatches sb WHERE sb.schedule_id = s.schedule_id AND sb.batch_id IN (?)) AND NOT ${ROW_IS_ELECTIVE})`;
+
+// Whether a course is an elective (false for unknown or missing IDs)
+export async function isElectiveCourse(connection, courseId) {
+    if (courseId == null) return false;
+    const [courses] = await connection.query("SELECT is_elective FROM Courses WHERE course_id = ?", [courseId]);
+    return Boolean(courses[0]?.is_elective);
+}
+
+// SQL predicate: the reservation `r` is attended by any of the bound batch IDs (binds one array)
+const RESERVATION_HAS_BATCH = `EXISTS (SELECT 1 FROM RoomReservationBatches rb WHERE rb.reservation_id = r.reservation_id AND rb.batch_id IN (?))`;
+
+// SQL: who teaches the row `s` on a date - the substitute assigned for that occurrence, else its professor.
+// Binds the date once.
+const PROFESSOR_ON_DATE = `COALESCE(
+    (SELECT ss.substitute_professor_id FROM ScheduleSubstitutions ss WHERE ss.schedule_id = s.schedule_id AND ss.class_date = ?),
+    s.professor_id
+)`;
+
+// SQL predicate: the bound professor covers an upcoming occurrence of the row `s` as a substitute (binds the ID once)
+const SUBSTITUTES_UPCOMING = `EXISTS (
+    SELECT 1 FROM ScheduleSubstitutions ss
+    WHERE ss.schedule_id = s.schedule_id AND ss.substitute_professor_id = ? AND ss.class_date >= CURDATE()
+)`;
+
+// SQL scope for room reservations `r` that a slot has to share time with: on the date for an Extra slot
+// (binds the date), upcoming on the weekday within the term for a Base slot (binds dayOfWeek, termStart x3).
+const RESERVATION_ON_DATE = `r.reservation_date = ?`;
+const RESERVATION_ON_WEEKDAY = `(
+    DAYNAME(r.reservation_date) = ? AND r.reservation_date >= CURDATE()
+    AND (? IS NULL OR r.reservation_date BETWEEN ? AND ?)
+    AND NOT EXISTS (SELECT 1 FROM Holidays h WHERE h.holiday_date = r.reservation_date)
+)`;
+
+// Same scopes for exam sessions `es` (see migrations/010_exam_timetable.sql): their seating rooms and
+// invigilators are busy for the whole session
+const EXAM_ON_DATE = `es.exam_date = ?`;
+const EXAM_ON_WEEKDAY = `(
+    DAYNAME(es.exam_date) = ? AND es.exam_date >= CURDATE()
+    AND (? IS NULL OR es.exam_date BETWEEN ? AND ?)
+    AND NOT EXISTS (SELECT 1 FROM Holidays h WHERE h.holiday_date = es.exam_date)
+)`;
+
+// Comma-separated batch IDs from GROUP_CONCAT -> numbers
+const parseBatchIds = (rows) => rows.map(({ batch_ids, ...row }) => ({
+    ...row,
+    batch_ids: batch_ids ? String(batch_ids).split(',').map(Number) : [],
+}));
+
+// SQL scope for Schedule rows `s` that a proposed slot has to share time with (see findScheduleConflicts),
+// with the matching scopes for room reservations `r` and exam sessions `es`.
+async function getSlotScope(connection, { classType, classDate, dayOfWeek, termId }) {
+    if (classType === 'Extra') {
+        return {
+            scopeClause: `(
+                (s.class_type = 'Extra' AND s.class_date = ?)
+                OR (s.class_type = 'Base' AND s.day_of_week = ? AND ${BASE_RUNS_ON_DATE})
+            )`,
+            scopeParams: [classDate, dayOfWeek, classDate, classDate, classDate],
+            reservationScope: RESERVATION_ON_DATE,
+            reservationScopeParams: [classDate],
+            examScope: EXAM_ON_DATE,
+            examScopeParams: [classDate],
+        };
+    }
+    // Without a term the Base entry is open-ended, so compare against everything upcoming
+    const { termStart, termEnd } = await getTermBounds(connection, termId);
+    return {
+        scopeClause: BASE_WEEKDAY_SCOPE,
+        scopeParams: baseWeekdayParams(dayOfWeek, { termStart, termEnd }),
+        reservationScope: RESERVATION_ON_WEEKDAY,
+        reservationScopeParams: [dayOfWeek, termStart, termStart, termEnd],
+        examScope: EXAM_ON_WEEKDAY,
+        examScopeParams: [dayOfWeek, termStart, termStart, termEnd],
+    };
+}
+
+/**
+ * Find existing Schedule rows that clash with a proposed slot.
+ *
+ * A clash is a time overlap ((existing.start < new.end) AND (existing.end > new.start))
+ * on the same classroom, professor OR any of the slot's batches:
+ *  - Extra slot: Extra classes on the same date + Base classes on the same weekday
+ *    that actually run that date (not cancelled, inside their term, not a holiday).
+ *  - Base slot: Base classes on the same weekday whose term overlaps the new entry's term
+ *    + upcoming Extra classes on that weekday within the term (holidays excluded).
+ * The professor dimension follows substitutions: on a date, a covered occurrence belongs to its substitute;
+ * for a Base slot, a professor also clashes with rows whose upcoming occurrences they cover.
+ * Approved unavailability of the professor also clashes (class_type 'Leave', entity 'Professor'):
+ * on the date for an Extra slot, on any upcoming occurrence within the term for a Base slot.
+ * Room reservations (class_type 'Reservation') clash on the classroom and on their attendee batches,
+ * over the same dates. Exams (class_type 'Exam') clash on the rooms they are seated in and on their invigilators.
+ * Without a professorId only rooms and batches are checked (used for reservations).
+ * Elective classes take no part in the batch dimension, on either side: pass the slot's courseId so an
+ * elective slot is recognised, and use findStudentClashes for the students they share.
+ *
+ * Run inside a transaction; matching rows are locked FOR UPDATE.
+ *
+ * @param connection  mysql2 connection (inside a transaction)
+ * @param slot        { classType, classDate, dayOfWeek, startTime, endTime, classroomId, professorId,
+ *                      batchIds (or a single batchId), termId, courseId }
+ * @param options     { excludeScheduleId } - skip the row being edited;
+ *                    { excludeReservationId } - skip the reservation being edited
+ * @returns Array of conflicts, one per clashing (row, entity), with conflict_entity / conflict_details
+ */
+export async function findScheduleConflicts(connection, slot, { excludeScheduleId = null, excludeReservationId = null } = {}) {
+    const { classType, classDate, dayOfWeek, classroomId } = slot;
+    const professorId = slot.professorId ?? null;
+    const slotBatchIds = (slot.batchIds || slot.batchId != null) && !await isElectiveCourse(connection, slot.courseId)
+        ? getSlotBatchIds(slot)
+        : [];
+    const batchIds = slotBatchIds.length > 0 ? slotBatchIds : [null]; // IN (NULL) never matches
+    const startTime = normalizeTime(slot.startTime);
+    const endTime = normalizeTime(slot.endTime);
+
+    const { scopeClause, scopeParams, reservationScope, reservationScopeParams, examScope, examScopeParams } = await getSlotScope(connection, slot);
+    const professorMatch = classType === 'Extra' ? `${PROFESSOR_ON_DATE} = ?` : `s.professor_id = ? OR ${SUBSTITUTES_UPCOMING}`;
+    const professorParams = classType === 'Extra' ? [classDate, professorId] : [professorId, professorId];
+
+    const conflictQuery = `
+        SELECT
+            s.schedule_id,
+            s.class_type,
+            s.day_of_week,
+            s.class_date,
+            (SELECT c.course_code FROM Courses c WHERE c.course_id = s.course_id) AS course_code,
+            DATE_FORMAT(s.start_time, '%H:%i') as existing_start,
+            DATE_FORMAT(s.end_time, '%H:%i') as existing_end,
+            -- Which entities this row shares with the new slot (a row can clash on several)
+            (s.classroom_id = ?) AS classroom_match,
+            (${professorMatch}) AS professor_match,
+            ${SCHEDULE_HAS_BATCH} AS batch_match,
+            -- Details about each entity
+            COALESCE((SELECT cr.room_number FROM Classrooms cr WHERE cr.classroom_id = s.classroom_id), 'N/A') AS room_number,
+            COALESCE((SELECT u.full_name FROM Users u WHERE u.user_id = ?), 'N/A') AS professor_name,
+            -- Only the batches both entries share
+            COALESCE((
+                SELECT GROUP_CONCAT(CONCAT(br.branch_code,'-',d.division_name,'-',b.batch_name) ORDER BY b.batch_name SEPARATOR ', ')
+                FROM ScheduleBatches sb2
+                JOIN Batches b ON sb2.batch_id = b.batch_id
+                JOIN Divisions d ON b.division_id=d.division_id
+                JOIN Branches br ON d.branch_id=br.branch_id
+                WHERE sb2.schedule_id = s.schedule_id AND sb2.batch_id IN (?)
+            ), 'N/A') AS batch_details
+        FROM Schedule s
+        WHERE
+            -- Compare time of day only; the date/weekday match is handled by the scope clause
+            (TIME(s.start_time) < ? AND TIME(s.end_time) > ?)
+            AND (s.classroom_id = ? OR (${professorMatch}) OR ${SCHEDULE_HAS_BATCH})
+            AND ${scopeClause}
+            AND (? IS NULL OR s.schedule_id <> ?)
+        ORDER BY s.start_time
+        FOR UPDATE; -- Lock the conflicting row(s) to prevent race conditions
+    `;
+    const params = [
+        classroomId, ...professorParams, batchIds, // *_match flags
+        professorId,                               // Professor name
+        batchIds,                                  // Shared batch labels
+        endTime, startTime,                        // Time overlap
+        classroomId, ...professorParams, batchIds, // Entity match
+        ...scopeParams,
+        excludeScheduleId, excludeScheduleId,
+    ];
+
+    const [rows] = await connection.query(conflictQuery, params);
+
+    // One entry per (row, entity) so every clash is reported, not just the first
+    const conflicts = rows.flatMap(({ classroom_match, professor_match, batch_match, room_number, professor_name, batch_details, ...row }) => [
+        classroom_match && { ...row, conflict_entity: 'Classroom', conflict_details: room_number },
+        professor_match && { ...row, conflict_entity: 'Professor', conflict_details: professor_name },
+        batch_match && { ...row, conflict_entity: 'Batch', conflict_details: batch_details },
+    ].filter(Boolean));
+
+    // Room reservations sharing the classroom or an attendee batch
+    const [reservations] = await connection.query(`
+        SELECT
+            r.reservation_id, r.title, r.kind,
+            DATE_FORMAT(r.reservation_date, '%Y-%m-%d') AS reservation_date,
+            TIME_FORMAT(r.start_time, '%H:%i') AS existing_start,
+            TIME_FORMAT(r.end_time, '%H:%i') AS existing_end,
+            (r.classroom_id = ?) AS classroom_match,
+            ${RESERVATION_HAS_BATCH} AS batch_match,
+            COALESCE((SELECT cr.room_number FROM Classrooms cr WHERE cr.classroom_id = r.classroom_id), 'N/A') AS room_number,
+            COALESCE((
+                SELECT GROUP_CONCAT(CONCAT(br.branch_code,'-',d.division_name,'-',b.batch_name) ORDER BY b.batch_name SEPARATOR ', ')
+                FROM RoomReservationBatches rb2
+                JOIN Batches b ON rb2.batch_id = b.batch_id
+                JOIN Divisions d ON b.division_id=d.division_id
+                JOIN Branches br ON d.branch_id=br.branch_id
+                WHERE rb2.reservation_id = r.reservation_id AND rb2.batch_id IN (?)
+            ), 'N/A') AS batch_details
+        FROM RoomReservations r
+        WHERE (r.start_time < ? AND r.end_time > ?)
+            AND (r.classroom_id = ? OR ${RESERVATION_HAS_BATCH})
+            AND ${reservationScope}
+            AND (? IS NULL OR r.reservation_id <> ?)
+        ORDER BY r.reservation_date, r.start_time
+        FOR UPDATE
+    `, [
+        classroomId, batchIds, batchIds,
+        endTime, startTime,
+        classroomId, batchIds,
+        ...reservationScopeParams,
+        excludeReservationId, excludeReservationId,
+    ]);
+    reservations.forEach(({ classroom_match, batch_match, room_number, batch_details, reservation_date, ...reservation }) => {
+        const row = {
+            ...reservation,
+            schedule_id: null,
+            class_type: 'Reservation',
+            day_of_week: getDayOfWeek(reservation_date),
+            class_date: reservation_date,
+            course_code: null,
+        };
+        if (classroom_match) conflicts.push({ ...row, conflict_entity: 'Classroom', conflict_details: room_number });
+        if (batch_match) conflicts.push({ ...row, conflict_entity: 'Batch', conflict_details: batch_details });
+    });
+
+    // Exams seated in the classroom or invigilated by the professor
+    const [exams] = await connection.query(`
+        SELECT
+            e.exam_id, c.course_code,
+            DATE_FORMAT(es.exam_date, '%Y-%m-%d') AS exam_date,
+            TIME_FORMAT(es.start_time, '%H:%i') AS existing_start,
+            TIME_FORMAT(es.end_time, '%H:%i') AS existing_end,
+            EXISTS (SELECT 1 FROM ExamRooms er WHERE er.exam_id = e.exam_id AND er.classroom_id = ?) AS classroom_match,
+            -- The room the professor invigilates; NULL when they do not
+            (SELECT icr.room_number FROM ExamInvigilators ei JOIN Classrooms icr ON ei.classroom_id = icr.classroom_id
+             WHERE ei.exam_id = e.exam_id AND ei.professor_id = ?) AS invigilated_room,
+            COALESCE((SELECT cr.room_number FROM Classrooms cr WHERE cr.classroom_id = ?), 'N/A') AS room_number,
+            COALESCE((SELECT u.full_name FROM Users u WHERE u.user_id = ?), 'N/A') AS professor_name
+        FROM Exams e
+        JOIN ExamSessions es ON e.session_id = es.session_id
+        JOIN Courses c ON e.course_id = c.course_id
+        WHERE (es.start_time < ? AND es.end_time > ?)
+            AND (EXISTS (SELECT 1 FROM ExamRooms er WHERE er.exam_id = e.exam_id AND er.classroom_id = ?)
+                 OR EXISTS (SELECT 1 FROM ExamInvigilators ei WHERE ei.exam_id = e.exam_id AND ei.professor_id = ?))
+            AND ${examScope}
+        ORDER BY es.exam_date, es.start_time
+        FOR UPDATE
+    `, [
+        classroomId, professorId, classroomId, professorId,
+        endTime, startTime,
+        classroomId, professorId,
+        ...examScopeParams,
+    ]);
+    exams.forEach(({ classroom_match, invigilated_room, room_number, professor_name, exam_date, ...exam }) => {
+        const row = {
+            ...exam,
+            schedule_id: null,
+            class_type: 'Exam',
+            day_of_week: getDayOfWeek(exam_date),
+            class_date: exam_date,
+        };
+        if (classroom_match) conflicts.push({ ...row, rule: 'Seating', conflict_entity: 'Classroom', conflict_details: room_number });
+        if (invigilated_room != null) {
+            conflicts.push({ ...row, rule: 'Invigilation', room_number: invigilated_room, conflict_entity: 'Professor', conflict_details: professor_name });
+        }
+    });
+
+    // Approved leave overlapping the slot; a window is reported once, on its first clashing date
+    if (professorId == null) return conflicts;
+    const leave = classType === 'Extra'
+        ? await findUnavailability(connection, { professorId, from: classDate, to: classDate })
+        : await findUnavailabilityOnWeekday(connection, dayOfWeek, slot.termId, professorId);
+    const reported = new Set();
+    const leaveClashes = leave.filter(segment => {
+        if (reported.has(segment.unavailability_id)) return false;
+        if (normalizeTime(segment.start_time) >= endTime || normalizeTime(segment.end_time) <= startTime) return false;
+        reported.add(segment.unavailability_id);
+        return true;
+    });
+    if (leaveClashes.length > 0) {
+        const [professors] = await connection.query("SELECT full_name FROM Users WHERE user_id = ?", [professorId]);
+        const professorName = professors[0]?.full_name || 'N/A';
+        leaveClashes.forEach(segment => conflicts.push({
+            schedule_id: null,
+            unavailability_id: segment.unavailability_id,
+            class_type: 'Leave',
+            day_of_week: getDayOfWeek(segment.date),
+            class_date: segment.date,
+            course_code: null,
+            existing_start: segment.start_time,
+            existing_end: segment.end_time,
+            reason: segment.reason,
+            conflict_entity: 'Professor',
+            conflict_details: professorName,
+        }));
+    }
+    return conflicts;
+}
+
+// Columns for a pair of Schedule rows `s` (the term's row) and `o` (the other class): which entities they
+// share (electives never share a batch) and the details of each
+const ROW_PAIR_COLUMNS = `
+    (o.classroom_id = s.classroom_id) AS classroom_match,
+    (o.professor_id = s.professor_id) AS professor_match,
+    (NOT ${ROW_IS_ELECTIVE}
+     AND NOT EXISTS (SELECT 1 FROM Courses oc WHERE oc.course_id = o.course_id AND oc.is_elective)
+     AND EXISTS (SELECT 1 FROM ScheduleBatches sb JOIN ScheduleBatches ob ON sb.batch_id = ob.batch_id
+                 WHERE sb.schedule_id = s.schedule_id AND ob.schedule_id = o.schedule_id)) AS batch_match,
+    COALESCE((SELECT cr.room_number FROM Classrooms cr WHERE cr.classroom_id = o.classroom_id), 'N/A') AS room_number,
+    COALESCE((SELECT u.full_name FROM Users u WHERE u.user_id = o.professor_id), 'N/A') AS professor_name,
+    COALESCE((
+        SELECT GROUP_CONCAT(CONCAT(br.branch_code,'-',d.division_name,'-',b.batch_name) ORDER BY b.batch_name SEPARATOR ', ')
+        FROM ScheduleBatches sb2
+        JOIN ScheduleBatches ob2 ON sb2.batch_id = ob2.batch_id
+        JOIN Batches b ON sb2.batch_id = b.batch_id
+        JOIN Divisions d ON b.division_id=d.division_id
+        JOIN Branches br ON d.branch_id=br.branch_id
+        WHERE sb2.schedule_id = s.schedule_id AND ob2.schedule_id = o.schedule_id
+    ), 'N/A') AS batch_details`;
+
+/**
+ * Clashes that moving a term's dates would create for its Base rows. Base rows are only compared with
+ * Base rows of overlapping terms, and Extra classes with the Base rows running on their date, so a new range
+ * brings in: Base rows of other terms that overlap it only now, and upcoming Extra classes on the weekdays of
+ * the dates it newly covers. Shrinking a term only drops occurrences and creates none.
+ * Run inside the transaction that changes the term; matching rows are locked FOR UPDATE.
+ *
+ * @param range  { oldStart, oldEnd, newStart, newEnd } (YYYY-MM-DD)
+ * @returns Array of conflicts shaped like findScheduleConflicts rows, describing the other class
+ */
+export async function findTermChangeClashes(connection, termId, { oldStart, oldEnd, newStart, newEnd }) {
+    const pairs = `
+        SELECT
+            o.schedule_id, o.class_type, o.day_of_week, o.class_date,
+            (SELECT c.course_code FROM Courses c WHERE c.course_id = o.course_id) AS course_code,
+            TIME_FORMAT(o.start_time, '%H:%i') AS existing_start,
+            TIME_FORMAT(o.end_time, '%H:%i') AS existing_end,
+            ${ROW_PAIR_COLUMNS}
+        FROM Schedule s
+        JOIN Schedule o ON TIME(o.start_time) < TIME(s.end_time) AND TIME(o.end_time) > TIME(s.start_time)
+        WHERE s.class_type = 'Base' AND s.term_id = ?`;
+    const [baseRows] = await connection.query(`${pairs}
+            AND o.class_type = 'Base' AND o.day_of_week = s.day_of_week
+            AND EXISTS (
+                SELECT 1 FROM AcademicTerms t
+                WHERE t.term_id = o.term_id AND t.term_id <> ?
+                  AND t.start_date <= ? AND t.end_date >= ?
+                  AND NOT (t.start_date <= ? AND t.end_date >= ?)
+            )
+        HAVING classroom_match OR professor_match OR batch_match
+        FOR UPDATE
+    `, [termId, termId, newEnd, newStart, oldEnd, oldStart]);
+    const [extraRows] = await connection.query(`${pairs}
+            AND o.class_type = 'Extra' AND DAYNAME(o.class_date) = s.day_of_week AND o.class_date >= CURDATE()
+            AND o.class_date BETWEEN ? AND ? AND o.class_date NOT BETWEEN ? AND ?
+            AND NOT EXISTS (SELECT 1 FROM Holidays h WHERE h.holiday_date = o.class_date)
+            AND NOT EXISTS (SELECT 1 FROM ScheduleExceptions se WHERE se.schedule_id = s.schedule_id AND se.exception_date = o.class_date)
+        HAVING classroom_match OR professor_match OR batch_match
+        FOR UPDATE
+    `, [termId, newStart, newEnd, oldStart, oldEnd]);
+
+    // Several of the term's rows can clash with the same class on the same entity; report it once
+    const reported = new Set();
+    return [...baseRows, ...extraRows].flatMap(({ classroom_match, professor_match, batch_match, room_number, professor_name, batch_details, ...row }) => [
+        classroom_match && { ...row, conflict_entity: 'Classroom', conflict_details: room_number },
+        professor_match && { ...row, conflict_entity: 'Professor', conflict_details: professor_name },
+        batch_match && { ...row, conflict_entity: 'Batch', conflict_details: batch_details },
+    ].filter(conflict => {
+        if (!conflict) return false;
+        const key = `${conflict.schedule_id}|${conflict.conflict_entity}|${conflict.conflict_details}`;
+        if (reported.has(key)) return false;
+        reported.add(key);
+        return true;
+    }));
+}
+
+// Walking time between buildings (migrations/012_building_transitions.sql): whether a too-short gap
+// between back-to-back classes blocks a booking ('block') or is only reported with it ('warn', the default)
+export const TRANSITION_POLICY = process.env.TRANSITION_POLICY === 'block' ? 'block' : 'warn';
+// Minutes needed between two different buildings when the pair is not in BuildingTransitions
+export const DEFAULT_TRANSITION_MINUTES = Number(process.env.DEFAULT_TRANSITION_MINUTES) || 0;
+
+/**
+ * Building-to-building transition times.
+ * @returns { minutesBetween(from, to), maxMinutes } - a listed pair applies both ways unless its reverse is
+ *          listed too; the same building (or an unknown one) needs no time
+ */
+export async function getTransitionMatrix(connection) {
+    const [rows] = await connection.query("SELECT from_building, to_building, minutes FROM BuildingTransitions");
+    const matrix = new Map(rows.map(row => [`${row.from_building}\n${row.to_building}`, row.minutes]));
+    const minutesBetween = (from, to) => {
+        if (!from || !to || from === to) return 0;
+        return matrix.get(`${from}\n${to}`) ?? matrix.get(`${to}\n${from}`) ?? DEFAULT_TRANSITION_MINUTES;
+    };
+    return { minutesBetween, maxMinutes: Math.max(DEFAULT_TRANSITION_MINUTES, ...rows.map(row => row.minutes)) };
+}
+
+/**
+ * Back-to-back classes that leave the slot's professor or batches too little time to walk between buildings:
+ * rows in the same scope as findScheduleConflicts that end shortly before the slot starts (or start shortly
+ * after it ends) in another building, with a gap below the building pair's transition time.
+ * Elective rows and an elective slot are skipped on the batch side, as in findScheduleConflicts.
+ * Run inside a transaction; matching rows are locked FOR UPDATE.
+ *
+ * @param slot     { classType, classDate, dayOfWeek, startTime, endTime, classroomId, professorId, batchIds, termId, courseId }
+ * @param options  { excludeScheduleId } - skip the row being edited
+ * @returns Array of conflicts (rule 'Transition') with from_building, to_building, gap_minutes, required_minutes
+ */
+export async function findTransitionClashes(connection, slot, { excludeScheduleId = null } = {}) {
+    const { minutesBetween, maxMinutes } = await getTransitionMatrix(connection);
+    const [rooms] = await connection.query("SELECT building FROM Classrooms WHERE classroom_id = ?", [slot.classroomId]);
+    const building = rooms[0]?.building;
+    if (maxMinutes === 0 || !building) return [];
+
+    const { classType, classDate } = slot;
+    const professorId = slot.professorId ?? null;
+    const slotBatchIds = (slot.batchIds || slot.batchId != null) && !await isElectiveCourse(connection, slot.courseId)
+        ? getSlotBatchIds(slot)
+        : [];
+    const batchIds = slotBatchIds.length > 0 ? slotBatchIds : [null];
+    const start = toMinutes(slot.startTime);
+    const end = toMinutes(slot.endTime);
+
+    const { scopeClause, scopeParams } = await getSlotScope(connection, slot);
+    const professorMatch = classType === 'Extra' ? `${PROFESSOR_ON_DATE} = ?` : `s.professor_id = ? OR ${SUBSTITUTES_UPCOMING}`;
+    const professorParams = classType === 'Extra' ? [classDate, professorId] : [professorId, professorId];
+    const [rows] = await connection.query(`
+        SELECT
+            s.schedule_id, s.class_type, s.day_of_week, s.class_date,
+            (SELECT c.course_code FROM Courses c WHERE c.course_id = s.course_id) AS course_code,
+            DATE_FORMAT(s.start_time, '%H:%i') AS existing_start,
+            DATE_FORMAT(s.end_time, '%H:%i') AS existing_end,
+            cr.building, cr.room_number,
+            (${professorMatch}) AS professor_match,
+            ${SCHEDULE_HAS_BATCH} AS batch_match,
+            COALESCE((SELECT u.full_name FROM Users u WHERE u.user_id = ?), 'N/A') AS professor_name,
+            COALESCE((
+                SELECT GROUP_CONCAT(CONCAT(br.branch_code,'-',d.division_name,'-',b.batch_name) ORDER BY b.batch_name SEPARATOR ', ')
+                FROM ScheduleBatches sb2
+                JOIN Batches b ON sb2.batch_id = b.batch_id
+                JOIN Divisions d ON b.division_id=d.division_id
+                JOIN Branches br ON d.branch_id=br.branch_id
+                WHERE sb2.schedule_id = s.schedule_id AND sb2.batch_id IN (?)
+            ), 'N/A') AS batch_details
+        FROM Schedule s
+        JOIN Classrooms cr ON s.classroom_id = cr.classroom_id
+        WHERE
+            -- Ends within maxMinutes before the slot, or starts within maxMinutes after it
+            ((TIME(s.end_time) <= ? AND TIME(s.end_time) > ?) OR (TIME(s.start_time) >= ? AND TIME(s.start_time) < ?))
+            AND cr.building <> ?
+            AND ((${professorMatch}) OR ${SCHEDULE_HAS_BATCH})
+            AND ${scopeClause}
+            AND (? IS NULL OR s.schedule_id <> ?)
+        ORDER BY s.start_time
+        FOR UPDATE
+    `, [
+        ...professorParams, batchIds,
+        professorId,
+        batchIds,
+        normalizeTime(slot.startTime), fromMinutes(Math.max(start - maxMinutes, 0)),
+        normalizeTime(slot.endTime), fromMinutes(end + maxMinutes),
+        building,
+        ...professorParams, batchIds,
+        ...scopeParams,
+        excludeScheduleId, excludeScheduleId,
+    ]);
+
+    return rows.flatMap(({ building: otherBuilding, room_number, professor_match, batch_match, professor_name, batch_details, ...row }) => {
+        const before = toMinutes(row.existing_end) <= start; // The other class comes first
+        const [from, to] = before ? [otherBuilding, building] : [building, otherBuilding];
+        const gap = before ? start - toMinutes(row.existing_end) : toMinutes(row.existing_start) - end;
+        const required = minutesBetween(from, to);
+        if (gap >= required) return [];
+        const transition = {
+            ...row, rule: 'Transition', adjacent: before ? 'before' : 'after',
+            from_building: from, to_building: to, gap_minutes: gap, required_minutes: required,
+        };
+        return [
+            professor_match && { ...transition, conflict_entity: 'Professor', conflict_details: professor_name },
+            batch_match && { ...transition, conflict_entity: 'Batch', conflict_details: batch_details },
+        ].filter(Boolean);
+    });
+}
+
+// Walking-time clashes of a slot under TRANSITION_POLICY: `blocking` ones join its conflicts, `warnings` are only reported
+export async function checkTransitions(connection, slot, options = {}) {
+    const clashes = await findTransitionClashes(connection, slot, options);
+    return TRANSITION_POLICY === 'block' ? { blocking: clashes, warnings: [] } : { blocking: [], warnings: clashes };
+}
+
+// SQL predicate: the student `u` attends the row `s` - enrolled in it when it is an elective,
+// in one of its batches otherwise.
+export const STUDENT_ATTENDS_ROW = `IF(${ROW_IS_ELECTIVE},
+    EXISTS (SELECT 1 FROM CourseEnrollments ce WHERE ce.course_id = s.course_id AND ce.student_id = u.user_id),
+    EXISTS (SELECT 1 FROM ScheduleBatches sb WHERE sb.schedule_id = s.schedule_id AND sb.batch_id = u.batch_id)
+)`;
+
+/**
+ * Students who would have two classes at once if a slot were booked.
+ *
+ * Whole batches never share a class time (findScheduleConflicts blocks that), but electives are taken
+ * by individual students across batches, so whenever either side is an elective the clash is per student:
+ * the slot's students (enrolled students for an elective, approved members of its batches otherwise)
+ * against the students of each overlapping row in the same scope as findScheduleConflicts.
+ * Read-only: student clashes are reported alongside a booking, they do not block it.
+ *
+ * @param slot     { classType, classDate, dayOfWeek, startTime, endTime, termId, courseId, batchIds (or a single batchId) }
+ * @param options  { excludeScheduleId } - skip the row being edited
+ * @returns { student_count, classes: [{ schedule_id, course_code, class_type, class_date, day_of_week, start_time, end_time, student_count }] }
+ */
+export async function findStudentClashes(connection, slot, { excludeScheduleId = null } = {}) {
+    const slotIsElective = await isElectiveCourse(connection, slot.courseId);
+    const slotBatchIds = slot.batchIds || slot.batchId != null ? getSlotBatchIds(slot) : [];
+    if (!slotIsElective && slotBatchIds.length === 0) return { student_count: 0, classes: [] };
+
+    const { scopeClause, scopeParams } = await getSlotScope(connection, slot);
+    const slotStudents = slotIsElective
+        ? `EXISTS (SELECT 1 FROM CourseEnrollments se WHERE se.course_id = ? AND se.student_id = u.user_id)`
+        : `u.batch_id IN (?)`;
+    const [rows] = await connection.query(`
+        SELECT s.schedule_id, s.class_type, s.day_of_week, s.class_date, c.course_code,
+               TIME_FORMAT(s.start_time, '%H:%i') AS start_time,
+               TIME_FORMAT(s.end_time, '%H:%i') AS end_time,
+               u.user_id AS student_id
+        FROM Users u
+        JOIN Schedule s ON ${STUDENT_ATTENDS_ROW}
+        JOIN Courses c ON s.course_id = c.course_id
+        WHERE u.role = 'Student' AND u.approval_status = 'Approved'
+          AND ${slotStudents}
+          AND (TIME(s.start_time) < ? AND TIME(s.end_time) > ?)
+          AND ${scopeClause}
+          -- Two batch-wide classes clash on the batch dimension instead
+          AND (? OR c.is_elective)
+          AND (? IS NULL OR s.schedule_id <> ?)
+        ORDER BY s.start_time, s.schedule_id
+    `, [
+        slotIsElective ? slot.courseId : slotBatchIds,
+        normalizeTime(slot.endTime), normalizeTime(slot.startTime),
+        ...scopeParams,
+        slotIsElective,
+        excludeScheduleId, excludeScheduleId,
+    ]);
+
+    const classes = new Map();
+    rows.forEach(({ student_id, ...row }) => {
+        if (!classes.has(row.schedule_id)) classes.set(row.schedule_id, { ...row, student_count: 0 });
+        classes.get(row.schedule_id).student_count += 1;
+    });
+    return { student_count: new Set(rows.map(row => row.student_id)).size, classes: [...classes.values()] };
+}
+
+// Human-readable summary of a findStudentClashes report, or null when nobody clashes
+export const formatStudentClashMessage = ({ student_count, classes }) => {
+    if (student_count === 0) return null;
+    const details = classes
+        .map(cls => `${cls.course_code} ${cls.class_type === 'Extra' ? cls.class_date : cls.day_of_week} ${cls.start_time}-${cls.end_time} (${cls.student_count})`)
+        .join(', ');
+    return `${student_count} student${student_count === 1 ? '' : 's'} would have a clash: ${details}.`;
+};
+
+/**
+ * Classes of an elective course that would clash with a student's current timetable if they enrolled:
+ * every Base row and upcoming Extra row of the course against the rows the student already attends
+ * (their batch's classes and the electives they are enrolled in) on the same weekday, overlapping in
+ * time, with overlapping active dates (a Base row is active during its term, an Extra row on its date).
+ * Cancellations and holidays are not taken into account; a clash on any date counts.
+ *
+ * @param student  { studentId, batchId }
+ * @returns [{ elective: { schedule_id, class_type, day_of_week, class_date, start_time, end_time },
+ *             schedule_id, course_code, class_type, day_of_week, class_date, start_time, end_time }]
+ */
+export async function findEnrollmentClashes(connection, { studentId, batchId }, courseId) {
+    // Active date range of a row: its date for Extra, its term (open-ended without one) for Base
+    const activeFrom = (row, term) => `IF(${row}.class_type = 'Extra', ${row}.class_date, ${term}.start_date)`;
+    const activeTo = (row, term) => `IF(${row}.class_type = 'Extra', ${row}.class_date, ${term}.end_date)`;
+    const [rows] = await connection.query(`
+        SELECT e.schedule_id AS elective_schedule_id, e.class_type AS elective_class_type,
+               e.day_of_week AS elective_day_of_week, e.class_date AS elective_class_date,
+               TIME_FORMAT(e.start_time, '%H:%i') AS elective_start_time,
+               TIME_FORMAT(e.end_time, '%H:%i') AS elective_end_time,
+               s.schedule_id, s.class_type, s.day_of_week, s.class_date, c.course_code,
+               TIME_FORMAT(s.start_time, '%H:%i') AS start_time,
+               TIME_FORMAT(s.end_time, '%H:%i') AS end_time
+        FROM Schedule e
+        LEFT JOIN AcademicTerms te ON e.term_id = te.term_id
+        JOIN Schedule s ON s.course_id <> e.course_id
+            AND s.day_of_week = e.day_of_week
+            AND TIME(s.start_time) < TIME(e.end_time) AND TIME(s.end_time) > TIME(e.start_time)
+        LEFT JOIN AcademicTerms ts ON s.term_id = ts.term_id
+        JOIN Courses c ON s.course_id = c.course_id
+        WHERE e.course_id = ?
+          AND (${activeTo('e', 'te')} IS NULL OR ${activeTo('e', 'te')} >= CURDATE())
+          AND (${activeTo('s', 'ts')} IS NULL OR ${activeTo('s', 'ts')} >= CURDATE())
+          AND (${activeFrom('e', 'te')} IS NULL OR ${activeTo('s', 'ts')} IS NULL OR ${activeFrom('e', 'te')} <= ${activeTo('s', 'ts')})
+          AND (${activeFrom('s', 'ts')} IS NULL OR ${activeTo('e', 'te')} IS NULL OR ${activeFrom('s', 'ts')} <= ${activeTo('e', 'te')})
+          AND IF(c.is_elective,
+                 EXISTS (SELECT 1 FROM CourseEnrollments ce WHERE ce.course_id = s.course_id AND ce.student_id = ?),
+                 EXISTS (SELECT 1 FROM ScheduleBatches sb WHERE sb.schedule_id = s.schedule_id AND sb.batch_id = ?))
+        ORDER BY FIELD(e.day_of_week, ${WEEK_DAYS.map(() => '?').join(', ')}), e.start_time, s.start_time
+    `, [courseId, studentId, batchId, ...WEEK_DAYS]);
+    return rows.map(row => ({
+        elective: {
+            schedule_id: row.elective_schedule_id, class_type: row.elective_class_type,
+            day_of_week: row.elective_day_of_week, class_date: row.elective_class_date,
+            start_time: row.elective_start_time, end_time: row.elective_end_time,
+        },
+        schedule_id: row.schedule_id, course_code: row.course_code, class_type: row.class_type,
+        day_of_week: row.day_of_week, class_date: row.class_date,
+        start_time: row.start_time, end_time: row.end_time,
+    }));
+}
+
+// All Schedule rows that take place on a date: Extra classes on that date plus
+// Base classes on its weekday that actually run then (same rules as findScheduleConflicts).
+// Read-only; used to compute free windows, not to guard writes. Each row carries its batch_ids
+// (none for elective classes, which do not occupy whole batches),
+// and professor_id is whoever teaches it that date (the substitute for a covered occurrence).
+export async function findBookingsOnDate(connection, dateStr) {
+    const [rows] = await connection.query(`
+        SELECT s.schedule_id, s.class_type, s.classroom_id, ${PROFESSOR_ON_DATE} AS professor_id,
+               IF(${ROW_IS_ELECTIVE}, NULL,
+                  (SELECT GROUP_CONCAT(sb.batch_id) FROM ScheduleBatches sb WHERE sb.schedule_id = s.schedule_id)) AS batch_ids,
+               TIME_FORMAT(s.start_time, '%H:%i') AS start_time,
+               TIME_FORMAT(s.end_time, '%H:%i') AS end_time
+        FROM Schedule s
+        WHERE (s.class_type = 'Extra' AND s.class_date = ?)
+           OR (s.class_type = 'Base' AND s.day_of_week = ? AND ${BASE_RUNS_ON_DATE})
+    `, [dateStr, dateStr, getDayOfWeek(dateStr), dateStr, dateStr, dateStr]);
+    return parseBatchIds(rows);
+}
+
+// Elective rows that approved students of any of the batches are enrolled in. findBookingsOnDate gives
+// elective rows no batch_ids, so free-window searches use these to keep the batches' students free.
+// Returns a Set of schedule_ids.
+export async function findBatchElectiveRowIds(connection, batchIds) {
+    if (batchIds.length === 0) return new Set();
+    const [rows] = await connection.query(`
+        SELECT DISTINCT s.schedule_id
+        FROM Schedule s
+        JOIN CourseEnrollments ce ON ce.course_id = s.course_id
+        JOIN Users u ON ce.student_id = u.user_id
+        WHERE ${ROW_IS_ELECTIVE} AND u.role = 'Student' AND u.approval_status = 'Approved' AND u.batch_id IN (?)
+    `, [batchIds]);
+    return new Set(rows.map(row => row.schedule_id));
+}
+
+// Weekday counterpart of findBookingsOnDate: rows a recurring Base slot on this weekday
+// (optionally within a term) would have to share time with.
+export async function findBookingsOnWeekday(connection, dayOfWeek, termId = null) {
+    const [rows] = await connection.query(`
+        SELECT s.schedule_id, s.class_type, s.classroom_id, s.professor_id,
+               IF(${ROW_IS_ELECTIVE}, NULL,
+                  (SELECT GROUP_CONCAT(sb.batch_id) FROM ScheduleBatches sb WHERE sb.schedule_id = s.schedule_id)) AS batch_ids,
+               TIME_FORMAT(s.start_time, '%H:%i') AS start_time,
+               TIME_FORMAT(s.end_time, '%H:%i') AS end_time
+        FROM Schedule s
+        WHERE ${BASE_WEEKDAY_SCOPE}
+    `, baseWeekdayParams(dayOfWeek, await getTermBounds(connection, termId)));
+    return parseBatchIds(rows);
+}
+
+// Room reservations on a date, shaped like findBookingsOnDate rows (no professor) so free-window
+// searches can treat them as busy time for their classroom and attendee batches.
+export async function findReservationsOnDate(connection, dateStr) {
+    const [rows] = await connection.query(`
+        SELECT r.reservation_id, r.classroom_id, NULL AS professor_id,
+               (SELECT GROUP_CONCAT(rb.batch_id) FROM RoomReservationBatches rb WHERE rb.reservation_id = r.reservation_id) AS batch_ids,
+               TIME_FORMAT(r.start_time, '%H:%i') AS start_time,
+               TIME_FORMAT(r.end_time, '%H:%i') AS end_time
+        FROM RoomReservations r
+        WHERE ${RESERVATION_ON_DATE}
+    `, [dateStr]);
+    return parseBatchIds(rows);
+}
+
+// Weekday counterpart of findReservationsOnDate: upcoming reservations a recurring Base slot
+// on this weekday (optionally within a term) would have to share time with.
+export async function findReservationsOnWeekday(connection, dayOfWeek, termId = null) {
+    const { termStart, termEnd } = await getTermBounds(connection, termId);
+    const [rows] = await connection.query(`
+        SELECT r.reservation_id, r.classroom_id, NULL AS professor_id,
+               (SELECT GROUP_CONCAT(rb.batch_id) FROM RoomReservationBatches rb WHERE rb.reservation_id = r.reservation_id) AS batch_ids,
+               TIME_FORMAT(r.start_time, '%H:%i') AS start_time,
+               TIME_FORMAT(r.end_time, '%H:%i') AS end_time
+        FROM RoomReservations r
+        WHERE ${RESERVATION_ON_WEEKDAY}
+    `, [dayOfWeek, termStart, termStart, termEnd]);
+    return parseBatchIds(rows);
+}
+
+// Exam duties on a date, shaped like findBookingsOnDate rows (no batches): one row per room an exam is
+// seated in, per invigilator of that room (professor_id NULL for a room without one). Busy time for
+// free-window searches; exams are kept apart from each other by lib/exams.js.
+export async function findExamDutiesOnDate(connection, dateStr) {
+    const [rows] = await connection.query(`
+        SELECT e.exam_id, er.classroom_id, ei.professor_id, NULL AS batch_ids,
+               TIME_FORMAT(es.start_time, '%H:%i') AS start_time,
+               TIME_FORMAT(es.end_time, '%H:%i') AS end_time
+        FROM ExamRooms er
+        JOIN Exams e ON er.exam_id = e.exam_id
+        JOIN ExamSessions es ON e.session_id = es.session_id
+        LEFT JOIN ExamInvigilators ei ON ei.exam_id = er.exam_id AND ei.classroom_id = er.classroom_id
+        WHERE ${EXAM_ON_DATE}
+    `, [dateStr]);
+    return parseBatchIds(rows);
+}
+
+// Weekday counterpart of findExamDutiesOnDate: upcoming exam duties a recurring Base slot
+// on this weekday (optionally within a term) would have to share time with.
+export async function findExamDutiesOnWeekday(connection, dayOfWeek, termId = null) {
+    const { termStart, termEnd } = await getTermBounds(connection, termId);
+    const [rows] = await connection.query(`
+        SELECT e.exam_id, er.classroom_id, ei.professor_id, NULL AS batch_ids,
+               TIME_FORMAT(es.start_time, '%H:%i') AS start_time,
+               TIME_FORMAT(es.end_time, '%H:%i') AS end_time
+        FROM ExamRooms er
+        JOIN Exams e ON er.exam_id = e.exam_id
+        JOIN ExamSessions es ON e.session_id = es.session_id
+        LEFT JOIN ExamInvigilators ei ON ei.exam_id = er.exam_id AND ei.classroom_id = er.classroom_id
+        WHERE ${EXAM_ON_WEEKDAY}
+    `, [dayOfWeek, termStart, termStart, termEnd]);
+    return parseBatchIds(rows);
+}
+
+// 'HH:MM[:SS]' <-> minutes since midnight, for in-memory window arithmetic
+export const toMinutes = (time) => {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+};
+export const fromMinutes = (total) =>
+    `${String(Math.floor(total / 60)).padStart(2, '0')}:${String(total % 60).padStart(2, '0')}`;
+
+// Classes the window's professor is scheduled to teach inside an unavailability window,
+// from today on (same window shape as splitUnavailabilityByDay, any status).
+// Used to flag what needs moving or cover when leave is requested or approved; an occurrence
+// drops out once a substitute is assigned to it.
+export async function findClassesInUnavailability(connection, window) {
+    const classes = [];
+    for (const segment of splitUnavailabilityByDay(window, { from: todayDateStr() })) {
+        const bookings = await findBookingsOnDate(connection, segment.date);
+        bookings
+            .filter(b => b.professor_id === window.professor_id
+                && toMinutes(b.start_time) < toMinutes(segment.end_time) && toMinutes(b.end_time) > toMinutes(segment.start_time))
+            .forEach(b => classes.push({
+                schedule_id: b.schedule_id, class_type: b.class_type, class_date: segment.date,
+                start_time: b.start_time, end_time: b.end_time,
+            }));
+    }
+    return classes;
+}
+
+// Number of approved students attending: everyone in the given batch(es).
+export async function getAudienceSize(connection, batchIds) {
+    const [rows] = await connection.query(
+        `SELECT COUNT(*) AS headcount FROM Users
+         WHERE role = 'Student' AND approval_status = 'Approved' AND batch_id IN (?)`,
+        [[].concat(batchIds)]
+    );
+    return Number(rows[0].headcount);
+}
+
+// Number of students enrolled in an elective course
+export async function getEnrollmentCount(connection, courseId) {
+    const [rows] = await connection.query("SELECT COUNT(*) AS headcount FROM CourseEnrollments WHERE course_id = ?", [courseId]);
+    return Number(rows[0].headcount);
+}
+
+// Lab/practical courses (anything that is not Theory) must be held in a Lab room
+export const roomTypeFitsCourse = (courseType, roomType) =>
+    String(courseType).toLowerCase() === 'theory' || String(roomType).toLowerCase() === 'lab';
+
+/**
+ * Check that a room suits a class: its type fits the course type and it seats the audience.
+ * @param slot  { courseId, classroomId, batchIds (or a single batchId) } - batchIds is the whole audience
+ *              (for an elective the audience is its enrolled students instead)
+ * @returns Reason string (for a 409 response) or null when the room is suitable
+ */
+export async function checkRoomSuitability(connection, slot) {
+    const { courseId, classroomId } = slot;
+    const batchIds = getSlotBatchIds(slot);
+    const [courses] = await connection.query("SELECT course_code, type, is_elective FROM Courses WHERE course_id = ?", [courseId]);
+    const [rooms] = await connection.query("SELECT room_number, capacity, type FROM Classrooms WHERE classroom_id = ?", [classroomId]);
+    if (courses.length === 0 || rooms.length === 0) return null; // Unknown IDs are reported by the caller / FK checks
+    const course = courses[0];
+    const room = rooms[0];
+
+    if (!roomTypeFitsCourse(course.type, room.type)) {
+        return `Unsuitable room: ${course.course_code} is a ${course.type} course and needs a Lab room, but ${room.room_number} is a ${room.type} room.`;
+    }
+    // An elective is attended by its enrolled students, not by the batches it is offered to
+    const headcount = course.is_elective ? await getEnrollmentCount(connection, courseId) : await getAudienceSize(connection, batchIds);
+    if (headcount > room.capacity) {
+        const audience = course.is_elective ? 'elective has' : batchIds.length > 1 ? `${batchIds.length} attending batches have` : 'batch has';
+        return `Unsuitable room: ${room.room_number} seats ${room.capacity}, but the ${audience} ${headcount} students.`;
+    }
+    return null;
+}
+
+// Human-readable reason, e.g. for a 409 response message
+export const formatConflictMessage = (conflict) => {
+    if (conflict.rule === 'Transition') {
+        const when = conflict.class_type === 'Extra' ? conflict.class_date : conflict.day_of_week;
+        return `Conflict: ${conflict.conflict_entity} (${conflict.conflict_details}) has ${conflict.gap_minutes} min to get from ${conflict.from_building} to ${conflict.to_building} ${conflict.adjacent === 'before' ? 'after' : 'before'} the ${conflict.course_code} ${conflict.class_type} class (${when} ${conflict.existing_start}-${conflict.existing_end}); ${conflict.required_minutes} min needed.`;
+    }
+    if (conflict.class_type === 'Workload') {
+        const when = conflict.class_date || conflict.day_of_week;
+        if (conflict.rule === 'Consecutive') {
+            return `Conflict: Professor (${conflict.conflict_details}) would teach ${conflict.load} classes in a row on ${when}; at most ${conflict.limit} are allowed.`;
+        }
+        const period = conflict.rule === 'DailyHours' ? `on ${when}` : conflict.week_start ? `in the week of ${conflict.week_start}` : 'a week';
+        return `Conflict: Professor (${conflict.conflict_details}) would teach ${conflict.load} h ${period}; the limit is ${conflict.limit} h per ${conflict.rule === 'DailyHours' ? 'day' : 'week'}.`;
+    }
+    if (conflict.class_type === 'Leave') {
+        return `Conflict: Professor (${conflict.conflict_details}) is unavailable on ${conflict.class_date} ${conflict.existing_start}-${conflict.existing_end}${conflict.reason ? ` (${conflict.reason})` : ''}.`;
+    }
+    if (conflict.class_type === 'Exam') {
+        // Student clashes (electives) name how many students rather than one entity
+        const students = conflict.conflict_entity === 'Student';
+        const who = students ? conflict.conflict_details : `${conflict.conflict_entity} (${conflict.conflict_details})`;
+        if (conflict.rule === 'DailyLimit') {
+            return `Conflict: ${who} would sit ${conflict.exam_count} exams on ${conflict.class_date}; at most ${conflict.limit} per day are allowed (already ${conflict.course_code}).`;
+        }
+        const duty = conflict.rule === 'Invigilation' ? `already invigilates the ${conflict.course_code} exam in ${conflict.room_number}`
+            : conflict.rule === 'Seating' ? `is seating the ${conflict.course_code} exam`
+            : `already ${students && conflict.student_count !== 1 ? 'sit' : 'sits'} the ${conflict.course_code} exam`;
+        return `Conflict: ${who} ${duty} (${conflict.class_date} ${conflict.existing_start}-${conflict.existing_end}).`;
+    }
+    if (conflict.class_type === 'Reservation') {
+        return `Conflict: ${conflict.conflict_entity} (${conflict.conflict_details}) is reserved for ${conflict.kind} "${conflict.title}" (${conflict.class_date} ${conflict.existing_start}-${conflict.existing_end}).`;
+    }
+    return `Conflict: ${conflict.conflict_entity} (${conflict.conflict_details}) is already booked for a ${conflict.class_type} class (${conflict.class_type === 'Extra' ? conflict.class_date : conflict.day_of_week} ${conflict.existing_start}-${conflict.existing_end}).`;
+};
+
+// Body for a 409 response: a summary message plus the structured list of every clash
+export const buildConflictResponse = (conflicts) => ({
+    message: conflicts.length === 1
+        ? formatConflictMessage(conflicts[0])
+        : `${conflicts.length} conflicts found: ${conflicts.map(formatConflictMessage).join(' ')}`,
+    conflicts: conflicts.map(conflict => ({
+        entity: conflict.conflict_entity,
+        details: conflict.conflict_details,
+        schedule_id: conflict.schedule_id,
+        course_code: conflict.course_code,
+        class_type: conflict.class_type,
+        class_date: conflict.class_date,
+        day_of_week: conflict.day_of_week,
+        start_time: conflict.existing_start,
+        end_time: conflict.existing_end,
+        unavailability_id: conflict.unavailability_id, // Leave only
+        reason: conflict.reason,                       // Leave only
+        reservation_id: conflict.reservation_id,       // Reservation only
+        title: conflict.title,                         // Reservation only
+        kind: conflict.kind,                           // Reservation only
+        exam_id: conflict.exam_id,                     // Exam only
+        student_count: conflict.student_count,         // Exam only: students clashing over an elective exam
+        rule: conflict.rule,                           // Exam: Overlap, DailyLimit, Invigilation or Seating; walking time: Transition;
+                                                       // Workload: DailyHours, WeeklyHours or Consecutive
+        adjacent: conflict.adjacent,                   // Transition only: the other class is 'before' or 'after' the slot
+        from_building: conflict.from_building,         // Transition only
+        to_building: conflict.to_building,             // Transition only
+        gap_minutes: conflict.gap_minutes,             // Transition only
+        required_minutes: conflict.required_minutes,   // Transition only
+        load: conflict.load,                           // Workload only: hours taught, or classes in a row
+        limit: conflict.limit,                         // Workload only
+        week_start: conflict.week_start,               // Workload only: Monday of an Extra slot's week
+    })),
+});
+
+// Non-blocking notes for a successful booking: walking-time warnings and elective student clashes
+export const buildBookingWarnings = (transitionWarnings, studentClashes) => ({
+    transition_warnings: transitionWarnings.length > 0 ? buildConflictResponse(transitionWarnings).conflicts : [],
+    student_clashes: studentClashes,
+    warning: [
+        ...transitionWarnings.map(clash => formatConflictMessage(clash).replace(/^Conflict:/, 'Warning:')),
+        formatStudentClashMessage(studentClashes),
+    ].filter(Boolean).join(' ') || null,
+});
+
+// In-memory version of the same rule, for comparing proposed slots with each other
+// (e.g. rows of an import file). Both slots must fall on the same day.
+// Returns the entities the two slots share while overlapping: ['Classroom', 'Professor', 'Batch'].
+export const findSlotClashes = (a, b) => {
+    if (a.dayOfWeek !== b.dayOfWeek) return [];
+    if (a.classDate && b.classDate && a.classDate !== b.classDate) return [];
+    const overlaps = normalizeTime(a.startTime) < normalizeTime(b.endTime)
+        && normalizeTime(a.endTime) > normalizeTime(b.startTime);
+    if (!overlaps) return [];
+
+    const clashes = [];
+    if (a.classroomId === b.classroomId) clashes.push('Classroom');
+    if (a.professorId === b.professorId) clashes.push('Professor');
+    const bBatchIds = getSlotBatchIds(b);
+    if (getSlotBatchIds(a).some(id => bBatchIds.includes(id))) clashes.push('Batch');
+    return clashes;
+};
+
+/**
+ * Walking-time clashes between proposed slots (e.g. the entries of a generated draft), in memory: a slot
+ * followed on the same day by another of the same professor or a shared batch, in a building further away
+ * than the gap between them allows (see getTransitionMatrix).
+ * @param slots  proposed slots, as for findSlotClashes
+ * @returns [{ fromIndex, toIndex, entities, from_building, to_building, gap_minutes, required_minutes }] -
+ *          indexes into `slots`, the slot at fromIndex coming first
+ */
+export async function findSlotTransitionClashes(connection, slots) {
+    const { minutesBetween, maxMinutes } = await getTransitionMatrix(connection);
+    if (maxMinutes === 0 || slots.length < 2) return [];
+    const [rooms] = await connection.query(
+        "SELECT classroom_id, building FROM Classrooms WHERE classroom_id IN (?)",
+        [[...new Set(slots.map(slot => Number(slot.classroomId)))]]
+    );
+    const buildingOf = new Map(rooms.map(room => [room.classroom_id, room.building]));
+
+    const clashes = [];
+    slots.forEach((first, fromIndex) => slots.forEach((next, toIndex) => {
+        if (fromIndex === toIndex || first.dayOfWeek !== next.dayOfWeek) return;
+        if (first.classDate && next.classDate && first.classDate !== next.classDate) return;
+        const gap = toMinutes(next.startTime) - toMinutes(first.endTime);
+        if (gap < 0) return; // Overlapping or the other way round
+        const from = buildingOf.get(Number(first.classroomId));
+        const to = buildingOf.get(Number(next.classroomId));
+        const required = minutesBetween(from, to);
+        if (gap >= required) return;
+        const nextBatchIds = getSlotBatchIds(next);
+        const entities = [
+            Number(first.professorId) === Number(next.professorId) && 'Professor',
+            getSlotBatchIds(first).some(id => nextBatchIds.includes(id)) && 'Batch',
+        ].filter(Boolean);
+        if (entities.length > 0) {
+            clashes.push({ fromIndex, toIndex, entities, from_building: from, to_building: to, gap_minutes: gap, required_minutes: required });
+        }
+    }));
+    return clashes;
+}
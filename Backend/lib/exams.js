@@ -0,0 +1,246 @@
+// Exam timetable rules. Exams live apart from Schedule (see migrations/010_exam_timetable.sql):
+// a student may not sit two exams at once or more than MAX_EXAMS_PER_DAY in a day, and a room or
+// invigilator may not be used by two exams whose sessions overlap on the same date.
+// Clashes are returned in the same shape as findScheduleConflicts rows (class_type 'Exam'),
+// so buildConflictResponse / formatConflictMessage can report them.
+
+import { normalizeTime, findBookingsOnDate, findReservationsOnDate, toMinutes, isElectiveCourse } from './conflicts.js';
+
+// Most exams one batch may sit on a single day
+export const MAX_EXAMS_PER_DAY = Number(process.env.MAX_EXAMS_PER_DAY) || 2;
+
+// SQL predicate: the session `es` is on the bound date and overlaps the bound window.
+// Binds [date, endTime, startTime].
+const SESSION_OVERLAPS = `(es.exam_date = ? AND es.start_time < ? AND es.end_time > ?)`;
+
+// SQL predicate: the student `u` sits the exam `e`. An elective's exam is written by its enrolled students
+// (as its classes are attended by them, see STUDENT_ATTENDS_ROW), any other exam by its batches.
+export const STUDENT_SITS_EXAM = `IF(EXISTS (SELECT 1 FROM Courses xc WHERE xc.course_id = e.course_id AND xc.is_elective),
+    EXISTS (SELECT 1 FROM CourseEnrollments ce WHERE ce.course_id = e.course_id AND ce.student_id = u.user_id),
+    EXISTS (SELECT 1 FROM ExamBatches eb WHERE eb.exam_id = e.exam_id AND eb.batch_id = u.batch_id)
+)`;
+
+// Comma-separated IDs from GROUP_CONCAT -> numbers
+const parseIds = (ids) => (ids ? String(ids).split(',').map(Number) : []);
+
+// batch_id -> 'CS-A-A1' label
+async function getBatchLabels(connection, batchIds) {
+    const [rows] = await connection.query(`
+        SELECT b.batch_id, CONCAT(br.branch_code,'-',d.division_name,'-',b.batch_name) AS label
+        FROM Batches b
+        JOIN Divisions d ON b.division_id = d.division_id
+        JOIN Branches br ON d.branch_id = br.branch_id
+        WHERE b.batch_id IN (?)
+    `, [batchIds]);
+    return new Map(rows.map(row => [row.batch_id, row.label]));
+}
+
+/**
+ * Student clashes for an exam of `courseId` written by `batchIds` in a session window:
+ *  - 'Overlap': another exam of the same students in an overlapping session that day
+ *  - 'DailyLimit': students would sit more than maxPerDay exams that day
+ * Between exams of whole batches the clash is per batch (conflict_entity 'Batch'). An elective's exam is
+ * written by its enrolled students across batches, so whenever one is involved the clash is per student
+ * (conflict_entity 'Student', with student_count).
+ * Run inside a transaction; matching exams are locked FOR UPDATE.
+ *
+ * @param window   { examDate, startTime, endTime, batchIds, courseId }
+ * @param options  { excludeExamId } - skip the exam being edited; { maxPerDay }
+ * @returns Array of conflicts (class_type 'Exam', rule)
+ */
+export async function findStudentExamClashes(connection, window, options = {}) {
+    const elective = await isElectiveCourse(connection, window.courseId);
+    return [
+        ...(elective ? [] : await findBatchExamClashes(connection, window, options)),
+        ...await findEnrolledStudentExamClashes(connection, window, { ...options, elective }),
+    ];
+}
+
+// Clashes between the batches of the exam and the other batch-written exams that day (see findStudentExamClashes)
+async function findBatchExamClashes(connection, { examDate, startTime, endTime, batchIds }, { excludeExamId = null, maxPerDay = MAX_EXAMS_PER_DAY } = {}) {
+    if (batchIds.length === 0) return [];
+    const [rows] = await connection.query(`
+        SELECT e.exam_id, c.course_code,
+               DATE_FORMAT(es.exam_date, '%Y-%m-%d') AS class_date,
+               TIME_FORMAT(es.start_time, '%H:%i') AS existing_start,
+               TIME_FORMAT(es.end_time, '%H:%i') AS existing_end,
+               (es.start_time < ? AND es.end_time > ?) AS overlaps,
+               (SELECT GROUP_CONCAT(eb.batch_id) FROM ExamBatches eb WHERE eb.exam_id = e.exam_id AND eb.batch_id IN (?)) AS shared_batch_ids
+        FROM Exams e
+        JOIN ExamSessions es ON e.session_id = es.session_id
+        JOIN Courses c ON e.course_id = c.course_id
+        WHERE es.exam_date = ? AND NOT c.is_elective
+          AND EXISTS (SELECT 1 FROM ExamBatches eb WHERE eb.exam_id = e.exam_id AND eb.batch_id IN (?))
+          AND (? IS NULL OR e.exam_id <> ?)
+        ORDER BY es.start_time
+        FOR UPDATE
+    `, [normalizeTime(endTime), normalizeTime(startTime), batchIds, examDate, batchIds, excludeExamId, excludeExamId]);
+    if (rows.length === 0) return [];
+
+    const labels = await getBatchLabels(connection, batchIds);
+    const sameDay = rows.map(({ overlaps, shared_batch_ids, ...row }) => ({ ...row, overlaps, sharedBatchIds: parseIds(shared_batch_ids) }));
+    const conflicts = sameDay
+        .filter(row => row.overlaps)
+        .map(({ overlaps, sharedBatchIds, ...row }) => ({
+            ...row,
+            class_type: 'Exam', rule: 'Overlap',
+            conflict_entity: 'Batch',
+            conflict_details: sharedBatchIds.map(id => labels.get(id)).join(', '),
+        }));
+
+    batchIds.forEach(batchId => {
+        const exams = sameDay.filter(row => row.sharedBatchIds.includes(batchId));
+        if (exams.length + 1 <= maxPerDay) return;
+        conflicts.push({
+            exam_id: null,
+            course_code: exams.map(row => row.course_code).join(', '),
+            class_type: 'Exam', rule: 'DailyLimit',
+            class_date: examDate, existing_start: null, existing_end: null,
+            exam_count: exams.length + 1, limit: maxPerDay,
+            conflict_entity: 'Batch',
+            conflict_details: labels.get(batchId),
+        });
+    });
+    return conflicts;
+}
+
+const countStudents = (count) => `${count} student${count === 1 ? '' : 's'}`;
+
+// Per-student clashes involving an elective exam, on either side (see findStudentExamClashes)
+async function findEnrolledStudentExamClashes(connection, { examDate, startTime, endTime, batchIds, courseId }, { elective, excludeExamId = null, maxPerDay = MAX_EXAMS_PER_DAY }) {
+    let students = [];
+    if (elective) {
+        [students] = await connection.query("SELECT student_id AS user_id FROM CourseEnrollments WHERE course_id = ?", [courseId]);
+    } else if (batchIds.length > 0) {
+        [students] = await connection.query(
+            "SELECT user_id FROM Users WHERE role = 'Student' AND approval_status = 'Approved' AND batch_id IN (?)",
+            [batchIds]
+        );
+    }
+    if (students.length === 0) return [];
+
+    // Every exam each of these students sits that day
+    const [rows] = await connection.query(`
+        SELECT e.exam_id, c.course_code, c.is_elective, u.user_id,
+               DATE_FORMAT(es.exam_date, '%Y-%m-%d') AS class_date,
+               TIME_FORMAT(es.start_time, '%H:%i') AS existing_start,
+               TIME_FORMAT(es.end_time, '%H:%i') AS existing_end,
+               (es.start_time < ? AND es.end_time > ?) AS overlaps
+        FROM Exams e
+        JOIN ExamSessions es ON e.session_id = es.session_id
+        JOIN Courses c ON e.course_id = c.course_id
+        JOIN Users u ON u.user_id IN (?) AND ${STUDENT_SITS_EXAM}
+        WHERE es.exam_date = ? AND (? IS NULL OR e.exam_id <> ?)
+        ORDER BY es.start_time
+        FOR UPDATE
+    `, [normalizeTime(endTime), normalizeTime(startTime), students.map(student => student.user_id), examDate, excludeExamId, excludeExamId]);
+
+    // Overlaps: one conflict per exam, counting the students it shares
+    const overlapping = new Map();
+    rows.filter(row => row.overlaps && (elective || row.is_elective)).forEach(({ user_id, overlaps, is_elective, ...exam }) => {
+        if (!overlapping.has(exam.exam_id)) overlapping.set(exam.exam_id, { exam, userIds: new Set() });
+        overlapping.get(exam.exam_id).userIds.add(user_id);
+    });
+    const conflicts = [...overlapping.values()].map(({ exam, userIds }) => ({
+        ...exam,
+        class_type: 'Exam', rule: 'Overlap',
+        conflict_entity: 'Student', student_count: userIds.size, conflict_details: countStudents(userIds.size),
+    }));
+
+    // Daily limit: students over it, grouped by the exams they already sit that day
+    const examsByStudent = new Map();
+    rows.forEach(row => examsByStudent.set(row.user_id, [...(examsByStudent.get(row.user_id) || []), row]));
+    const overLimit = new Map();
+    examsByStudent.forEach(exams => {
+        if (exams.length + 1 <= maxPerDay || !(elective || exams.some(row => row.is_elective))) return;
+        const courseCodes = exams.map(row => row.course_code).join(', ');
+        overLimit.set(courseCodes, { count: (overLimit.get(courseCodes)?.count || 0) + 1, examCount: exams.length + 1 });
+    });
+    overLimit.forEach(({ count, examCount }, courseCodes) => conflicts.push({
+        exam_id: null,
+        course_code: courseCodes,
+        class_type: 'Exam', rule: 'DailyLimit',
+        class_date: examDate, existing_start: null, existing_end: null,
+        exam_count: examCount, limit: maxPerDay,
+        conflict_entity: 'Student', student_count: count, conflict_details: countStudents(count),
+    }));
+    return conflicts;
+}
+
+/**
+ * Other invigilation duties of the given professors in sessions overlapping a window.
+ * @param window   { examDate, startTime, endTime, professorIds }
+ * @param options  { excludeExamId } - skip the exam whose duties are being replaced
+ * @returns Array of conflicts (conflict_entity 'Professor', class_type 'Exam', rule 'Invigilation')
+ */
+export async function findInvigilatorClashes(connection, { examDate, startTime, endTime, professorIds }, { excludeExamId = null } = {}) {
+    if (professorIds.length === 0) return [];
+    const [rows] = await connection.query(`
+        SELECT e.exam_id, c.course_code, u.full_name, cr.room_number,
+               DATE_FORMAT(es.exam_date, '%Y-%m-%d') AS class_date,
+               TIME_FORMAT(es.start_time, '%H:%i') AS existing_start,
+               TIME_FORMAT(es.end_time, '%H:%i') AS existing_end
+        FROM ExamInvigilators ei
+        JOIN Exams e ON ei.exam_id = e.exam_id
+        JOIN ExamSessions es ON e.session_id = es.session_id
+        JOIN Courses c ON e.course_id = c.course_id
+        JOIN Users u ON ei.professor_id = u.user_id
+        JOIN Classrooms cr ON ei.classroom_id = cr.classroom_id
+        WHERE ei.professor_id IN (?) AND ${SESSION_OVERLAPS}
+          AND (? IS NULL OR e.exam_id <> ?)
+        FOR UPDATE
+    `, [professorIds, examDate, normalizeTime(endTime), normalizeTime(startTime), excludeExamId, excludeExamId]);
+    return rows.map(({ full_name, room_number, ...row }) => ({
+        ...row,
+        class_type: 'Exam', rule: 'Invigilation',
+        conflict_entity: 'Professor',
+        conflict_details: full_name,
+        room_number,
+    }));
+}
+
+/**
+ * Rooms that cannot seat an exam in a window: used by another exam in an overlapping session,
+ * or busy with a class or room reservation that date.
+ * @returns Set of classroom IDs
+ */
+export async function findBusyExamRoomIds(connection, { examDate, startTime, endTime }, { excludeExamId = null } = {}) {
+    const [examRooms] = await connection.query(`
+        SELECT DISTINCT er.classroom_id
+        FROM ExamRooms er
+        JOIN Exams e ON er.exam_id = e.exam_id
+        JOIN ExamSessions es ON e.session_id = es.session_id
+        WHERE ${SESSION_OVERLAPS} AND (? IS NULL OR e.exam_id <> ?)
+    `, [examDate, normalizeTime(endTime), normalizeTime(startTime), excludeExamId, excludeExamId]);
+
+    const start = toMinutes(startTime);
+    const end = toMinutes(endTime);
+    const bookings = [...await findBookingsOnDate(connection, examDate), ...await findReservationsOnDate(connection, examDate)];
+    return new Set([
+        ...examRooms.map(row => row.classroom_id),
+        ...bookings.filter(b => toMinutes(b.start_time) < end && toMinutes(b.end_time) > start).map(b => b.classroom_id),
+    ]);
+}
+
+/**
+ * Seat `headcount` candidates across rooms, using as few rooms as possible:
+ * while candidates remain, take the smallest room that holds all of them, else the largest room left.
+ * Pure function.
+ *
+ * @param rooms      [{ classroom_id, room_number, capacity }]
+ * @param headcount  candidates to seat
+ * @returns { allocations: [{ classroom_id, room_number, capacity, seats_allocated }], shortfall }
+ */
+export function allocateExamRooms(rooms, headcount) {
+    const available = [...rooms].sort((a, b) => a.capacity - b.capacity);
+    const allocations = [];
+    let remaining = headcount;
+    while (remaining > 0 && available.length > 0) {
+        const fitIndex = available.findIndex(room => room.capacity >= remaining);
+        const [room] = available.splice(fitIndex === -1 ? available.length - 1 : fitIndex, 1);
+        const seats = Math.min(room.capacity, remaining);
+        allocations.push({ ...room, seats_allocated: seats });
+        remaining -= seats;
+    }
+    return { allocations, shortfall: remaining };
+}
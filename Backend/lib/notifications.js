@@ -0,0 +1,105 @@
+// In-app notifications (see migrations/016_notifications.sql). Routes create them on their own connection,
+// inside the transaction that makes the change where there is one, so a notification is committed with its change.
+// Recipients of a class are found before it is deleted: its audience goes with it.
+
+import { STUDENT_ATTENDS_ROW } from './conflicts.js';
+
+export const NOTIFICATION_TYPES = [
+    'ClassBooked', 'ClassCancelled', 'ClassRescheduled', 'ClassRestored', 'AccountApproved', 'RegistrationPending',
+];
+
+/**
+ * Send one notification to each of the given users (duplicates and nulls are skipped).
+ * @param notification { type, title, message }
+ * @returns number of users notified
+ */
+export async function notifyUsers(connection, userIds, { type, title, message }) {
+    const recipients = [...new Set(userIds.filter(id => id != null).map(Number))];
+    if (recipients.length === 0) return 0;
+    await connection.query(
+        "INSERT INTO Notifications (user_id, type, title, message) VALUES ?",
+        [recipients.map(userId => [userId, type, title.slice(0, 150), message.slice(0, 500)])]
+    );
+    return recipients.length;
+}
+
+// Approved students attending any of the classes: the enrolled students of an elective, the members of its batches otherwise
+export async function findClassStudentIds(connection, scheduleIds) {
+    if (scheduleIds.length === 0) return [];
+    const [rows] = await connection.query(`
+        SELECT DISTINCT u.user_id
+        FROM Users u
+        JOIN Schedule s ON ${STUDENT_ATTENDS_ROW}
+        WHERE u.role = 'Student' AND u.approval_status = 'Approved' AND s.schedule_id IN (?)
+    `, [scheduleIds]);
+    return rows.map(row => row.user_id);
+}
+
+export async function findAdminIds(connection) {
+    const [rows] = await connection.query("SELECT user_id FROM Users WHERE role = 'Administrator' AND approval_status = 'Approved'");
+    return rows.map(row => row.user_id);
+}
+
+/**
+ * A class with what a notification says about it; null when it does not exist.
+ * @returns { schedule_id, class_type, class_date, day_of_week, start_time, end_time, professor_id, course_code, course_name, room_number }
+ */
+export async function getClassSummary(connection, scheduleId) {
+    const [rows] = await connection.query(`
+        SELECT s.schedule_id, s.class_type, s.class_date, s.day_of_week, s.professor_id,
+               TIME_FORMAT(s.start_time, '%H:%i') AS start_time, TIME_FORMAT(s.end_time, '%H:%i') AS end_time,
+               c.course_code, c.course_name, cr.room_number
+        FROM Schedule s
+        JOIN Courses c ON s.course_id = c.course_id
+        JOIN Classrooms cr ON s.classroom_id = cr.classroom_id
+        WHERE s.schedule_id = ?
+    `, [scheduleId]);
+    return rows[0] || null;
+}
+
+// "CS101 on 2026-03-14 10:00-11:00 in R101"; a Base class without `date` is described by its weekday
+export const describeClass = (cls, date = null) => {
+    const when = date || cls.class_date ? `on ${date || cls.class_date}` : `on ${cls.day_of_week}s`;
+    return `${cls.course_code} ${when} ${cls.start_time}-${cls.end_time}${cls.room_number ? ` in ${cls.room_number}` : ''}`;
+};
+
+/**
+ * Notify the students of the classes, plus any other users (e.g. the professor when an admin made the change).
+ * @returns number of users notified
+ */
+export async function notifyClassAudience(connection, scheduleIds, notification, alsoNotify = []) {
+    const studentIds = await findClassStudentIds(connection, scheduleIds);
+    return notifyUsers(connection, [...studentIds, ...alsoNotify], notification);
+}
+
+/**
+ * Tell the right people about an edited Base class. A class that moved: its students (old and new audience)
+ * and professors. One that stayed put: only those added to it or taken off it (students or the professor).
+ * @param before, after  getClassSummary of the class before and after the change
+ * @param studentsBefore, studentsAfter  findClassStudentIds of the class before and after the change
+ */
+export async function notifyClassChanged(connection, { before, after, studentsBefore, studentsAfter }) {
+    const title = `Timetable change: ${after.course_code}`;
+    if (describeClass(before) !== describeClass(after)) {
+        await notifyUsers(connection, [...studentsBefore, ...studentsAfter, before.professor_id, after.professor_id], {
+            type: 'ClassRescheduled', title,
+            message: `${describeClass(before)} has been moved to ${describeClass(after)}.`,
+        });
+        return;
+    }
+    const professorChanged = before.professor_id !== after.professor_id;
+    await notifyUsers(connection, [
+        ...studentsAfter.filter(userId => !studentsBefore.includes(userId)),
+        professorChanged ? after.professor_id : null,
+    ], {
+        type: 'ClassBooked', title,
+        message: `${describeClass(after)} has been added to your timetable.`,
+    });
+    await notifyUsers(connection, [
+        ...studentsBefore.filter(userId => !studentsAfter.includes(userId)),
+        professorChanged ? before.professor_id : null,
+    ], {
+        type: 'ClassCancelled', title,
+        message: `${describeClass(before)} has been removed from your timetable.`,
+    });
+}
@@ -0,0 +1,159 @@
+// Greedy weekly timetable solver for one division.
+// Pure function: the route loads requirements, rooms and existing bookings from the DB,
+// this module only decides where each session goes. Nothing here touches the database.
+
+import { roomTypeFitsCourse } from './conflicts.js';
+import { checkWorkload } from './workload.js';
+
+const overlaps = (a, b) => a.day === b.day && a.start < b.end && a.end > b.start;
+
+/**
+ * Place every required session into an allowed window with no professor, batch or room clash.
+ *
+ * @param requirements  [{ course: { course_id, course_code, type }, professor: { user_id, full_name },
+ *                         kind: 'Lecture'|'Lab', hours, audience: 'division'|'batch', sessionPeriods }]
+ * @param batches       [{ batch_id, label, size }] - the division's batches
+ * @param classrooms    [{ classroom_id, room_number, capacity, type }]
+ * @param windows       [{ day, start, end }] - allowed windows, in minutes since midnight
+ * @param periodMinutes length of one period
+ * @param busy          [{ day, start, end, classroomId, professorId, batchIds }] - existing bookings
+ * @param workloads     Map professor_id -> { policy, classes: [{ day, start, end }] } - workload limits and the
+ *                      professor's existing weekly classes (see checkWorkload); professors not listed are unlimited
+ * @returns { placements, unplaced }
+ *   placements: [{ requirement, batches, classroom, day, start, end }]
+ *   unplaced:   [{ requirement, batches, missing, reason }]
+ */
+export function generateTimetable({ requirements, batches, classrooms, windows, periodMinutes, busy, workloads = new Map() }) {
+    const occupied = [...busy];
+
+    // --- Expand requirements into individual sessions ---
+    const sessions = [];
+    requirements.forEach(requirement => {
+        const groups = requirement.audience === 'division' ? [batches] : batches.map(batch => [batch]);
+        const minutes = requirement.sessionPeriods * periodMinutes;
+        const count = Math.ceil((requirement.hours * 60) / minutes);
+        groups.forEach(group => {
+            const headcount = group.reduce((sum, batch) => sum + batch.size, 0);
+            const needsLab = requirement.kind === 'Lab' || !roomTypeFitsCourse(requirement.course.type, 'Theory');
+            const rooms = classrooms
+                .filter(room => room.capacity >= headcount && (!needsLab || String(room.type).toLowerCase() === 'lab'))
+                .sort((a, b) => a.capacity - b.capacity); // Smallest room that fits first
+            for (let i = 0; i < count; i++) {
+                sessions.push({ requirement, group, minutes, headcount, needsLab, rooms });
+            }
+        });
+    });
+
+    // Hardest sessions first: longer, lab, then larger audiences
+    sessions.sort((a, b) =>
+        (b.minutes - a.minutes) || (Number(b.needsLab) - Number(a.needsLab)) || (b.headcount - a.headcount)
+    );
+
+    const groupKey = (group) => group.map(batch => batch.batch_id).join(',');
+    const placements = [];
+    const failures = new Map(); // requirement+group -> { requirement, batches, missing, reason }
+
+    for (const session of sessions) {
+        const { requirement, group, minutes } = session;
+        const batchIds = group.map(batch => batch.batch_id);
+        const professorId = requirement.professor.user_id;
+
+        // Every start inside an allowed window where the whole session fits
+        const candidates = windows.flatMap(window => {
+            const starts = [];
+            for (let start = window.start; start + minutes <= window.end; start += periodMinutes) {
+                starts.push({ day: window.day, start, end: start + minutes });
+            }
+            return starts;
+        });
+
+        // Spread sessions out: avoid repeating the course for the same group on a day, then prefer lighter days
+        const sameCourseDays = new Set(placements
+            .filter(p => p.requirement === requirement && groupKey(p.batches) === groupKey(group))
+            .map(p => p.day));
+        const dayLoad = (day) => placements.filter(p => p.day === day && p.batches.some(b => batchIds.includes(b.batch_id))).length;
+        candidates.sort((a, b) =>
+            (Number(sameCourseDays.has(a.day)) - Number(sameCourseDays.has(b.day)))
+            || (dayLoad(a.day) - dayLoad(b.day))
+            || (a.start - b.start)
+        );
+
+        const professorFree = (slot) => !occupied.some(o => o.professorId === professorId && overlaps(o, slot));
+        const workload = workloads.get(professorId);
+        const withinWorkload = (slot) => !workload || checkWorkload([
+            ...workload.classes,
+            ...placements.filter(p => p.requirement.professor.user_id === professorId),
+        ], slot, workload.policy).length === 0;
+        const batchesFree = (slot) => !occupied.some(o => o.batchIds.some(id => batchIds.includes(id)) && overlaps(o, slot));
+        const freeRoom = (slot) => session.rooms.find(room =>
+            !occupied.some(o => o.classroomId === room.classroom_id && overlaps(o, slot))
+        );
+
+        let placed = null;
+        for (const slot of candidates) {
+            if (!professorFree(slot) || !batchesFree(slot) || !withinWorkload(slot)) continue;
+            const room = freeRoom(slot);
+            if (room) {
+                placed = { ...slot, classroom: room };
+                break;
+            }
+        }
+
+        if (placed) {
+            placements.push({ requirement, batches: group, classroom: placed.classroom, day: placed.day, start: placed.start, end: placed.end });
+            occupied.push({
+                day: placed.day, start: placed.start, end: placed.end,
+                classroomId: placed.classroom.classroom_id, professorId, batchIds,
+            });
+            continue;
+        }
+
+        const key = `${requirements.indexOf(requirement)}|${groupKey(group)}`;
+        const failure = failures.get(key);
+        if (failure) {
+            failure.missing += 1;
+        } else {
+            failures.set(key, {
+                requirement, batches: group, missing: 1,
+                reason: explainFailure(session, candidates, { professorFree, batchesFree, withinWorkload, freeRoom }),
+            });
+        }
+    }
+
+    return { placements, unplaced: [...failures.values()] };
+}
+
+// Most specific reason a session could not be placed
+function explainFailure(session, candidates, { professorFree, batchesFree, withinWorkload, freeRoom }) {
+    const { requirement, group, minutes, headcount, needsLab } = session;
+    const groupLabel = group.map(batch => batch.label).join(', ');
+    const professorName = requirement.professor.full_name;
+
+    if (session.rooms.length === 0) {
+        return `No ${needsLab ? 'Lab ' : ''}room seats ${headcount} students.`;
+    }
+    if (candidates.length === 0) {
+        return `No allowed window is long enough for a ${minutes}-minute session.`;
+    }
+    const professorSlots = candidates.filter(professorFree);
+    if (professorSlots.length === 0) {
+        return `${professorName} has no free ${minutes}-minute period in the allowed windows.`;
+    }
+    if (!candidates.some(batchesFree)) {
+        return group.length > 1
+            ? `${groupLabel} have no common free ${minutes}-minute period in the allowed windows.`
+            : `${groupLabel} has no free ${minutes}-minute period in the allowed windows.`;
+    }
+    const freeSlots = professorSlots.filter(batchesFree);
+    if (freeSlots.length === 0) {
+        return `${professorName} and ${groupLabel} are never free at the same time in the allowed windows.`;
+    }
+    const commonSlots = freeSlots.filter(withinWorkload);
+    if (commonSlots.length === 0) {
+        return `Every free period would take ${professorName} over their workload limits (daily or weekly hours, or classes in a row).`;
+    }
+    if (!commonSlots.some(freeRoom)) {
+        return `No suitable ${needsLab ? 'Lab ' : ''}room is free whenever ${professorName} and ${groupLabel} are both free.`;
+    }
+    return 'Could not be placed.';
+}
@@ -0,0 +1,313 @@
+// Draft timetables (see migrations/014_timetable_versions.sql). A version holds a complete copy of one
+// term's Base timetable. Its entries are checked against everything outside that timetable (Extra classes,
+// other terms, reservations, leave, workload) with the shared checks, and against each other in memory,
+// so a draft is validated as if it were already live. Publishing swaps the term's live Base rows for the
+// version's entries inside the caller's transaction.
+
+import {
+    WEEK_DAYS, BASE_ANCHOR_DATE, TRANSITION_POLICY, normalizeTime, toMinutes, findScheduleConflicts, findSlotClashes,
+    checkTransitions, checkRoomSuitability, getTransitionMatrix, isElectiveCourse, formatConflictMessage,
+} from './conflicts.js';
+import { saveScheduleBatches } from './audience.js';
+import { findWorkloadViolations } from './workload.js';
+import { notifyClassAudience, notifyClassChanged, findClassStudentIds, getClassSummary, describeClass } from './notifications.js';
+
+// Columns that make up a timetable entry; two entries with equal fields and batches are the same class
+const ENTRY_FIELDS = ['course_id', 'professor_id', 'classroom_id', 'day_of_week', 'start_time', 'end_time'];
+
+// Label columns for an entry row `e` whose audience is in `batchTable` keyed by `key`
+const entryLabels = (batchTable, key) => `
+    c.course_code, c.is_elective, u.full_name AS professor_name, cr.room_number, cr.building,
+    (SELECT GROUP_CONCAT(x.batch_id ORDER BY x.batch_id) FROM ${batchTable} x WHERE x.${key} = e.${key}) AS batch_ids,
+    (SELECT GROUP_CONCAT(CONCAT(br.branch_code, '-', d.division_name, '-', b.batch_name) ORDER BY x.batch_id SEPARATOR '|')
+     FROM ${batchTable} x
+     JOIN Batches b ON x.batch_id = b.batch_id
+     JOIN Divisions d ON b.division_id = d.division_id
+     JOIN Branches br ON d.branch_id = br.branch_id
+     WHERE x.${key} = e.${key}) AS batch_labels`;
+const ENTRY_JOINS = `
+    JOIN Courses c ON e.course_id = c.course_id
+    LEFT JOIN Users u ON e.professor_id = u.user_id
+    JOIN Classrooms cr ON e.classroom_id = cr.classroom_id`;
+const ENTRY_ORDER = `ORDER BY FIELD(e.day_of_week, ${WEEK_DAYS.map(day => `'${day}'`).join(', ')}), TIME(e.start_time)`;
+
+const parseEntries = (rows) => rows.map(({ batch_ids, batch_labels, is_elective, ...row }) => {
+    const labels = batch_labels ? String(batch_labels).split('|') : [];
+    return {
+        ...row,
+        is_elective: Boolean(is_elective),
+        batch_ids: batch_ids ? String(batch_ids).split(',').map(Number) : [],
+        batch_labels: labels,
+        batch_details: labels.join(', ') || 'N/A',
+    };
+});
+
+/**
+ * The term's live Base timetable, in the same shape as getVersionEntries (schedule_id instead of entry_id).
+ */
+export async function getLiveEntries(connection, termId) {
+    const [rows] = await connection.query(`
+        SELECT e.schedule_id, e.course_id, e.professor_id, e.classroom_id, e.day_of_week,
+               TIME_FORMAT(e.start_time, '%H:%i') AS start_time, TIME_FORMAT(e.end_time, '%H:%i') AS end_time,
+               ${entryLabels('ScheduleBatches', 'schedule_id')}
+        FROM Schedule e ${ENTRY_JOINS}
+        WHERE e.class_type = 'Base' AND e.term_id = ?
+        ${ENTRY_ORDER}
+    `, [termId]);
+    return parseEntries(rows);
+}
+
+/**
+ * Entries of a version with their labels.
+ * @returns [{ entry_id, source_schedule_id, course_id, professor_id, classroom_id, day_of_week, start_time, end_time,
+ *             batch_ids, batch_labels, batch_details, course_code, is_elective, professor_name, room_number, building }]
+ */
+export async function getVersionEntries(connection, versionId) {
+    const [rows] = await connection.query(`
+        SELECT e.entry_id, e.source_schedule_id, e.course_id, e.professor_id, e.classroom_id, e.day_of_week,
+               TIME_FORMAT(e.start_time, '%H:%i') AS start_time, TIME_FORMAT(e.end_time, '%H:%i') AS end_time,
+               ${entryLabels('TimetableVersionEntryBatches', 'entry_id')}
+        FROM TimetableVersionEntries e ${ENTRY_JOINS}
+        WHERE e.version_id = ?
+        ${ENTRY_ORDER}
+    `, [versionId]);
+    return parseEntries(rows);
+}
+
+// Replace the audience of a version entry
+export async function saveVersionEntryBatches(connection, entryId, batchIds) {
+    await connection.query("DELETE FROM TimetableVersionEntryBatches WHERE entry_id = ?", [entryId]);
+    if (batchIds.length === 0) return;
+    await connection.query(
+        "INSERT INTO TimetableVersionEntryBatches (entry_id, batch_id) VALUES ?",
+        [batchIds.map(batchId => [entryId, batchId])]
+    );
+}
+
+// Add an entry to a version; returns its entry_id
+export async function insertVersionEntry(connection, versionId, entry, sourceScheduleId = null) {
+    const [result] = await connection.query(`
+        INSERT INTO TimetableVersionEntries
+            (version_id, source_schedule_id, course_id, professor_id, classroom_id, day_of_week, start_time, end_time)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+        versionId, sourceScheduleId, entry.course_id, entry.professor_id, entry.classroom_id, entry.day_of_week,
+        normalizeTime(entry.start_time), normalizeTime(entry.end_time),
+    ]);
+    await saveVersionEntryBatches(connection, result.insertId, entry.batch_ids);
+    return result.insertId;
+}
+
+// Make a version's entries an exact copy of the term's live Base timetable
+export async function snapshotLive(connection, termId, versionId) {
+    await connection.query("DELETE FROM TimetableVersionEntries WHERE version_id = ?", [versionId]);
+    const live = await getLiveEntries(connection, termId);
+    for (const row of live) {
+        await insertVersionEntry(connection, versionId, row, row.schedule_id);
+    }
+    return live.length;
+}
+
+const entryKey = (entry) => [...ENTRY_FIELDS.map(field => entry[field]), entry.batch_ids.join(',')].join('|');
+
+/**
+ * What publishing a version would change. Entries are matched to live rows through source_schedule_id;
+ * an entry whose source row is gone (or already matched) is new. Pure function.
+ * @returns { added: [entry], changed: [{ before, after }], unchanged: [{ before, after }], removed: [live row] }
+ */
+export function diffEntries(liveRows, entries) {
+    const live = new Map(liveRows.map(row => [row.schedule_id, row]));
+    const matched = new Set();
+    const diff = { added: [], changed: [], unchanged: [], removed: [] };
+    entries.forEach(entry => {
+        const before = live.get(entry.source_schedule_id);
+        if (!before || matched.has(before.schedule_id)) {
+            diff.added.push(entry);
+            return;
+        }
+        matched.add(before.schedule_id);
+        diff[entryKey(before) === entryKey(entry) ? 'unchanged' : 'changed'].push({ before, after: entry });
+    });
+    diff.removed = liveRows.filter(row => !matched.has(row.schedule_id));
+    return diff;
+}
+
+// Fields whose change leaves a row's substitutions (arranged for its old slot and professor) stale
+const SLOT_FIELDS = ['day_of_week', 'start_time', 'end_time', 'professor_id'];
+
+/**
+ * Replace the term's live Base rows with a version's entries. Changed rows are updated in place; one that
+ * moved or changed professor loses its substitutions, and its cancellations on dates it no longer falls on.
+ * Rows the version no longer has are deleted, new entries inserted (and linked back to their new Schedule row).
+ * The students and professors of changed and removed rows are notified. Run inside a transaction, after
+ * checking the version.
+ * @returns { added, changed, removed, unchanged } - counts
+ */
+export async function applyVersion(connection, termId, versionId) {
+    const diff = diffEntries(await getLiveEntries(connection, termId), await getVersionEntries(connection, versionId));
+    const times = (entry) => [`${BASE_ANCHOR_DATE} ${normalizeTime(entry.start_time)}`, `${BASE_ANCHOR_DATE} ${normalizeTime(entry.end_time)}`];
+
+    // The audience of a removed row goes with it: notify first
+    for (const row of diff.removed) {
+        const removed = await getClassSummary(connection, row.schedule_id);
+        await notifyClassAudience(connection, [row.schedule_id], {
+            type: 'ClassCancelled', title: `Timetable change: ${removed.course_code}`,
+            message: `${describeClass(removed)} has been removed from the timetable.`,
+        }, [removed.professor_id]);
+    }
+    if (diff.removed.length > 0) {
+        await connection.query("DELETE FROM Schedule WHERE schedule_id IN (?)", [diff.removed.map(row => row.schedule_id)]);
+    }
+    for (const { before, after } of diff.changed) {
+        const scheduleId = before.schedule_id;
+        const summaryBefore = await getClassSummary(connection, scheduleId);
+        const studentsBefore = await findClassStudentIds(connection, [scheduleId]);
+        await connection.query(`
+            UPDATE Schedule SET course_id = ?, professor_id = ?, batch_id = ?, classroom_id = ?, day_of_week = ?, start_time = ?, end_time = ?
+            WHERE schedule_id = ?
+        `, [after.course_id, after.professor_id, after.batch_ids[0] ?? null, after.classroom_id, after.day_of_week, ...times(after), scheduleId]);
+        await saveScheduleBatches(connection, scheduleId, after.batch_ids);
+        if (SLOT_FIELDS.some(field => String(before[field]) !== String(after[field]))) {
+            await connection.query("DELETE FROM ScheduleSubstitutions WHERE schedule_id = ?", [scheduleId]);
+            await connection.query(
+                "DELETE FROM ScheduleExceptions WHERE schedule_id = ? AND DAYNAME(exception_date) <> ?",
+                [scheduleId, after.day_of_week]
+            );
+        }
+        await notifyClassChanged(connection, {
+            before: summaryBefore, after: await getClassSummary(connection, scheduleId),
+            studentsBefore, studentsAfter: await findClassStudentIds(connection, [scheduleId]),
+        });
+    }
+    for (const entry of diff.added) {
+        const [result] = await connection.query(`
+            INSERT INTO Schedule
+                (course_id, professor_id, batch_id, classroom_id, day_of_week, start_time, end_time, class_type, class_date, term_id)
+            VALUES (?, ?, ?, ?, ?, ?, ?, 'Base', NULL, ?)
+        `, [entry.course_id, entry.professor_id, entry.batch_ids[0] ?? null, entry.classroom_id, entry.day_of_week, ...times(entry), termId]);
+        await saveScheduleBatches(connection, result.insertId, entry.batch_ids);
+        await connection.query("UPDATE TimetableVersionEntries SET source_schedule_id = ? WHERE entry_id = ?", [result.insertId, entry.entry_id]);
+    }
+    return { added: diff.added.length, changed: diff.changed.length, removed: diff.removed.length, unchanged: diff.unchanged.length };
+}
+
+export const NO_AUDIENCE_MESSAGE = 'No batches attend this entry.';
+
+// Version entry -> slot for the shared checks
+const toSlot = (entry, termId) => ({
+    classType: 'Base', dayOfWeek: entry.day_of_week, termId,
+    startTime: entry.start_time, endTime: entry.end_time,
+    classroomId: Number(entry.classroom_id), professorId: Number(entry.professor_id),
+    batchIds: entry.batch_ids.map(Number), courseId: Number(entry.course_id),
+});
+
+// Clashes and too-short walks between an entry and the other entries of its version, in the shape of
+// findScheduleConflicts rows (class_type 'Draft', entry_id of the other entry). Elective entries take no
+// part in the batch dimension, as in findScheduleConflicts.
+async function findVersionClashes(connection, entry, others) {
+    const slot = toSlot(entry);
+    const isElective = await isElectiveCourse(connection, entry.course_id);
+    const { minutesBetween } = await getTransitionMatrix(connection);
+    const [rooms] = await connection.query("SELECT building FROM Classrooms WHERE classroom_id = ?", [slot.classroomId]);
+    const building = rooms[0]?.building;
+    const start = toMinutes(entry.start_time);
+    const end = toMinutes(entry.end_time);
+
+    const conflicts = [];
+    const transitions = [];
+    others.filter(other => other.day_of_week === entry.day_of_week).forEach(other => {
+        const sharedBatchIds = isElective || other.is_elective ? [] : other.batch_ids.filter(id => slot.batchIds.includes(id));
+        const details = {
+            Classroom: other.room_number,
+            Professor: other.professor_name,
+            Batch: sharedBatchIds.map(id => other.batch_labels[other.batch_ids.indexOf(id)]).join(', '),
+        };
+        const row = {
+            schedule_id: null, entry_id: other.entry_id, class_type: 'Draft',
+            day_of_week: other.day_of_week, class_date: null, course_code: other.course_code,
+            existing_start: other.start_time, existing_end: other.end_time,
+        };
+        findSlotClashes(slot, toSlot(other))
+            .filter(entity => entity !== 'Batch' || sharedBatchIds.length > 0)
+            .forEach(entity => conflicts.push({ ...row, conflict_entity: entity, conflict_details: details[entity] }));
+
+        const before = toMinutes(other.end_time) <= start; // The other class comes first
+        const gap = before ? start - toMinutes(other.end_time) : toMinutes(other.start_time) - end;
+        if (gap < 0) return; // Overlapping: reported above
+        const [from, to] = before ? [other.building, building] : [building, other.building];
+        const required = minutesBetween(from, to);
+        if (gap >= required) return;
+        const transition = {
+            ...row, rule: 'Transition', adjacent: before ? 'before' : 'after',
+            from_building: from, to_building: to, gap_minutes: gap, required_minutes: required,
+        };
+        if (other.professor_id === slot.professorId) transitions.push({ ...transition, conflict_entity: 'Professor', conflict_details: details.Professor });
+        if (sharedBatchIds.length > 0) transitions.push({ ...transition, conflict_entity: 'Batch', conflict_details: details.Batch });
+    });
+    return TRANSITION_POLICY === 'block'
+        ? { conflicts: [...conflicts, ...transitions], warnings: [] }
+        : { conflicts, warnings: transitions };
+}
+
+/**
+ * Conflicts of a version entry as if its version were the term's live timetable: the shared checks with the
+ * term's current live Base rows left out (the version replaces them), plus clashes with the version's other entries.
+ *
+ * @param entry    { entry_id, course_id, professor_id, classroom_id, day_of_week, start_time, end_time, batch_ids }
+ * @param context  { termId, liveIds: Set of the term's live Base schedule_ids, others: the version's other entries }
+ * @returns { conflicts, warnings } - warnings are walking-time clashes under TRANSITION_POLICY 'warn'
+ * @throws when the entry has no batches: callers resolve its audience first
+ */
+export async function checkVersionEntry(connection, entry, { termId, liveIds, others }) {
+    if (entry.batch_ids.length === 0) throw new Error(NO_AUDIENCE_MESSAGE);
+    const slot = toSlot(entry, termId);
+    const outsideVersion = (conflict) => !(conflict.class_type === 'Base' && liveIds.has(conflict.schedule_id));
+    const transitions = await checkTransitions(connection, slot);
+    const inVersion = await findVersionClashes(connection, entry, others);
+    const professorClasses = others
+        .filter(other => other.professor_id === slot.professorId)
+        .map(other => ({ day: other.day_of_week, start: toMinutes(other.start_time), end: toMinutes(other.end_time) }));
+
+    return {
+        conflicts: [
+            ...(await findScheduleConflicts(connection, slot)).filter(outsideVersion),
+            ...transitions.blocking.filter(outsideVersion),
+            ...inVersion.conflicts,
+            ...await findWorkloadViolations(connection, slot, { excludeScheduleIds: [...liveIds], otherClasses: professorClasses }),
+        ],
+        warnings: [...transitions.warnings.filter(outsideVersion), ...inVersion.warnings],
+    };
+}
+
+/**
+ * Check every entry of a version before it is published.
+ * @returns [{ entry_id, course_code, day_of_week, start_time, end_time, batch_details, errors: [message] }] - entries with problems
+ */
+export async function validateVersion(connection, termId, entries) {
+    const liveIds = new Set((await getLiveEntries(connection, termId)).map(row => row.schedule_id));
+    const problems = [];
+    for (const entry of entries) {
+        const errors = [];
+        if (entry.batch_ids.length === 0) {
+            // Its batches were deleted since it was added; nothing else can be checked without an audience
+            errors.push(NO_AUDIENCE_MESSAGE);
+        } else {
+            errors.push(...await findEntryErrors(connection, entry, { termId, liveIds, entries }));
+        }
+        if (errors.length > 0) {
+            const { entry_id, course_code, day_of_week, start_time, end_time, batch_details } = entry;
+            problems.push({ entry_id, course_code, day_of_week, start_time, end_time, batch_details, errors });
+        }
+    }
+    return problems;
+}
+
+// Room suitability and conflicts of one entry of a version, as messages
+async function findEntryErrors(connection, entry, { termId, liveIds, entries }) {
+    const errors = [];
+    const unsuitableReason = await checkRoomSuitability(connection, toSlot(entry, termId));
+    if (unsuitableReason) errors.push(unsuitableReason);
+    const { conflicts } = await checkVersionEntry(connection, entry, { termId, liveIds, others: entries.filter(other => other !== entry) });
+    errors.push(...conflicts.map(formatConflictMessage));
+    return errors;
+}
@@ -0,0 +1,176 @@
+// Professor workload limits (see migrations/013_workload_policies.sql): hours taught per day and per week,
+// and how many classes may run back to back. Limits come from the global policy, overridden field by field
+// by a professor's own policy. Violations are returned in the same shape as findScheduleConflicts rows
+// (class_type 'Workload'), so buildConflictResponse / formatConflictMessage can report them with time conflicts.
+
+import { WEEK_DAYS, addDaysToDateStr, getDayOfWeek, findBookingsOnDate, findBookingsOnWeekday, toMinutes } from './conflicts.js';
+
+// A break shorter than this between two classes does not end a run of consecutive classes
+export const WORKLOAD_MIN_BREAK_MINUTES = Number(process.env.WORKLOAD_MIN_BREAK_MINUTES) || 15;
+
+export const WORKLOAD_LIMIT_FIELDS = ['max_daily_hours', 'max_weekly_hours', 'max_consecutive'];
+
+// DECIMAL columns come back as strings
+const toLimit = (value) => (value == null ? null : Number(value));
+const pickLimits = (row = {}) => Object.fromEntries(WORKLOAD_LIMIT_FIELDS.map(field => [field, toLimit(row[field])]));
+
+export const hasWorkloadLimits = (policy) => WORKLOAD_LIMIT_FIELDS.some(field => policy[field] != null);
+
+// Minutes -> hours, two decimals
+export const toHours = (minutes) => Math.round((minutes / 60) * 100) / 100;
+
+/**
+ * All workload policies.
+ * @returns { global, overrides: Map professor_id -> limits, policyFor(professorId) } - policyFor gives the
+ *          effective limits: the professor's own value where set, the global one otherwise (null = no limit)
+ */
+export async function getWorkloadPolicies(connection) {
+    const [rows] = await connection.query(
+        "SELECT professor_id, max_daily_hours, max_weekly_hours, max_consecutive FROM WorkloadPolicies"
+    );
+    const global = pickLimits(rows.find(row => row.professor_id === null));
+    const overrides = new Map(rows.filter(row => row.professor_id !== null).map(row => [row.professor_id, pickLimits(row)]));
+    const policyFor = (professorId) => {
+        const own = overrides.get(professorId);
+        return own ? Object.fromEntries(WORKLOAD_LIMIT_FIELDS.map(field => [field, own[field] ?? global[field]])) : global;
+    };
+    return { global, overrides, policyFor };
+}
+
+// A day's classes ([{ start, end }], minutes) grouped into runs of back-to-back classes
+export const splitIntoRuns = (classes) => {
+    const runs = [];
+    let runEnd = null;
+    [...classes].sort((a, b) => a.start - b.start).forEach(item => {
+        if (runEnd === null || item.start - runEnd >= WORKLOAD_MIN_BREAK_MINUTES) {
+            runs.push([]);
+            runEnd = item.end;
+        }
+        runs[runs.length - 1].push(item);
+        runEnd = Math.max(runEnd, item.end);
+    });
+    return runs;
+};
+
+const minutesTaught = (classes) => classes.reduce((sum, item) => sum + (item.end - item.start), 0);
+
+/**
+ * Workload limits a professor would break by teaching `proposed` on top of `classes`.
+ * Pure function, shared by the booking checks and the timetable generator.
+ *
+ * @param classes   [{ day, start, end }] - the professor's other classes in the week (minutes since midnight;
+ *                  `day` is a date or a weekday name, whatever `proposed.day` uses)
+ * @param proposed  { day, start, end }
+ * @param policy    { max_daily_hours, max_weekly_hours, max_consecutive } - null fields are not limited
+ * @returns [{ rule: 'DailyHours'|'WeeklyHours'|'Consecutive', load, limit }] - hours or classes in a row
+ */
+export function checkWorkload(classes, proposed, policy) {
+    const week = [...classes, proposed];
+    const sameDay = week.filter(item => item.day === proposed.day);
+    const violations = [];
+
+    const dailyHours = toHours(minutesTaught(sameDay));
+    if (policy.max_daily_hours != null && dailyHours > policy.max_daily_hours) {
+        violations.push({ rule: 'DailyHours', load: dailyHours, limit: policy.max_daily_hours });
+    }
+    const weeklyHours = toHours(minutesTaught(week));
+    if (policy.max_weekly_hours != null && weeklyHours > policy.max_weekly_hours) {
+        violations.push({ rule: 'WeeklyHours', load: weeklyHours, limit: policy.max_weekly_hours });
+    }
+    // Only the run the proposed class joins; a longer run elsewhere that day is not its doing
+    const run = splitIntoRuns(sameDay).find(items => items.includes(proposed));
+    if (policy.max_consecutive != null && run.length > policy.max_consecutive) {
+        violations.push({ rule: 'Consecutive', load: run.length, limit: policy.max_consecutive });
+    }
+    return violations;
+}
+
+// A proposed slot ({ classType, classDate, dayOfWeek, startTime, endTime }) as a class for checkWorkload,
+// e.g. to pass the other slots of the same request as findWorkloadViolations' otherClasses
+export const toWorkloadClass = (slot) => ({
+    day: slot.classType === 'Extra' ? slot.classDate : slot.dayOfWeek,
+    start: toMinutes(slot.startTime), end: toMinutes(slot.endTime),
+});
+
+// Monday of the week a date falls in
+export const weekStartOf = (dateStr) => addDaysToDateStr(dateStr, -WEEK_DAYS.indexOf(getDayOfWeek(dateStr)));
+
+/**
+ * Classes each professor actually teaches in the week starting `weekStart` (Monday), as in findBookingsOnDate:
+ * substitutes are counted for the occurrences they cover, cancelled occurrences and holidays are not.
+ * @returns Map professor_id -> [{ schedule_id, day (date), start, end }]
+ */
+export async function findWeekClasses(connection, weekStart) {
+    const byProfessor = new Map();
+    for (let offset = 0; offset < 7; offset++) {
+        const date = addDaysToDateStr(weekStart, offset);
+        (await findBookingsOnDate(connection, date))
+            .filter(b => b.professor_id != null)
+            .forEach(b => {
+                if (!byProfessor.has(b.professor_id)) byProfessor.set(b.professor_id, []);
+                byProfessor.get(b.professor_id).push({
+                    schedule_id: b.schedule_id, day: date, start: toMinutes(b.start_time), end: toMinutes(b.end_time),
+                });
+            });
+    }
+    return byProfessor;
+}
+
+/**
+ * Base timetable classes each professor teaches every week of a term (Base rows on each weekday whose
+ * term overlaps, see findBookingsOnWeekday).
+ * @returns Map professor_id -> [{ schedule_id, day (weekday), start, end }]
+ */
+export async function findBaseWeekClasses(connection, termId = null) {
+    const byProfessor = new Map();
+    for (const day of WEEK_DAYS) {
+        (await findBookingsOnWeekday(connection, day, termId))
+            .filter(b => b.class_type === 'Base' && b.professor_id != null)
+            .forEach(b => {
+                if (!byProfessor.has(b.professor_id)) byProfessor.set(b.professor_id, []);
+                byProfessor.get(b.professor_id).push({
+                    schedule_id: b.schedule_id, day, start: toMinutes(b.start_time), end: toMinutes(b.end_time),
+                });
+            });
+    }
+    return byProfessor;
+}
+
+/**
+ * Workload limits the slot's professor would break if the slot were booked.
+ * An Extra slot is measured against the classes of its calendar week (Monday to Sunday); a Base slot
+ * against the professor's Base timetable in its term.
+ *
+ * @param slot     { classType, classDate, dayOfWeek, startTime, endTime, professorId, termId }
+ * @param options  { excludeScheduleId } - skip the row being edited; { excludeScheduleIds, otherClasses } - skip
+ *                 several rows, and count classes that are not in Schedule ([{ day, start, end }], e.g. a draft's;
+ *                 dates for an Extra slot, those outside its week are ignored)
+ * @returns Array of conflicts (conflict_entity 'Professor', class_type 'Workload', rule, load, limit)
+ */
+export async function findWorkloadViolations(connection, slot, { excludeScheduleId = null, excludeScheduleIds = [], otherClasses = [] } = {}) {
+    const professorId = slot.professorId == null ? null : Number(slot.professorId);
+    if (professorId == null) return [];
+    const { policyFor } = await getWorkloadPolicies(connection);
+    const policy = policyFor(professorId);
+    if (!hasWorkloadLimits(policy)) return [];
+
+    const isExtra = slot.classType === 'Extra';
+    const weekStart = isExtra ? weekStartOf(slot.classDate) : null;
+    const week = isExtra ? await findWeekClasses(connection, weekStart) : await findBaseWeekClasses(connection, slot.termId ?? null);
+    const excluded = new Set([...excludeScheduleIds, excludeScheduleId].filter(id => id != null).map(Number));
+    // An Extra slot's week only holds the other classes dated in it
+    const others = isExtra ? otherClasses.filter(item => weekStartOf(item.day) === weekStart) : otherClasses;
+    const classes = [...(week.get(professorId) || []).filter(item => !excluded.has(item.schedule_id)), ...others];
+    const violations = checkWorkload(classes, toWorkloadClass(slot), policy);
+    if (violations.length === 0) return [];
+
+    const [users] = await connection.query("SELECT full_name FROM Users WHERE user_id = ?", [professorId]);
+    return violations.map(violation => ({
+        schedule_id: null, course_code: null,
+        class_type: 'Workload', ...violation,
+        day_of_week: slot.dayOfWeek, class_date: isExtra ? slot.classDate : null, week_start: weekStart,
+        existing_start: null, existing_end: null,
+        conflict_entity: 'Professor',
+        conflict_details: users[0]?.full_name || 'N/A',
+    }));
+}
@@ -0,0 +1,15 @@
+-- Per-date cancellations of recurring Base classes.
+-- A row here means "the Base class <schedule_id> does not take place on <exception_date>".
+
+CREATE TABLE IF NOT EXISTS ScheduleExceptions (
+    exception_id INT AUTO_INCREMENT PRIMARY KEY,
+    schedule_id INT NOT NULL,
+    exception_date DATE NOT NULL,
+    reason VARCHAR(255) NULL,
+    created_by INT NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE KEY uq_schedule_exception (schedule_id, exception_date),
+    KEY idx_exception_date (exception_date),
+    CONSTRAINT fk_exception_schedule FOREIGN KEY (schedule_id) REFERENCES Schedule (schedule_id) ON DELETE CASCADE,
+    CONSTRAINT fk_exception_user FOREIGN KEY (created_by) REFERENCES Users (user_id) ON DELETE SET NULL
+);
@@ -0,0 +1,23 @@
+-- Academic terms bound when Base classes run; holidays suspend them.
+
+CREATE TABLE IF NOT EXISTS AcademicTerms (
+    term_id INT AUTO_INCREMENT PRIMARY KEY,
+    term_name VARCHAR(100) NOT NULL,
+    start_date DATE NOT NULL,
+    end_date DATE NOT NULL,
+    UNIQUE KEY uq_term_name (term_name)
+);
+
+CREATE TABLE IF NOT EXISTS Holidays (
+    holiday_id INT AUTO_INCREMENT PRIMARY KEY,
+    holiday_date DATE NOT NULL,
+    description VARCHAR(255) NOT NULL,
+    -- Admin override: allow extra classes to be booked on this date
+    allow_extra_classes BOOLEAN NOT NULL DEFAULT FALSE,
+    UNIQUE KEY uq_holiday_date (holiday_date)
+);
+
+-- Base entries belong to a term. NULL keeps legacy rows running every week.
+ALTER TABLE Schedule
+    ADD COLUMN term_id INT NULL AFTER class_date,
+    ADD CONSTRAINT fk_schedule_term FOREIGN KEY (term_id) REFERENCES AcademicTerms (term_id);
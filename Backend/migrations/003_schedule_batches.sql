@@ -0,0 +1,41 @@
+-- Combined lectures: a schedule entry can be attended by several batches.
+-- Schedule.batch_id stays as the first (lead) batch; ScheduleBatches lists the full audience.
+
+CREATE TABLE IF NOT EXISTS ScheduleBatches (
+    schedule_id INT NOT NULL,
+    batch_id INT NOT NULL,
+    PRIMARY KEY (schedule_id, batch_id),
+    KEY idx_schedule_batches_batch (batch_id),
+    CONSTRAINT fk_schedule_batches_schedule FOREIGN KEY (schedule_id) REFERENCES Schedule (schedule_id) ON DELETE CASCADE,
+    CONSTRAINT fk_schedule_batches_batch FOREIGN KEY (batch_id) REFERENCES Batches (batch_id)
+);
+
+-- Every existing entry targets its single batch
+INSERT IGNORE INTO ScheduleBatches (schedule_id, batch_id)
+SELECT schedule_id, batch_id FROM Schedule WHERE batch_id IS NOT NULL;
+
+-- Fold duplicate Base rows (same course, professor, room, weekday, time and term; one row per batch)
+-- into the oldest row of each group, then drop the duplicates.
+CREATE TEMPORARY TABLE ScheduleDuplicates AS
+SELECT dup.schedule_id AS duplicate_id, keep.schedule_id AS keep_id
+FROM Schedule dup
+JOIN (
+    SELECT MIN(schedule_id) AS schedule_id, course_id, professor_id, classroom_id, day_of_week,
+           TIME(start_time) AS start_tod, TIME(end_time) AS end_tod, term_id
+    FROM Schedule
+    WHERE class_type = 'Base'
+    GROUP BY course_id, professor_id, classroom_id, day_of_week, TIME(start_time), TIME(end_time), term_id
+) keep
+  ON dup.class_type = 'Base'
+ AND dup.course_id = keep.course_id AND dup.professor_id = keep.professor_id
+ AND dup.classroom_id = keep.classroom_id AND dup.day_of_week = keep.day_of_week
+ AND TIME(dup.start_time) = keep.start_tod AND TIME(dup.end_time) = keep.end_tod
+ AND dup.term_id <=> keep.term_id
+ AND dup.schedule_id <> keep.schedule_id;
+
+INSERT IGNORE INTO ScheduleBatches (schedule_id, batch_id)
+SELECT d.keep_id, sb.batch_id FROM ScheduleDuplicates d JOIN ScheduleBatches sb ON sb.schedule_id = d.duplicate_id;
+
+DELETE s FROM Schedule s JOIN ScheduleDuplicates d ON s.schedule_id = d.duplicate_id;
+
+DROP TEMPORARY TABLE ScheduleDuplicates;
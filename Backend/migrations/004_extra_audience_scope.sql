@@ -0,0 +1,18 @@
+-- Who an Extra class is for: one batch, a whole division or a whole branch.
+-- The attending batches are expanded into ScheduleBatches at booking time; Base entries keep NULL.
+
+ALTER TABLE Schedule
+    ADD COLUMN audience_scope ENUM('batch', 'division', 'branch') NULL AFTER class_type;
+
+-- Theory extra classes used to be shown to the whole division of their placeholder batch
+UPDATE Schedule s
+JOIN Courses c ON s.course_id = c.course_id
+SET s.audience_scope = IF(LOWER(c.type) = 'theory', 'division', 'batch')
+WHERE s.class_type = 'Extra';
+
+INSERT IGNORE INTO ScheduleBatches (schedule_id, batch_id)
+SELECT s.schedule_id, b.batch_id
+FROM Schedule s
+JOIN Batches lead ON s.batch_id = lead.batch_id
+JOIN Batches b ON b.division_id = lead.division_id
+WHERE s.class_type = 'Extra' AND s.audience_scope = 'division';
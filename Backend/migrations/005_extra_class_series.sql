@@ -0,0 +1,12 @@
+-- Recurring extra classes: occurrences booked together share a series so they can be cancelled together.
+
+CREATE TABLE IF NOT EXISTS ExtraClassSeries (
+    series_id INT AUTO_INCREMENT PRIMARY KEY,
+    professor_id INT NOT NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT fk_series_professor FOREIGN KEY (professor_id) REFERENCES Users (user_id) ON DELETE CASCADE
+);
+
+ALTER TABLE Schedule
+    ADD COLUMN series_id INT NULL AFTER audience_scope,
+    ADD CONSTRAINT fk_schedule_series FOREIGN KEY (series_id) REFERENCES ExtraClassSeries (series_id) ON DELETE SET NULL;
@@ -0,0 +1,17 @@
+-- Professor unavailability (leave, conferences, ...): professors submit windows, administrators approve them.
+-- Approved windows count as busy time for the professor in conflict checks, free-slot search and the generator.
+
+CREATE TABLE IF NOT EXISTS ProfessorUnavailability (
+    unavailability_id INT AUTO_INCREMENT PRIMARY KEY,
+    professor_id INT NOT NULL,
+    start_datetime DATETIME NOT NULL,
+    end_datetime DATETIME NOT NULL,
+    reason VARCHAR(255) NULL,
+    status ENUM('Pending', 'Approved', 'Rejected') NOT NULL DEFAULT 'Pending',
+    reviewed_by INT NULL,
+    reviewed_at TIMESTAMP NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    KEY idx_unavailability_professor (professor_id, status, end_datetime),
+    CONSTRAINT fk_unavailability_professor FOREIGN KEY (professor_id) REFERENCES Users (user_id) ON DELETE CASCADE,
+    CONSTRAINT fk_unavailability_reviewer FOREIGN KEY (reviewed_by) REFERENCES Users (user_id) ON DELETE SET NULL
+);
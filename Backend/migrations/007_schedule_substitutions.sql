@@ -0,0 +1,17 @@
+-- Substitute professors: a colleague covers one occurrence (date) of a Base or Extra class.
+-- The regular professor stays on the Schedule row; on that date the substitute teaches instead.
+
+CREATE TABLE IF NOT EXISTS ScheduleSubstitutions (
+    substitution_id INT AUTO_INCREMENT PRIMARY KEY,
+    schedule_id INT NOT NULL,
+    class_date DATE NOT NULL,
+    substitute_professor_id INT NOT NULL,
+    note VARCHAR(255) NULL,
+    assigned_by INT NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE KEY uq_substitution_occurrence (schedule_id, class_date),
+    KEY idx_substitution_professor (substitute_professor_id, class_date),
+    CONSTRAINT fk_substitution_schedule FOREIGN KEY (schedule_id) REFERENCES Schedule (schedule_id) ON DELETE CASCADE,
+    CONSTRAINT fk_substitution_professor FOREIGN KEY (substitute_professor_id) REFERENCES Users (user_id) ON DELETE CASCADE,
+    CONSTRAINT fk_substitution_assigned_by FOREIGN KEY (assigned_by) REFERENCES Users (user_id) ON DELETE SET NULL
+);
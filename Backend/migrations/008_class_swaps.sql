@@ -0,0 +1,25 @@
+-- Class swaps between professors: the requester offers one of their occurrences (a date of a Base class,
+-- or an Extra class) for one of the recipient's. On acceptance each session moves into the other's slot.
+-- The summaries keep a readable description of both sessions as they were when the swap was proposed.
+
+CREATE TABLE IF NOT EXISTS ClassSwaps (
+    swap_id INT AUTO_INCREMENT PRIMARY KEY,
+    requester_id INT NOT NULL,
+    requester_schedule_id INT NULL,
+    requester_date DATE NOT NULL,
+    requester_summary VARCHAR(255) NOT NULL,
+    recipient_id INT NOT NULL,
+    recipient_schedule_id INT NULL,
+    recipient_date DATE NOT NULL,
+    recipient_summary VARCHAR(255) NOT NULL,
+    message VARCHAR(255) NULL,
+    status ENUM('Pending', 'Accepted', 'Rejected', 'Cancelled') NOT NULL DEFAULT 'Pending',
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    responded_at TIMESTAMP NULL,
+    KEY idx_swaps_requester (requester_id, status),
+    KEY idx_swaps_recipient (recipient_id, status),
+    CONSTRAINT fk_swaps_requester FOREIGN KEY (requester_id) REFERENCES Users (user_id) ON DELETE CASCADE,
+    CONSTRAINT fk_swaps_recipient FOREIGN KEY (recipient_id) REFERENCES Users (user_id) ON DELETE CASCADE,
+    CONSTRAINT fk_swaps_requester_schedule FOREIGN KEY (requester_schedule_id) REFERENCES Schedule (schedule_id) ON DELETE SET NULL,
+    CONSTRAINT fk_swaps_recipient_schedule FOREIGN KEY (recipient_schedule_id) REFERENCES Schedule (schedule_id) ON DELETE SET NULL
+);
@@ -0,0 +1,29 @@
+-- Room reservations for things that are not classes (seminars, department meetings, exams, events).
+-- A reservation holds its classroom for the time window; attendee batches, when given, are busy too.
+-- Both take part in the same overlap checks as Schedule rows.
+
+CREATE TABLE IF NOT EXISTS RoomReservations (
+    reservation_id INT AUTO_INCREMENT PRIMARY KEY,
+    title VARCHAR(150) NOT NULL,
+    kind ENUM('Seminar', 'Meeting', 'Exam', 'Event', 'Other') NOT NULL DEFAULT 'Other',
+    organizer VARCHAR(100) NOT NULL,
+    classroom_id INT NOT NULL,
+    reservation_date DATE NOT NULL,
+    start_time TIME NOT NULL,
+    end_time TIME NOT NULL,
+    created_by INT NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    KEY idx_reservations_room_date (classroom_id, reservation_date),
+    KEY idx_reservations_date (reservation_date),
+    CONSTRAINT fk_reservations_classroom FOREIGN KEY (classroom_id) REFERENCES Classrooms (classroom_id) ON DELETE CASCADE,
+    CONSTRAINT fk_reservations_created_by FOREIGN KEY (created_by) REFERENCES Users (user_id) ON DELETE SET NULL
+);
+
+CREATE TABLE IF NOT EXISTS RoomReservationBatches (
+    reservation_id INT NOT NULL,
+    batch_id INT NOT NULL,
+    PRIMARY KEY (reservation_id, batch_id),
+    KEY idx_reservation_batches_batch (batch_id),
+    CONSTRAINT fk_reservation_batches_reservation FOREIGN KEY (reservation_id) REFERENCES RoomReservations (reservation_id) ON DELETE CASCADE,
+    CONSTRAINT fk_reservation_batches_batch FOREIGN KEY (batch_id) REFERENCES Batches (batch_id) ON DELETE CASCADE
+);
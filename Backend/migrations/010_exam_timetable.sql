@@ -0,0 +1,56 @@
+-- Exam timetable, kept apart from the teaching Schedule.
+-- An exam session is a dated time window (e.g. 2025-05-12 Morning 10:00-13:00); each course's exam is placed
+-- in a session, is written by its batches, is seated across one or more rooms and has invigilators per room.
+
+CREATE TABLE IF NOT EXISTS ExamSessions (
+    session_id INT AUTO_INCREMENT PRIMARY KEY,
+    exam_date DATE NOT NULL,
+    session_name VARCHAR(50) NOT NULL,
+    start_time TIME NOT NULL,
+    end_time TIME NOT NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE KEY uq_exam_session (exam_date, session_name)
+);
+
+CREATE TABLE IF NOT EXISTS Exams (
+    exam_id INT AUTO_INCREMENT PRIMARY KEY,
+    session_id INT NOT NULL,
+    course_id INT NOT NULL,
+    notes VARCHAR(255) NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE KEY uq_exam_course_session (session_id, course_id),
+    CONSTRAINT fk_exams_session FOREIGN KEY (session_id) REFERENCES ExamSessions (session_id) ON DELETE CASCADE,
+    CONSTRAINT fk_exams_course FOREIGN KEY (course_id) REFERENCES Courses (course_id) ON DELETE CASCADE
+);
+
+-- Batches writing the exam (same role as ScheduleBatches for classes)
+CREATE TABLE IF NOT EXISTS ExamBatches (
+    exam_id INT NOT NULL,
+    batch_id INT NOT NULL,
+    PRIMARY KEY (exam_id, batch_id),
+    KEY idx_exam_batches_batch (batch_id),
+    CONSTRAINT fk_exam_batches_exam FOREIGN KEY (exam_id) REFERENCES Exams (exam_id) ON DELETE CASCADE,
+    CONSTRAINT fk_exam_batches_batch FOREIGN KEY (batch_id) REFERENCES Batches (batch_id) ON DELETE CASCADE
+);
+
+-- Rooms the exam is seated in and how many candidates each takes
+CREATE TABLE IF NOT EXISTS ExamRooms (
+    exam_id INT NOT NULL,
+    classroom_id INT NOT NULL,
+    seats_allocated INT NOT NULL,
+    PRIMARY KEY (exam_id, classroom_id),
+    KEY idx_exam_rooms_classroom (classroom_id),
+    CONSTRAINT fk_exam_rooms_exam FOREIGN KEY (exam_id) REFERENCES Exams (exam_id) ON DELETE CASCADE,
+    CONSTRAINT fk_exam_rooms_classroom FOREIGN KEY (classroom_id) REFERENCES Classrooms (classroom_id) ON DELETE CASCADE
+);
+
+-- Invigilation duties: professors supervising one room of an exam
+CREATE TABLE IF NOT EXISTS ExamInvigilators (
+    exam_id INT NOT NULL,
+    classroom_id INT NOT NULL,
+    professor_id INT NOT NULL,
+    PRIMARY KEY (exam_id, professor_id),
+    KEY idx_exam_invigilators_professor (professor_id),
+    CONSTRAINT fk_exam_invigilators_room FOREIGN KEY (exam_id, classroom_id) REFERENCES ExamRooms (exam_id, classroom_id) ON DELETE CASCADE,
+    CONSTRAINT fk_exam_invigilators_professor FOREIGN KEY (professor_id) REFERENCES Users (user_id) ON DELETE CASCADE
+);
@@ -0,0 +1,18 @@
+-- Electives: courses that students choose individually, across batches and divisions.
+-- Classes of an elective course are attended by the enrolled students, not by whole batches;
+-- their ScheduleBatches rows only record which batches the elective is offered to.
+
+ALTER TABLE Courses
+    ADD COLUMN is_elective BOOLEAN NOT NULL DEFAULT FALSE AFTER type,
+    ADD COLUMN elective_seats INT NULL AFTER is_elective;
+
+CREATE TABLE IF NOT EXISTS CourseEnrollments (
+    enrollment_id INT AUTO_INCREMENT PRIMARY KEY,
+    course_id INT NOT NULL,
+    student_id INT NOT NULL,
+    enrolled_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE KEY uq_enrollment (course_id, student_id),
+    KEY idx_enrollments_student (student_id),
+    CONSTRAINT fk_enrollments_course FOREIGN KEY (course_id) REFERENCES Courses (course_id) ON DELETE CASCADE,
+    CONSTRAINT fk_enrollments_student FOREIGN KEY (student_id) REFERENCES Users (user_id) ON DELETE CASCADE
+);
@@ -0,0 +1,12 @@
+-- Walking time between buildings. Back-to-back classes of the same professor or batch in two
+-- different buildings need at least `minutes` between them (see TRANSITION_POLICY in .env.example).
+-- A pair applies in both directions unless the reverse pair is listed too; pairs that are not listed
+-- use DEFAULT_TRANSITION_MINUTES. Buildings are matched on Classrooms.building.
+
+CREATE TABLE IF NOT EXISTS BuildingTransitions (
+    from_building VARCHAR(100) NOT NULL,
+    to_building VARCHAR(100) NOT NULL,
+    minutes INT NOT NULL,
+    PRIMARY KEY (from_building, to_building),
+    CONSTRAINT chk_transition_minutes CHECK (minutes >= 0)
+);
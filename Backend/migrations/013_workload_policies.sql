@@ -0,0 +1,19 @@
+-- Professor workload limits: hours taught per day and per week, and classes in a row.
+-- The row with professor_id NULL is the global policy; a professor's own row overrides it field by field
+-- (a NULL field falls back to the global value, a NULL global value means no limit).
+
+CREATE TABLE IF NOT EXISTS WorkloadPolicies (
+    policy_id INT AUTO_INCREMENT PRIMARY KEY,
+    professor_id INT NULL,
+    max_daily_hours DECIMAL(4,1) NULL,
+    max_weekly_hours DECIMAL(4,1) NULL,
+    max_consecutive INT NULL,
+    updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    UNIQUE KEY uq_workload_professor (professor_id),
+    CONSTRAINT fk_workload_professor FOREIGN KEY (professor_id) REFERENCES Users (user_id) ON DELETE CASCADE
+);
+
+-- Global policy: no more than three classes in a row; hour caps are set by the admin
+INSERT INTO WorkloadPolicies (professor_id, max_consecutive)
+SELECT NULL, 3 FROM DUAL
+WHERE NOT EXISTS (SELECT 1 FROM WorkloadPolicies WHERE professor_id IS NULL);
@@ -0,0 +1,49 @@
+-- Draft timetables: a version is a complete copy of one term's Base timetable.
+-- Admins edit a Draft without touching Schedule; publishing makes its entries the term's live Base rows
+-- in one transaction. The timetable it replaces is kept as a Superseded version, which can be published
+-- again to roll back. At most one version per term is Published: the one that is live.
+
+CREATE TABLE IF NOT EXISTS TimetableVersions (
+    version_id INT AUTO_INCREMENT PRIMARY KEY,
+    term_id INT NOT NULL,
+    name VARCHAR(100) NOT NULL,
+    status ENUM('Draft', 'Published', 'Superseded') NOT NULL DEFAULT 'Draft',
+    created_by INT NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    published_by INT NULL,
+    published_at DATETIME NULL,
+    KEY idx_versions_term_status (term_id, status),
+    CONSTRAINT fk_versions_term FOREIGN KEY (term_id) REFERENCES AcademicTerms (term_id) ON DELETE CASCADE,
+    CONSTRAINT fk_versions_created_by FOREIGN KEY (created_by) REFERENCES Users (user_id) ON DELETE SET NULL,
+    CONSTRAINT fk_versions_published_by FOREIGN KEY (published_by) REFERENCES Users (user_id) ON DELETE SET NULL
+);
+
+-- One Base class of a version. source_schedule_id is the live Schedule row it was copied from (or was
+-- published as), so publishing updates that row in place and keeps its cancellations and substitutions.
+CREATE TABLE IF NOT EXISTS TimetableVersionEntries (
+    entry_id INT AUTO_INCREMENT PRIMARY KEY,
+    version_id INT NOT NULL,
+    source_schedule_id INT NULL,
+    course_id INT NOT NULL,
+    professor_id INT NOT NULL,
+    classroom_id INT NOT NULL,
+    day_of_week VARCHAR(10) NOT NULL,
+    start_time TIME NOT NULL,
+    end_time TIME NOT NULL,
+    KEY idx_version_entries_version (version_id),
+    CONSTRAINT fk_version_entries_version FOREIGN KEY (version_id) REFERENCES TimetableVersions (version_id) ON DELETE CASCADE,
+    CONSTRAINT fk_version_entries_source FOREIGN KEY (source_schedule_id) REFERENCES Schedule (schedule_id) ON DELETE SET NULL,
+    CONSTRAINT fk_version_entries_course FOREIGN KEY (course_id) REFERENCES Courses (course_id) ON DELETE CASCADE,
+    CONSTRAINT fk_version_entries_professor FOREIGN KEY (professor_id) REFERENCES Users (user_id) ON DELETE CASCADE,
+    CONSTRAINT fk_version_entries_classroom FOREIGN KEY (classroom_id) REFERENCES Classrooms (classroom_id) ON DELETE CASCADE
+);
+
+-- Audience of a version entry (same role as ScheduleBatches)
+CREATE TABLE IF NOT EXISTS TimetableVersionEntryBatches (
+    entry_id INT NOT NULL,
+    batch_id INT NOT NULL,
+    PRIMARY KEY (entry_id, batch_id),
+    KEY idx_version_entry_batches_batch (batch_id),
+    CONSTRAINT fk_version_entry_batches_entry FOREIGN KEY (entry_id) REFERENCES TimetableVersionEntries (entry_id) ON DELETE CASCADE,
+    CONSTRAINT fk_version_entry_batches_batch FOREIGN KEY (batch_id) REFERENCES Batches (batch_id) ON DELETE CASCADE
+);
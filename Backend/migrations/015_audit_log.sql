@@ -0,0 +1,23 @@
+-- Audit log: one row per successful change made through the API (see lib/audit.js).
+-- The actor's email and role are copied in, and there are no foreign keys, so entries outlive the users
+-- and records they mention. before_values / after_values hold the affected row (or the request) as JSON.
+
+CREATE TABLE IF NOT EXISTS AuditLog (
+    audit_id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    actor_id INT NULL,
+    actor_email VARCHAR(255) NULL,
+    actor_role VARCHAR(50) NULL,
+    action VARCHAR(50) NOT NULL,
+    entity_type VARCHAR(50) NOT NULL,
+    entity_id VARCHAR(100) NULL,
+    before_values JSON NULL,
+    after_values JSON NULL,
+    method VARCHAR(10) NULL,
+    path VARCHAR(255) NULL,
+    status_code SMALLINT NULL,
+    ip_address VARCHAR(45) NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    KEY idx_audit_created (created_at),
+    KEY idx_audit_entity (entity_type, entity_id),
+    KEY idx_audit_actor (actor_id, created_at)
+);
@@ -0,0 +1,15 @@
+-- In-app notifications: schedule changes for the students and professors they affect, account
+-- approval for the user, new registrations for the administrators (see lib/notifications.js).
+
+CREATE TABLE IF NOT EXISTS Notifications (
+    notification_id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT NOT NULL,
+    type VARCHAR(50) NOT NULL,
+    title VARCHAR(150) NOT NULL,
+    message VARCHAR(500) NOT NULL,
+    is_read BOOLEAN NOT NULL DEFAULT FALSE,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    read_at TIMESTAMP NULL,
+    KEY idx_notifications_user (user_id, is_read, created_at),
+    CONSTRAINT fk_notifications_user FOREIGN KEY (user_id) REFERENCES Users (user_id) ON DELETE CASCADE
+);
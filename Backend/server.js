@@ -6,6 +6,33 @@ import bcrypt from 'bcryptjs'; // For password hashing
 import jwt from 'jsonwebtoken'; // For JWTs
 // import cron from 'node-cron'; // REMOVED as per previous step
 import { getPool } from './lib/db.js';
+import {
+    WEEK_DAYS, TIME_REGEX, DATE_REGEX, BASE_ANCHOR_DATE, BASE_RUNS_ON_DATE,
+    normalizeTime, getDayOfWeek, findScheduleConflicts, formatConflictMessage, buildConflictResponse, findSlotClashes, getHoliday,
+    findBookingsOnDate, findBookingsOnWeekday, findReservationsOnDate, findReservationsOnWeekday,
+    findExamDutiesOnDate, findExamDutiesOnWeekday, toMinutes, fromMinutes, addDaysToDateStr,
+    checkRoomSuitability, getAudienceSize, getEnrollmentCount, roomTypeFitsCourse,
+    findStudentClashes, findEnrollmentClashes, checkTransitions, buildBookingWarnings,
+    TRANSITION_POLICY, DEFAULT_TRANSITION_MINUTES,
+    findUnavailability, findUnavailabilityOnWeekday, findClassesInUnavailability, findTermChangeClashes, findSlotTransitionClashes, findBatchElectiveRowIds
+} from './lib/conflicts.js';
+import { generateTimetable } from './lib/timetableGenerator.js';
+import { findStudentExamClashes, findInvigilatorClashes, findBusyExamRoomIds, allocateExamRooms, STUDENT_SITS_EXAM } from './lib/exams.js';
+import {
+    WORKLOAD_LIMIT_FIELDS, WORKLOAD_MIN_BREAK_MINUTES, getWorkloadPolicies, findWorkloadViolations, findWeekClasses, findBaseWeekClasses,
+    splitIntoRuns, toHours, weekStartOf, toWorkloadClass
+} from './lib/workload.js';
+import {
+    getLiveEntries, getVersionEntries, saveVersionEntryBatches, insertVersionEntry, snapshotLive, diffEntries, applyVersion,
+    checkVersionEntry, validateVersion
+} from './lib/timetableVersions.js';
+import {
+    resolveAudienceBatchIds, resolveExtraAudience, getScheduleBatchIds, saveScheduleBatches, attachAudiences
+} from './lib/audience.js';
+import { auditLog } from './lib/audit.js';
+import {
+    notifyUsers, notifyClassAudience, notifyClassChanged, findClassStudentIds, findAdminIds, getClassSummary, describeClass
+} from './lib/notifications.js';
 
 // Load environment variables from .env file
 dotenv.config();
@@ -39,7 +66,12 @@ const corsOptions = {
 };
 
 app.use(cors(corsOptions)); // Enable configured CORS
-app.use(express.json()); // Middleware to parse JSON bodies
+app.use(express.json({ limit: '1mb' })); // Middleware to parse JSON bodies (raised limit for timetable imports)
+// Behind a proxy, trust its X-Forwarded-For so req.ip (recorded in the audit log) is the client's address
+if (process.env.TRUST_PROXY) {
+    const trustProxy = process.env.TRUST_PROXY;
+    app.set('trust proxy', /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy === 'true' ? true : trustProxy);
+}
 
 // === DATABASE CONNECTION POOL ===
 // Use shared pool from lib/db.js
@@ -97,6 +129,15 @@ const isStudent = (req, res, next) => {
     }
 };
 
+const isProfessorOrAdmin = (req, res, next) => {
+    if (req.user && (req.user.role === 'Professor' || req.user.role === 'Administrator')) {
+        next();
+    } else {
+        console.warn('IsProfessorOrAdmin: Access denied - User is neither a Professor nor an Administrator');
+        res.status(403).json({ message: 'Access denied: Professor or Administrator role required' });
+    }
+};
+
 
 // === BASIC ROUTE ===
 app.get('/', (req, res) => {
@@ -120,7 +161,7 @@ app.get('/api/branches', async (req, res) => {
 
 // === AUTHENTICATION ROUTES ===
 
-app.post('/api/register', async (req, res) => {
+app.post('/api/register', auditLog('User', 'register'), async (req, res) => {
     const fullName = req.body.fullName ? req.body.fullName.trim() : '';
     const email = req.body.email ? req.body.email.trim() : '';
     const password = req.body.password ? req.body.password : '';
@@ -165,6 +206,8 @@ app.post('/api/register', async (req, res) => {
         const hashedPassword = await bcrypt.hash(password, saltRounds);
         console.log(`Password hashed for ${email}`);
 
+        // The admins' notification is committed with the account, so a failure leaves no half-registered user
+        await connection.beginTransaction();
         const [result] = await connection.query(
             "INSERT INTO Users (full_name, email, password, role, approval_status, division_id, batch_id) VALUES (?, ?, ?, ?, ?, ?, ?)",
             [
@@ -174,10 +217,16 @@ app.post('/api/register', async (req, res) => {
             ]
         );
 
+        await notifyUsers(connection, await findAdminIds(connection), {
+            type: 'RegistrationPending', title: 'New registration',
+            message: `${fullName} (${email}) registered as a ${role} and is waiting for approval.`,
+        });
+        await connection.commit();
         console.log(`User ${email} registered successfully with ID: ${result.insertId}`);
         res.status(201).json({ message: 'Registration successful. Waiting for administrator approval.' });
 
     } catch (error) {
+        if (connection) await connection.rollback();
         console.error('Registration Error:', error);
         res.status(500).json({ message: 'Server error during registration' });
     } finally {
@@ -272,7 +321,7 @@ app.post('/api/login', async (req, res) => {
 
 
 // === NEW: Change Password Route ===
-app.put('/api/user/change-password', verifyToken, async (req, res) => {
+app.put('/api/user/change-password', verifyToken, auditLog('User', 'change_password', { entityId: (req) => req.user.user_id }), async (req, res) => {
     const userId = req.user.user_id; // Get user ID from the verified token
     const { currentPassword, newPassword, confirmPassword } = req.body;
 
@@ -341,6 +390,103 @@ app.put('/api/user/change-password', verifyToken, async (req, res) => {
 });
 
 
+// === NOTIFICATION ROUTES (every signed-in user, own notifications only) ===
+// Created by the routes that change schedules and accounts (lib/notifications.js).
+
+const NOTIFICATION_PAGE_SIZE = 30;
+
+const countUnread = async (connection, userId) => {
+    const [rows] = await connection.query("SELECT COUNT(*) AS unread FROM Notifications WHERE user_id = ? AND NOT is_read", [userId]);
+    return Number(rows[0].unread);
+};
+
+// GET Newest notifications first; ?unread_only=true for unread ones, ?limit= (default 30, at most 100)
+app.get('/api/notifications', verifyToken, async (req, res) => {
+    const userId = req.user.user_id;
+    const unreadOnly = req.query.unread_only === 'true';
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || NOTIFICATION_PAGE_SIZE, 1), 100);
+
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        const [notifications] = await connection.query(`
+            SELECT notification_id, type, title, message, is_read, created_at, read_at
+            FROM Notifications
+            WHERE user_id = ? AND (? = FALSE OR NOT is_read)
+            ORDER BY created_at DESC, notification_id DESC
+            LIMIT ?
+        `, [userId, unreadOnly, limit]);
+        res.json({
+            notifications: notifications.map(n => ({ ...n, is_read: Boolean(n.is_read) })),
+            unread_count: await countUnread(connection, userId),
+        });
+    } catch (error) {
+        console.error(`Error fetching notifications for user ${userId}:`, error);
+        res.status(500).json({ message: 'Server error fetching notifications' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// GET Number of unread notifications (polled by the dashboards' bell)
+app.get('/api/notifications/unread-count', verifyToken, async (req, res) => {
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        res.json({ unread_count: await countUnread(connection, req.user.user_id) });
+    } catch (error) {
+        console.error(`Error counting notifications for user ${req.user.user_id}:`, error);
+        res.status(500).json({ message: 'Server error counting notifications' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// PUT Mark one notification as read
+app.put('/api/notifications/:id/read', verifyToken, async (req, res) => {
+    const userId = req.user.user_id;
+    const { id } = req.params;
+
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        const [result] = await connection.query(
+            "UPDATE Notifications SET is_read = TRUE, read_at = COALESCE(read_at, NOW()) WHERE notification_id = ? AND user_id = ?",
+            [id, userId]
+        );
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ message: 'Notification not found.' });
+        }
+        res.json({ message: 'Notification marked as read.', unread_count: await countUnread(connection, userId) });
+    } catch (error) {
+        console.error(`Error marking notification ${id} read for user ${userId}:`, error);
+        res.status(500).json({ message: 'Server error updating notification' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// PUT Mark all of the user's notifications as read
+app.put('/api/notifications/read-all', verifyToken, async (req, res) => {
+    const userId = req.user.user_id;
+
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        const [result] = await connection.query(
+            "UPDATE Notifications SET is_read = TRUE, read_at = NOW() WHERE user_id = ? AND NOT is_read",
+            [userId]
+        );
+        res.json({ message: `${result.affectedRows} notification(s) marked as read.`, unread_count: 0 });
+    } catch (error) {
+        console.error(`Error marking notifications read for user ${userId}:`, error);
+        res.status(500).json({ message: 'Server error updating notifications' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+
 // === ADMIN ROUTES ===
 
 app.get('/api/pending-users', verifyToken, isAdmin, async (req, res) => {
@@ -369,7 +515,12 @@ app.get('/api/pending-users', verifyToken, isAdmin, async (req, res) => {
 });
 
 
-app.put('/api/approve-user/:userId', verifyToken, isAdmin, async (req, res) => {
+const ACCOUNT_APPROVED_NOTICE = {
+    type: 'AccountApproved', title: 'Account approved',
+    message: 'An administrator has approved your account. Welcome to NoClash!',
+};
+
+app.put('/api/approve-user/:userId', verifyToken, isAdmin, auditLog('User', 'approve', { entityId: (req) => req.params.userId }), async (req, res) => {
     const { userId } = req.params;
     console.log(`Admin request received to approve user ID: ${userId}`);
 
@@ -380,12 +531,16 @@ app.put('/api/approve-user/:userId', verifyToken, isAdmin, async (req, res) => {
     let connection;
     try {
         connection = await pool.getConnection();
+        await connection.beginTransaction();
         const [result] = await connection.query(
             "UPDATE Users SET approval_status = 'Approved' WHERE user_id = ? AND approval_status = 'Pending'",
             [userId]
         );
+        const approved = result.affectedRows === 1 && result.changedRows === 1;
+        if (approved) await notifyUsers(connection, [userId], ACCOUNT_APPROVED_NOTICE);
+        await connection.commit();
 
-        if (result.affectedRows === 1 && result.changedRows === 1) {
+        if (approved) {
              console.log(`User ID ${userId} approved successfully.`);
              res.json({ message: 'User approved successfully.' });
         } else if (result.affectedRows === 1 && result.changedRows === 0) {
@@ -396,6 +551,7 @@ app.put('/api/approve-user/:userId', verifyToken, isAdmin, async (req, res) => {
              res.status(404).json({ message: 'User not found or not pending approval.' });
         }
     } catch (error) {
+        if (connection) await connection.rollback();
         console.error(`Error approving user ${userId}:`, error);
         res.status(500).json({ message: 'Server error approving user.' });
     } finally {
@@ -449,7 +605,7 @@ app.get('/api/admin/classrooms', verifyToken, isAdmin, async (req, res) => {
 });
 
 // POST (Create) New Classroom
-app.post('/api/admin/classrooms', verifyToken, isAdmin, async (req, res) => {
+app.post('/api/admin/classrooms', verifyToken, isAdmin, auditLog('Classroom', 'create'), async (req, res) => {
     const { room_number, building, floor, capacity, type } = req.body;
     console.log('Admin request to CREATE classroom:', req.body);
 
@@ -477,7 +633,7 @@ app.post('/api/admin/classrooms', verifyToken, isAdmin, async (req, res) => {
 });
 
 // PUT (Update) Classroom
-app.put('/api/admin/classrooms/:id', verifyToken, isAdmin, async (req, res) => {
+app.put('/api/admin/classrooms/:id', verifyToken, isAdmin, auditLog('Classroom', 'update'), async (req, res) => {
     const { id } = req.params;
     const { room_number, building, floor, capacity, type } = req.body;
     console.log(`Admin request to UPDATE classroom ID ${id}:`, req.body);
@@ -510,7 +666,7 @@ app.put('/api/admin/classrooms/:id', verifyToken, isAdmin, async (req, res) => {
 });
 
 // DELETE Classroom
-app.delete('/api/admin/classrooms/:id', verifyToken, isAdmin, async (req, res) => {
+app.delete('/api/admin/classrooms/:id', verifyToken, isAdmin, auditLog('Classroom', 'delete'), async (req, res) => {
     const { id } = req.params;
     console.log(`Admin request to DELETE classroom ID ${id}`);
 
@@ -534,6 +690,80 @@ app.delete('/api/admin/classrooms/:id', verifyToken, isAdmin, async (req, res) =
     }
 });
 
+// --- ** Admin Building Transition Times ** ---
+
+// GET Walking times between buildings: every building that has rooms, the listed pairs and the defaults
+app.get('/api/admin/building-transitions', verifyToken, isAdmin, async (req, res) => {
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        const [buildings] = await connection.query(
+            "SELECT DISTINCT building FROM Classrooms WHERE building IS NOT NULL AND building <> '' ORDER BY building"
+        );
+        const [transitions] = await connection.query(
+            "SELECT from_building, to_building, minutes FROM BuildingTransitions ORDER BY from_building, to_building"
+        );
+        res.json({
+            buildings: buildings.map(row => row.building),
+            transitions,
+            default_minutes: DEFAULT_TRANSITION_MINUTES,
+            policy: TRANSITION_POLICY,
+        });
+    } catch (error) {
+        console.error('Error fetching building transitions:', error);
+        res.status(500).json({ message: 'Server error fetching building transitions' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// PUT Replace the walking-time matrix
+// Body: { transitions: [{ from_building, to_building, minutes }] } - a pair applies both ways unless its reverse is listed
+app.put('/api/admin/building-transitions', verifyToken, isAdmin, auditLog('BuildingTransitions', 'replace'), async (req, res) => {
+    const { transitions } = req.body;
+    console.log('Admin request to REPLACE building transitions:', req.body);
+
+    if (!Array.isArray(transitions)) {
+        return res.status(400).json({ message: 'transitions must be a list.' });
+    }
+    const seen = new Set();
+    for (const [index, transition] of transitions.entries()) {
+        const { from_building, to_building, minutes } = transition;
+        if (!from_building || !to_building || from_building === to_building) {
+            return res.status(400).json({ message: `Entry ${index + 1}: two different buildings are required.` });
+        }
+        if (!Number.isInteger(minutes) || minutes < 0 || minutes > 120) {
+            return res.status(400).json({ message: `Entry ${index + 1}: minutes must be a whole number between 0 and 120.` });
+        }
+        const key = `${from_building}\n${to_building}`;
+        if (seen.has(key)) {
+            return res.status(400).json({ message: `Entry ${index + 1}: ${from_building} → ${to_building} is listed twice.` });
+        }
+        seen.add(key);
+    }
+
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        await connection.beginTransaction();
+        await connection.query("DELETE FROM BuildingTransitions");
+        if (transitions.length > 0) {
+            await connection.query(
+                "INSERT INTO BuildingTransitions (from_building, to_building, minutes) VALUES ?",
+                [transitions.map(t => [t.from_building, t.to_building, t.minutes])]
+            );
+        }
+        await connection.commit();
+        res.json({ message: `Saved ${transitions.length} walking time(s).` });
+    } catch (error) {
+        if (connection) await connection.rollback();
+        console.error('Error saving building transitions:', error);
+        res.status(500).json({ message: 'Server error saving building transitions' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
 // --- ** Admin Resource Management (Courses) ** ---
 
 // GET All Courses
@@ -543,7 +773,8 @@ app.get('/api/admin/courses', verifyToken, isAdmin, async (req, res) => {
     try {
         connection = await pool.getConnection();
         const [courses] = await connection.query(`
-            SELECT c.*, b.branch_code 
+            SELECT c.*, b.branch_code,
+                   (SELECT COUNT(*) FROM CourseEnrollments ce WHERE ce.course_id = c.course_id) AS enrolled_count
             FROM Courses c
             LEFT JOIN Branches b ON c.branch_id = b.branch_id
             ORDER BY c.course_code
@@ -557,21 +788,38 @@ app.get('/api/admin/courses', verifyToken, isAdmin, async (req, res) => {
     }
 });
 
+// Elective settings from a course body: is_elective (default false) and elective_seats
+// (a positive seat cap, or empty for unlimited; ignored for core courses)
+const parseElectiveFields = ({ is_elective, elective_seats }) => {
+    const isElective = Boolean(is_elective);
+    if (!isElective || elective_seats == null || elective_seats === '') return { isElective, electiveSeats: null };
+    const electiveSeats = Number(elective_seats);
+    if (!Number.isInteger(electiveSeats) || electiveSeats < 1) {
+        return { error: 'Elective seats must be a positive whole number (or empty for no limit).' };
+    }
+    return { isElective, electiveSeats };
+};
+
 // POST (Create) New Course
-app.post('/api/admin/courses', verifyToken, isAdmin, async (req, res) => {
+// Body: { course_code, course_name, branch_id, credits, type, is_elective, elective_seats }
+app.post('/api/admin/courses', verifyToken, isAdmin, auditLog('Course', 'create'), async (req, res) => {
     const { course_code, course_name, branch_id, credits, type } = req.body;
     console.log('Admin request to CREATE course:', req.body);
 
     if (!course_code || !course_name || !branch_id || !credits || !type) {
         return res.status(400).json({ message: 'All fields are required.' });
     }
+    const { isElective, electiveSeats, error: electiveError } = parseElectiveFields(req.body);
+    if (electiveError) {
+        return res.status(400).json({ message: electiveError });
+    }
 
     let connection;
     try {
         connection = await pool.getConnection();
         const [result] = await connection.query(
-            "INSERT INTO Courses (course_code, course_name, branch_id, credits, type) VALUES (?, ?, ?, ?, ?)",
-            [course_code, course_name, branch_id, credits, type]
+            "INSERT INTO Courses (course_code, course_name, branch_id, credits, type, is_elective, elective_seats) VALUES (?, ?, ?, ?, ?, ?, ?)",
+            [course_code, course_name, branch_id, credits, type, isElective, electiveSeats]
         );
         res.status(201).json({ message: 'Course created successfully', course_id: result.insertId });
     } catch (error) {
@@ -589,7 +837,7 @@ app.post('/api/admin/courses', verifyToken, isAdmin, async (req, res) => {
 });
 
 // PUT (Update) Course
-app.put('/api/admin/courses/:id', verifyToken, isAdmin, async (req, res) => {
+app.put('/api/admin/courses/:id', verifyToken, isAdmin, auditLog('Course', 'update'), async (req, res) => {
     const { id } = req.params;
     const { course_code, course_name, branch_id, credits, type } = req.body;
     console.log(`Admin request to UPDATE course ID ${id}:`, req.body);
@@ -597,20 +845,43 @@ app.put('/api/admin/courses/:id', verifyToken, isAdmin, async (req, res) => {
     if (!course_code || !course_name || !branch_id || !credits || !type) {
         return res.status(400).json({ message: 'All fields are required.' });
     }
+    const { isElective, electiveSeats, error: electiveError } = parseElectiveFields(req.body);
+    if (electiveError) {
+        return res.status(400).json({ message: electiveError });
+    }
 
     let connection;
     try {
         connection = await pool.getConnection();
+        await connection.beginTransaction();
+
+        const [enrollments] = await connection.query(
+            "SELECT COUNT(*) AS enrolled FROM CourseEnrollments WHERE course_id = ? FOR UPDATE",
+            [id]
+        );
+        const enrolled = Number(enrollments[0].enrolled);
+        if (enrolled > 0 && !isElective) {
+            await connection.rollback();
+            return res.status(409).json({ message: `Cannot make this course a core course: ${enrolled} student(s) are enrolled in it as an elective.` });
+        }
+        if (electiveSeats != null && electiveSeats < enrolled) {
+            await connection.rollback();
+            return res.status(409).json({ message: `Cannot set ${electiveSeats} seats: ${enrolled} students are already enrolled.` });
+        }
+
         const [result] = await connection.query(
-            "UPDATE Courses SET course_code = ?, course_name = ?, branch_id = ?, credits = ?, type = ? WHERE course_id = ?",
-            [course_code, course_name, branch_id, credits, type, id]
+            "UPDATE Courses SET course_code = ?, course_name = ?, branch_id = ?, credits = ?, type = ?, is_elective = ?, elective_seats = ? WHERE course_id = ?",
+            [course_code, course_name, branch_id, credits, type, isElective, electiveSeats, id]
         );
 
         if (result.affectedRows === 0) {
+            await connection.rollback();
             return res.status(404).json({ message: 'Course not found.' });
         }
+        await connection.commit();
         res.json({ message: 'Course updated successfully.' });
     } catch (error) {
+        if (connection) await connection.rollback();
         console.error(`Error updating course ${id}:`, error);
          if (error.code === 'ER_DUP_ENTRY') {
             return res.status(409).json({ message: 'A course with this code already exists.' });
@@ -625,7 +896,7 @@ app.put('/api/admin/courses/:id', verifyToken, isAdmin, async (req, res) => {
 });
 
 // DELETE Course
-app.delete('/api/admin/courses/:id', verifyToken, isAdmin, async (req, res) => {
+app.delete('/api/admin/courses/:id', verifyToken, isAdmin, auditLog('Course', 'delete'), async (req, res) => {
     const { id } = req.params;
     console.log(`Admin request to DELETE course ID ${id}`);
 
@@ -649,6 +920,39 @@ app.delete('/api/admin/courses/:id', verifyToken, isAdmin, async (req, res) => {
     }
 });
 
+// GET Students enrolled in an elective course
+app.get('/api/admin/courses/:id/enrollments', verifyToken, isAdmin, async (req, res) => {
+    const { id } = req.params;
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        const [courses] = await connection.query(
+            "SELECT course_id, course_code, course_name, is_elective, elective_seats FROM Courses WHERE course_id = ?",
+            [id]
+        );
+        if (courses.length === 0) {
+            return res.status(404).json({ message: 'Course not found.' });
+        }
+        const [students] = await connection.query(`
+            SELECT u.user_id, u.full_name, u.email, ce.enrolled_at,
+                   CONCAT(br.branch_code,'-',d.division_name,'-',b.batch_name) AS batch_label
+            FROM CourseEnrollments ce
+            JOIN Users u ON ce.student_id = u.user_id
+            LEFT JOIN Batches b ON u.batch_id = b.batch_id
+            LEFT JOIN Divisions d ON b.division_id = d.division_id
+            LEFT JOIN Branches br ON d.branch_id = br.branch_id
+            WHERE ce.course_id = ?
+            ORDER BY u.full_name
+        `, [id]);
+        res.json({ course: courses[0], students });
+    } catch (error) {
+        console.error(`Error fetching enrollments for course ${id}:`, error);
+        res.status(500).json({ message: 'Server error fetching enrollments' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
 // --- ** Get All Academic Structure Routes ** ---
 
 // Helper function to get all structure data
@@ -700,7 +1004,7 @@ app.get('/api/admin/structure', verifyToken, isAdmin, async (req, res) => {
 
 
 // --- Admin User Management Routes ---
-app.delete('/api/admin/users/:userId', verifyToken, isAdmin, async (req, res) => {
+app.delete('/api/admin/users/:userId', verifyToken, isAdmin, auditLog('User', 'delete', { entityId: (req) => req.params.userId }), async (req, res) => {
      const { userId } = req.params;
      console.log(`Admin request received to DELETE user ID: ${userId}`);
      if (parseInt(userId) === 1) { // Basic check for primary admin
@@ -730,7 +1034,7 @@ app.delete('/api/admin/users/:userId', verifyToken, isAdmin, async (req, res) =>
      }
  });
 
-app.put('/api/admin/users/:userId', verifyToken, isAdmin, async (req, res) => {
+app.put('/api/admin/users/:userId', verifyToken, isAdmin, auditLog('User', 'update', { entityId: (req) => req.params.userId }), async (req, res) => {
      const { userId } = req.params;
      const { full_name, email, role, approval_status, division_id, batch_id } = req.body; // Include status, division, batch
      console.log(`Admin request received to UPDATE user ID: ${userId} with data:`, req.body);
@@ -751,6 +1055,8 @@ app.put('/api/admin/users/:userId', verifyToken, isAdmin, async (req, res) => {
      let connection;
      try {
          connection = await pool.getConnection();
+         await connection.beginTransaction();
+         const [current] = await connection.query("SELECT approval_status FROM Users WHERE user_id = ? FOR UPDATE", [userId]);
          // Update user details including status, division, and batch
          // Set division/batch to NULL if role is not Student
          const [result] = await connection.query(
@@ -771,14 +1077,20 @@ app.put('/api/admin/users/:userId', verifyToken, isAdmin, async (req, res) => {
          );
 
          if (result.affectedRows === 0) {
+              await connection.rollback();
               console.warn(`Update failed: User ID ${userId} not found.`);
              return res.status(404).json({ message: 'User not found.' });
          }
+         if (approval_status === 'Approved' && current[0]?.approval_status !== 'Approved') {
+             await notifyUsers(connection, [userId], ACCOUNT_APPROVED_NOTICE);
+         }
+         await connection.commit();
          // changedRows might be 0 if data submitted is identical to existing data
          console.log(`User ID ${userId} updated successfully (changedRows: ${result.changedRows}).`);
          res.json({ message: 'User details updated successfully.' });
 
      } catch (error) {
+         if (connection) await connection.rollback();
          console.error(`Error updating user ${userId}:`, error);
           if (error.code === 'ER_DUP_ENTRY') {
             return res.status(409).json({ message: `Update failed: Email '${email}' might already be in use.` });
@@ -789,254 +1101,4241 @@ app.put('/api/admin/users/:userId', verifyToken, isAdmin, async (req, res) => {
      }
 });
 
-// Temporary Hashing Route (Remove or secure properly for production)
-// app.post('/api/admin/generate-hash', verifyToken, isAdmin, async (req, res) => { ... });
+// --- ** Admin Base Timetable Management ** ---
+
+// Add the cancelled occurrences to schedule rows (rows must carry schedule_id):
+// cancelled_dates: ['YYYY-MM-DD'] - dates on which the class does not take place
+const withCancelledDates = async (connection, rows) => {
+    if (rows.length === 0) return rows;
+    const [exceptions] = await connection.query(`
+        SELECT schedule_id, DATE_FORMAT(exception_date, '%Y-%m-%d') AS exception_date
+        FROM ScheduleExceptions
+        WHERE schedule_id IN (?)
+        ORDER BY exception_date
+    `, [[...new Set(rows.map(row => row.schedule_id))]]);
+    return rows.map(row => ({
+        ...row,
+        cancelled_dates: exceptions.filter(e => e.schedule_id === row.schedule_id).map(e => e.exception_date),
+    }));
+};
+
+// Add the covered occurrences to schedule rows (rows must carry schedule_id):
+// substitutes: [{ class_date, professor_id, professor_name }] - who teaches instead on that date
+const attachSubstitutes = async (connection, rows) => {
+    if (rows.length === 0) return rows;
+    const [substitutions] = await connection.query(`
+        SELECT ss.schedule_id, DATE_FORMAT(ss.class_date, '%Y-%m-%d') AS class_date,
+               ss.substitute_professor_id AS professor_id, u.full_name AS professor_name
+        FROM ScheduleSubstitutions ss
+        JOIN Users u ON ss.substitute_professor_id = u.user_id
+        WHERE ss.schedule_id IN (?)
+        ORDER BY ss.class_date
+    `, [[...new Set(rows.map(row => row.schedule_id))]]);
+    return rows.map(row => ({
+        ...row,
+        substitutes: substitutions
+            .filter(sub => sub.schedule_id === row.schedule_id)
+            .map(({ schedule_id, ...sub }) => sub),
+    }));
+};
 
+// Validate a Base entry payload; returns an error message or null.
+// The audience is batch_ids and/or division_ids (whole divisions), or the legacy single batch_id.
+const validateBaseEntry = ({ course_id, professor_id, batch_id, batch_ids, division_ids, classroom_id, term_id, day_of_week, start_time, end_time }) => {
+    const hasAudience = batch_id != null
+        || (Array.isArray(batch_ids) && batch_ids.length > 0)
+        || (Array.isArray(division_ids) && division_ids.length > 0);
+    if (course_id == null || professor_id == null || !hasAudience || classroom_id == null || term_id == null || !day_of_week || !start_time || !end_time) {
+        return 'Missing required fields (Course, Professor, Batches or Divisions, Classroom, Term, Day, Times).';
+    }
+    if (!WEEK_DAYS.includes(day_of_week)) {
+        return 'Invalid day of week.';
+    }
+    if (!TIME_REGEX.test(start_time) || !TIME_REGEX.test(end_time)) {
+        return 'Invalid time (HH:MM) format.';
+    }
+    if (normalizeTime(start_time) >= normalizeTime(end_time)) {
+        return 'Start time must be before end time.';
+    }
+    return null;
+};
 
-// === PROFESSOR DASHBOARD ROUTES ===
+// Make sure the assigned user really is an approved professor
+const isApprovedProfessor = async (connection, userId) => {
+    const [rows] = await connection.query(
+        "SELECT user_id FROM Users WHERE user_id = ? AND role = 'Professor' AND approval_status = 'Approved'",
+        [userId]
+    );
+    return rows.length > 0;
+};
 
-// GET Courses (for Professor dropdown)
-app.get('/api/professor/courses', verifyToken, isProfessor, async (req, res) => {
+// GET Base Timetable Entries (optionally filtered to those a batch attends)
+// Each entry carries its audience (batch_ids and a combined batch_details label) and its substitutes.
+app.get('/api/admin/base-schedule', verifyToken, isAdmin, async (req, res) => {
+    const { batch_id } = req.query;
     let connection;
     try {
         connection = await pool.getConnection();
-        const [courses] = await connection.query(`
-            SELECT course_id, course_code, course_name, type 
-            FROM Courses 
-            ORDER BY course_code
-        `);
-        res.json(courses);
+        const [entries] = await connection.query(`
+            SELECT
+                s.schedule_id, s.course_id, s.professor_id, s.classroom_id, s.term_id, s.day_of_week,
+                DATE_FORMAT(s.start_time, '%H:%i') as start_time,
+                DATE_FORMAT(s.end_time, '%H:%i') as end_time,
+                c.course_code, c.course_name,
+                u.full_name AS professor_name,
+                cr.room_number,
+                t.term_name
+            FROM Schedule s
+            LEFT JOIN Courses c ON s.course_id = c.course_id
+            LEFT JOIN Users u ON s.professor_id = u.user_id
+            LEFT JOIN Classrooms cr ON s.classroom_id = cr.classroom_id
+            LEFT JOIN AcademicTerms t ON s.term_id = t.term_id
+            WHERE s.class_type = 'Base'
+              AND (? IS NULL OR EXISTS (SELECT 1 FROM ScheduleBatches sb WHERE sb.schedule_id = s.schedule_id AND sb.batch_id = ?))
+            ORDER BY FIELD(s.day_of_week, 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'), TIME(s.start_time)
+        `, [batch_id || null, batch_id || null]);
+        res.json(await attachAudiences(connection, await attachSubstitutes(connection, await withCancelledDates(connection, entries))));
     } catch (error) {
-        console.error('Error fetching courses for professor:', error);
-        res.status(500).json({ message: 'Server error fetching courses' });
+        console.error('Error fetching base schedule:', error);
+        res.status(500).json({ message: 'Server error fetching base schedule' });
     } finally {
         if (connection) connection.release();
     }
 });
 
-// GET Classrooms (for Professor dropdown)
-app.get('/api/professor/classrooms', verifyToken, isProfessor, async (req, res) => {
-    let connection;
-    try {
-        connection = await pool.getConnection();
-        const [classrooms] = await connection.query(`
-            SELECT classroom_id, room_number, building, type 
-            FROM Classrooms 
-            ORDER BY building, room_number
-        `);
-        res.json(classrooms);
-    } catch (error) {
-        console.error('Error fetching classrooms for professor:', error);
-        res.status(500).json({ message: 'Server error fetching classrooms' });
-    } finally {
-        if (connection) connection.release();
+// POST (Create) Base Timetable Entry
+// Body: { course_id, professor_id, batch_ids and/or division_ids, classroom_id, term_id, day_of_week, start_time, end_time }
+app.post('/api/admin/base-schedule', verifyToken, isAdmin, auditLog('Schedule', 'create'), async (req, res) => {
+    const { course_id, professor_id, classroom_id, term_id, day_of_week, start_time, end_time } = req.body;
+    console.log('Admin request to CREATE base schedule entry:', req.body);
+
+    const validationError = validateBaseEntry(req.body);
+    if (validationError) {
+        return res.status(400).json({ message: validationError });
     }
-});
 
-// GET Academic Structure (Batches) (for Professor dropdown)
-app.get('/api/professor/batches', verifyToken, isProfessor, async (req, res) => {
     let connection;
     try {
         connection = await pool.getConnection();
-        const structure = await getFullAcademicStructure(connection); // Use helper
-        res.json(structure);
-    } catch (error) {
-        console.error('Error fetching academic structure for professor:', error);
-        res.status(500).json({ message: 'Server error fetching academic structure' });
-    } finally {
-        if (connection) connection.release();
-    }
-});
+        await connection.beginTransaction();
 
+        if (!(await isApprovedProfessor(connection, professor_id))) {
+            await connection.rollback();
+            return res.status(400).json({ message: 'Selected user is not an approved professor.' });
+        }
 
-// === PROFESSOR SCHEDULE ROUTES ===
+        const { batchIds, error: audienceError } = await resolveAudienceBatchIds(connection, req.body);
+        if (audienceError) {
+            await connection.rollback();
+            return res.status(400).json({ message: audienceError });
+        }
 
-// GET Professor's Schedule
-app.get('/api/professor/my-schedule', verifyToken, isProfessor, async (req, res) => {
-    const professor_id = req.user.user_id;
-    let connection;
-    try {
-        connection = await pool.getConnection();
-        const [scheduleEvents] = await connection.query(`
-            SELECT 
-                s.schedule_id, 
-                s.class_type, 
-                s.day_of_week, 
-                s.class_date,
-                DATE_FORMAT(s.start_time, '%Y-%m-%d %H:%i:%s') as start_time,
-                DATE_FORMAT(s.end_time, '%Y-%m-%d %H:%i:%s') as end_time,
-                c.course_code, 
-                c.course_name,
-                cr.room_number,
-                -- Provide full batch details for professor's view
-                CONCAT(br.branch_code, '-', d.division_name, '-', b.batch_name) AS batch_details 
-            FROM Schedule s
-            LEFT JOIN Courses c ON s.course_id = c.course_id
-            LEFT JOIN Classrooms cr ON s.classroom_id = cr.classroom_id
-            LEFT JOIN Batches b ON s.batch_id = b.batch_id
-            LEFT JOIN Divisions d ON b.division_id = d.division_id
-            LEFT JOIN Branches br ON d.branch_id = br.branch_id
-            WHERE s.professor_id = ?
-            ORDER BY start_time, s.class_date; -- Use alias and date for correct sorting
-        `, [professor_id]);
+        const unsuitableReason = await checkRoomSuitability(connection, {
+            courseId: course_id, classroomId: classroom_id, batchIds,
+        });
+        if (unsuitableReason) {
+            await connection.rollback();
+            return res.status(409).json({ message: unsuitableReason });
+        }
 
-        res.json(scheduleEvents);
+        const slot = {
+            classType: 'Base', dayOfWeek: day_of_week, termId: term_id,
+            startTime: start_time, endTime: end_time,
+            classroomId: classroom_id, professorId: professor_id, batchIds, courseId: course_id,
+        };
+        const transitions = await checkTransitions(connection, slot);
+        const conflicts = [
+            ...await findScheduleConflicts(connection, slot),
+            ...transitions.blocking,
+            ...await findWorkloadViolations(connection, slot),
+        ];
+        if (conflicts.length > 0) {
+            await connection.rollback();
+            const conflictResponse = buildConflictResponse(conflicts);
+            console.warn(`Base schedule conflict detected: ${conflictResponse.message}`);
+            return res.status(409).json(conflictResponse);
+        }
 
+        const [result] = await connection.query(
+            `INSERT INTO Schedule
+                (course_id, professor_id, batch_id, classroom_id, day_of_week, start_time, end_time, class_type, class_date, term_id)
+             VALUES (?, ?, ?, ?, ?, ?, ?, 'Base', NULL, ?)`,
+            [
+                course_id, professor_id, batchIds[0], classroom_id, day_of_week,
+                `${BASE_ANCHOR_DATE} ${normalizeTime(start_time)}`,
+                `${BASE_ANCHOR_DATE} ${normalizeTime(end_time)}`,
+                term_id,
+            ]
+        );
+        await saveScheduleBatches(connection, result.insertId, batchIds);
+        // Elective students who would be double-booked are reported, not blocked
+        const studentClashes = await findStudentClashes(connection, slot, { excludeScheduleId: result.insertId });
+        await connection.commit();
+        console.log(`Base schedule entry created with ID: ${result.insertId}`);
+        res.status(201).json({
+            message: 'Base timetable entry created successfully', schedule_id: result.insertId,
+            ...buildBookingWarnings(transitions.warnings, studentClashes),
+        });
     } catch (error) {
-        console.error(`Error fetching schedule for professor ${professor_id}:`, error);
-        res.status(500).json({ message: 'Server error fetching schedule' });
+        if (connection) await connection.rollback();
+        console.error('Error creating base schedule entry:', error);
+        if (error.code === 'ER_NO_REFERENCED_ROW_2' || error.errno === 1452) {
+            return res.status(400).json({ message: 'Invalid Course, Professor, Batch, Classroom, or Term ID provided.' });
+        }
+        res.status(500).json({ message: 'Server error creating base timetable entry' });
     } finally {
         if (connection) connection.release();
     }
 });
 
-// POST Book Extra Class
-app.post('/api/book-extra-class', verifyToken, isProfessor, async (req, res) => {
-    const professor_id = req.user.user_id;
-    const { course_id, batch_id, classroom_id, class_date, start_time, end_time } = req.body;
-    console.log(`Professor ${professor_id} attempting to book extra class:`, req.body);
-
-    // --- Input Validation ---
-    if (course_id == null || batch_id == null || classroom_id == null || !class_date || !start_time || !end_time) {
-        return res.status(400).json({ message: 'Missing required fields (Course, Batch, Classroom, Date, Times).' });
-    }
-    const timeRegex = /^\d{2}:\d{2}(:\d{2})?$/; // HH:MM or HH:MM:SS
-    const dateRegex = /^\d{4}-\d{2}-\d{2}$/;   // YYYY-MM-DD
-    if (!dateRegex.test(class_date) || !timeRegex.test(start_time) || !timeRegex.test(end_time)) {
-         return res.status(400).json({ message: 'Invalid date (YYYY-MM-DD) or time (HH:MM) format.' });
-    }
-    if (start_time >= end_time) {
-         return res.status(400).json({ message: 'Start time must be before end time.' });
-    }
-    // Check if date is in the past (optional but recommended)
-    const today = new Date();
-    today.setHours(0, 0, 0, 0); // Set to beginning of today
-    const selectedDate = new Date(class_date + 'T00:00:00Z'); // Treat date as UTC start of day
-    if (isNaN(selectedDate) || selectedDate < today) {
-        return res.status(400).json({ message: 'Cannot schedule classes for past dates.' });
-    }
-
-    // Combine date and time into full DATETIME strings for DB
-    const fullStartTime = `${class_date} ${start_time.length === 5 ? start_time + ':00' : start_time}`; // Ensure seconds
-    const fullEndTime = `${class_date} ${end_time.length === 5 ? end_time + ':00' : end_time}`;     // Ensure seconds
+// PUT (Update) Base Timetable Entry
+app.put('/api/admin/base-schedule/:id', verifyToken, isAdmin, auditLog('Schedule', 'update'), async (req, res) => {
+    const { id } = req.params;
+    const { course_id, professor_id, classroom_id, term_id, day_of_week, start_time, end_time } = req.body;
+    console.log(`Admin request to UPDATE base schedule entry ID ${id}:`, req.body);
 
-    // Determine day of the week based on the provided date
-    let dayOfWeek;
-    try {
-        // Use UTC date object to avoid local timezone shifts when getting day name
-        const dateObj = new Date(class_date + 'T00:00:00Z');
-        if (isNaN(dateObj)) throw new Error('Invalid date');
-        // Get day name based on UTC date
-        dayOfWeek = dateObj.toLocaleDateString('en-US', { weekday: 'long', timeZone: 'UTC' });
-    } catch (dateError) {
-        console.error("Invalid date format provided for dayOfWeek calculation:", class_date, dateError);
-        return res.status(400).json({ message: 'Invalid date format (YYYY-MM-DD).' });
+    const validationError = validateBaseEntry(req.body);
+    if (validationError) {
+        return res.status(400).json({ message: validationError });
     }
 
     let connection;
     try {
         connection = await pool.getConnection();
-        await connection.beginTransaction(); // Start transaction for reliable conflict check
-
-        // --- Conflict Check Query ---
-        // Checks for overlaps with BOTH Base and Extra classes involving the
-        // requested classroom, professor, OR batch during the specified time.
-        const conflictQuery = `
-          SELECT 
-              s.schedule_id, 
-              s.class_type, 
-              s.day_of_week, 
-              s.class_date,
-              DATE_FORMAT(s.start_time, '%H:%i') as existing_start,
-              DATE_FORMAT(s.end_time, '%H:%i') as existing_end,
-              -- Identify which entity caused the conflict
-              CASE
-                  WHEN s.classroom_id = ? THEN 'Classroom' 
-                  WHEN s.professor_id = ? THEN 'Professor' 
-                  WHEN s.batch_id = ? THEN 'Batch' 
-                  ELSE 'Unknown Conflict' 
-              END AS conflict_entity,
-              -- Get details about the conflicting entity
-              CASE
-                  WHEN s.classroom_id = ? THEN COALESCE((SELECT cr.room_number FROM Classrooms cr WHERE cr.classroom_id = s.classroom_id), 'N/A')
-                  WHEN s.professor_id = ? THEN COALESCE((SELECT u.full_name FROM Users u WHERE u.user_id = s.professor_id), 'N/A')
-                  WHEN s.batch_id = ? THEN COALESCE((
-                      SELECT CONCAT(br.branch_code,'-',d.division_name,'-',b.batch_name) 
-                      FROM Batches b 
-                      JOIN Divisions d ON b.division_id=d.division_id 
-                      JOIN Branches br ON d.branch_id=br.branch_id 
-                      WHERE b.batch_id = s.batch_id
-                  ), 'N/A')
-                  ELSE 'Details unavailable'
-              END AS conflict_details
-          FROM Schedule s 
-          WHERE 
-              -- Check for time overlap: (ExistingStart < NewEnd) AND (ExistingEnd > NewStart)
-              (s.start_time < ? AND s.end_time > ?) 
-              AND (
-                  -- Conflict condition 1: Another Extra class on the SAME DATE involving room, prof, or batch
-                  (s.class_type = 'Extra' AND s.class_date = ? AND (s.classroom_id = ? OR s.professor_id = ? OR s.batch_id = ?)) 
-                  OR
-                  -- Conflict condition 2: A Base class on the SAME DAY OF WEEK involving room, prof, or batch
-                  (s.class_type = 'Base' AND s.day_of_week = ? AND (s.classroom_id = ? OR s.professor_id = ? OR s.batch_id = ?))
-              )
-          LIMIT 1 
-          FOR UPDATE; -- Lock the conflicting row(s) to prevent race conditions
-        `;
-        const conflictParams = [
-            classroom_id, professor_id, batch_id, // For CASE conflict_entity
-            classroom_id, professor_id, batch_id, // For CASE conflict_details
-            fullEndTime, fullStartTime,           // Time overlap check
-            class_date, classroom_id, professor_id, batch_id, // Extra class conflict check
-            dayOfWeek, classroom_id, professor_id, batch_id   // Base class conflict check
-        ];
+        await connection.beginTransaction();
 
-        const [conflicts] = await connection.query(conflictQuery, conflictParams);
+        const [existing] = await connection.query(
+            "SELECT schedule_id FROM Schedule WHERE schedule_id = ? AND class_type = 'Base' FOR UPDATE",
+            [id]
+        );
+        if (existing.length === 0) {
+            await connection.rollback();
+            return res.status(404).json({ message: 'Base timetable entry not found.' });
+        }
+        const before = await getClassSummary(connection, id);
+        const studentsBefore = await findClassStudentIds(connection, [id]);
 
-        if (conflicts.length > 0) {
-            await connection.rollback(); // Conflict found, rollback transaction
-            const conflict = conflicts[0];
-            const reason = `Conflict: ${conflict.conflict_entity} (${conflict.conflict_details}) is already booked for a ${conflict.class_type} class (${conflict.day_of_week || conflict.class_date} ${conflict.existing_start}-${conflict.existing_end}).`;
-            console.warn(`Booking conflict detected for professor ${professor_id}: ${reason}`);
-            return res.status(409).json({ message: reason });
+        if (!(await isApprovedProfessor(connection, professor_id))) {
+            await connection.rollback();
+            return res.status(400).json({ message: 'Selected user is not an approved professor.' });
         }
 
-        // --- No Conflicts Found: Insert the New Class ---
-        console.log(`No conflicts found for professor ${professor_id}. Proceeding to book.`);
-        const insertQuery = `
-            INSERT INTO Schedule 
-                (course_id, professor_id, batch_id, classroom_id, day_of_week, start_time, end_time, class_type, class_date) 
-            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
-        `;
-        const insertParams = [
-            course_id, professor_id, batch_id, classroom_id,
-            dayOfWeek, // Store the calculated day name
-            fullStartTime, fullEndTime,
-            'Extra', class_date
+        const { batchIds, error: audienceError } = await resolveAudienceBatchIds(connection, req.body);
+        if (audienceError) {
+            await connection.rollback();
+            return res.status(400).json({ message: audienceError });
+        }
+
+        const unsuitableReason = await checkRoomSuitability(connection, {
+            courseId: course_id, classroomId: classroom_id, batchIds,
+        });
+        if (unsuitableReason) {
+            await connection.rollback();
+            return res.status(409).json({ message: unsuitableReason });
+        }
+
+        const slot = {
+            classType: 'Base', dayOfWeek: day_of_week, termId: term_id,
+            startTime: start_time, endTime: end_time,
+            classroomId: classroom_id, professorId: professor_id, batchIds, courseId: course_id,
+        };
+        const transitions = await checkTransitions(connection, slot, { excludeScheduleId: id });
+        const conflicts = [
+            ...await findScheduleConflicts(connection, slot, { excludeScheduleId: id }),
+            ...transitions.blocking,
+            ...await findWorkloadViolations(connection, slot, { excludeScheduleId: id }),
         ];
-        const [insertResult] = await connection.query(insertQuery, insertParams);
+        if (conflicts.length > 0) {
+            await connection.rollback();
+            const conflictResponse = buildConflictResponse(conflicts);
+            console.warn(`Base schedule conflict detected while updating ${id}: ${conflictResponse.message}`);
+            return res.status(409).json(conflictResponse);
+        }
+
+        await connection.query(
+            `UPDATE Schedule SET
+                course_id = ?, professor_id = ?, batch_id = ?, classroom_id = ?,
+                day_of_week = ?, start_time = ?, end_time = ?, term_id = ?
+             WHERE schedule_id = ?`,
+            [
+                course_id, professor_id, batchIds[0], classroom_id, day_of_week,
+                `${BASE_ANCHOR_DATE} ${normalizeTime(start_time)}`,
+                `${BASE_ANCHOR_DATE} ${normalizeTime(end_time)}`,
+                term_id,
+                id
+            ]
+        );
+        await saveScheduleBatches(connection, id, batchIds);
+        const studentClashes = await findStudentClashes(connection, slot, { excludeScheduleId: id });
+        await notifyClassChanged(connection, {
+            before, after: await getClassSummary(connection, id),
+            studentsBefore, studentsAfter: await findClassStudentIds(connection, [id]),
+        });
+        await connection.commit();
+        res.json({
+            message: 'Base timetable entry updated successfully.',
+            ...buildBookingWarnings(transitions.warnings, studentClashes),
+        });
+    } catch (error) {
+        if (connection) await connection.rollback();
+        console.error(`Error updating base schedule entry ${id}:`, error);
+        if (error.code === 'ER_NO_REFERENCED_ROW_2' || error.errno === 1452) {
+            return res.status(400).json({ message: 'Invalid Course, Professor, Batch, Classroom, or Term ID provided.' });
+        }
+        res.status(500).json({ message: 'Server error updating base timetable entry' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// DELETE Base Timetable Entry
+app.delete('/api/admin/base-schedule/:id', verifyToken, isAdmin, auditLog('Schedule', 'delete'), async (req, res) => {
+    const { id } = req.params;
+    console.log(`Admin request to DELETE base schedule entry ID ${id}`);
+
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        await connection.beginTransaction();
+        const removed = await getClassSummary(connection, id);
+        if (!removed || removed.class_type !== 'Base') {
+            await connection.rollback();
+            return res.status(404).json({ message: 'Base timetable entry not found.' });
+        }
+        await notifyClassAudience(connection, [removed.schedule_id], {
+            type: 'ClassCancelled', title: `Timetable change: ${removed.course_code}`,
+            message: `${describeClass(removed)} has been removed from the timetable.`,
+        }, [removed.professor_id]);
+        await connection.query("DELETE FROM Schedule WHERE schedule_id = ? AND class_type = 'Base'", [id]);
+        await connection.commit();
+        res.json({ message: 'Base timetable entry deleted successfully.' });
+    } catch (error) {
+        if (connection) await connection.rollback();
+        console.error(`Error deleting base schedule entry ${id}:`, error);
+        res.status(500).json({ message: 'Server error deleting base timetable entry' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// --- ** Admin Base Timetable Import ** ---
+
+// Walking-time clashes between the slots of one request (import rows, draft entries), as messages per slot.
+// `label(index)` names the other slot, e.g. 'row 4'.
+const describeSlotTransitions = async (connection, slots, label) => {
+    const messages = slots.map(() => []);
+    (await findSlotTransitionClashes(connection, slots)).forEach(clash => {
+        const describe = (position, otherIndex) =>
+            `${clash.entities.join(' and ')} would have ${clash.gap_minutes} min to get from ${clash.from_building} to ${clash.to_building} ${position} ${label(otherIndex)}; ${clash.required_minutes} min needed.`;
+        messages[clash.fromIndex].push(describe('before', clash.toIndex));
+        messages[clash.toIndex].push(describe('after', clash.fromIndex));
+    });
+    return messages;
+};
+
+// 'mon', 'MONDAY', 'Monday' -> 'Monday'; anything but a full name or its 3-letter abbreviation is null
+const normalizeDayName = (value) => {
+    const name = String(value || '').trim().toLowerCase();
+    return WEEK_DAYS.find(day => day.toLowerCase() === name || day.slice(0, 3).toLowerCase() === name) || null;
+};
+
+// '9:00' -> '09:00', leaves 'HH:MM(:SS)' untouched; null if unparseable or out of range ('25:99')
+const normalizeImportTime = (value) => {
+    const match = String(value || '').trim().match(/^(\d{1,2}):(\d{2})(?::(\d{2}))?$/);
+    if (!match || Number(match[1]) > 23 || Number(match[2]) > 59 || Number(match[3] || 0) > 59) return null;
+    return `${match[1].padStart(2, '0')}:${match[2]}${match[3] ? ':' + match[3] : ''}`;
+};
+
+// POST Import Base Timetable (dry run or all-or-nothing commit)
+// Body: { dry_run: boolean, term_id, rows: [{ course_code, professor_email, batch, room_number, day, start_time, end_time }] }
+// `batch` is the branch-division-batch label, e.g. "CS-A-A1", or a branch-division label for the whole
+// division ("CS-A"); combined lectures list several separated by ';' or '+'. Every row is added to the given term.
+app.post('/api/admin/base-schedule/import', verifyToken, isAdmin, auditLog('BaseTimetable', 'import'), async (req, res) => {
+    const { rows, term_id } = req.body;
+    const dryRun = req.body.dry_run !== false; // Default to a dry run unless explicitly disabled
+    console.log(`Admin request to IMPORT base timetable: ${Array.isArray(rows) ? rows.length : 0} rows (dry run: ${dryRun})`);
+
+    if (!Array.isArray(rows) || rows.length === 0) {
+        return res.status(400).json({ message: 'No rows provided for import.' });
+    }
+    if (term_id == null) {
+        return res.status(400).json({ message: 'An academic term is required for the import.' });
+    }
+
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        await connection.beginTransaction();
+
+        const [terms] = await connection.query("SELECT term_id FROM AcademicTerms WHERE term_id = ?", [term_id]);
+        if (terms.length === 0) {
+            await connection.rollback();
+            return res.status(400).json({ message: 'Invalid Term ID provided.' });
+        }
+
+        // --- Lookup tables for resolving spreadsheet values to IDs ---
+        const [courses] = await connection.query("SELECT course_id, course_code FROM Courses");
+        const [professors] = await connection.query(
+            "SELECT user_id, email FROM Users WHERE role = 'Professor' AND approval_status = 'Approved'"
+        );
+        const [classrooms] = await connection.query("SELECT classroom_id, room_number FROM Classrooms");
+        const [batches] = await connection.query(`
+            SELECT b.batch_id,
+                   CONCAT(br.branch_code, '-', d.division_name, '-', b.batch_name) AS label,
+                   CONCAT(br.branch_code, '-', d.division_name) AS division_label
+            FROM Batches b
+            JOIN Divisions d ON b.division_id = d.division_id
+            JOIN Branches br ON d.branch_id = br.branch_id
+        `);
+        const courseMap = new Map(courses.map(c => [String(c.course_code).toLowerCase(), c.course_id]));
+        const professorMap = new Map(professors.map(p => [String(p.email).toLowerCase(), p.user_id]));
+        const classroomMap = new Map(classrooms.map(cr => [String(cr.room_number).toLowerCase(), cr.classroom_id]));
+        // Audience labels: a batch label maps to its batch, a division label to all of its batches
+        const audienceMap = new Map(batches.map(b => [String(b.label).toLowerCase(), [b.batch_id]]));
+        batches.forEach(b => {
+            const key = String(b.division_label).toLowerCase();
+            if (!audienceMap.has(key)) audienceMap.set(key, []);
+            if (!audienceMap.get(key).includes(b.batch_id)) audienceMap.get(key).push(b.batch_id);
+        });
+        const lookup = (map, value) => map.get(String(value ?? '').trim().toLowerCase());
+        // 'CS-A-A1 + CS-A-A2' -> [batch IDs]; null if any part is unknown
+        const lookupAudience = (value) => {
+            const parts = String(value ?? '').split(/[;+]/).map(part => part.trim()).filter(Boolean);
+            const resolved = parts.map(part => lookup(audienceMap, part));
+            if (parts.length === 0 || resolved.some(ids => !ids)) return null;
+            return [...new Set(resolved.flat())].sort((a, b) => a - b);
+        };
+
+        // --- Resolve every row ---
+        const report = rows.map((row, index) => {
+            const errors = [];
+            const courseId = lookup(courseMap, row.course_code);
+            const professorId = lookup(professorMap, row.professor_email);
+            const batchIds = lookupAudience(row.batch);
+            const classroomId = lookup(classroomMap, row.room_number);
+            const dayOfWeek = normalizeDayName(row.day);
+            const startTime = normalizeImportTime(row.start_time);
+            const endTime = normalizeImportTime(row.end_time);
+
+            if (!courseId) errors.push(`Unknown course code '${row.course_code ?? ''}'.`);
+            if (!professorId) errors.push(`No approved professor with email '${row.professor_email ?? ''}'.`);
+            if (!batchIds) errors.push(`Unknown batch '${row.batch ?? ''}' (expected Branch-Division-Batch or Branch-Division, several separated by ';').`);
+            if (!classroomId) errors.push(`Unknown room number '${row.room_number ?? ''}'.`);
+            if (!dayOfWeek) errors.push(`Invalid day '${row.day ?? ''}'.`);
+            if (!startTime || !endTime) {
+                errors.push('Invalid start or end time (HH:MM).');
+            } else if (normalizeTime(startTime) >= normalizeTime(endTime)) {
+                errors.push('Start time must be before end time.');
+            }
+
+            return {
+                row: index + 2, // Spreadsheet row number (row 1 is the header)
+                input: row,
+                slot: errors.length === 0
+                    ? { classType: 'Base', dayOfWeek, termId: term_id, startTime, endTime, classroomId, professorId, batchIds, courseId }
+                    : null,
+                errors,
+                warnings: [],
+            };
+        });
+
+        // --- Room suitability and conflict checks for resolved rows ---
+        const resolved = report.filter(r => r.slot);
+        for (const entry of resolved) {
+            const unsuitableReason = await checkRoomSuitability(connection, entry.slot);
+            if (unsuitableReason) entry.errors.push(unsuitableReason);
+            // Against existing Schedule rows, counting the professor's other rows in the file towards their workload
+            const otherClasses = resolved
+                .filter(other => other !== entry && other.slot.professorId === entry.slot.professorId)
+                .map(other => toWorkloadClass(other.slot));
+            const conflicts = await findScheduleConflicts(connection, entry.slot);
+            conflicts.push(...(await checkTransitions(connection, entry.slot)).blocking);
+            conflicts.push(...await findWorkloadViolations(connection, entry.slot, { otherClasses }));
+            conflicts.forEach(conflict => entry.errors.push(formatConflictMessage(conflict)));
+        }
+        // Against other rows in the same file
+        for (let i = 0; i < resolved.length; i++) {
+            for (let j = i + 1; j < resolved.length; j++) {
+                const clashes = findSlotClashes(resolved[i].slot, resolved[j].slot);
+                if (clashes.length > 0) {
+                    resolved[i].errors.push(`Clashes with row ${resolved[j].row} (${clashes.join(', ')}).`);
+                    resolved[j].errors.push(`Clashes with row ${resolved[i].row} (${clashes.join(', ')}).`);
+                }
+            }
+        }
+        const walks = await describeSlotTransitions(connection, resolved.map(r => r.slot), (index) => `row ${resolved[index].row}`);
+        resolved.forEach((entry, index) => (TRANSITION_POLICY === 'block' ? entry.errors : entry.warnings).push(...walks[index]));
+
+        const results = report.map(({ row, input, errors, warnings }) => ({
+            row, input, status: errors.length === 0 ? 'OK' : 'Error', errors, warnings
+        }));
+        const failedCount = results.filter(r => r.status !== 'OK').length;
+        const summary = { total: results.length, valid: results.length - failedCount, failed: failedCount };
+
+        if (dryRun || failedCount > 0) {
+            await connection.rollback();
+            if (!dryRun) {
+                console.warn(`Base timetable import aborted: ${failedCount} row(s) failed.`);
+                return res.status(409).json({ message: `Import aborted: ${failedCount} row(s) failed validation or clash. Nothing was imported.`, summary, results });
+            }
+            return res.json({ message: `Dry run complete: ${summary.valid} of ${summary.total} row(s) can be imported.`, summary, results });
+        }
+
+        // --- All rows are clean: insert them in the same transaction ---
+        for (const { slot } of resolved) {
+            const [result] = await connection.query(
+                `INSERT INTO Schedule
+                    (course_id, professor_id, batch_id, classroom_id, day_of_week, start_time, end_time, class_type, class_date, term_id)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, 'Base', NULL, ?)`,
+                [
+                    slot.courseId, slot.professorId, slot.batchIds[0], slot.classroomId, slot.dayOfWeek,
+                    `${BASE_ANCHOR_DATE} ${normalizeTime(slot.startTime)}`,
+                    `${BASE_ANCHOR_DATE} ${normalizeTime(slot.endTime)}`,
+                    slot.termId,
+                ]
+            );
+            await saveScheduleBatches(connection, result.insertId, slot.batchIds);
+        }
+        await connection.commit();
+        console.log(`Base timetable import committed: ${resolved.length} row(s).`);
+        res.status(201).json({ message: `Imported ${resolved.length} timetable entries successfully.`, summary, results });
+    } catch (error) {
+        if (connection) await connection.rollback();
+        console.error('Error importing base timetable:', error);
+        res.status(500).json({ message: 'Server error importing base timetable' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// --- ** Admin Timetable Generator ** ---
+// Generate returns a draft only; the admin reviews it and commits it separately.
+
+const GENERATOR_DEFAULT_WINDOWS = WEEK_DAYS.slice(0, 5).map(day => ({ day_of_week: day, start_time: '09:00', end_time: '17:00' }));
+
+// POST Generate a draft Base timetable for a division
+// Body: { division_id, term_id, period_minutes (default 60), windows: [{ day_of_week, start_time, end_time }],
+//         requirements: [{ course_id, professor_id, kind: 'Lecture'|'Lab', hours_per_week, audience: 'division'|'batch', session_periods }] }
+app.post('/api/admin/timetable/generate', verifyToken, isAdmin, async (req, res) => {
+    const { division_id, term_id, requirements } = req.body;
+    const windows = Array.isArray(req.body.windows) && req.body.windows.length > 0 ? req.body.windows : GENERATOR_DEFAULT_WINDOWS;
+    const periodMinutes = req.body.period_minutes ? parseInt(req.body.period_minutes) : 60;
+    console.log(`Admin request to GENERATE timetable for division ${division_id}: ${Array.isArray(requirements) ? requirements.length : 0} requirement(s)`);
+
+    if (division_id == null || term_id == null || !Array.isArray(requirements) || requirements.length === 0) {
+        return res.status(400).json({ message: 'Division, term and at least one course requirement are required.' });
+    }
+    if (isNaN(periodMinutes) || periodMinutes < 15 || periodMinutes > 240) {
+        return res.status(400).json({ message: 'Period length must be between 15 and 240 minutes.' });
+    }
+    for (const window of windows) {
+        if (!WEEK_DAYS.includes(window.day_of_week) || !TIME_REGEX.test(window.start_time || '') || !TIME_REGEX.test(window.end_time || '')
+            || normalizeTime(window.start_time) >= normalizeTime(window.end_time)) {
+            return res.status(400).json({ message: 'Each time window needs a valid day and a start time before its end time (HH:MM).' });
+        }
+    }
+    for (const [index, requirement] of requirements.entries()) {
+        const hours = Number(requirement.hours_per_week);
+        if (requirement.course_id == null || requirement.professor_id == null || !(hours > 0)
+            || !['Lecture', 'Lab'].includes(requirement.kind || 'Lecture')
+            || !['division', 'batch'].includes(requirement.audience || 'batch')) {
+            return res.status(400).json({ message: `Requirement ${index + 1} needs a course, a professor, weekly hours, a kind (Lecture/Lab) and an audience (division/batch).` });
+        }
+    }
+
+    let connection;
+    try {
+        connection = await pool.getConnection();
+
+        const [terms] = await connection.query("SELECT term_id FROM AcademicTerms WHERE term_id = ?", [term_id]);
+        if (terms.length === 0) {
+            return res.status(400).json({ message: 'Invalid Term ID provided.' });
+        }
+        const [batchRows] = await connection.query(`
+            SELECT b.batch_id, CONCAT(br.branch_code, '-', d.division_name, '-', b.batch_name) AS label
+            FROM Batches b
+            JOIN Divisions d ON b.division_id = d.division_id
+            JOIN Branches br ON d.branch_id = br.branch_id
+            WHERE b.division_id = ?
+            ORDER BY b.batch_name
+        `, [division_id]);
+        if (batchRows.length === 0) {
+            return res.status(400).json({ message: 'The selected division has no batches.' });
+        }
+        const batches = [];
+        for (const batch of batchRows) {
+            batches.push({ ...batch, size: await getAudienceSize(connection, batch.batch_id) });
+        }
+
+        const [courses] = await connection.query("SELECT course_id, course_code, course_name, type FROM Courses");
+        const [professors] = await connection.query(
+            "SELECT user_id, full_name FROM Users WHERE role = 'Professor' AND approval_status = 'Approved'"
+        );
+        const [classrooms] = await connection.query("SELECT classroom_id, room_number, building, capacity, type FROM Classrooms");
+        const courseMap = new Map(courses.map(c => [c.course_id, c]));
+        const professorMap = new Map(professors.map(p => [p.user_id, p]));
+
+        const resolvedRequirements = [];
+        for (const [index, requirement] of requirements.entries()) {
+            const course = courseMap.get(Number(requirement.course_id));
+            const professor = professorMap.get(Number(requirement.professor_id));
+            if (!course || !professor) {
+                return res.status(400).json({ message: `Requirement ${index + 1}: unknown course or professor is not approved.` });
+            }
+            const kind = requirement.kind || 'Lecture';
+            resolvedRequirements.push({
+                course, professor, kind,
+                hours: Number(requirement.hours_per_week),
+                audience: requirement.audience || 'batch',
+                sessionPeriods: parseInt(requirement.session_periods) || (kind === 'Lab' ? 2 : 1),
+            });
+        }
+
+        // Existing bookings, room reservations and exam duties in this term on each allowed weekday, plus approved professor leave
+        const busy = [];
+        for (const day of new Set(windows.map(w => w.day_of_week))) {
+            const bookings = [
+                ...await findBookingsOnWeekday(connection, day, term_id),
+                ...await findReservationsOnWeekday(connection, day, term_id),
+                ...await findExamDutiesOnWeekday(connection, day, term_id),
+            ];
+            bookings.forEach(b => busy.push({
+                day, start: toMinutes(b.start_time), end: toMinutes(b.end_time),
+                classroomId: b.classroom_id, professorId: b.professor_id, batchIds: b.batch_ids,
+            }));
+            const leave = await findUnavailabilityOnWeekday(connection, day, term_id);
+            leave.forEach(segment => busy.push({
+                day, start: toMinutes(segment.start_time), end: toMinutes(segment.end_time),
+                classroomId: null, professorId: segment.professor_id, batchIds: [],
+            }));
+        }
+
+        // Workload limits of the requirements' professors, measured with their Base classes already in this term
+        const { policyFor } = await getWorkloadPolicies(connection);
+        const baseWeek = await findBaseWeekClasses(connection, term_id);
+        const workloads = new Map(resolvedRequirements.map(({ professor }) => [professor.user_id, {
+            policy: policyFor(professor.user_id),
+            classes: baseWeek.get(professor.user_id) || [],
+        }]));
+
+        const { placements, unplaced } = generateTimetable({
+            requirements: resolvedRequirements,
+            batches,
+            classrooms,
+            windows: windows.map(w => ({ day: w.day_of_week, start: toMinutes(w.start_time), end: toMinutes(w.end_time) })),
+            periodMinutes,
+            busy,
+            workloads,
+        });
+
+        const dayOrder = (day) => WEEK_DAYS.indexOf(day);
+        const draft = placements
+            .sort((a, b) => (dayOrder(a.day) - dayOrder(b.day)) || (a.start - b.start))
+            .map(p => ({
+                course_id: p.requirement.course.course_id,
+                course_code: p.requirement.course.course_code,
+                kind: p.requirement.kind,
+                professor_id: p.requirement.professor.user_id,
+                professor_name: p.requirement.professor.full_name,
+                batch_ids: p.batches.map(b => b.batch_id),
+                batch_details: p.batches.map(b => b.label).join(', '),
+                classroom_id: p.classroom.classroom_id,
+                room_number: p.classroom.room_number,
+                day_of_week: p.day,
+                start_time: fromMinutes(p.start),
+                end_time: fromMinutes(p.end),
+            }));
+        const unplacedReport = unplaced.map(u => ({
+            course_code: u.requirement.course.course_code,
+            kind: u.requirement.kind,
+            professor_name: u.requirement.professor.full_name,
+            batch_details: u.batches.map(b => b.label).join(', '),
+            sessions_missing: u.missing,
+            reason: u.reason,
+        }));
+
+        const missingCount = unplacedReport.reduce((sum, u) => sum + u.sessions_missing, 0);
+        res.json({
+            message: missingCount === 0
+                ? `Draft ready: all ${draft.length} session(s) placed.`
+                : `Draft ready: ${draft.length} session(s) placed, ${missingCount} could not be placed.`,
+            summary: { placed: draft.length, unplaced: missingCount },
+            term_id,
+            draft,
+            unplaced: unplacedReport,
+        });
+    } catch (error) {
+        console.error('Error generating timetable:', error);
+        res.status(500).json({ message: 'Server error generating timetable' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// POST Commit a reviewed draft to Schedule (all entries or none)
+// Body: { term_id, entries: [{ course_id, professor_id, batch_ids, classroom_id, day_of_week, start_time, end_time }] }
+app.post('/api/admin/timetable/commit', verifyToken, isAdmin, auditLog('BaseTimetable', 'commit_generated'), async (req, res) => {
+    const { term_id, entries } = req.body;
+    console.log(`Admin request to COMMIT generated timetable: ${Array.isArray(entries) ? entries.length : 0} entries`);
+
+    if (term_id == null || !Array.isArray(entries) || entries.length === 0) {
+        return res.status(400).json({ message: 'A term and at least one draft entry are required.' });
+    }
+    for (const [index, entry] of entries.entries()) {
+        const validationError = !Array.isArray(entry.batch_ids) || entry.batch_ids.length === 0
+            ? 'At least one batch is required.'
+            : validateBaseEntry({ ...entry, term_id });
+        if (validationError) {
+            return res.status(400).json({ message: `Entry ${index + 1}: ${validationError}` });
+        }
+    }
+
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        await connection.beginTransaction();
+
+        // Check every entry as the Base CRUD routes would, counting the other entries as already booked,
+        // before inserting anything
+        const slots = entries.map(entry => ({
+            classType: 'Base', dayOfWeek: entry.day_of_week, termId: term_id,
+            startTime: entry.start_time, endTime: entry.end_time,
+            classroomId: entry.classroom_id, professorId: entry.professor_id, batchIds: entry.batch_ids,
+            courseId: entry.course_id,
+        }));
+        const walks = await describeSlotTransitions(connection, slots, (otherIndex) => `draft entry ${otherIndex + 1}`);
+        const results = [];
+        for (const [index, slot] of slots.entries()) {
+            const errors = [];
+            const warnings = [];
+            if (!(await isApprovedProfessor(connection, slot.professorId))) {
+                errors.push('Selected user is not an approved professor.');
+            }
+            const unsuitableReason = await checkRoomSuitability(connection, slot);
+            if (unsuitableReason) errors.push(unsuitableReason);
+            const others = slots.filter((other, otherIndex) => otherIndex !== index);
+            const conflicts = [
+                ...await findScheduleConflicts(connection, slot),
+                ...(await checkTransitions(connection, slot)).blocking,
+                ...await findWorkloadViolations(connection, slot, {
+                    otherClasses: others.filter(other => Number(other.professorId) === Number(slot.professorId)).map(toWorkloadClass),
+                }),
+            ];
+            conflicts.forEach(conflict => errors.push(formatConflictMessage(conflict)));
+            slots.forEach((other, otherIndex) => {
+                const clashes = otherIndex === index ? [] : findSlotClashes(slot, other);
+                if (clashes.length > 0) errors.push(`Clashes with draft entry ${otherIndex + 1} (${clashes.join(', ')}).`);
+            });
+            (TRANSITION_POLICY === 'block' ? errors : warnings).push(...walks[index]);
+            results.push({ entry: index + 1, status: errors.length === 0 ? 'OK' : 'Error', errors, warnings });
+        }
+
+        const failedCount = results.filter(r => r.status !== 'OK').length;
+        if (failedCount > 0) {
+            await connection.rollback();
+            console.warn(`Generated timetable commit aborted: ${failedCount} entry(ies) clash.`);
+            return res.status(409).json({ message: `Commit aborted: ${failedCount} entry(ies) now clash. Nothing was saved; generate a new draft.`, results });
+        }
+
+        // One Base row per session; a division-wide lecture is a single combined entry
+        for (const entry of entries) {
+            const [result] = await connection.query(
+                `INSERT INTO Schedule
+                    (course_id, professor_id, batch_id, classroom_id, day_of_week, start_time, end_time, class_type, class_date, term_id)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, 'Base', NULL, ?)`,
+                [
+                    entry.course_id, entry.professor_id, entry.batch_ids[0], entry.classroom_id, entry.day_of_week,
+                    `${BASE_ANCHOR_DATE} ${normalizeTime(entry.start_time)}`,
+                    `${BASE_ANCHOR_DATE} ${normalizeTime(entry.end_time)}`,
+                    term_id,
+                ]
+            );
+            await saveScheduleBatches(connection, result.insertId, entry.batch_ids);
+        }
+        await connection.commit();
+        console.log(`Generated timetable committed: ${entries.length} row(s).`);
+        res.status(201).json({ message: `Timetable committed: ${entries.length} Base timetable entries created.`, results });
+    } catch (error) {
+        if (connection) await connection.rollback();
+        console.error('Error committing generated timetable:', error);
+        if (error.code === 'ER_NO_REFERENCED_ROW_2' || error.errno === 1452) {
+            return res.status(400).json({ message: 'Invalid Course, Professor, Batch, Classroom, or Term ID in the draft.' });
+        }
+        res.status(500).json({ message: 'Server error committing timetable' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// --- ** Admin Timetable Drafts & Versions ** ---
+// A draft is a copy of a term's Base timetable that admins rework without students seeing it (lib/timetableVersions.js).
+// Publishing makes it live in one transaction; the timetable it replaces is kept as a Superseded version to roll back to.
+
+const VERSION_COLUMNS = `
+    v.version_id, v.term_id, t.term_name, v.name, v.status, v.created_at, v.published_at,
+    cu.full_name AS created_by_name, pu.full_name AS published_by_name,
+    (SELECT COUNT(*) FROM TimetableVersionEntries e WHERE e.version_id = v.version_id) AS entry_count`;
+const VERSION_JOINS = `
+    JOIN AcademicTerms t ON v.term_id = t.term_id
+    LEFT JOIN Users cu ON v.created_by = cu.user_id
+    LEFT JOIN Users pu ON v.published_by = pu.user_id`;
+
+// Version row, locked for the rest of the transaction; null when it does not exist
+const lockTimetableVersion = async (connection, versionId) => {
+    const [rows] = await connection.query(
+        "SELECT version_id, term_id, name, status FROM TimetableVersions WHERE version_id = ? FOR UPDATE",
+        [versionId]
+    );
+    return rows[0] || null;
+};
+
+// Make a checked version the term's live timetable: the live timetable is first saved into the currently
+// Published version (or a new one when nothing was published yet), which becomes Superseded.
+const makeVersionLive = async (connection, version, userId) => {
+    const [current] = await connection.query(
+        "SELECT version_id FROM TimetableVersions WHERE term_id = ? AND status = 'Published' AND version_id <> ? FOR UPDATE",
+        [version.term_id, version.version_id]
+    );
+    let supersededId = current[0]?.version_id;
+    if (!supersededId) {
+        const [result] = await connection.query(
+            "INSERT INTO TimetableVersions (term_id, name, status, created_by) VALUES (?, ?, 'Superseded', ?)",
+            [version.term_id, `Live timetable before "${version.name}"`.slice(0, 100), userId]
+        );
+        supersededId = result.insertId;
+    }
+    await snapshotLive(connection, version.term_id, supersededId);
+    await connection.query("UPDATE TimetableVersions SET status = 'Superseded' WHERE version_id = ?", [supersededId]);
+
+    const changes = await applyVersion(connection, version.term_id, version.version_id);
+    await connection.query(
+        "UPDATE TimetableVersions SET status = 'Published', published_by = ?, published_at = NOW() WHERE version_id = ?",
+        [userId, version.version_id]
+    );
+    return { changes, superseded_version_id: supersededId };
+};
+
+// Body for a 409 when a version cannot go live
+const versionProblemsResponse = (action, problems) => ({
+    message: `Cannot ${action}: ${problems.length} entr${problems.length === 1 ? 'y has' : 'ies have'} conflicts. ${problems[0].errors[0]}`,
+    problems,
+});
+
+// GET Timetable versions (drafts, the published one and superseded ones), optional ?term_id=
+app.get('/api/admin/timetable-versions', verifyToken, isAdmin, async (req, res) => {
+    const termId = req.query.term_id || null;
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        const [versions] = await connection.query(`
+            SELECT ${VERSION_COLUMNS}
+            FROM TimetableVersions v ${VERSION_JOINS}
+            WHERE (? IS NULL OR v.term_id = ?)
+            ORDER BY t.start_date DESC, FIELD(v.status, 'Draft', 'Published', 'Superseded'), COALESCE(v.published_at, v.created_at) DESC
+        `, [termId, termId]);
+        res.json(versions);
+    } catch (error) {
+        console.error('Error fetching timetable versions:', error);
+        res.status(500).json({ message: 'Server error fetching timetable versions' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// POST Create a draft: a copy of the term's live Base timetable, or of another version of the same term
+// Body: { term_id, name, from_version_id (optional) }
+app.post('/api/admin/timetable-versions', verifyToken, isAdmin, auditLog('TimetableVersion', 'create'), async (req, res) => {
+    const { term_id, from_version_id } = req.body;
+    const name = String(req.body.name || '').trim();
+    console.log('Admin request to CREATE timetable draft:', req.body);
+
+    if (term_id == null || !name) {
+        return res.status(400).json({ message: 'A term and a name are required.' });
+    }
+    if (name.length > 100) {
+        return res.status(400).json({ message: 'The name can be at most 100 characters.' });
+    }
+
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        await connection.beginTransaction();
+
+        const [terms] = await connection.query("SELECT term_id FROM AcademicTerms WHERE term_id = ?", [term_id]);
+        if (terms.length === 0) {
+            await connection.rollback();
+            return res.status(400).json({ message: 'Invalid Term ID provided.' });
+        }
+        const [result] = await connection.query(
+            "INSERT INTO TimetableVersions (term_id, name, status, created_by) VALUES (?, ?, 'Draft', ?)",
+            [term_id, name, req.user.user_id]
+        );
+        const versionId = result.insertId;
+
+        let entryCount;
+        if (from_version_id != null) {
+            const [sources] = await connection.query(
+                "SELECT version_id FROM TimetableVersions WHERE version_id = ? AND term_id = ?", [from_version_id, term_id]
+            );
+            if (sources.length === 0) {
+                await connection.rollback();
+                return res.status(400).json({ message: 'The version to copy does not exist or belongs to another term.' });
+            }
+            const entries = await getVersionEntries(connection, from_version_id);
+            for (const entry of entries) {
+                await insertVersionEntry(connection, versionId, entry, entry.source_schedule_id);
+            }
+            entryCount = entries.length;
+        } else {
+            entryCount = await snapshotLive(connection, term_id, versionId);
+        }
+
+        await connection.commit();
+        console.log(`Timetable draft ${versionId} created with ${entryCount} entries`);
+        res.status(201).json({ message: `Draft "${name}" created with ${entryCount} entries.`, version_id: versionId, entry_count: entryCount });
+    } catch (error) {
+        if (connection) await connection.rollback();
+        console.error('Error creating timetable draft:', error);
+        res.status(500).json({ message: 'Server error creating timetable draft' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// GET One version with its entries
+app.get('/api/admin/timetable-versions/:id', verifyToken, isAdmin, async (req, res) => {
+    const { id } = req.params;
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        const [versions] = await connection.query(`SELECT ${VERSION_COLUMNS} FROM TimetableVersions v ${VERSION_JOINS} WHERE v.version_id = ?`, [id]);
+        if (versions.length === 0) {
+            return res.status(404).json({ message: 'Timetable version not found.' });
+        }
+        res.json({ ...versions[0], entries: await getVersionEntries(connection, id) });
+    } catch (error) {
+        console.error(`Error fetching timetable version ${id}:`, error);
+        res.status(500).json({ message: 'Server error fetching timetable version' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// GET Preview of publishing a version: what changes against the live timetable, and entries that would conflict
+app.get('/api/admin/timetable-versions/:id/preview', verifyToken, isAdmin, async (req, res) => {
+    const { id } = req.params;
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        const [versions] = await connection.query("SELECT version_id, term_id, status FROM TimetableVersions WHERE version_id = ?", [id]);
+        if (versions.length === 0) {
+            return res.status(404).json({ message: 'Timetable version not found.' });
+        }
+        const { term_id } = versions[0];
+        const entries = await getVersionEntries(connection, id);
+        const { added, changed, unchanged, removed } = diffEntries(await getLiveEntries(connection, term_id), entries);
+        res.json({
+            version_id: Number(id),
+            changes: { added, changed, removed, unchanged: unchanged.length },
+            problems: await validateVersion(connection, term_id, entries),
+        });
+    } catch (error) {
+        console.error(`Error previewing timetable version ${id}:`, error);
+        res.status(500).json({ message: 'Server error previewing timetable version' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// DELETE A draft or superseded version (the published one is the live timetable's record and stays)
+app.delete('/api/admin/timetable-versions/:id', verifyToken, isAdmin, auditLog('TimetableVersion', 'delete'), async (req, res) => {
+    const { id } = req.params;
+    console.log(`Admin request to DELETE timetable version ${id}`);
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        await connection.beginTransaction();
+        const version = await lockTimetableVersion(connection, id);
+        if (!version) {
+            await connection.rollback();
+            return res.status(404).json({ message: 'Timetable version not found.' });
+        }
+        if (version.status === 'Published') {
+            await connection.rollback();
+            return res.status(409).json({ message: 'The published version cannot be deleted.' });
+        }
+        await connection.query("DELETE FROM TimetableVersions WHERE version_id = ?", [id]);
+        await connection.commit();
+        res.json({ message: `Version "${version.name}" deleted.` });
+    } catch (error) {
+        if (connection) await connection.rollback();
+        console.error(`Error deleting timetable version ${id}:`, error);
+        res.status(500).json({ message: 'Server error deleting timetable version' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// POST Add an entry to a draft, conflict-checked as if the draft were live
+// Body: { course_id, professor_id, batch_ids and/or division_ids, classroom_id, day_of_week, start_time, end_time }
+app.post('/api/admin/timetable-versions/:id/entries', verifyToken, isAdmin, auditLog('TimetableVersionEntry', 'create', { entityId: () => null }), async (req, res) => {
+    const { id } = req.params;
+    const { course_id, professor_id, classroom_id, day_of_week, start_time, end_time } = req.body;
+    console.log(`Admin request to ADD entry to timetable draft ${id}:`, req.body);
+
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        await connection.beginTransaction();
+
+        const version = await lockTimetableVersion(connection, id);
+        if (!version) {
+            await connection.rollback();
+            return res.status(404).json({ message: 'Timetable version not found.' });
+        }
+        if (version.status !== 'Draft') {
+            await connection.rollback();
+            return res.status(409).json({ message: 'Only drafts can be edited.' });
+        }
+        const validationError = validateBaseEntry({ ...req.body, term_id: version.term_id });
+        if (validationError) {
+            await connection.rollback();
+            return res.status(400).json({ message: validationError });
+        }
+        if (!(await isApprovedProfessor(connection, professor_id))) {
+            await connection.rollback();
+            return res.status(400).json({ message: 'Selected user is not an approved professor.' });
+        }
+        const { batchIds, error: audienceError } = await resolveAudienceBatchIds(connection, req.body);
+        if (audienceError) {
+            await connection.rollback();
+            return res.status(400).json({ message: audienceError });
+        }
+        const unsuitableReason = await checkRoomSuitability(connection, { courseId: course_id, classroomId: classroom_id, batchIds });
+        if (unsuitableReason) {
+            await connection.rollback();
+            return res.status(409).json({ message: unsuitableReason });
+        }
+
+        const entry = { entry_id: null, course_id, professor_id, classroom_id, day_of_week, start_time, end_time, batch_ids: batchIds };
+        const liveIds = new Set((await getLiveEntries(connection, version.term_id)).map(row => row.schedule_id));
+        const { conflicts, warnings } = await checkVersionEntry(connection, entry, {
+            termId: version.term_id, liveIds, others: await getVersionEntries(connection, id),
+        });
+        if (conflicts.length > 0) {
+            await connection.rollback();
+            const conflictResponse = buildConflictResponse(conflicts);
+            console.warn(`Timetable draft conflict detected: ${conflictResponse.message}`);
+            return res.status(409).json(conflictResponse);
+        }
+
+        const entryId = await insertVersionEntry(connection, id, entry);
+        await connection.commit();
+        res.status(201).json({
+            message: 'Draft entry added.', entry_id: entryId,
+            ...buildBookingWarnings(warnings, { student_count: 0, classes: [] }),
+        });
+    } catch (error) {
+        if (connection) await connection.rollback();
+        console.error(`Error adding entry to timetable draft ${id}:`, error);
+        if (error.code === 'ER_NO_REFERENCED_ROW_2' || error.errno === 1452) {
+            return res.status(400).json({ message: 'Invalid Course, Professor, Batch or Classroom ID provided.' });
+        }
+        res.status(500).json({ message: 'Server error adding draft entry' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// PUT Update an entry of a draft
+app.put('/api/admin/timetable-versions/:id/entries/:entryId', verifyToken, isAdmin, auditLog('TimetableVersionEntry', 'update', { entityId: (req) => req.params.entryId }), async (req, res) => {
+    const { id, entryId } = req.params;
+    const { course_id, professor_id, classroom_id, day_of_week, start_time, end_time } = req.body;
+    console.log(`Admin request to UPDATE entry ${entryId} of timetable draft ${id}:`, req.body);
+
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        await connection.beginTransaction();
+
+        const version = await lockTimetableVersion(connection, id);
+        if (!version) {
+            await connection.rollback();
+            return res.status(404).json({ message: 'Timetable version not found.' });
+        }
+        if (version.status !== 'Draft') {
+            await connection.rollback();
+            return res.status(409).json({ message: 'Only drafts can be edited.' });
+        }
+        const entries = await getVersionEntries(connection, id);
+        if (!entries.some(other => other.entry_id === Number(entryId))) {
+            await connection.rollback();
+            return res.status(404).json({ message: 'Draft entry not found.' });
+        }
+        const validationError = validateBaseEntry({ ...req.body, term_id: version.term_id });
+        if (validationError) {
+            await connection.rollback();
+            return res.status(400).json({ message: validationError });
+        }
+        if (!(await isApprovedProfessor(connection, professor_id))) {
+            await connection.rollback();
+            return res.status(400).json({ message: 'Selected user is not an approved professor.' });
+        }
+        const { batchIds, error: audienceError } = await resolveAudienceBatchIds(connection, req.body);
+        if (audienceError) {
+            await connection.rollback();
+            return res.status(400).json({ message: audienceError });
+        }
+        const unsuitableReason = await checkRoomSuitability(connection, { courseId: course_id, classroomId: classroom_id, batchIds });
+        if (unsuitableReason) {
+            await connection.rollback();
+            return res.status(409).json({ message: unsuitableReason });
+        }
+
+        const entry = { entry_id: Number(entryId), course_id, professor_id, classroom_id, day_of_week, start_time, end_time, batch_ids: batchIds };
+        const liveIds = new Set((await getLiveEntries(connection, version.term_id)).map(row => row.schedule_id));
+        const { conflicts, warnings } = await checkVersionEntry(connection, entry, {
+            termId: version.term_id, liveIds, others: entries.filter(other => other.entry_id !== entry.entry_id),
+        });
+        if (conflicts.length > 0) {
+            await connection.rollback();
+            const conflictResponse = buildConflictResponse(conflicts);
+            console.warn(`Timetable draft conflict detected while updating entry ${entryId}: ${conflictResponse.message}`);
+            return res.status(409).json(conflictResponse);
+        }
+
+        await connection.query(`
+            UPDATE TimetableVersionEntries
+            SET course_id = ?, professor_id = ?, classroom_id = ?, day_of_week = ?, start_time = ?, end_time = ?
+            WHERE entry_id = ?
+        `, [course_id, professor_id, classroom_id, day_of_week, normalizeTime(start_time), normalizeTime(end_time), entryId]);
+        await saveVersionEntryBatches(connection, entryId, batchIds);
+        await connection.commit();
+        res.json({ message: 'Draft entry updated.', ...buildBookingWarnings(warnings, { student_count: 0, classes: [] }) });
+    } catch (error) {
+        if (connection) await connection.rollback();
+        console.error(`Error updating entry ${entryId} of timetable draft ${id}:`, error);
+        if (error.code === 'ER_NO_REFERENCED_ROW_2' || error.errno === 1452) {
+            return res.status(400).json({ message: 'Invalid Course, Professor, Batch or Classroom ID provided.' });
+        }
+        res.status(500).json({ message: 'Server error updating draft entry' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// DELETE Remove an entry from a draft
+app.delete('/api/admin/timetable-versions/:id/entries/:entryId', verifyToken, isAdmin, auditLog('TimetableVersionEntry', 'delete', { entityId: (req) => req.params.entryId }), async (req, res) => {
+    const { id, entryId } = req.params;
+    console.log(`Admin request to DELETE entry ${entryId} of timetable draft ${id}`);
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        await connection.beginTransaction();
+        const version = await lockTimetableVersion(connection, id);
+        if (!version) {
+            await connection.rollback();
+            return res.status(404).json({ message: 'Timetable version not found.' });
+        }
+        if (version.status !== 'Draft') {
+            await connection.rollback();
+            return res.status(409).json({ message: 'Only drafts can be edited.' });
+        }
+        const [result] = await connection.query(
+            "DELETE FROM TimetableVersionEntries WHERE entry_id = ? AND version_id = ?", [entryId, id]
+        );
+        if (result.affectedRows === 0) {
+            await connection.rollback();
+            return res.status(404).json({ message: 'Draft entry not found.' });
+        }
+        await connection.commit();
+        res.json({ message: 'Draft entry removed.' });
+    } catch (error) {
+        if (connection) await connection.rollback();
+        console.error(`Error deleting entry ${entryId} of timetable draft ${id}:`, error);
+        res.status(500).json({ message: 'Server error removing draft entry' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// POST Publish a draft: re-check every entry, then replace the term's live Base timetable in one transaction
+app.post('/api/admin/timetable-versions/:id/publish', verifyToken, isAdmin, auditLog('TimetableVersion', 'publish'), async (req, res) => {
+    const { id } = req.params;
+    console.log(`Admin request to PUBLISH timetable draft ${id}`);
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        await connection.beginTransaction();
+        const version = await lockTimetableVersion(connection, id);
+        if (!version) {
+            await connection.rollback();
+            return res.status(404).json({ message: 'Timetable version not found.' });
+        }
+        if (version.status !== 'Draft') {
+            await connection.rollback();
+            return res.status(409).json({ message: `Only drafts can be published; this version is ${version.status}.` });
+        }
+        // Hold the term's live Base rows while they are compared and replaced
+        await connection.query("SELECT schedule_id FROM Schedule WHERE class_type = 'Base' AND term_id = ? FOR UPDATE", [version.term_id]);
+
+        const problems = await validateVersion(connection, version.term_id, await getVersionEntries(connection, id));
+        if (problems.length > 0) {
+            await connection.rollback();
+            return res.status(409).json(versionProblemsResponse('publish', problems));
+        }
+        const { changes, superseded_version_id } = await makeVersionLive(connection, version, req.user.user_id);
+        await connection.commit();
+        console.log(`Timetable version ${id} published:`, changes);
+        res.json({
+            message: `"${version.name}" is now live: ${changes.added} added, ${changes.changed} changed, ${changes.removed} removed, ${changes.unchanged} unchanged.`,
+            changes, superseded_version_id,
+        });
+    } catch (error) {
+        if (connection) await connection.rollback();
+        console.error(`Error publishing timetable version ${id}:`, error);
+        res.status(500).json({ message: 'Server error publishing timetable version' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// POST Roll back to a superseded version: it is checked and published again in place of the live timetable
+app.post('/api/admin/timetable-versions/:id/rollback', verifyToken, isAdmin, auditLog('TimetableVersion', 'rollback'), async (req, res) => {
+    const { id } = req.params;
+    console.log(`Admin request to ROLL BACK to timetable version ${id}`);
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        await connection.beginTransaction();
+        const version = await lockTimetableVersion(connection, id);
+        if (!version) {
+            await connection.rollback();
+            return res.status(404).json({ message: 'Timetable version not found.' });
+        }
+        if (version.status !== 'Superseded') {
+            await connection.rollback();
+            return res.status(409).json({ message: `Only superseded versions can be rolled back to; this version is ${version.status}.` });
+        }
+        await connection.query("SELECT schedule_id FROM Schedule WHERE class_type = 'Base' AND term_id = ? FOR UPDATE", [version.term_id]);
+
+        // Extra classes, reservations or leave added since may clash with the old timetable
+        const problems = await validateVersion(connection, version.term_id, await getVersionEntries(connection, id));
+        if (problems.length > 0) {
+            await connection.rollback();
+            return res.status(409).json(versionProblemsResponse('roll back', problems));
+        }
+        const { changes, superseded_version_id } = await makeVersionLive(connection, version, req.user.user_id);
+        await connection.commit();
+        console.log(`Rolled back to timetable version ${id}:`, changes);
+        res.json({
+            message: `Rolled back to "${version.name}": ${changes.added} added, ${changes.changed} changed, ${changes.removed} removed, ${changes.unchanged} unchanged.`,
+            changes, superseded_version_id,
+        });
+    } catch (error) {
+        if (connection) await connection.rollback();
+        console.error(`Error rolling back to timetable version ${id}:`, error);
+        res.status(500).json({ message: 'Server error rolling back timetable version' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// --- ** Admin Academic Terms & Holidays ** ---
+
+// Validate a term payload; returns an error message or null
+const validateTerm = ({ term_name, start_date, end_date }) => {
+    if (!term_name || !start_date || !end_date) {
+        return 'Term name, start date and end date are required.';
+    }
+    if (!DATE_REGEX.test(start_date) || !DATE_REGEX.test(end_date)) {
+        return 'Invalid date format. Use YYYY-MM-DD.';
+    }
+    if (start_date > end_date) {
+        return 'Term start date must be on or before its end date.';
+    }
+    return null;
+};
+
+// GET All Terms
+app.get('/api/admin/terms', verifyToken, isAdmin, async (req, res) => {
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        const [terms] = await connection.query(`
+            SELECT term_id, term_name,
+                   DATE_FORMAT(start_date, '%Y-%m-%d') AS start_date,
+                   DATE_FORMAT(end_date, '%Y-%m-%d') AS end_date
+            FROM AcademicTerms
+            ORDER BY start_date DESC
+        `);
+        res.json(terms);
+    } catch (error) {
+        console.error('Error fetching academic terms:', error);
+        res.status(500).json({ message: 'Server error fetching academic terms' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// POST (Create) New Term
+app.post('/api/admin/terms', verifyToken, isAdmin, auditLog('AcademicTerm', 'create'), async (req, res) => {
+    console.log('Admin request to CREATE academic term:', req.body);
+    const validationError = validateTerm(req.body);
+    if (validationError) return res.status(400).json({ message: validationError });
+    const { term_name, start_date, end_date } = req.body;
+
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        const [result] = await connection.query(
+            "INSERT INTO AcademicTerms (term_name, start_date, end_date) VALUES (?, ?, ?)",
+            [term_name, start_date, end_date]
+        );
+        res.status(201).json({ message: 'Academic term created successfully', term_id: result.insertId });
+    } catch (error) {
+        console.error('Error creating academic term:', error);
+        if (error.code === 'ER_DUP_ENTRY') {
+            return res.status(409).json({ message: 'A term with this name already exists.' });
+        }
+        res.status(500).json({ message: 'Server error creating academic term' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// PUT (Update) Term
+app.put('/api/admin/terms/:id', verifyToken, isAdmin, auditLog('AcademicTerm', 'update'), async (req, res) => {
+    const { id } = req.params;
+    console.log(`Admin request to UPDATE academic term ID ${id}:`, req.body);
+    const validationError = validateTerm(req.body);
+    if (validationError) return res.status(400).json({ message: validationError });
+    const { term_name, start_date, end_date } = req.body;
+
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        await connection.beginTransaction();
+        const [terms] = await connection.query(`
+            SELECT DATE_FORMAT(start_date, '%Y-%m-%d') AS start_date, DATE_FORMAT(end_date, '%Y-%m-%d') AS end_date
+            FROM AcademicTerms WHERE term_id = ? FOR UPDATE
+        `, [id]);
+        if (terms.length === 0) {
+            await connection.rollback();
+            return res.status(404).json({ message: 'Academic term not found.' });
+        }
+
+        // New dates bring the term's Base rows up against classes they were never checked against
+        const conflicts = await findTermChangeClashes(connection, id, {
+            oldStart: terms[0].start_date, oldEnd: terms[0].end_date, newStart: start_date, newEnd: end_date,
+        });
+        if (conflicts.length > 0) {
+            await connection.rollback();
+            const conflictResponse = buildConflictResponse(conflicts);
+            console.warn(`Academic term ${id} date change conflict detected: ${conflictResponse.message}`);
+            return res.status(409).json(conflictResponse);
+        }
+
+        await connection.query(
+            "UPDATE AcademicTerms SET term_name = ?, start_date = ?, end_date = ? WHERE term_id = ?",
+            [term_name, start_date, end_date, id]
+        );
+        await connection.commit();
+        res.json({ message: 'Academic term updated successfully.' });
+    } catch (error) {
+        if (connection) await connection.rollback();
+        console.error(`Error updating academic term ${id}:`, error);
+        if (error.code === 'ER_DUP_ENTRY') {
+            return res.status(409).json({ message: 'A term with this name already exists.' });
+        }
+        res.status(500).json({ message: 'Server error updating academic term' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// DELETE Term
+app.delete('/api/admin/terms/:id', verifyToken, isAdmin, auditLog('AcademicTerm', 'delete'), async (req, res) => {
+    const { id } = req.params;
+    console.log(`Admin request to DELETE academic term ID ${id}`);
+
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        const [result] = await connection.query("DELETE FROM AcademicTerms WHERE term_id = ?", [id]);
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ message: 'Academic term not found.' });
+        }
+        res.json({ message: 'Academic term deleted successfully.' });
+    } catch (error) {
+        console.error(`Error deleting academic term ${id}:`, error);
+        if (error.code === 'ER_ROW_IS_REFERENCED_2' || error.errno === 1451) {
+            return res.status(409).json({ message: 'Cannot delete term: Base timetable entries are assigned to it.' });
+        }
+        res.status(500).json({ message: 'Server error deleting academic term' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// Extra classes booked on a date, locked while a holiday that would forbid them is written
+const findExtraClassesOn = async (connection, date) => {
+    const [classes] = await connection.query(`
+        SELECT c.course_code, TIME_FORMAT(s.start_time, '%H:%i') AS start_time, TIME_FORMAT(s.end_time, '%H:%i') AS end_time
+        FROM Schedule s
+        JOIN Courses c ON s.course_id = c.course_id
+        WHERE s.class_type = 'Extra' AND s.class_date = ?
+        ORDER BY s.start_time
+        FOR UPDATE
+    `, [date]);
+    return classes;
+};
+
+// 409 message for a holiday that would forbid the extra classes already booked on its date
+const formatBookedExtrasMessage = (date, classes) =>
+    `${classes.length} extra class(es) are booked on ${date} (${classes.map(cls => `${cls.course_code} ${cls.start_time}-${cls.end_time}`).join(', ')}). `
+    + 'Cancel them first, or allow extra classes on this holiday.';
+
+// GET All Holidays
+app.get('/api/admin/holidays', verifyToken, isAdmin, async (req, res) => {
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        const [holidays] = await connection.query(`
+            SELECT holiday_id, DATE_FORMAT(holiday_date, '%Y-%m-%d') AS holiday_date, description, allow_extra_classes
+            FROM Holidays
+            ORDER BY holiday_date
+        `);
+        res.json(holidays);
+    } catch (error) {
+        console.error('Error fetching holidays:', error);
+        res.status(500).json({ message: 'Server error fetching holidays' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// POST (Create) New Holiday
+app.post('/api/admin/holidays', verifyToken, isAdmin, auditLog('Holiday', 'create'), async (req, res) => {
+    const { holiday_date, description, allow_extra_classes } = req.body;
+    console.log('Admin request to CREATE holiday:', req.body);
+
+    if (!holiday_date || !description) {
+        return res.status(400).json({ message: 'Holiday date and description are required.' });
+    }
+    if (!DATE_REGEX.test(holiday_date)) {
+        return res.status(400).json({ message: 'Invalid date format. Use YYYY-MM-DD.' });
+    }
+
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        await connection.beginTransaction();
+        if (!allow_extra_classes) {
+            const bookedExtras = await findExtraClassesOn(connection, holiday_date);
+            if (bookedExtras.length > 0) {
+                await connection.rollback();
+                return res.status(409).json({ message: formatBookedExtrasMessage(holiday_date, bookedExtras) });
+            }
+        }
+        const [result] = await connection.query(
+            "INSERT INTO Holidays (holiday_date, description, allow_extra_classes) VALUES (?, ?, ?)",
+            [holiday_date, description, Boolean(allow_extra_classes)]
+        );
+        await connection.commit();
+        res.status(201).json({ message: 'Holiday created successfully', holiday_id: result.insertId });
+    } catch (error) {
+        if (connection) await connection.rollback();
+        console.error('Error creating holiday:', error);
+        if (error.code === 'ER_DUP_ENTRY') {
+            return res.status(409).json({ message: 'A holiday already exists on this date.' });
+        }
+        res.status(500).json({ message: 'Server error creating holiday' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// PUT (Update) Holiday - description and the extra-class override
+app.put('/api/admin/holidays/:id', verifyToken, isAdmin, auditLog('Holiday', 'update'), async (req, res) => {
+    const { id } = req.params;
+    const { description, allow_extra_classes } = req.body;
+    console.log(`Admin request to UPDATE holiday ID ${id}:`, req.body);
+
+    if (!description) {
+        return res.status(400).json({ message: 'Description is required.' });
+    }
+
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        await connection.beginTransaction();
+        const [holidays] = await connection.query(
+            "SELECT DATE_FORMAT(holiday_date, '%Y-%m-%d') AS holiday_date, allow_extra_classes FROM Holidays WHERE holiday_id = ? FOR UPDATE",
+            [id]
+        );
+        if (holidays.length === 0) {
+            await connection.rollback();
+            return res.status(404).json({ message: 'Holiday not found.' });
+        }
+        if (holidays[0].allow_extra_classes && !allow_extra_classes) {
+            const bookedExtras = await findExtraClassesOn(connection, holidays[0].holiday_date);
+            if (bookedExtras.length > 0) {
+                await connection.rollback();
+                return res.status(409).json({ message: formatBookedExtrasMessage(holidays[0].holiday_date, bookedExtras) });
+            }
+        }
+        await connection.query(
+            "UPDATE Holidays SET description = ?, allow_extra_classes = ? WHERE holiday_id = ?",
+            [description, Boolean(allow_extra_classes), id]
+        );
+        await connection.commit();
+        res.json({ message: 'Holiday updated successfully.' });
+    } catch (error) {
+        if (connection) await connection.rollback();
+        console.error(`Error updating holiday ${id}:`, error);
+        res.status(500).json({ message: 'Server error updating holiday' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// DELETE Holiday
+app.delete('/api/admin/holidays/:id', verifyToken, isAdmin, auditLog('Holiday', 'delete'), async (req, res) => {
+    const { id } = req.params;
+    console.log(`Admin request to DELETE holiday ID ${id}`);
+
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        const [result] = await connection.query("DELETE FROM Holidays WHERE holiday_id = ?", [id]);
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ message: 'Holiday not found.' });
+        }
+        res.json({ message: 'Holiday deleted successfully.' });
+    } catch (error) {
+        console.error(`Error deleting holiday ${id}:`, error);
+        res.status(500).json({ message: 'Server error deleting holiday' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// GET Holidays for calendar views (any logged-in user), optional ?from=YYYY-MM-DD&to=YYYY-MM-DD
+app.get('/api/holidays', verifyToken, async (req, res) => {
+    const { from, to } = req.query;
+    if ((from && !DATE_REGEX.test(from)) || (to && !DATE_REGEX.test(to))) {
+        return res.status(400).json({ message: 'Invalid date format. Use YYYY-MM-DD.' });
+    }
+
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        const [holidays] = await connection.query(`
+            SELECT DATE_FORMAT(holiday_date, '%Y-%m-%d') AS holiday_date, description, allow_extra_classes
+            FROM Holidays
+            WHERE (? IS NULL OR holiday_date >= ?) AND (? IS NULL OR holiday_date <= ?)
+            ORDER BY holiday_date
+        `, [from || null, from || null, to || null, to || null]);
+        res.json(holidays);
+    } catch (error) {
+        console.error('Error fetching holiday calendar:', error);
+        res.status(500).json({ message: 'Server error fetching holidays' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// --- ** Admin Professor Unavailability ** ---
+// Professors submit unavailability (leave, conferences, ...); once approved it counts as busy time
+// in every conflict check, the free-slot finder and the timetable generator.
+
+const UNAVAILABILITY_STATUSES = ['Pending', 'Approved', 'Rejected'];
+
+// Window columns in the shape splitUnavailabilityByDay / findClassesInUnavailability expect
+const UNAVAILABILITY_COLUMNS = `
+    pu.unavailability_id, pu.professor_id, pu.reason, pu.status,
+    DATE_FORMAT(pu.start_datetime, '%Y-%m-%d') AS start_date, DATE_FORMAT(pu.start_datetime, '%H:%i') AS start_time,
+    DATE_FORMAT(pu.end_datetime, '%Y-%m-%d') AS end_date, DATE_FORMAT(pu.end_datetime, '%H:%i') AS end_time,
+    pu.created_at, pu.reviewed_at`;
+
+// Upcoming classes inside a window, with course code and audience, for flagging on the dashboards
+const getClassesInUnavailability = async (connection, window) => {
+    const classes = await findClassesInUnavailability(connection, window);
+    if (classes.length === 0) return classes;
+    const [courses] = await connection.query(
+        "SELECT s.schedule_id, c.course_code FROM Schedule s JOIN Courses c ON s.course_id = c.course_id WHERE s.schedule_id IN (?)",
+        [[...new Set(classes.map(cls => cls.schedule_id))]]
+    );
+    const courseCodes = new Map(courses.map(c => [c.schedule_id, c.course_code]));
+    return attachAudiences(connection, classes.map(cls => ({ ...cls, course_code: courseCodes.get(cls.schedule_id) || 'N/A' })));
+};
+
+// GET Unavailability requests, optional ?status=Pending|Approved|Rejected
+// Windows that are not over yet carry affected_classes: the professor's classes scheduled inside them
+app.get('/api/admin/unavailability', verifyToken, isAdmin, async (req, res) => {
+    const { status } = req.query;
+    if (status && !UNAVAILABILITY_STATUSES.includes(status)) {
+        return res.status(400).json({ message: `Status must be one of: ${UNAVAILABILITY_STATUSES.join(', ')}.` });
+    }
+
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        const [windows] = await connection.query(`
+            SELECT ${UNAVAILABILITY_COLUMNS},
+                   u.full_name AS professor_name, r.full_name AS reviewed_by_name,
+                   (pu.end_datetime > NOW()) AS is_upcoming
+            FROM ProfessorUnavailability pu
+            JOIN Users u ON pu.professor_id = u.user_id
+            LEFT JOIN Users r ON pu.reviewed_by = r.user_id
+            WHERE (? IS NULL OR pu.status = ?)
+            ORDER BY pu.status = 'Pending' DESC, pu.start_datetime
+        `, [status || null, status || null]);
+
+        const result = [];
+        for (const { is_upcoming, ...window } of windows) {
+            result.push({
+                ...window,
+                affected_classes: is_upcoming && window.status !== 'Rejected'
+                    ? await getClassesInUnavailability(connection, window)
+                    : [],
+            });
+        }
+        res.json(result);
+    } catch (error) {
+        console.error('Error fetching professor unavailability:', error);
+        res.status(500).json({ message: 'Server error fetching unavailability requests' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// PUT Approve or reject an unavailability request - Body: { status: 'Approved' | 'Rejected' }
+app.put('/api/admin/unavailability/:id', verifyToken, isAdmin, auditLog('Unavailability', 'review'), async (req, res) => {
+    const { id } = req.params;
+    const { status } = req.body;
+    console.log(`Admin request to set unavailability ${id} to ${status}`);
+
+    if (status !== 'Approved' && status !== 'Rejected') {
+        return res.status(400).json({ message: "Status must be 'Approved' or 'Rejected'." });
+    }
+
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        const [result] = await connection.query(
+            "UPDATE ProfessorUnavailability SET status = ?, reviewed_by = ?, reviewed_at = NOW() WHERE unavailability_id = ?",
+            [status, req.user.user_id, id]
+        );
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ message: 'Unavailability request not found.' });
+        }
+        if (status === 'Rejected') {
+            return res.json({ message: 'Unavailability rejected.', affected_classes: [] });
+        }
+
+        const [windows] = await connection.query(
+            `SELECT ${UNAVAILABILITY_COLUMNS} FROM ProfessorUnavailability pu WHERE pu.unavailability_id = ?`,
+            [id]
+        );
+        const affected = await getClassesInUnavailability(connection, windows[0]);
+        res.json({
+            message: affected.length === 0
+                ? 'Unavailability approved.'
+                : `Unavailability approved. ${affected.length} scheduled class(es) fall inside it and need to be moved or covered.`,
+            affected_classes: affected,
+        });
+    } catch (error) {
+        console.error(`Error reviewing unavailability ${id}:`, error);
+        res.status(500).json({ message: 'Server error reviewing unavailability' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// --- ** Admin Audit Log ** ---
+// Every successful change made through the API is written to AuditLog by the auditLog middleware (lib/audit.js).
+
+const AUDIT_PAGE_SIZE = 50;
+const AUDIT_MAX_PAGE_SIZE = 200;
+
+// GET Audit entries, newest first. Filters (all optional): entity_type, entity_id, action, actor_id,
+// actor (part of the actor's email), from / to (YYYY-MM-DD, inclusive); page (from 1) and page_size.
+// Also returns the entity types and actions present in the log, for the viewer's filters.
+app.get('/api/admin/audit-log', verifyToken, isAdmin, async (req, res) => {
+    const { entity_type, entity_id, action, actor_id, actor, from, to } = req.query;
+    if ((from && !DATE_REGEX.test(from)) || (to && !DATE_REGEX.test(to))) {
+        return res.status(400).json({ message: 'Dates must be in YYYY-MM-DD format.' });
+    }
+    if (actor_id && isNaN(parseInt(actor_id))) {
+        return res.status(400).json({ message: 'Invalid actor ID.' });
+    }
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(req.query.page_size) || AUDIT_PAGE_SIZE, 1), AUDIT_MAX_PAGE_SIZE);
+
+    const conditions = [];
+    const params = [];
+    const addFilter = (sql, ...values) => { conditions.push(sql); params.push(...values); };
+    if (entity_type) addFilter('a.entity_type = ?', entity_type);
+    if (entity_id) addFilter('a.entity_id = ?', String(entity_id));
+    if (action) addFilter('a.action = ?', action);
+    if (actor_id) addFilter('a.actor_id = ?', parseInt(actor_id));
+    if (actor) addFilter('a.actor_email LIKE ?', `%${actor}%`);
+    if (from) addFilter('a.created_at >= ?', from);
+    if (to) addFilter('a.created_at < DATE_ADD(?, INTERVAL 1 DAY)', to);
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        const [[{ total }]] = await connection.query(`SELECT COUNT(*) AS total FROM AuditLog a ${where}`, params);
+        const [entries] = await connection.query(`
+            SELECT a.audit_id, a.actor_id, a.actor_email, a.actor_role, u.full_name AS actor_name,
+                   a.action, a.entity_type, a.entity_id, a.before_values, a.after_values,
+                   a.method, a.path, a.status_code, a.ip_address, a.created_at
+            FROM AuditLog a
+            LEFT JOIN Users u ON a.actor_id = u.user_id
+            ${where}
+            ORDER BY a.created_at DESC, a.audit_id DESC
+            LIMIT ? OFFSET ?
+        `, [...params, pageSize, (page - 1) * pageSize]);
+        const [entityTypes] = await connection.query("SELECT DISTINCT entity_type FROM AuditLog ORDER BY entity_type");
+        const [actions] = await connection.query("SELECT DISTINCT action FROM AuditLog ORDER BY action");
+        res.json({
+            entries, total, page, page_size: pageSize,
+            entity_types: entityTypes.map(row => row.entity_type),
+            actions: actions.map(row => row.action),
+        });
+    } catch (error) {
+        console.error("Error fetching audit log:", error);
+        res.status(500).json({ message: 'Server error fetching audit log' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// --- ** Admin Workload Policies ** ---
+// Limits on how much a professor teaches (migrations/013_workload_policies.sql). Extra bookings, Base entries
+// and the timetable generator are checked against them (lib/workload.js); the report shows each professor's load.
+
+// Most a limit may be set to: hours per day, hours per week, classes in a row
+const WORKLOAD_LIMIT_MAX = { max_daily_hours: 24, max_weekly_hours: 168, max_consecutive: 24 };
+
+// Validate limits from a request body; empty or missing fields mean no limit (or, for a professor, the global one)
+const parseWorkloadLimits = (body) => {
+    const limits = {};
+    for (const field of WORKLOAD_LIMIT_FIELDS) {
+        const value = body[field];
+        if (value == null || value === '') {
+            limits[field] = null;
+            continue;
+        }
+        const number = Number(value);
+        const valid = field === 'max_consecutive'
+            ? Number.isInteger(number) && number >= 1
+            : number > 0 && Number.isInteger(number * 10); // DECIMAL(4,1)
+        if (!valid || number > WORKLOAD_LIMIT_MAX[field]) {
+            return {
+                error: field === 'max_consecutive'
+                    ? `Classes in a row must be a whole number between 1 and ${WORKLOAD_LIMIT_MAX[field]} (or empty).`
+                    : `Hours per ${field === 'max_daily_hours' ? 'day' : 'week'} must be between 0.1 and ${WORKLOAD_LIMIT_MAX[field]}, in steps of 0.1 (or empty).`,
+            };
+        }
+        limits[field] = number;
+    }
+    return { limits };
+};
+
+// GET Workload report for a week: each approved professor's hours per day and week and longest run
+// of consecutive classes, against their effective limits
+// Query: ?week_start=YYYY-MM-DD (any date; its Monday is used; default this week)
+app.get('/api/admin/workload', verifyToken, isAdmin, async (req, res) => {
+    const { week_start } = req.query;
+    if (week_start && !DATE_REGEX.test(week_start)) {
+        return res.status(400).json({ message: 'Invalid week_start format (YYYY-MM-DD).' });
+    }
+
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        const [[{ today }]] = await connection.query("SELECT DATE_FORMAT(CURDATE(), '%Y-%m-%d') AS today");
+        const weekStart = weekStartOf(week_start || today);
+        const [professors] = await connection.query(
+            "SELECT user_id, full_name FROM Users WHERE role = 'Professor' AND approval_status = 'Approved' ORDER BY full_name"
+        );
+        const { global, overrides, policyFor } = await getWorkloadPolicies(connection);
+        const week = await findWeekClasses(connection, weekStart);
+        const dates = [0, 1, 2, 3, 4, 5, 6].map(offset => addDaysToDateStr(weekStart, offset));
+
+        const report = professors.map(professor => {
+            const classes = week.get(professor.user_id) || [];
+            const limits = policyFor(professor.user_id);
+            const daily = dates.map(date => {
+                const sameDay = classes.filter(item => item.day === date);
+                return {
+                    date,
+                    hours: toHours(sameDay.reduce((sum, item) => sum + (item.end - item.start), 0)),
+                    longest_run: Math.max(0, ...splitIntoRuns(sameDay).map(run => run.length)),
+                };
+            });
+            const load = {
+                max_daily_hours: Math.max(...daily.map(day => day.hours)),
+                max_weekly_hours: toHours(classes.reduce((sum, item) => sum + (item.end - item.start), 0)),
+                max_consecutive: Math.max(...daily.map(day => day.longest_run)),
+            };
+            return {
+                professor_id: professor.user_id,
+                full_name: professor.full_name,
+                limits,
+                overrides: overrides.get(professor.user_id) || null,
+                class_count: classes.length,
+                weekly_hours: load.max_weekly_hours,
+                busiest_day_hours: load.max_daily_hours,
+                longest_run: load.max_consecutive,
+                daily,
+                over_limits: WORKLOAD_LIMIT_FIELDS.filter(field => limits[field] != null && load[field] > limits[field]),
+            };
+        });
+
+        res.json({
+            week_start: weekStart,
+            week_end: dates[6],
+            min_break_minutes: WORKLOAD_MIN_BREAK_MINUTES,
+            global,
+            professors: report,
+        });
+    } catch (error) {
+        console.error('Error building workload report:', error);
+        res.status(500).json({ message: 'Server error building workload report' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// PUT Global workload policy
+// Body: { max_daily_hours, max_weekly_hours, max_consecutive } - null/empty for no limit
+app.put('/api/admin/workload-policies/global', verifyToken, isAdmin, auditLog('WorkloadPolicy', 'update_global'), async (req, res) => {
+    console.log('Admin request to UPDATE global workload policy:', req.body);
+    const { limits, error } = parseWorkloadLimits(req.body);
+    if (error) {
+        return res.status(400).json({ message: error });
+    }
+
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        const [result] = await connection.query(
+            "UPDATE WorkloadPolicies SET max_daily_hours = ?, max_weekly_hours = ?, max_consecutive = ? WHERE professor_id IS NULL",
+            [limits.max_daily_hours, limits.max_weekly_hours, limits.max_consecutive]
+        );
+        if (result.affectedRows === 0) {
+            await connection.query(
+                "INSERT INTO WorkloadPolicies (professor_id, max_daily_hours, max_weekly_hours, max_consecutive) VALUES (NULL, ?, ?, ?)",
+                [limits.max_daily_hours, limits.max_weekly_hours, limits.max_consecutive]
+            );
+        }
+        res.json({ message: 'Global workload policy saved.', limits });
+    } catch (error) {
+        console.error('Error saving global workload policy:', error);
+        res.status(500).json({ message: 'Server error saving workload policy' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// PUT A professor's own workload policy (fields left empty follow the global policy)
+// Body: { max_daily_hours, max_weekly_hours, max_consecutive }
+app.put('/api/admin/workload-policies/:professorId', verifyToken, isAdmin, auditLog('WorkloadPolicy', 'update', { entityId: (req) => req.params.professorId }), async (req, res) => {
+    const { professorId } = req.params;
+    console.log(`Admin request to UPDATE workload policy of professor ${professorId}:`, req.body);
+    const { limits, error } = parseWorkloadLimits(req.body);
+    if (error) {
+        return res.status(400).json({ message: error });
+    }
+
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        const [professors] = await connection.query(
+            "SELECT full_name FROM Users WHERE user_id = ? AND role = 'Professor'", [professorId]
+        );
+        if (professors.length === 0) {
+            return res.status(404).json({ message: 'Professor not found.' });
+        }
+        await connection.query(`
+            INSERT INTO WorkloadPolicies (professor_id, max_daily_hours, max_weekly_hours, max_consecutive) VALUES (?, ?, ?, ?)
+            ON DUPLICATE KEY UPDATE max_daily_hours = VALUES(max_daily_hours), max_weekly_hours = VALUES(max_weekly_hours),
+                                    max_consecutive = VALUES(max_consecutive)
+        `, [professorId, limits.max_daily_hours, limits.max_weekly_hours, limits.max_consecutive]);
+        res.json({ message: `Workload policy saved for ${professors[0].full_name}.`, limits });
+    } catch (error) {
+        console.error('Error saving workload policy:', error);
+        res.status(500).json({ message: 'Server error saving workload policy' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// DELETE A professor's own workload policy: they follow the global policy again
+app.delete('/api/admin/workload-policies/:professorId', verifyToken, isAdmin, auditLog('WorkloadPolicy', 'delete', { entityId: (req) => req.params.professorId }), async (req, res) => {
+    const { professorId } = req.params;
+    console.log(`Admin request to RESET workload policy of professor ${professorId}`);
+
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        const [result] = await connection.query("DELETE FROM WorkloadPolicies WHERE professor_id = ?", [professorId]);
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ message: 'This professor has no workload policy of their own.' });
+        }
+        res.json({ message: 'Workload policy reset to the global limits.' });
+    } catch (error) {
+        console.error('Error resetting workload policy:', error);
+        res.status(500).json({ message: 'Server error resetting workload policy' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// --- ** Admin Exam Timetable ** ---
+// Exams are scheduled apart from Schedule: sessions (dated time windows) hold one exam per course,
+// seated across rooms by capacity, with invigilators per room. Rules live in lib/exams.js.
+
+// Validate an exam session payload; returns an error message or null
+const validateExamSession = ({ exam_date, session_name, start_time, end_time }) => {
+    if (!exam_date || !session_name || !String(session_name).trim() || !start_time || !end_time) {
+        return 'Date, session name, start time and end time are required.';
+    }
+    if (!DATE_REGEX.test(exam_date) || !getDayOfWeek(exam_date)) {
+        return 'Invalid date format. Use YYYY-MM-DD.';
+    }
+    if (!TIME_REGEX.test(start_time) || !TIME_REGEX.test(end_time)) {
+        return 'Invalid time format (HH:MM).';
+    }
+    if (normalizeTime(start_time) >= normalizeTime(end_time)) {
+        return 'Start time must be before end time.';
+    }
+    return null;
+};
+
+// An exam with its session window and batches; null when it does not exist
+const loadExam = async (connection, examId, { lock = false } = {}) => {
+    const [rows] = await connection.query(`
+        SELECT e.exam_id, e.session_id, e.course_id, c.course_code, c.is_elective,
+               DATE_FORMAT(es.exam_date, '%Y-%m-%d') AS exam_date,
+               TIME_FORMAT(es.start_time, '%H:%i') AS start_time, TIME_FORMAT(es.end_time, '%H:%i') AS end_time,
+               (SELECT GROUP_CONCAT(eb.batch_id ORDER BY eb.batch_id) FROM ExamBatches eb WHERE eb.exam_id = e.exam_id) AS batch_ids
+        FROM Exams e
+        JOIN ExamSessions es ON e.session_id = es.session_id
+        JOIN Courses c ON e.course_id = c.course_id
+        WHERE e.exam_id = ?
+        ${lock ? 'FOR UPDATE' : ''}
+    `, [examId]);
+    if (rows.length === 0) return null;
+    const { batch_ids, ...exam } = rows[0];
+    return { ...exam, batchIds: batch_ids ? String(batch_ids).split(',').map(Number) : [] };
+};
+
+// Candidates to seat for a loaded exam: the enrolled students of an elective, the members of its batches otherwise
+const getExamHeadcount = async (connection, exam) => {
+    if (exam.is_elective) return getEnrollmentCount(connection, exam.course_id);
+    return exam.batchIds.length > 0 ? getAudienceSize(connection, exam.batchIds) : 0;
+};
+
+// Add batch labels, headcount, rooms (with seats) and invigilators per room to exam rows
+const hydrateExams = async (connection, exams) => {
+    if (exams.length === 0) return exams;
+    const examIds = exams.map(exam => exam.exam_id);
+    const [batchRows] = await connection.query(`
+        SELECT eb.exam_id, b.batch_id, CONCAT(br.branch_code,'-',d.division_name,'-',b.batch_name) AS label,
+               (SELECT COUNT(*) FROM Users u WHERE u.role = 'Student' AND u.approval_status = 'Approved' AND u.batch_id = b.batch_id) AS students
+        FROM ExamBatches eb
+        JOIN Batches b ON eb.batch_id = b.batch_id
+        JOIN Divisions d ON b.division_id = d.division_id
+        JOIN Branches br ON d.branch_id = br.branch_id
+        WHERE eb.exam_id IN (?)
+        ORDER BY br.branch_code, d.division_name, b.batch_name
+    `, [examIds]);
+    // An elective's exam is written by its enrolled students, whatever their batch
+    const [enrolledRows] = await connection.query(`
+        SELECT e.exam_id, COUNT(ce.student_id) AS students
+        FROM Exams e
+        JOIN Courses c ON e.course_id = c.course_id
+        LEFT JOIN CourseEnrollments ce ON ce.course_id = e.course_id
+        WHERE c.is_elective AND e.exam_id IN (?)
+        GROUP BY e.exam_id
+    `, [examIds]);
+    const enrolledCounts = new Map(enrolledRows.map(row => [row.exam_id, Number(row.students)]));
+    const [roomRows] = await connection.query(`
+        SELECT er.exam_id, er.classroom_id, cr.room_number, cr.building, cr.capacity, er.seats_allocated
+        FROM ExamRooms er
+        JOIN Classrooms cr ON er.classroom_id = cr.classroom_id
+        WHERE er.exam_id IN (?)
+        ORDER BY cr.building, cr.room_number
+    `, [examIds]);
+    const [dutyRows] = await connection.query(`
+        SELECT ei.exam_id, ei.classroom_id, ei.professor_id, u.full_name
+        FROM ExamInvigilators ei
+        JOIN Users u ON ei.professor_id = u.user_id
+        WHERE ei.exam_id IN (?)
+        ORDER BY u.full_name
+    `, [examIds]);
+
+    return exams.map(exam => {
+        const batches = batchRows.filter(b => b.exam_id === exam.exam_id);
+        const rooms = roomRows
+            .filter(room => room.exam_id === exam.exam_id)
+            .map(({ exam_id, ...room }) => ({
+                ...room,
+                invigilators: dutyRows
+                    .filter(d => d.exam_id === exam.exam_id && d.classroom_id === room.classroom_id)
+                    .map(({ professor_id, full_name }) => ({ professor_id, full_name })),
+            }));
+        return {
+            ...exam,
+            batch_ids: batches.map(b => b.batch_id),
+            batch_details: batches.map(b => b.label).join(', '),
+            headcount: enrolledCounts.get(exam.exam_id) ?? batches.reduce((sum, b) => sum + Number(b.students), 0),
+            rooms,
+            seats_allocated: rooms.reduce((sum, room) => sum + room.seats_allocated, 0),
+        };
+    });
+};
+
+// GET Exam sessions (upcoming by default; ?all=true for every session)
+app.get('/api/admin/exam-sessions', verifyToken, isAdmin, async (req, res) => {
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        const [sessions] = await connection.query(`
+            SELECT es.session_id, es.session_name,
+                   DATE_FORMAT(es.exam_date, '%Y-%m-%d') AS exam_date,
+                   TIME_FORMAT(es.start_time, '%H:%i') AS start_time, TIME_FORMAT(es.end_time, '%H:%i') AS end_time,
+                   (SELECT COUNT(*) FROM Exams e WHERE e.session_id = es.session_id) AS exam_count
+            FROM ExamSessions es
+            WHERE ? OR es.exam_date >= CURDATE()
+            ORDER BY es.exam_date, es.start_time
+        `, [req.query.all === 'true']);
+        res.json(sessions);
+    } catch (error) {
+        console.error('Error fetching exam sessions:', error);
+        res.status(500).json({ message: 'Server error fetching exam sessions' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// POST (Create) Exam Session - Body: { exam_date, session_name, start_time, end_time }
+app.post('/api/admin/exam-sessions', verifyToken, isAdmin, auditLog('ExamSession', 'create'), async (req, res) => {
+    console.log('Admin request to CREATE exam session:', req.body);
+    const validationError = validateExamSession(req.body);
+    if (validationError) return res.status(400).json({ message: validationError });
+    const { exam_date, session_name, start_time, end_time } = req.body;
+
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        const [result] = await connection.query(
+            "INSERT INTO ExamSessions (exam_date, session_name, start_time, end_time) VALUES (?, ?, ?, ?)",
+            [exam_date, String(session_name).trim(), normalizeTime(start_time), normalizeTime(end_time)]
+        );
+        res.status(201).json({ message: 'Exam session created successfully', session_id: result.insertId });
+    } catch (error) {
+        console.error('Error creating exam session:', error);
+        if (error.code === 'ER_DUP_ENTRY') {
+            return res.status(409).json({ message: 'A session with this name already exists on that date.' });
+        }
+        res.status(500).json({ message: 'Server error creating exam session' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// DELETE Exam Session (and every exam placed in it)
+app.delete('/api/admin/exam-sessions/:id', verifyToken, isAdmin, auditLog('ExamSession', 'delete'), async (req, res) => {
+    const { id } = req.params;
+    console.log(`Admin request to DELETE exam session ID ${id}`);
+
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        const [result] = await connection.query("DELETE FROM ExamSessions WHERE session_id = ?", [id]);
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ message: 'Exam session not found.' });
+        }
+        res.json({ message: 'Exam session deleted successfully.' });
+    } catch (error) {
+        console.error(`Error deleting exam session ${id}:`, error);
+        res.status(500).json({ message: 'Server error deleting exam session' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// GET Exams with batches, headcount, rooms and invigilators - optional ?session_id=
+app.get('/api/admin/exams', verifyToken, isAdmin, async (req, res) => {
+    const { session_id } = req.query;
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        const [exams] = await connection.query(`
+            SELECT e.exam_id, e.session_id, es.session_name, e.course_id, c.course_code, c.course_name, e.notes,
+                   DATE_FORMAT(es.exam_date, '%Y-%m-%d') AS exam_date,
+                   TIME_FORMAT(es.start_time, '%H:%i') AS start_time, TIME_FORMAT(es.end_time, '%H:%i') AS end_time
+            FROM Exams e
+            JOIN ExamSessions es ON e.session_id = es.session_id
+            JOIN Courses c ON e.course_id = c.course_id
+            WHERE (? IS NULL OR e.session_id = ?) AND (? IS NOT NULL OR es.exam_date >= CURDATE())
+            ORDER BY es.exam_date, es.start_time, c.course_code
+        `, [session_id || null, session_id || null, session_id || null]);
+        res.json(await hydrateExams(connection, exams));
+    } catch (error) {
+        console.error('Error fetching exams:', error);
+        res.status(500).json({ message: 'Server error fetching exams' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// POST (Create) Exam - Body: { session_id, course_id, batch_ids / division_ids (optional), notes }
+// Without an explicit audience the exam is written by every batch the course is taught to.
+// Rejected with 409 when its students (enrolled students for an elective) would sit two exams at once or more than MAX_EXAMS_PER_DAY that day.
+app.post('/api/admin/exams', verifyToken, isAdmin, auditLog('Exam', 'create'), async (req, res) => {
+    console.log('Admin request to CREATE exam:', req.body);
+    const { session_id, course_id, batch_ids, division_ids, notes } = req.body;
+    if (session_id == null || course_id == null) {
+        return res.status(400).json({ message: 'Session and course are required.' });
+    }
+    const hasAudience = (Array.isArray(batch_ids) && batch_ids.length > 0) || (Array.isArray(division_ids) && division_ids.length > 0);
+
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        await connection.beginTransaction();
+
+        const [sessions] = await connection.query(`
+            SELECT session_id, DATE_FORMAT(exam_date, '%Y-%m-%d') AS exam_date,
+                   TIME_FORMAT(start_time, '%H:%i') AS start_time, TIME_FORMAT(end_time, '%H:%i') AS end_time
+            FROM ExamSessions WHERE session_id = ? FOR UPDATE
+        `, [session_id]);
+        if (sessions.length === 0) {
+            await connection.rollback();
+            return res.status(400).json({ message: 'Invalid Session ID provided.' });
+        }
+        const session = sessions[0];
+
+        let batchIds;
+        if (hasAudience) {
+            const audience = await resolveAudienceBatchIds(connection, { batch_ids, division_ids });
+            if (audience.error) {
+                await connection.rollback();
+                return res.status(400).json({ message: audience.error });
+            }
+            batchIds = audience.batchIds;
+        } else {
+            const [taught] = await connection.query(`
+                SELECT DISTINCT sb.batch_id
+                FROM Schedule s JOIN ScheduleBatches sb ON s.schedule_id = sb.schedule_id
+                WHERE s.course_id = ?
+                ORDER BY sb.batch_id
+            `, [course_id]);
+            batchIds = taught.map(row => row.batch_id);
+            if (batchIds.length === 0) {
+                await connection.rollback();
+                return res.status(400).json({ message: 'This course is not taught to any batch yet; select the batches writing the exam.' });
+            }
+        }
+
+        const conflicts = await findStudentExamClashes(connection, {
+            examDate: session.exam_date, startTime: session.start_time, endTime: session.end_time, batchIds, courseId: course_id,
+        });
+        if (conflicts.length > 0) {
+            await connection.rollback();
+            const conflictResponse = buildConflictResponse(conflicts);
+            console.warn(`Exam rejected: ${conflictResponse.message}`);
+            return res.status(409).json(conflictResponse);
+        }
+
+        const [result] = await connection.query(
+            "INSERT INTO Exams (session_id, course_id, notes) VALUES (?, ?, ?)",
+            [session_id, course_id, notes ? String(notes).trim() : null]
+        );
+        await connection.query(
+            "INSERT INTO ExamBatches (exam_id, batch_id) VALUES ?",
+            [batchIds.map(batchId => [result.insertId, batchId])]
+        );
+        await connection.commit();
+        res.status(201).json({ message: 'Exam scheduled successfully', exam_id: result.insertId });
+    } catch (error) {
+        if (connection) await connection.rollback();
+        console.error('Error creating exam:', error);
+        if (error.code === 'ER_DUP_ENTRY') {
+            return res.status(409).json({ message: 'This course already has an exam in this session.' });
+        }
+        if (error.errno === 1452) {
+            return res.status(400).json({ message: 'Invalid Course ID provided.' });
+        }
+        res.status(500).json({ message: 'Server error creating exam' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// DELETE Exam (with its rooms and invigilation duties)
+app.delete('/api/admin/exams/:id', verifyToken, isAdmin, auditLog('Exam', 'delete'), async (req, res) => {
+    const { id } = req.params;
+    console.log(`Admin request to DELETE exam ID ${id}`);
+
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        const [result] = await connection.query("DELETE FROM Exams WHERE exam_id = ?", [id]);
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ message: 'Exam not found.' });
+        }
+        res.json({ message: 'Exam deleted successfully.' });
+    } catch (error) {
+        console.error(`Error deleting exam ${id}:`, error);
+        res.status(500).json({ message: 'Server error deleting exam' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// GET Rooms that are free for an exam's session (no other exam, class or reservation), largest first
+app.get('/api/admin/exams/:id/free-rooms', verifyToken, isAdmin, async (req, res) => {
+    const { id } = req.params;
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        const exam = await loadExam(connection, id);
+        if (!exam) {
+            return res.status(404).json({ message: 'Exam not found.' });
+        }
+        const busyRoomIds = await findBusyExamRoomIds(connection, {
+            examDate: exam.exam_date, startTime: exam.start_time, endTime: exam.end_time,
+        }, { excludeExamId: exam.exam_id });
+        const [classrooms] = await connection.query(
+            "SELECT classroom_id, room_number, building, capacity, type FROM Classrooms ORDER BY capacity DESC, building, room_number"
+        );
+        res.json({
+            headcount: await getExamHeadcount(connection, exam),
+            classrooms: classrooms.filter(room => !busyRoomIds.has(room.classroom_id)),
+        });
+    } catch (error) {
+        console.error(`Error fetching free rooms for exam ${id}:`, error);
+        res.status(500).json({ message: 'Server error fetching free rooms' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// PUT Seat an exam's candidates - Body: { classroom_ids } (optional)
+// With classroom_ids the candidates fill those rooms in order; without, free rooms are picked
+// automatically using as few as possible. Invigilators stay on rooms that remain allocated.
+app.put('/api/admin/exams/:id/rooms', verifyToken, isAdmin, auditLog('Exam', 'assign_rooms', { snapshot: false }), async (req, res) => {
+    const { id } = req.params;
+    const { classroom_ids } = req.body;
+    console.log(`Admin request to allocate rooms for exam ${id}:`, req.body);
+    const requestedIds = Array.isArray(classroom_ids) ? [...new Set(classroom_ids.map(Number))] : [];
+    if (requestedIds.some(roomId => !Number.isInteger(roomId))) {
+        return res.status(400).json({ message: 'Invalid Classroom ID provided.' });
+    }
+
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        await connection.beginTransaction();
+
+        const exam = await loadExam(connection, id, { lock: true });
+        if (!exam) {
+            await connection.rollback();
+            return res.status(404).json({ message: 'Exam not found.' });
+        }
+        const headcount = await getExamHeadcount(connection, exam);
+        if (headcount === 0) {
+            await connection.rollback();
+            return res.status(400).json({ message: 'No approved students write this exam, so there is nobody to seat.' });
+        }
+
+        const busyRoomIds = await findBusyExamRoomIds(connection, {
+            examDate: exam.exam_date, startTime: exam.start_time, endTime: exam.end_time,
+        }, { excludeExamId: exam.exam_id });
+        const [classrooms] = await connection.query(
+            "SELECT classroom_id, room_number, capacity FROM Classrooms WHERE ? OR classroom_id IN (?)",
+            [requestedIds.length === 0, requestedIds.length > 0 ? requestedIds : [null]]
+        );
+
+        let allocations;
+        let shortfall;
+        if (requestedIds.length > 0) {
+            if (classrooms.length !== requestedIds.length) {
+                await connection.rollback();
+                return res.status(400).json({ message: 'Invalid Classroom ID provided.' });
+            }
+            const busy = classrooms.filter(room => busyRoomIds.has(room.classroom_id));
+            if (busy.length > 0) {
+                await connection.rollback();
+                return res.status(409).json({ message: `Conflict: ${busy.map(room => room.room_number).join(', ')} ${busy.length > 1 ? 'are' : 'is'} already in use during this session.` });
+            }
+            // Fill the rooms in the order given
+            const byId = new Map(classrooms.map(room => [room.classroom_id, room]));
+            let remaining = headcount;
+            allocations = [];
+            for (const roomId of requestedIds) {
+                if (remaining <= 0) break;
+                const room = byId.get(roomId);
+                const seats = Math.min(room.capacity, remaining);
+                allocations.push({ ...room, seats_allocated: seats });
+                remaining -= seats;
+            }
+            shortfall = remaining;
+        } else {
+            ({ allocations, shortfall } = allocateExamRooms(classrooms.filter(room => !busyRoomIds.has(room.classroom_id)), headcount));
+        }
+        if (shortfall > 0) {
+            await connection.rollback();
+            return res.status(409).json({ message: `Not enough seats: ${headcount} candidates, ${headcount - shortfall} seats ${requestedIds.length > 0 ? 'in the selected rooms' : 'in the free rooms'}.` });
+        }
+
+        const allocatedIds = allocations.map(room => room.classroom_id);
+        await connection.query("DELETE FROM ExamRooms WHERE exam_id = ? AND classroom_id NOT IN (?)", [exam.exam_id, allocatedIds]);
+        await connection.query(
+            "INSERT INTO ExamRooms (exam_id, classroom_id, seats_allocated) VALUES ? ON DUPLICATE KEY UPDATE seats_allocated = VALUES(seats_allocated)",
+            [allocations.map(room => [exam.exam_id, room.classroom_id, room.seats_allocated])]
+        );
+        await connection.commit();
+        res.json({
+            message: `Seated ${headcount} candidates in ${allocations.length} room${allocations.length > 1 ? 's' : ''}: ${allocations.map(room => `${room.room_number} (${room.seats_allocated})`).join(', ')}.`,
+            rooms: allocations,
+        });
+    } catch (error) {
+        if (connection) await connection.rollback();
+        console.error(`Error allocating rooms for exam ${id}:`, error);
+        res.status(500).json({ message: 'Server error allocating exam rooms' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// PUT Replace an exam's invigilators - Body: { assignments: [{ classroom_id, professor_id }] }
+// Each professor supervises one allocated room and must be free: no class or approved leave
+// during the session and no other invigilation duty in an overlapping session.
+app.put('/api/admin/exams/:id/invigilators', verifyToken, isAdmin, auditLog('Exam', 'assign_invigilators', { snapshot: false }), async (req, res) => {
+    const { id } = req.params;
+    const { assignments } = req.body;
+    console.log(`Admin request to assign invigilators for exam ${id}:`, req.body);
+    if (!Array.isArray(assignments) || assignments.some(a => !Number.isInteger(Number(a?.classroom_id)) || !Number.isInteger(Number(a?.professor_id)))) {
+        return res.status(400).json({ message: 'Assignments must be a list of { classroom_id, professor_id }.' });
+    }
+    const duties = assignments.map(a => ({ classroomId: Number(a.classroom_id), professorId: Number(a.professor_id) }));
+    const professorIds = [...new Set(duties.map(d => d.professorId))];
+    if (professorIds.length !== duties.length) {
+        return res.status(400).json({ message: 'A professor can only supervise one room of an exam.' });
+    }
+
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        await connection.beginTransaction();
+
+        const exam = await loadExam(connection, id, { lock: true });
+        if (!exam) {
+            await connection.rollback();
+            return res.status(404).json({ message: 'Exam not found.' });
+        }
+        const [rooms] = await connection.query("SELECT classroom_id FROM ExamRooms WHERE exam_id = ?", [exam.exam_id]);
+        const allocatedIds = new Set(rooms.map(room => room.classroom_id));
+        if (duties.some(d => !allocatedIds.has(d.classroomId))) {
+            await connection.rollback();
+            return res.status(400).json({ message: 'Invigilators can only be assigned to rooms allocated to this exam.' });
+        }
+
+        if (professorIds.length > 0) {
+            const [professors] = await connection.query(
+                "SELECT user_id FROM Users WHERE user_id IN (?) AND role = 'Professor' AND approval_status = 'Approved'",
+                [professorIds]
+            );
+            if (professors.length !== professorIds.length) {
+                await connection.rollback();
+                return res.status(400).json({ message: 'Invigilators must be approved professors.' });
+            }
+
+            const window = { examDate: exam.exam_date, startTime: exam.start_time, endTime: exam.end_time };
+            const conflicts = await findInvigilatorClashes(connection, { ...window, professorIds }, { excludeExamId: exam.exam_id });
+            for (const professorId of professorIds) {
+                const teaching = await findScheduleConflicts(connection, {
+                    classType: 'Extra', classDate: exam.exam_date, dayOfWeek: getDayOfWeek(exam.exam_date),
+                    startTime: exam.start_time, endTime: exam.end_time, classroomId: null, professorId, batchIds: [],
+                });
+                conflicts.push(...teaching.filter(conflict => conflict.conflict_entity === 'Professor'));
+            }
+            if (conflicts.length > 0) {
+                await connection.rollback();
+                const conflictResponse = buildConflictResponse(conflicts);
+                console.warn(`Invigilators rejected for exam ${id}: ${conflictResponse.message}`);
+                return res.status(409).json(conflictResponse);
+            }
+        }
+
+        await connection.query("DELETE FROM ExamInvigilators WHERE exam_id = ?", [exam.exam_id]);
+        if (duties.length > 0) {
+            await connection.query(
+                "INSERT INTO ExamInvigilators (exam_id, classroom_id, professor_id) VALUES ?",
+                [duties.map(d => [exam.exam_id, d.classroomId, d.professorId])]
+            );
+        }
+        await connection.commit();
+        res.json({ message: `${duties.length} invigilator${duties.length === 1 ? '' : 's'} assigned.` });
+    } catch (error) {
+        if (connection) await connection.rollback();
+        console.error(`Error assigning invigilators for exam ${id}:`, error);
+        res.status(500).json({ message: 'Server error assigning invigilators' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// Temporary Hashing Route (Remove or secure properly for production)
+// app.post('/api/admin/generate-hash', verifyToken, isAdmin, async (req, res) => { ... });
+
+
+// === PROFESSOR DASHBOARD ROUTES ===
+
+// GET Courses (for Professor dropdown)
+app.get('/api/professor/courses', verifyToken, isProfessor, async (req, res) => {
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        const [courses] = await connection.query(`
+            SELECT course_id, course_code, course_name, type 
+            FROM Courses 
+            ORDER BY course_code
+        `);
+        res.json(courses);
+    } catch (error) {
+        console.error('Error fetching courses for professor:', error);
+        res.status(500).json({ message: 'Server error fetching courses' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// GET Classrooms (for Professor dropdown)
+app.get('/api/professor/classrooms', verifyToken, isProfessor, async (req, res) => {
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        const [classrooms] = await connection.query(`
+            SELECT classroom_id, room_number, building, type 
+            FROM Classrooms 
+            ORDER BY building, room_number
+        `);
+        res.json(classrooms);
+    } catch (error) {
+        console.error('Error fetching classrooms for professor:', error);
+        res.status(500).json({ message: 'Server error fetching classrooms' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// GET Academic Structure (Batches) (for Professor dropdown)
+app.get('/api/professor/batches', verifyToken, isProfessor, async (req, res) => {
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        const structure = await getFullAcademicStructure(connection); // Use helper
+        res.json(structure);
+    } catch (error) {
+        console.error('Error fetching academic structure for professor:', error);
+        res.status(500).json({ message: 'Server error fetching academic structure' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+
+// === PROFESSOR SCHEDULE ROUTES ===
+
+// GET Professor's Schedule
+app.get('/api/professor/my-schedule', verifyToken, isProfessor, async (req, res) => {
+    const professor_id = req.user.user_id;
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        const [scheduleEvents] = await connection.query(`
+            SELECT 
+                s.schedule_id, 
+                s.class_type, 
+                s.audience_scope,
+                s.series_id,
+                s.day_of_week, 
+                s.class_date,
+                s.classroom_id,
+                DATE_FORMAT(s.start_time, '%Y-%m-%d %H:%i:%s') as start_time,
+                DATE_FORMAT(s.end_time, '%Y-%m-%d %H:%i:%s') as end_time,
+                c.course_code, 
+                c.course_name,
+                cr.room_number,
+                -- Term bounds for Base classes (NULL = runs every week)
+                DATE_FORMAT(t.start_date, '%Y-%m-%d') AS term_start_date,
+                DATE_FORMAT(t.end_date, '%Y-%m-%d') AS term_end_date
+            FROM Schedule s
+            LEFT JOIN Courses c ON s.course_id = c.course_id
+            LEFT JOIN Classrooms cr ON s.classroom_id = cr.classroom_id
+            LEFT JOIN AcademicTerms t ON s.term_id = t.term_id
+            WHERE s.professor_id = ?
+            ORDER BY start_time, s.class_date; -- Use alias and date for correct sorting
+        `, [professor_id]);
+
+        // Single occurrences of colleagues' classes this professor covers as a substitute
+        const [coverEvents] = await connection.query(`
+            SELECT
+                s.schedule_id,
+                s.class_type,
+                s.audience_scope,
+                s.day_of_week,
+                DATE_FORMAT(ss.class_date, '%Y-%m-%d') AS class_date,
+                s.classroom_id,
+                DATE_FORMAT(s.start_time, '%Y-%m-%d %H:%i:%s') as start_time,
+                DATE_FORMAT(s.end_time, '%Y-%m-%d %H:%i:%s') as end_time,
+                c.course_code,
+                c.course_name,
+                cr.room_number,
+                u.full_name AS covering_for,
+                ss.note AS cover_note
+            FROM ScheduleSubstitutions ss
+            JOIN Schedule s ON ss.schedule_id = s.schedule_id
+            LEFT JOIN Courses c ON s.course_id = c.course_id
+            LEFT JOIN Classrooms cr ON s.classroom_id = cr.classroom_id
+            LEFT JOIN Users u ON s.professor_id = u.user_id
+            WHERE ss.substitute_professor_id = ?
+            ORDER BY ss.class_date, s.start_time
+        `, [professor_id]);
+
+        // Full audience (combined batches / divisions) for the professor's view; own rows list
+        // the occurrences a colleague covers (substitutes), cover rows are flagged is_cover
+        const ownEvents = await attachSubstitutes(connection, await withCancelledDates(connection, scheduleEvents));
+        res.json(await attachAudiences(connection, [
+            ...ownEvents,
+            ...coverEvents.map(event => ({ ...event, is_cover: true, cancelled_dates: [], substitutes: [] })),
+        ]));
+
+    } catch (error) {
+        console.error(`Error fetching schedule for professor ${professor_id}:`, error);
+        res.status(500).json({ message: 'Server error fetching schedule' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// Extra classes are blocked on holidays unless an admin has allowed bookings for that date
+const getHolidayBlockMessage = async (connection, classDate) => {
+    const holiday = await getHoliday(connection, classDate);
+    if (!holiday || holiday.allow_extra_classes) return null;
+    return `${classDate} is a holiday (${holiday.description}). Extra classes cannot be booked on this date.`;
+};
+
+// Validate the date/time part of an Extra class payload; returns an error message or null
+const validateExtraSlot = ({ class_date, start_time, end_time }) => {
+    if (!DATE_REGEX.test(class_date) || !TIME_REGEX.test(start_time) || !TIME_REGEX.test(end_time)) {
+        return 'Invalid date (YYYY-MM-DD) or time (HH:MM) format.';
+    }
+    if (normalizeTime(start_time) >= normalizeTime(end_time)) {
+        return 'Start time must be before end time.';
+    }
+    if (!getDayOfWeek(class_date)) {
+        return 'Invalid date format (YYYY-MM-DD).';
+    }
+    // Check if date is in the past
+    const today = new Date();
+    today.setHours(0, 0, 0, 0); // Set to beginning of today
+    const selectedDate = new Date(class_date + 'T00:00:00Z'); // Treat date as UTC start of day
+    if (selectedDate < today) {
+        return 'Cannot schedule classes for past dates.';
+    }
+    return null;
+};
+
+// --- Free-slot finder ---
+// Candidate windows are generated inside teaching hours on a fixed grid.
+const SLOT_DAY_START = '08:00';
+const SLOT_DAY_END = '18:00';
+const SLOT_STEP_MINUTES = 30;
+const MAX_SLOT_SEARCH_DAYS = 14;
+const MAX_SLOT_SUGGESTIONS = 50;
+
+// GET Free windows where the professor, every attending batch and at least one suitable room are all free
+// Query: audience (audience_scope + batch_id / division_id / branch_id, as for a booking), duration (minutes),
+// from, to (YYYY-MM-DD), optional room_type and course_id
+// (with a course, only rooms suitable for it - type and capacity - are offered)
+app.get('/api/professor/available-slots', verifyToken, isProfessor, async (req, res) => {
+    const professor_id = req.user.user_id;
+    const { batch_id, division_id, branch_id, from, to, room_type, course_id } = req.query;
+    const duration = parseInt(req.query.duration);
+
+    if ((!batch_id && !division_id && !branch_id) || !from || !to || !req.query.duration) {
+        return res.status(400).json({ message: 'Audience, duration, and date range (from, to) are required.' });
+    }
+    if (!DATE_REGEX.test(from) || !DATE_REGEX.test(to) || !getDayOfWeek(from) || !getDayOfWeek(to)) {
+        return res.status(400).json({ message: 'Invalid date format. Use YYYY-MM-DD.' });
+    }
+    if (isNaN(duration) || duration < SLOT_STEP_MINUTES || duration > toMinutes(SLOT_DAY_END) - toMinutes(SLOT_DAY_START)) {
+        return res.status(400).json({ message: `Duration must be between ${SLOT_STEP_MINUTES} minutes and the length of the teaching day.` });
+    }
+    if (from > to) {
+        return res.status(400).json({ message: 'The start of the date range must be on or before its end.' });
+    }
+    const now = new Date();
+    const todayStr = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+    const firstDate = from < todayStr ? todayStr : from; // Never suggest past dates
+    if (addDaysToDateStr(firstDate, MAX_SLOT_SEARCH_DAYS - 1) < to) {
+        return res.status(400).json({ message: `Date range can cover at most ${MAX_SLOT_SEARCH_DAYS} days.` });
+    }
+
+    let connection;
+    try {
+        connection = await pool.getConnection();
+
+        // Without a course the default scope cannot be derived, so fall back to the single batch
+        const { batchIds, error: audienceError } = await resolveExtraAudience(connection, {
+            ...req.query,
+            audience_scope: req.query.audience_scope || (course_id ? undefined : 'batch'),
+        }, course_id);
+        if (audienceError) {
+            return res.status(400).json({ message: audienceError });
+        }
+
+        let [classrooms] = await connection.query(
+            "SELECT classroom_id, room_number, building, capacity, type FROM Classrooms WHERE (? IS NULL OR type = ?) ORDER BY building, room_number",
+            [room_type || null, room_type || null]
+        );
+        if (course_id) {
+            const [courses] = await connection.query("SELECT type FROM Courses WHERE course_id = ?", [course_id]);
+            if (courses.length === 0) {
+                return res.status(400).json({ message: 'Invalid Course ID provided.' });
+            }
+            const headcount = await getAudienceSize(connection, batchIds);
+            classrooms = classrooms.filter(room => roomTypeFitsCourse(courses[0].type, room.type) && room.capacity >= headcount);
+        }
+        if (classrooms.length === 0) {
+            return res.json({ slots: [], message: 'No classrooms match the requested room type and size.' });
+        }
+
+        const [holidays] = await connection.query(
+            "SELECT DATE_FORMAT(holiday_date, '%Y-%m-%d') AS holiday_date FROM Holidays WHERE holiday_date BETWEEN ? AND ? AND allow_extra_classes = FALSE",
+            [firstDate, to]
+        );
+        const blockedDates = new Set(holidays.map(h => h.holiday_date));
+
+        // The professor's approved leave in the range, one segment per day
+        const leave = await findUnavailability(connection, { professorId: professor_id, from: firstDate, to });
+        // Electives the audience's students are enrolled in keep them busy too
+        const electiveRowIds = await findBatchElectiveRowIds(connection, batchIds);
+
+        const overlaps = (booking, start, end) => toMinutes(booking.start_time) < end && toMinutes(booking.end_time) > start;
+        const slots = [];
+
+        for (let date = firstDate; date <= to && slots.length < MAX_SLOT_SUGGESTIONS; date = addDaysToDateStr(date, 1)) {
+            if (blockedDates.has(date)) continue;
+
+            const bookings = [
+                ...await findBookingsOnDate(connection, date),
+                ...await findReservationsOnDate(connection, date),
+                ...await findExamDutiesOnDate(connection, date),
+            ];
+            const peopleBusy = [
+                ...bookings.filter(b => b.professor_id === professor_id || b.batch_ids.some(id => batchIds.includes(id))
+                    || electiveRowIds.has(b.schedule_id)),
+                ...leave.filter(segment => segment.date === date),
+            ];
+
+            // Today's windows only start after the current time
+            const dayStart = date === todayStr
+                ? Math.max(toMinutes(SLOT_DAY_START), Math.ceil((now.getHours() * 60 + now.getMinutes()) / SLOT_STEP_MINUTES) * SLOT_STEP_MINUTES)
+                : toMinutes(SLOT_DAY_START);
+            for (let start = dayStart; start + duration <= toMinutes(SLOT_DAY_END); start += SLOT_STEP_MINUTES) {
+                const end = start + duration;
+                if (peopleBusy.some(b => overlaps(b, start, end))) continue;
+
+                const freeRooms = classrooms.filter(room =>
+                    !bookings.some(b => b.classroom_id === room.classroom_id && overlaps(b, start, end))
+                );
+                if (freeRooms.length === 0) continue;
+
+                // What booking the window would still reject: too little walking time from a room, too much workload
+                const slot = {
+                    classType: 'Extra', classDate: date, dayOfWeek: getDayOfWeek(date),
+                    startTime: fromMinutes(start), endTime: fromMinutes(end),
+                    professorId: professor_id, batchIds, courseId: course_id || null,
+                };
+                if ((await findWorkloadViolations(connection, slot)).length > 0) continue;
+                const reachableRooms = [];
+                for (const room of freeRooms) {
+                    const { blocking } = TRANSITION_POLICY === 'block'
+                        ? await checkTransitions(connection, { ...slot, classroomId: room.classroom_id })
+                        : { blocking: [] };
+                    if (blocking.length === 0) reachableRooms.push(room);
+                }
+                if (reachableRooms.length === 0) continue;
+
+                slots.push({
+                    class_date: date,
+                    day_of_week: slot.dayOfWeek,
+                    start_time: slot.startTime,
+                    end_time: slot.endTime,
+                    classrooms: reachableRooms,
+                });
+                if (slots.length >= MAX_SLOT_SUGGESTIONS) break;
+            }
+        }
+
+        res.json({ slots });
+    } catch (error) {
+        console.error('Error finding available slots:', error);
+        res.status(500).json({ message: 'Server error finding available slots' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// POST Book Extra Class
+// Body: { course_id, audience_scope ('batch' | 'division' | 'branch'), batch_id / division_id / branch_id,
+//         classroom_id, class_date, start_time, end_time }
+app.post('/api/book-extra-class', verifyToken, isProfessor, auditLog('Schedule', 'book_extra', { createdIdKey: 'scheduleId' }), async (req, res) => {
+    const professor_id = req.user.user_id;
+    const { course_id, batch_id, division_id, branch_id, classroom_id, class_date, start_time, end_time } = req.body;
+    console.log(`Professor ${professor_id} attempting to book extra class:`, req.body);
+
+    // --- Input Validation ---
+    if (course_id == null || (batch_id == null && division_id == null && branch_id == null) || classroom_id == null || !class_date || !start_time || !end_time) {
+        return res.status(400).json({ message: 'Missing required fields (Course, Audience, Classroom, Date, Times).' });
+    }
+    const slotError = validateExtraSlot({ class_date, start_time, end_time });
+    if (slotError) {
+        return res.status(400).json({ message: slotError });
+    }
+
+    // Combine date and time into full DATETIME strings for DB
+    const fullStartTime = `${class_date} ${normalizeTime(start_time)}`;
+    const fullEndTime = `${class_date} ${normalizeTime(end_time)}`;
+    const dayOfWeek = getDayOfWeek(class_date); // Determine day of the week based on the provided date
+
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        await connection.beginTransaction(); // Start transaction for reliable conflict check
+
+        const holidayMessage = await getHolidayBlockMessage(connection, class_date);
+        if (holidayMessage) {
+            await connection.rollback();
+            console.warn(`Booking blocked for professor ${professor_id}: ${holidayMessage}`);
+            return res.status(409).json({ message: holidayMessage });
+        }
+
+        // --- Audience: every batch the chosen scope covers ---
+        const { scope, batchIds, error: audienceError } = await resolveExtraAudience(connection, req.body, course_id);
+        if (audienceError) {
+            await connection.rollback();
+            return res.status(400).json({ message: audienceError });
+        }
+
+        // --- Room Suitability Check (room type and capacity) ---
+        const unsuitableReason = await checkRoomSuitability(connection, {
+            courseId: course_id, classroomId: classroom_id, batchIds,
+        });
+        if (unsuitableReason) {
+            await connection.rollback();
+            console.warn(`Booking rejected for professor ${professor_id}: ${unsuitableReason}`);
+            return res.status(409).json({ message: unsuitableReason });
+        }
+
+        // --- Conflict Check ---
+        // Checks for overlaps with BOTH Base and Extra classes involving the
+        // requested classroom, professor, OR any attending batch during the specified time.
+        const slot = {
+            classType: 'Extra', classDate: class_date, dayOfWeek,
+            startTime: start_time, endTime: end_time,
+            classroomId: classroom_id, professorId: professor_id, batchIds, courseId: course_id,
+        };
+        // Back-to-back classes in buildings too far apart block or warn, per TRANSITION_POLICY
+        const transitions = await checkTransitions(connection, slot);
+        const conflicts = [
+            ...await findScheduleConflicts(connection, slot),
+            ...transitions.blocking,
+            ...await findWorkloadViolations(connection, slot),
+        ];
+
+        if (conflicts.length > 0) {
+            await connection.rollback(); // Conflict found, rollback transaction
+            const conflictResponse = buildConflictResponse(conflicts);
+            console.warn(`Booking conflict detected for professor ${professor_id}: ${conflictResponse.message}`);
+            return res.status(409).json(conflictResponse);
+        }
+
+        // --- No Conflicts Found: Insert the New Class ---
+        console.log(`No conflicts found for professor ${professor_id}. Proceeding to book.`);
+        const insertQuery = `
+            INSERT INTO Schedule 
+                (course_id, professor_id, batch_id, classroom_id, day_of_week, start_time, end_time, class_type, audience_scope, class_date) 
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `;
+        const insertParams = [
+            course_id, professor_id, batchIds[0], classroom_id,
+            dayOfWeek, // Store the calculated day name
+            fullStartTime, fullEndTime,
+            'Extra', scope, class_date
+        ];
+        const [insertResult] = await connection.query(insertQuery, insertParams);
+
+        if (insertResult.affectedRows === 1) {
+            await saveScheduleBatches(connection, insertResult.insertId, batchIds);
+            // --- Student Clash Report (electives: enrolled students who already have a class then) ---
+            const studentClashes = await findStudentClashes(connection, slot, { excludeScheduleId: insertResult.insertId });
+            const booked = await getClassSummary(connection, insertResult.insertId);
+            await notifyClassAudience(connection, [insertResult.insertId], {
+                type: 'ClassBooked', title: `Extra class: ${booked.course_code}`,
+                message: `An extra class has been scheduled: ${describeClass(booked)}.`,
+            });
+            await connection.commit(); // Success, commit transaction
+            console.log(`Extra class booked successfully for professor ${professor_id}, schedule ID: ${insertResult.insertId}`);
+            res.status(201).json({
+                message: 'Extra class booked successfully!', scheduleId: insertResult.insertId,
+                ...buildBookingWarnings(transitions.warnings, studentClashes),
+            });
+        } else {
+            // Should not happen if query is correct, but good to handle
+            await connection.rollback();
+            console.error(`Booking failed unexpectedly for professor ${professor_id}. Insert affected 0 rows.`);
+            throw new Error('Failed to insert extra class schedule.');
+        }
+
+    } catch (error) {
+        if (connection) await connection.rollback(); // Rollback on any error during the process
+        console.error(`Error booking extra class for professor ${professor_id}:`, error);
+        // Handle specific foreign key errors if needed
+        if (error.code === 'ER_NO_REFERENCED_ROW_2' || error.errno === 1452) {
+             return res.status(400).json({ message: 'Invalid Course or Classroom ID provided. Please ensure they exist.' });
+        }
+        res.status(500).json({ message: 'Server error during booking process.' });
+    } finally {
+        if (connection) connection.release(); // Always release connection
+    }
+});
+
+
+// Load one of the professor's own upcoming Extra classes, locked for update
+const getOwnUpcomingExtraClass = async (connection, scheduleId, professorId) => {
+    const [rows] = await connection.query(
+        `SELECT schedule_id, course_id, classroom_id, class_date
+         FROM Schedule
+         WHERE schedule_id = ? AND professor_id = ? AND class_type = 'Extra' AND class_date >= CURDATE()
+         FOR UPDATE`,
+        [scheduleId, professorId]
+    );
+    return rows[0] || null;
+};
+
+// PUT Reschedule Extra Class (professor's own bookings only)
+app.put('/api/professor/extra-classes/:id', verifyToken, isProfessor, auditLog('Schedule', 'reschedule'), async (req, res) => {
+    const professor_id = req.user.user_id;
+    const { id } = req.params;
+    const { class_date, start_time, end_time } = req.body;
+    console.log(`Professor ${professor_id} attempting to reschedule extra class ${id}:`, req.body);
+
+    if (!class_date || !start_time || !end_time) {
+        return res.status(400).json({ message: 'Missing required fields (Date, Times).' });
+    }
+    const slotError = validateExtraSlot({ class_date, start_time, end_time });
+    if (slotError) {
+        return res.status(400).json({ message: slotError });
+    }
+    const dayOfWeek = getDayOfWeek(class_date);
+
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        await connection.beginTransaction();
+
+        const existing = await getOwnUpcomingExtraClass(connection, id, professor_id);
+        if (!existing) {
+            await connection.rollback();
+            return res.status(404).json({ message: 'Upcoming extra class not found in your bookings.' });
+        }
+        // Keep the current room unless a new one is requested
+        const classroom_id = req.body.classroom_id ?? existing.classroom_id;
+        const before = await getClassSummary(connection, existing.schedule_id);
+        const batchIds = await getScheduleBatchIds(connection, existing.schedule_id);
+
+        const holidayMessage = await getHolidayBlockMessage(connection, class_date);
+        if (holidayMessage) {
+            await connection.rollback();
+            return res.status(409).json({ message: holidayMessage });
+        }
+
+        const unsuitableReason = await checkRoomSuitability(connection, {
+            courseId: existing.course_id, classroomId: classroom_id, batchIds,
+        });
+        if (unsuitableReason) {
+            await connection.rollback();
+            return res.status(409).json({ message: unsuitableReason });
+        }
+
+        const slot = {
+            classType: 'Extra', classDate: class_date, dayOfWeek,
+            startTime: start_time, endTime: end_time,
+            classroomId: classroom_id, professorId: professor_id, batchIds, courseId: existing.course_id,
+        };
+        const transitions = await checkTransitions(connection, slot, { excludeScheduleId: existing.schedule_id });
+        const conflicts = [
+            ...await findScheduleConflicts(connection, slot, { excludeScheduleId: existing.schedule_id }),
+            ...transitions.blocking,
+            ...await findWorkloadViolations(connection, slot, { excludeScheduleId: existing.schedule_id }),
+        ];
+
+        if (conflicts.length > 0) {
+            await connection.rollback();
+            const conflictResponse = buildConflictResponse(conflicts);
+            console.warn(`Reschedule conflict detected for professor ${professor_id}: ${conflictResponse.message}`);
+            return res.status(409).json(conflictResponse);
+        }
+
+        await connection.query(
+            `UPDATE Schedule SET classroom_id = ?, day_of_week = ?, class_date = ?, start_time = ?, end_time = ?
+             WHERE schedule_id = ?`,
+            [
+                classroom_id, dayOfWeek, class_date,
+                `${class_date} ${normalizeTime(start_time)}`,
+                `${class_date} ${normalizeTime(end_time)}`,
+                existing.schedule_id
+            ]
+        );
+        // A substitute was arranged for the old slot only
+        await connection.query("DELETE FROM ScheduleSubstitutions WHERE schedule_id = ?", [existing.schedule_id]);
+        const studentClashes = await findStudentClashes(connection, slot, { excludeScheduleId: existing.schedule_id });
+        await notifyClassAudience(connection, [existing.schedule_id], {
+            type: 'ClassRescheduled', title: `Class moved: ${before.course_code}`,
+            message: `${describeClass(before)} has been moved to ${describeClass(await getClassSummary(connection, existing.schedule_id))}.`,
+        });
+        await connection.commit();
+        console.log(`Extra class ${id} rescheduled by professor ${professor_id}.`);
+        res.json({
+            message: 'Extra class rescheduled successfully!',
+            ...buildBookingWarnings(transitions.warnings, studentClashes),
+        });
+    } catch (error) {
+        if (connection) await connection.rollback();
+        console.error(`Error rescheduling extra class ${id} for professor ${professor_id}:`, error);
+        if (error.code === 'ER_NO_REFERENCED_ROW_2' || error.errno === 1452) {
+            return res.status(400).json({ message: 'Invalid Classroom ID provided.' });
+        }
+        res.status(500).json({ message: 'Server error during reschedule.' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// DELETE Cancel Extra Class (professor's own bookings only)
+app.delete('/api/professor/extra-classes/:id', verifyToken, isProfessor, auditLog('Schedule', 'delete'), async (req, res) => {
+    const professor_id = req.user.user_id;
+    const { id } = req.params;
+    console.log(`Professor ${professor_id} attempting to cancel extra class ${id}`);
+
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        await connection.beginTransaction();
+
+        const existing = await getOwnUpcomingExtraClass(connection, id, professor_id);
+        if (!existing) {
+            await connection.rollback();
+            return res.status(404).json({ message: 'Upcoming extra class not found in your bookings.' });
+        }
+
+        // Tell the students before the class, and its audience, are gone
+        const cancelled = await getClassSummary(connection, existing.schedule_id);
+        await notifyClassAudience(connection, [existing.schedule_id], {
+            type: 'ClassCancelled', title: `Class cancelled: ${cancelled.course_code}`,
+            message: `The extra class ${describeClass(cancelled)} has been cancelled.`,
+        });
+        await connection.query("DELETE FROM Schedule WHERE schedule_id = ?", [existing.schedule_id]);
+        await connection.commit();
+        console.log(`Extra class ${id} cancelled by professor ${professor_id}.`);
+        res.json({ message: 'Extra class cancelled successfully.' });
+    } catch (error) {
+        if (connection) await connection.rollback();
+        console.error(`Error cancelling extra class ${id} for professor ${professor_id}:`, error);
+        res.status(500).json({ message: 'Server error during cancellation.' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+
+// --- ** Recurring Extra Class Series ** ---
+
+const MAX_SERIES_OCCURRENCES = 20;
+const SERIES_MODES = ['check', 'clear_only', 'all'];
+
+// Occurrence dates of a recurrence: { type: 'weekly', start_date, end_date | count } or { type: 'dates', dates }
+// Returns { dates, error } with dates sorted and de-duplicated.
+const expandSeriesDates = (recurrence) => {
+    if (!recurrence || !['weekly', 'dates'].includes(recurrence.type)) {
+        return { dates: [], error: "Recurrence type must be 'weekly' or 'dates'." };
+    }
+    let dates;
+    if (recurrence.type === 'dates') {
+        if (!Array.isArray(recurrence.dates) || recurrence.dates.length === 0) {
+            return { dates: [], error: 'At least one date is required.' };
+        }
+        dates = [...new Set(recurrence.dates)].sort();
+    } else {
+        const { start_date, end_date } = recurrence;
+        const count = recurrence.count != null ? parseInt(recurrence.count) : null;
+        if (!start_date || (end_date == null) === (count == null)) {
+            return { dates: [], error: 'A weekly series needs a start date and either an end date or a count.' };
+        }
+        if (!DATE_REGEX.test(start_date) || !getDayOfWeek(start_date) || (end_date != null && (!DATE_REGEX.test(end_date) || !getDayOfWeek(end_date)))) {
+            return { dates: [], error: 'Invalid date format. Use YYYY-MM-DD.' };
+        }
+        if (count != null && (isNaN(count) || count < 1)) {
+            return { dates: [], error: 'Occurrence count must be at least 1.' };
+        }
+        dates = [];
+        for (let date = start_date; count != null ? dates.length < count : date <= end_date; date = addDaysToDateStr(date, 7)) {
+            dates.push(date);
+            if (dates.length > MAX_SERIES_OCCURRENCES) break;
+        }
+    }
+    if (dates.some(date => !DATE_REGEX.test(date) || !getDayOfWeek(date))) {
+        return { dates: [], error: 'Invalid date format. Use YYYY-MM-DD.' };
+    }
+    if (dates.length === 0) {
+        return { dates: [], error: 'The recurrence does not produce any dates.' };
+    }
+    if (dates.length > MAX_SERIES_OCCURRENCES) {
+        return { dates: [], error: `A series can have at most ${MAX_SERIES_OCCURRENCES} occurrences.` };
+    }
+    return { dates, error: null };
+};
+
+// POST Check or book a recurring Extra class series
+// Body: booking fields as for /api/book-extra-class (without class_date), plus
+//   recurrence: { type: 'weekly', start_date, end_date | count } or { type: 'dates', dates: [...] }
+//   mode: 'check' (default, nothing is written) | 'clear_only' (book the clear dates) | 'all' (book every date or none)
+// Every occurrence is reported as 'clear', 'conflict' (with its conflicts) or 'blocked' (past date / holiday).
+app.post('/api/professor/extra-series', verifyToken, isProfessor, auditLog('ExtraClassSeries', 'book'), async (req, res) => {
+    const professor_id = req.user.user_id;
+    const { course_id, batch_id, division_id, branch_id, classroom_id, start_time, end_time, recurrence } = req.body;
+    const mode = req.body.mode || 'check';
+    console.log(`Professor ${professor_id} requesting extra class series (${mode}):`, req.body);
+
+    if (course_id == null || (batch_id == null && division_id == null && branch_id == null) || classroom_id == null || !start_time || !end_time) {
+        return res.status(400).json({ message: 'Missing required fields (Course, Audience, Classroom, Times).' });
+    }
+    if (!SERIES_MODES.includes(mode)) {
+        return res.status(400).json({ message: `Mode must be one of: ${SERIES_MODES.join(', ')}.` });
+    }
+    if (!TIME_REGEX.test(start_time) || !TIME_REGEX.test(end_time)) {
+        return res.status(400).json({ message: 'Invalid time (HH:MM) format.' });
+    }
+    if (normalizeTime(start_time) >= normalizeTime(end_time)) {
+        return res.status(400).json({ message: 'Start time must be before end time.' });
+    }
+    const { dates, error: recurrenceError } = expandSeriesDates(recurrence);
+    if (recurrenceError) {
+        return res.status(400).json({ message: recurrenceError });
+    }
+
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        // Dry runs also lock rows FOR UPDATE, so everything runs in one transaction
+        await connection.beginTransaction();
+
+        const { scope, batchIds, error: audienceError } = await resolveExtraAudience(connection, req.body, course_id);
+        if (audienceError) {
+            await connection.rollback();
+            return res.status(400).json({ message: audienceError });
+        }
+        // Room and audience are the same for every date, so suitability is checked once
+        const unsuitableReason = await checkRoomSuitability(connection, {
+            courseId: course_id, classroomId: classroom_id, batchIds,
+        });
+        if (unsuitableReason) {
+            await connection.rollback();
+            return res.status(409).json({ message: unsuitableReason });
+        }
+
+        const occurrences = [];
+        const clearSlots = []; // Counted towards the professor's workload for the later dates
+        for (const class_date of dates) {
+            const dayOfWeek = getDayOfWeek(class_date);
+            const blockedReason = validateExtraSlot({ class_date, start_time, end_time })
+                || await getHolidayBlockMessage(connection, class_date);
+            if (blockedReason) {
+                occurrences.push({ class_date, day_of_week: dayOfWeek, status: 'blocked', message: blockedReason, conflicts: [] });
+                continue;
+            }
+            const slot = {
+                classType: 'Extra', classDate: class_date, dayOfWeek,
+                startTime: start_time, endTime: end_time,
+                classroomId: classroom_id, professorId: professor_id, batchIds, courseId: course_id,
+            };
+            const transitions = await checkTransitions(connection, slot);
+            const conflicts = [
+                ...await findScheduleConflicts(connection, slot),
+                ...transitions.blocking,
+                ...await findWorkloadViolations(connection, slot, { otherClasses: clearSlots.map(toWorkloadClass) }),
+            ];
+            if (conflicts.length > 0) {
+                occurrences.push({ class_date, day_of_week: dayOfWeek, status: 'conflict', ...buildConflictResponse(conflicts) });
+                continue;
+            }
+            clearSlots.push(slot);
+            const studentClashes = await findStudentClashes(connection, slot);
+            occurrences.push({
+                class_date, day_of_week: dayOfWeek, status: 'clear', message: 'No conflicts.', conflicts: [],
+                ...buildBookingWarnings(transitions.warnings, studentClashes),
+            });
+        }
+
+        const clear = occurrences.filter(o => o.status === 'clear');
+        const summary = { total: occurrences.length, clear: clear.length, unavailable: occurrences.length - clear.length };
+
+        if (mode === 'check') {
+            await connection.rollback();
+            return res.json({ message: `${summary.clear} of ${summary.total} date(s) are clear.`, summary, occurrences });
+        }
+        if (clear.length === 0 || (mode === 'all' && summary.unavailable > 0)) {
+            await connection.rollback();
+            console.warn(`Series booking aborted for professor ${professor_id}: ${summary.unavailable} date(s) unavailable.`);
+            return res.status(409).json({
+                message: clear.length === 0
+                    ? 'None of the dates are clear. Nothing was booked.'
+                    : `${summary.unavailable} of ${summary.total} date(s) are not clear. Nothing was booked.`,
+                summary, occurrences,
+            });
+        }
+
+        const [seriesResult] = await connection.query("INSERT INTO ExtraClassSeries (professor_id) VALUES (?)", [professor_id]);
+        const seriesId = seriesResult.insertId;
+        for (const occurrence of clear) {
+            const [insertResult] = await connection.query(
+                `INSERT INTO Schedule
+                    (course_id, professor_id, batch_id, classroom_id, day_of_week, start_time, end_time, class_type, audience_scope, series_id, class_date)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, 'Extra', ?, ?, ?)`,
+                [
+                    course_id, professor_id, batchIds[0], classroom_id, occurrence.day_of_week,
+                    `${occurrence.class_date} ${normalizeTime(start_time)}`,
+                    `${occurrence.class_date} ${normalizeTime(end_time)}`,
+                    scope, seriesId, occurrence.class_date,
+                ]
+            );
+            await saveScheduleBatches(connection, insertResult.insertId, batchIds);
+            occurrence.schedule_id = insertResult.insertId;
+        }
+        // One notification per student for the whole series
+        const first = await getClassSummary(connection, clear[0].schedule_id);
+        await notifyClassAudience(connection, [first.schedule_id], {
+            type: 'ClassBooked', title: `Extra classes: ${first.course_code}`,
+            message: `${clear.length} extra class(es) have been scheduled: ${first.course_code} ${first.start_time}-${first.end_time} in ${first.room_number} on ${clear.map(o => o.class_date).join(', ')}.`,
+        });
+        await connection.commit();
+        console.log(`Series ${seriesId} booked for professor ${professor_id}: ${clear.length} occurrence(s).`);
+        res.status(201).json({
+            message: `Booked ${clear.length} of ${summary.total} date(s) as one series.`,
+            series_id: seriesId, summary, occurrences,
+        });
+    } catch (error) {
+        if (connection) await connection.rollback();
+        console.error(`Error booking extra class series for professor ${professor_id}:`, error);
+        if (error.code === 'ER_NO_REFERENCED_ROW_2' || error.errno === 1452) {
+            return res.status(400).json({ message: 'Invalid Course or Classroom ID provided. Please ensure they exist.' });
+        }
+        res.status(500).json({ message: 'Server error during series booking.' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// DELETE Cancel every upcoming occurrence of one of the professor's series
+app.delete('/api/professor/extra-series/:seriesId', verifyToken, isProfessor, auditLog('ExtraClassSeries', 'cancel', { entityId: (req) => req.params.seriesId }), async (req, res) => {
+    const professor_id = req.user.user_id;
+    const { seriesId } = req.params;
+    console.log(`Professor ${professor_id} attempting to cancel extra class series ${seriesId}`);
+
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        await connection.beginTransaction();
+        const [upcoming] = await connection.query(
+            `SELECT schedule_id, class_date FROM Schedule
+             WHERE series_id = ? AND professor_id = ? AND class_type = 'Extra' AND class_date >= CURDATE()
+             ORDER BY class_date
+             FOR UPDATE`,
+            [seriesId, professor_id]
+        );
+        if (upcoming.length === 0) {
+            await connection.rollback();
+            return res.status(404).json({ message: 'No upcoming classes found in this series.' });
+        }
+        const scheduleIds = upcoming.map(row => row.schedule_id);
+        const first = await getClassSummary(connection, scheduleIds[0]);
+        await notifyClassAudience(connection, scheduleIds, {
+            type: 'ClassCancelled', title: `Classes cancelled: ${first.course_code}`,
+            message: `The extra ${first.course_code} classes on ${upcoming.map(row => row.class_date).join(', ')} have been cancelled.`,
+        });
+        await connection.query("DELETE FROM Schedule WHERE schedule_id IN (?)", [scheduleIds]);
+        await connection.commit();
+        console.log(`Series ${seriesId} cancelled by professor ${professor_id}: ${scheduleIds.length} occurrence(s).`);
+        res.json({ message: `Cancelled ${scheduleIds.length} upcoming class(es) in the series.` });
+    } catch (error) {
+        if (connection) await connection.rollback();
+        console.error(`Error cancelling series ${seriesId} for professor ${professor_id}:`, error);
+        res.status(500).json({ message: 'Server error during cancellation.' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// --- ** Professor Unavailability ** ---
+
+const MAX_UNAVAILABILITY_DAYS = 60;
+
+// GET The professor's own unavailability windows
+app.get('/api/professor/unavailability', verifyToken, isProfessor, async (req, res) => {
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        const [windows] = await connection.query(`
+            SELECT ${UNAVAILABILITY_COLUMNS}
+            FROM ProfessorUnavailability pu
+            WHERE pu.professor_id = ?
+            ORDER BY pu.start_datetime DESC
+        `, [req.user.user_id]);
+        res.json(windows);
+    } catch (error) {
+        console.error(`Error fetching unavailability for professor ${req.user.user_id}:`, error);
+        res.status(500).json({ message: 'Server error fetching unavailability' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// POST Submit an unavailability window for approval
+// Body: { start_date, end_date (defaults to start_date), start_time, end_time (optional; whole days when omitted), reason }
+app.post('/api/professor/unavailability', verifyToken, isProfessor, auditLog('Unavailability', 'create'), async (req, res) => {
+    const professor_id = req.user.user_id;
+    const { start_date, reason } = req.body;
+    const end_date = req.body.end_date || start_date;
+    const start_time = req.body.start_time || '00:00';
+    const end_time = req.body.end_time || '23:59';
+
+    if (!start_date || !DATE_REGEX.test(start_date) || !DATE_REGEX.test(end_date) || !getDayOfWeek(start_date) || !getDayOfWeek(end_date)) {
+        return res.status(400).json({ message: 'A valid start date (YYYY-MM-DD) is required.' });
+    }
+    if (!TIME_REGEX.test(start_time) || !TIME_REGEX.test(end_time)) {
+        return res.status(400).json({ message: 'Invalid time format. Use HH:MM.' });
+    }
+    const startAt = `${start_date} ${normalizeTime(start_time)}`;
+    const endAt = `${end_date} ${normalizeTime(end_time)}`;
+    if (startAt >= endAt) {
+        return res.status(400).json({ message: 'The end of the window must be after its start.' });
+    }
+    if (addDaysToDateStr(start_date, MAX_UNAVAILABILITY_DAYS - 1) < end_date) {
+        return res.status(400).json({ message: `A window can cover at most ${MAX_UNAVAILABILITY_DAYS} days; submit longer leave in parts.` });
+    }
+    if (reason && String(reason).length > 255) {
+        return res.status(400).json({ message: 'Reason must be at most 255 characters.' });
+    }
+
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        const [pastCheck] = await connection.query("SELECT ? <= NOW() AS is_past", [endAt]);
+        if (pastCheck[0].is_past) {
+            return res.status(400).json({ message: 'The window has already ended.' });
+        }
+        const [result] = await connection.query(
+            "INSERT INTO ProfessorUnavailability (professor_id, start_datetime, end_datetime, reason) VALUES (?, ?, ?, ?)",
+            [professor_id, startAt, endAt, reason || null]
+        );
+
+        const affected = await findClassesInUnavailability(connection, {
+            professor_id, start_date, end_date, start_time: start_time.slice(0, 5), end_time: end_time.slice(0, 5),
+        });
+        console.log(`Professor ${professor_id} submitted unavailability ${result.insertId} (${startAt} - ${endAt}).`);
+        res.status(201).json({
+            message: affected.length === 0
+                ? 'Unavailability submitted for approval.'
+                : `Unavailability submitted for approval. ${affected.length} of your scheduled class(es) fall inside it.`,
+            unavailability_id: result.insertId,
+            affected_count: affected.length,
+        });
+    } catch (error) {
+        console.error(`Error submitting unavailability for professor ${professor_id}:`, error);
+        res.status(500).json({ message: 'Server error submitting unavailability' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// DELETE Withdraw one of the professor's windows that has not ended yet (pending or approved)
+app.delete('/api/professor/unavailability/:id', verifyToken, isProfessor, auditLog('Unavailability', 'delete'), async (req, res) => {
+    const professor_id = req.user.user_id;
+    const { id } = req.params;
+
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        const [result] = await connection.query(
+            "DELETE FROM ProfessorUnavailability WHERE unavailability_id = ? AND professor_id = ? AND end_datetime > NOW()",
+            [id, professor_id]
+        );
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ message: 'Unavailability not found, not yours, or already over.' });
+        }
+        console.log(`Professor ${professor_id} withdrew unavailability ${id}.`);
+        res.json({ message: 'Unavailability withdrawn.' });
+    } catch (error) {
+        console.error(`Error withdrawing unavailability ${id} for professor ${professor_id}:`, error);
+        res.status(500).json({ message: 'Server error withdrawing unavailability' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// === SCHEDULE EXCEPTION ROUTES (per-date cancellation of Base classes) ===
+
+// Load a Base class the current user may cancel/restore: admins any, professors only their own
+const getManageableBaseClass = async (connection, scheduleId, user) => {
+    const [rows] = await connection.query(
+        `SELECT schedule_id, professor_id, day_of_week
+         FROM Schedule
+         WHERE schedule_id = ? AND class_type = 'Base' AND (? = 'Administrator' OR professor_id = ?)`,
+        [scheduleId, user.role, user.user_id]
+    );
+    return rows[0] || null;
+};
+
+// Whether a Base class takes place on `date`: its weekday, inside its term, not cancelled, not a holiday
+const baseRunsOnDate = async (connection, scheduleId, date) => {
+    const [runs] = await connection.query(
+        `SELECT 1 FROM Schedule s WHERE s.schedule_id = ? AND s.day_of_week = ? AND ${BASE_RUNS_ON_DATE}`,
+        [scheduleId, getDayOfWeek(date), date, date, date]
+    );
+    return runs.length > 0;
+};
+
+// POST Cancel one occurrence of a Base class
+app.post('/api/schedule/:scheduleId/exceptions', verifyToken, isProfessorOrAdmin, auditLog('ScheduleException', 'cancel_occurrence', { entityId: (req) => req.params.scheduleId }), async (req, res) => {
+    const { scheduleId } = req.params;
+    const { exception_date, reason } = req.body;
+    console.log(`User ${req.user.user_id} cancelling Base class ${scheduleId} on ${exception_date}`);
+
+    if (!exception_date || !DATE_REGEX.test(exception_date) || !getDayOfWeek(exception_date)) {
+        return res.status(400).json({ message: 'A valid date (YYYY-MM-DD) is required.' });
+    }
+
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        await connection.beginTransaction();
+        const baseClass = await getManageableBaseClass(connection, scheduleId, req.user);
+        if (!baseClass) {
+            await connection.rollback();
+            return res.status(404).json({ message: 'Base class not found or not yours to manage.' });
+        }
+        if (getDayOfWeek(exception_date) !== baseClass.day_of_week) {
+            await connection.rollback();
+            return res.status(400).json({ message: `This class runs on ${baseClass.day_of_week}s; ${exception_date} is a ${getDayOfWeek(exception_date)}.` });
+        }
+        const [[{ is_past }]] = await connection.query("SELECT (? < CURDATE()) AS is_past", [exception_date]);
+        if (is_past) {
+            await connection.rollback();
+            return res.status(400).json({ message: 'Cannot cancel a past occurrence.' });
+        }
+        if (!(await baseRunsOnDate(connection, scheduleId, exception_date))) {
+            await connection.rollback();
+            return res.status(400).json({ message: `This class does not take place on ${exception_date} (outside its term, already cancelled, or a holiday).` });
+        }
+
+        const trimmedReason = reason ? String(reason).trim() : null;
+        await connection.query(
+            "INSERT INTO ScheduleExceptions (schedule_id, exception_date, reason, created_by) VALUES (?, ?, ?, ?)",
+            [scheduleId, exception_date, trimmedReason, req.user.user_id]
+        );
+        // The students, and the professor too when an admin cancelled it
+        const cancelled = await getClassSummary(connection, scheduleId);
+        await notifyClassAudience(connection, [baseClass.schedule_id], {
+            type: 'ClassCancelled', title: `Class cancelled: ${cancelled.course_code}`,
+            message: `${describeClass(cancelled, exception_date)} is cancelled${trimmedReason ? ` (${trimmedReason})` : ''}.`,
+        }, baseClass.professor_id !== req.user.user_id ? [baseClass.professor_id] : []);
+        await connection.commit();
+        console.log(`Base class ${scheduleId} cancelled on ${exception_date}.`);
+        res.status(201).json({ message: `Class cancelled for ${exception_date}.` });
+    } catch (error) {
+        if (connection) await connection.rollback();
+        console.error(`Error cancelling Base class ${scheduleId} on ${exception_date}:`, error);
+        if (error.code === 'ER_DUP_ENTRY') {
+            return res.status(409).json({ message: 'This occurrence is already cancelled.' });
+        }
+        res.status(500).json({ message: 'Server error cancelling class occurrence.' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// DELETE Restore a cancelled occurrence of a Base class
+app.delete('/api/schedule/:scheduleId/exceptions/:date', verifyToken, isProfessorOrAdmin, auditLog('ScheduleException', 'restore_occurrence', { entityId: (req) => req.params.scheduleId }), async (req, res) => {
+    const { scheduleId, date } = req.params;
+    console.log(`User ${req.user.user_id} restoring Base class ${scheduleId} on ${date}`);
+
+    if (!DATE_REGEX.test(date)) {
+        return res.status(400).json({ message: 'Invalid date (YYYY-MM-DD).' });
+    }
+
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        await connection.beginTransaction();
+
+        const baseClass = await getManageableBaseClass(connection, scheduleId, req.user);
+        if (!baseClass) {
+            await connection.rollback();
+            return res.status(404).json({ message: 'Base class not found or not yours to manage.' });
+        }
+
+        // Restoring re-occupies the slot, so make sure nothing was booked into it (and no leave approved) meanwhile
+        const [slotRows] = await connection.query(
+            `SELECT course_id, classroom_id, professor_id,
+                    DATE_FORMAT(start_time, '%H:%i:%s') AS start_time, DATE_FORMAT(end_time, '%H:%i:%s') AS end_time
+             FROM Schedule WHERE schedule_id = ?`,
+            [scheduleId]
+        );
+        const slot = slotRows[0];
+        const conflicts = (await findScheduleConflicts(connection, {
+            classType: 'Extra', classDate: date, dayOfWeek: baseClass.day_of_week,
+            startTime: slot.start_time, endTime: slot.end_time,
+            classroomId: slot.classroom_id, professorId: slot.professor_id,
+            batchIds: await getScheduleBatchIds(connection, scheduleId), courseId: slot.course_id,
+        }, { excludeScheduleId: scheduleId })).filter(conflict => conflict.class_type !== 'Base');
+        if (conflicts.length > 0) {
+            await connection.rollback();
+            const conflictResponse = buildConflictResponse(conflicts);
+            console.warn(`Cannot restore Base class ${scheduleId} on ${date}: ${conflictResponse.message}`);
+            return res.status(409).json({ ...conflictResponse, message: `Cannot restore: ${conflictResponse.message}` });
+        }
+
+        const [result] = await connection.query(
+            "DELETE FROM ScheduleExceptions WHERE schedule_id = ? AND exception_date = ?",
+            [scheduleId, date]
+        );
+        if (result.affectedRows === 0) {
+            await connection.rollback();
+            return res.status(404).json({ message: 'This occurrence is not cancelled.' });
+        }
+        const restored = await getClassSummary(connection, scheduleId);
+        await notifyClassAudience(connection, [baseClass.schedule_id], {
+            type: 'ClassRestored', title: `Class back on: ${restored.course_code}`,
+            message: `${describeClass(restored, date)} is no longer cancelled and will take place.`,
+        }, baseClass.professor_id !== req.user.user_id ? [baseClass.professor_id] : []);
+        await connection.commit();
+        console.log(`Base class ${scheduleId} restored on ${date}.`);
+        res.json({ message: `Class restored for ${date}.` });
+    } catch (error) {
+        if (connection) await connection.rollback();
+        console.error(`Error restoring Base class ${scheduleId} on ${date}:`, error);
+        res.status(500).json({ message: 'Server error restoring class occurrence.' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+
+// === SUBSTITUTION ROUTES (a colleague covers one occurrence of a class) ===
+
+// POST Assign a substitute professor to one occurrence of a Base or Extra class (replaces an earlier assignment)
+// Body: { class_date, substitute_professor_id, note }
+app.post('/api/admin/schedule/:scheduleId/substitutes', verifyToken, isAdmin, auditLog('Substitution', 'assign', { entityId: (req) => req.params.scheduleId }), async (req, res) => {
+    const { scheduleId } = req.params;
+    const { class_date, substitute_professor_id, note } = req.body;
+    console.log(`Admin ${req.user.user_id} assigning substitute ${substitute_professor_id} to class ${scheduleId} on ${class_date}`);
+
+    if (!class_date || !DATE_REGEX.test(class_date) || !getDayOfWeek(class_date) || substitute_professor_id == null) {
+        return res.status(400).json({ message: 'A valid date (YYYY-MM-DD) and a substitute professor are required.' });
+    }
+
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        await connection.beginTransaction();
+
+        const [classes] = await connection.query(
+            `SELECT schedule_id, class_type, professor_id, classroom_id, day_of_week,
+                    DATE_FORMAT(class_date, '%Y-%m-%d') AS class_date,
+                    DATE_FORMAT(start_time, '%H:%i:%s') AS start_time, DATE_FORMAT(end_time, '%H:%i:%s') AS end_time,
+                    (? < CURDATE()) AS is_past
+             FROM Schedule WHERE schedule_id = ? FOR UPDATE`,
+            [class_date, scheduleId]
+        );
+        if (classes.length === 0) {
+            await connection.rollback();
+            return res.status(404).json({ message: 'Class not found.' });
+        }
+        const cls = classes[0];
+        if (cls.is_past) {
+            await connection.rollback();
+            return res.status(400).json({ message: 'Cannot assign a substitute to a past occurrence.' });
+        }
+        if (cls.class_type === 'Extra' && cls.class_date !== class_date) {
+            await connection.rollback();
+            return res.status(400).json({ message: `This extra class takes place on ${cls.class_date}, not ${class_date}.` });
+        }
+        if (cls.class_type === 'Base' && !(await baseRunsOnDate(connection, scheduleId, class_date))) {
+            await connection.rollback();
+            return res.status(400).json({ message: `This class does not take place on ${class_date} (wrong weekday, outside its term, cancelled, or a holiday).` });
+        }
+
+        const [substitutes] = await connection.query(
+            "SELECT user_id, full_name FROM Users WHERE user_id = ? AND role = 'Professor' AND approval_status = 'Approved'",
+            [substitute_professor_id]
+        );
+        if (substitutes.length === 0) {
+            await connection.rollback();
+            return res.status(400).json({ message: 'The substitute must be an approved professor.' });
+        }
+        if (substitutes[0].user_id === cls.professor_id) {
+            await connection.rollback();
+            return res.status(400).json({ message: 'The substitute must be a different professor.' });
+        }
+
+        // Only the professor dimension matters: room and batches stay those of the class itself
+        const slot = {
+            classType: 'Extra', classDate: class_date, dayOfWeek: getDayOfWeek(class_date),
+            startTime: cls.start_time, endTime: cls.end_time,
+            classroomId: cls.classroom_id, professorId: substitutes[0].user_id,
+            batchIds: await getScheduleBatchIds(connection, scheduleId),
+        };
+        const isProfessorClash = (conflict) => conflict.conflict_entity === 'Professor';
+        const transitions = await checkTransitions(connection, slot, { excludeScheduleId: scheduleId });
+        const conflicts = [
+            ...await findScheduleConflicts(connection, slot, { excludeScheduleId: scheduleId }),
+            ...transitions.blocking,
+            ...await findWorkloadViolations(connection, slot, { excludeScheduleId: scheduleId }),
+        ].filter(isProfessorClash);
+        if (conflicts.length > 0) {
+            await connection.rollback();
+            const conflictResponse = buildConflictResponse(conflicts);
+            console.warn(`Substitute ${substitute_professor_id} is not free for class ${scheduleId} on ${class_date}: ${conflictResponse.message}`);
+            return res.status(409).json(conflictResponse);
+        }
+
+        const [previous] = await connection.query(
+            "SELECT substitute_professor_id FROM ScheduleSubstitutions WHERE schedule_id = ? AND class_date = ?",
+            [scheduleId, class_date]
+        );
+        await connection.query(
+            `INSERT INTO ScheduleSubstitutions (schedule_id, class_date, substitute_professor_id, note, assigned_by)
+             VALUES (?, ?, ?, ?, ?)
+             ON DUPLICATE KEY UPDATE substitute_professor_id = VALUES(substitute_professor_id), note = VALUES(note), assigned_by = VALUES(assigned_by)`,
+            [scheduleId, class_date, substitutes[0].user_id, note ? String(note).trim() : null, req.user.user_id]
+        );
+        // The substitute, the students and the regular professor; a substitute replaced here is let go
+        const covered = await getClassSummary(connection, scheduleId);
+        const title = `Substitute: ${covered.course_code}`;
+        await notifyUsers(connection, [substitutes[0].user_id], {
+            type: 'ClassBooked', title,
+            message: `You will cover ${describeClass(covered, class_date)}.`,
+        });
+        await notifyClassAudience(connection, [scheduleId], {
+            type: 'ClassRescheduled', title,
+            message: `${substitutes[0].full_name} will teach ${describeClass(covered, class_date)}.`,
+        }, [cls.professor_id]);
+        const replacedId = previous[0]?.substitute_professor_id;
+        await notifyUsers(connection, [replacedId !== substitutes[0].user_id ? replacedId : null], {
+            type: 'ClassCancelled', title,
+            message: `You no longer cover ${describeClass(covered, class_date)}.`,
+        });
+        await connection.commit();
+        console.log(`Substitute ${substitutes[0].user_id} assigned to class ${scheduleId} on ${class_date}.`);
+        res.status(201).json({
+            message: `${substitutes[0].full_name} will cover this class on ${class_date}.`,
+            ...buildBookingWarnings(transitions.warnings.filter(isProfessorClash), []),
+        });
+    } catch (error) {
+        if (connection) await connection.rollback();
+        console.error(`Error assigning substitute to class ${scheduleId} on ${class_date}:`, error);
+        res.status(500).json({ message: 'Server error assigning substitute.' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// DELETE Remove the substitute from one occurrence; the regular professor teaches it again
+app.delete('/api/admin/schedule/:scheduleId/substitutes/:date', verifyToken, isAdmin, auditLog('Substitution', 'remove', { entityId: (req) => req.params.scheduleId }), async (req, res) => {
+    const { scheduleId, date } = req.params;
+
+    if (!DATE_REGEX.test(date)) {
+        return res.status(400).json({ message: 'Invalid date (YYYY-MM-DD).' });
+    }
+
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        await connection.beginTransaction();
+        const [substitutions] = await connection.query(
+            "SELECT substitute_professor_id FROM ScheduleSubstitutions WHERE schedule_id = ? AND class_date = ? FOR UPDATE",
+            [scheduleId, date]
+        );
+        if (substitutions.length === 0) {
+            await connection.rollback();
+            return res.status(404).json({ message: 'No substitute is assigned to this occurrence.' });
+        }
+        await connection.query(
+            "DELETE FROM ScheduleSubstitutions WHERE schedule_id = ? AND class_date = ?",
+            [scheduleId, date]
+        );
+        const covered = await getClassSummary(connection, scheduleId);
+        const title = `Substitute: ${covered.course_code}`;
+        await notifyUsers(connection, [substitutions[0].substitute_professor_id], {
+            type: 'ClassCancelled', title,
+            message: `You no longer cover ${describeClass(covered, date)}.`,
+        });
+        await notifyClassAudience(connection, [scheduleId], {
+            type: 'ClassRescheduled', title,
+            message: `${describeClass(covered, date)} is taught by its regular professor again.`,
+        }, [covered.professor_id]);
+        await connection.commit();
+        console.log(`Substitute removed from class ${scheduleId} on ${date}.`);
+        res.json({ message: 'Substitute removed.' });
+    } catch (error) {
+        if (connection) await connection.rollback();
+        console.error(`Error removing substitute from class ${scheduleId} on ${date}:`, error);
+        res.status(500).json({ message: 'Server error removing substitute.' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// === CLASS SWAP ROUTES (professor-to-professor exchange of two occurrences) ===
+
+// One occurrence of a class: an Extra class on its date, or a Base class on a date it actually runs.
+// Returns null when the class does not take place that date.
+const loadOccurrence = async (connection, scheduleId, date) => {
+    const [rows] = await connection.query(`
+        SELECT s.schedule_id, s.class_type, s.course_id, s.professor_id, s.classroom_id,
+               DATE_FORMAT(s.start_time, '%H:%i:%s') AS start_time, DATE_FORMAT(s.end_time, '%H:%i:%s') AS end_time,
+               c.course_code, u.full_name AS professor_name, cr.room_number,
+               (? < CURDATE()) AS is_past,
+               (SELECT ss.substitute_professor_id FROM ScheduleSubstitutions ss WHERE ss.schedule_id = s.schedule_id AND ss.class_date = ?) AS substitute_id
+        FROM Schedule s
+        LEFT JOIN Courses c ON s.course_id = c.course_id
+        LEFT JOIN Users u ON s.professor_id = u.user_id
+        LEFT JOIN Classrooms cr ON s.classroom_id = cr.classroom_id
+        WHERE s.schedule_id = ?
+          AND ((s.class_type = 'Extra' AND s.class_date = ?)
+               OR (s.class_type = 'Base' AND s.day_of_week = ? AND ${BASE_RUNS_ON_DATE}))
+        FOR UPDATE
+    `, [date, date, scheduleId, date, getDayOfWeek(date), date, date, date]);
+    if (rows.length === 0) return null;
+    const [occurrence] = await attachAudiences(connection, rows);
+    return { ...occurrence, class_date: date, day_of_week: getDayOfWeek(date) };
+};
+
+// Readable description of an occurrence, kept on the swap as it was when proposed
+const describeOccurrence = (o) =>
+    `${o.course_code} ${o.class_type}, ${o.day_of_week} ${o.class_date} ${o.start_time.slice(0, 5)}-${o.end_time.slice(0, 5)}, ${o.room_number}, ${o.batch_details}`.slice(0, 255);
+
+// Reason an occurrence cannot be swapped by its owner, or null
+const getSwapSideError = (occurrence, ownerId, label) => {
+    if (!occurrence) return `${label} class does not take place on that date.`;
+    if (occurrence.professor_id !== ownerId) return `${label} class is not taught by the expected professor.`;
+    if (occurrence.is_past) return `${label} class on ${occurrence.class_date} is in the past.`;
+    if (occurrence.substitute_id != null) return `${label} class on ${occurrence.class_date} is covered by a substitute.`;
+    return null;
+};
+
+// GET Occurrences taking place on a date, to pick from when proposing a swap
+// Query: date (YYYY-MM-DD), whose = 'mine' (default) | 'others'
+app.get('/api/professor/occurrences', verifyToken, isProfessor, async (req, res) => {
+    const professor_id = req.user.user_id;
+    const { date, whose = 'mine' } = req.query;
+    if (!date || !DATE_REGEX.test(date) || !getDayOfWeek(date)) {
+        return res.status(400).json({ message: 'A valid date (YYYY-MM-DD) is required.' });
+    }
+
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        const bookings = (await findBookingsOnDate(connection, date))
+            .filter(b => (whose === 'others') !== (b.professor_id === professor_id));
+        if (bookings.length === 0) return res.json([]);
+
+        const [details] = await connection.query(`
+            SELECT s.schedule_id, c.course_code, c.course_name, u.full_name AS professor_name, cr.room_number
+            FROM Schedule s
+            LEFT JOIN Courses c ON s.course_id = c.course_id
+            LEFT JOIN Users u ON s.professor_id = u.user_id
+            LEFT JOIN Classrooms cr ON s.classroom_id = cr.classroom_id
+            WHERE s.schedule_id IN (?)
+        `, [bookings.map(b => b.schedule_id)]);
+        const detailMap = new Map(details.map(d => [d.schedule_id, d]));
+        const occurrences = bookings
+            .map(b => ({
+                schedule_id: b.schedule_id, class_type: b.class_type, class_date: date, day_of_week: getDayOfWeek(date),
+                start_time: b.start_time, end_time: b.end_time, professor_id: b.professor_id,
+                ...detailMap.get(b.schedule_id),
+            }))
+            .sort((a, b) => a.start_time.localeCompare(b.start_time));
+        res.json(await attachAudiences(connection, occurrences));
+    } catch (error) {
+        console.error(`Error fetching occurrences on ${date} for professor ${professor_id}:`, error);
+        res.status(500).json({ message: 'Server error fetching classes' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
 
-        if (insertResult.affectedRows === 1) {
-            await connection.commit(); // Success, commit transaction
-            console.log(`Extra class booked successfully for professor ${professor_id}, schedule ID: ${insertResult.insertId}`);
-            res.status(201).json({ message: 'Extra class booked successfully!', scheduleId: insertResult.insertId });
-        } else {
-            // Should not happen if query is correct, but good to handle
+// GET Swaps the professor proposed (outgoing) or was asked for (incoming), pending first
+app.get('/api/professor/swaps', verifyToken, isProfessor, async (req, res) => {
+    const professor_id = req.user.user_id;
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        const [swaps] = await connection.query(`
+            SELECT sw.swap_id, sw.status, sw.message,
+                   sw.requester_id, ru.full_name AS requester_name, sw.requester_summary,
+                   DATE_FORMAT(sw.requester_date, '%Y-%m-%d') AS requester_date,
+                   sw.recipient_id, rc.full_name AS recipient_name, sw.recipient_summary,
+                   DATE_FORMAT(sw.recipient_date, '%Y-%m-%d') AS recipient_date,
+                   sw.created_at, sw.responded_at,
+                   IF(sw.requester_id = ?, 'outgoing', 'incoming') AS direction
+            FROM ClassSwaps sw
+            JOIN Users ru ON sw.requester_id = ru.user_id
+            JOIN Users rc ON sw.recipient_id = rc.user_id
+            WHERE sw.requester_id = ? OR sw.recipient_id = ?
+            ORDER BY sw.status = 'Pending' DESC, sw.created_at DESC
+        `, [professor_id, professor_id, professor_id]);
+        res.json(swaps);
+    } catch (error) {
+        console.error(`Error fetching swaps for professor ${professor_id}:`, error);
+        res.status(500).json({ message: 'Server error fetching swaps' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// POST Propose a swap of one of the professor's occurrences with a colleague's
+// Body: { my_schedule_id, my_date, their_schedule_id, their_date, message }
+app.post('/api/professor/swaps', verifyToken, isProfessor, auditLog('ClassSwap', 'propose'), async (req, res) => {
+    const professor_id = req.user.user_id;
+    const { my_schedule_id, my_date, their_schedule_id, their_date, message } = req.body;
+    console.log(`Professor ${professor_id} proposing swap:`, req.body);
+
+    if (my_schedule_id == null || their_schedule_id == null || !my_date || !their_date) {
+        return res.status(400).json({ message: 'Both classes and their dates are required.' });
+    }
+    if (![my_date, their_date].every(date => DATE_REGEX.test(date) && getDayOfWeek(date))) {
+        return res.status(400).json({ message: 'Invalid date format. Use YYYY-MM-DD.' });
+    }
+    if (message && String(message).length > 255) {
+        return res.status(400).json({ message: 'Message must be at most 255 characters.' });
+    }
+
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        const mine = await loadOccurrence(connection, my_schedule_id, my_date);
+        const theirs = await loadOccurrence(connection, their_schedule_id, their_date);
+        const sideError = getSwapSideError(mine, professor_id, 'Your')
+            || (theirs && theirs.professor_id === professor_id ? 'Pick a colleague\'s class to swap with.' : null)
+            || getSwapSideError(theirs, theirs?.professor_id, 'The other');
+        if (sideError) {
+            return res.status(400).json({ message: sideError });
+        }
+
+        const [existing] = await connection.query(
+            `SELECT swap_id FROM ClassSwaps
+             WHERE status = 'Pending' AND requester_schedule_id = ? AND requester_date = ? AND recipient_schedule_id = ? AND recipient_date = ?`,
+            [my_schedule_id, my_date, their_schedule_id, their_date]
+        );
+        if (existing.length > 0) {
+            return res.status(409).json({ message: 'You have already proposed this swap.' });
+        }
+
+        const [result] = await connection.query(
+            `INSERT INTO ClassSwaps
+                (requester_id, requester_schedule_id, requester_date, requester_summary,
+                 recipient_id, recipient_schedule_id, recipient_date, recipient_summary, message)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [
+                professor_id, mine.schedule_id, my_date, describeOccurrence(mine),
+                theirs.professor_id, theirs.schedule_id, their_date, describeOccurrence(theirs),
+                message ? String(message).trim() : null,
+            ]
+        );
+        console.log(`Swap ${result.insertId} proposed by professor ${professor_id} to professor ${theirs.professor_id}.`);
+        res.status(201).json({ message: `Swap proposed to ${theirs.professor_name}.`, swap_id: result.insertId });
+    } catch (error) {
+        console.error(`Error proposing swap for professor ${professor_id}:`, error);
+        res.status(500).json({ message: 'Server error proposing swap.' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// PUT Respond to a pending swap - Body: { status }
+// The recipient sets 'Accepted' or 'Rejected'; the requester can withdraw with 'Cancelled'.
+// Accepting moves each session into the other's slot (date, time and room) in one transaction,
+// after checking both moved sessions for room suitability and conflicts.
+app.put('/api/professor/swaps/:id', verifyToken, isProfessor, auditLog('ClassSwap', 'respond'), async (req, res) => {
+    const professor_id = req.user.user_id;
+    const { id } = req.params;
+    const { status } = req.body;
+    console.log(`Professor ${professor_id} setting swap ${id} to ${status}`);
+
+    if (!['Accepted', 'Rejected', 'Cancelled'].includes(status)) {
+        return res.status(400).json({ message: "Status must be 'Accepted', 'Rejected' or 'Cancelled'." });
+    }
+
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        await connection.beginTransaction();
+
+        const [swaps] = await connection.query(
+            `SELECT swap_id, status, requester_id, requester_schedule_id, recipient_id, recipient_schedule_id,
+                    DATE_FORMAT(requester_date, '%Y-%m-%d') AS requester_date,
+                    DATE_FORMAT(recipient_date, '%Y-%m-%d') AS recipient_date
+             FROM ClassSwaps WHERE swap_id = ? FOR UPDATE`,
+            [id]
+        );
+        const swap = swaps[0];
+        const allowed = swap && (status === 'Cancelled' ? swap.requester_id === professor_id : swap.recipient_id === professor_id);
+        if (!allowed) {
             await connection.rollback();
-            console.error(`Booking failed unexpectedly for professor ${professor_id}. Insert affected 0 rows.`);
-            throw new Error('Failed to insert extra class schedule.');
+            return res.status(404).json({ message: 'Swap not found, or not yours to answer.' });
+        }
+        if (swap.status !== 'Pending') {
+            await connection.rollback();
+            return res.status(409).json({ message: `This swap is already ${swap.status.toLowerCase()}.` });
+        }
+
+        if (status === 'Accepted') {
+            const offered = await loadOccurrence(connection, swap.requester_schedule_id, swap.requester_date);
+            const requested = await loadOccurrence(connection, swap.recipient_schedule_id, swap.recipient_date);
+            const sideError = getSwapSideError(offered, swap.requester_id, 'The offered')
+                || getSwapSideError(requested, swap.recipient_id, 'Your');
+            if (sideError) {
+                await connection.rollback();
+                return res.status(409).json({ message: `Cannot swap: ${sideError}` });
+            }
+
+            // Free both original slots: a Base occurrence is cancelled for its date, an Extra row moves below
+            for (const side of [offered, requested]) {
+                if (side.class_type === 'Base') {
+                    await connection.query(
+                        "INSERT INTO ScheduleExceptions (schedule_id, exception_date, reason, created_by) VALUES (?, ?, ?, ?)",
+                        [side.schedule_id, side.class_date, `Swapped (swap #${swap.swap_id})`, professor_id]
+                    );
+                }
+            }
+
+            // Each session takes the other's slot
+            const moves = [{ session: offered, slot: requested }, { session: requested, slot: offered }];
+            const movedSlots = moves.map(({ session, slot }) => ({
+                classType: 'Extra', classDate: slot.class_date, dayOfWeek: slot.day_of_week,
+                startTime: slot.start_time, endTime: slot.end_time,
+                classroomId: slot.classroom_id, professorId: session.professor_id, batchIds: session.batch_ids,
+                courseId: session.course_id,
+            }));
+            const conflicts = [];
+            for (const [index, { session, slot }] of moves.entries()) {
+                const unsuitableReason = await checkRoomSuitability(connection, {
+                    courseId: session.course_id, classroomId: slot.classroom_id, batchIds: session.batch_ids,
+                });
+                if (unsuitableReason) {
+                    await connection.rollback();
+                    return res.status(409).json({ message: `Cannot swap: ${unsuitableReason}` });
+                }
+                // The slot's own session is leaving it, and a moving Extra row no longer holds its old place
+                const exclude = { excludeScheduleId: session.class_type === 'Extra' ? session.schedule_id : null };
+                conflicts.push(...[
+                    ...await findScheduleConflicts(connection, movedSlots[index], exclude),
+                    ...(await checkTransitions(connection, movedSlots[index], exclude)).blocking,
+                ].filter(conflict => conflict.schedule_id !== slot.schedule_id));
+                // Both moving Extra rows are counted at their new place only
+                conflicts.push(...await findWorkloadViolations(connection, movedSlots[index], {
+                    excludeScheduleIds: moves.filter(move => move.session.class_type === 'Extra').map(move => move.session.schedule_id),
+                    otherClasses: movedSlots
+                        .filter((other, otherIndex) => otherIndex !== index && other.professorId === movedSlots[index].professorId)
+                        .map(toWorkloadClass),
+                }));
+            }
+            const crossClashes = findSlotClashes(movedSlots[0], movedSlots[1]);
+            if (conflicts.length > 0 || crossClashes.length > 0) {
+                await connection.rollback();
+                if (conflicts.length === 0) {
+                    return res.status(409).json({ message: `Cannot swap: the two moved classes would clash with each other (${crossClashes.join(', ')}).` });
+                }
+                const conflictResponse = buildConflictResponse(conflicts);
+                console.warn(`Swap ${id} blocked: ${conflictResponse.message}`);
+                return res.status(409).json({ ...conflictResponse, message: `Cannot swap: ${conflictResponse.message}` });
+            }
+
+            for (const [index, { session }] of moves.entries()) {
+                const target = movedSlots[index];
+                const startAt = `${target.classDate} ${target.startTime}`;
+                const endAt = `${target.classDate} ${target.endTime}`;
+                if (session.class_type === 'Extra') {
+                    await connection.query(
+                        `UPDATE Schedule SET classroom_id = ?, day_of_week = ?, class_date = ?, start_time = ?, end_time = ?
+                         WHERE schedule_id = ?`,
+                        [target.classroomId, target.dayOfWeek, target.classDate, startAt, endAt, session.schedule_id]
+                    );
+                } else {
+                    // A moved Base occurrence becomes a one-off Extra class for the same audience
+                    const [insertResult] = await connection.query(
+                        `INSERT INTO Schedule
+                            (course_id, professor_id, batch_id, classroom_id, day_of_week, start_time, end_time, class_type, class_date)
+                         VALUES (?, ?, ?, ?, ?, ?, ?, 'Extra', ?)`,
+                        [session.course_id, session.professor_id, session.batch_ids[0], target.classroomId, target.dayOfWeek, startAt, endAt, target.classDate]
+                    );
+                    await saveScheduleBatches(connection, insertResult.insertId, session.batch_ids);
+                }
+            }
+
+            // Both classes' students learn where their class went; the proposer learns their swap went through
+            const noticeClass = (occurrence, course_code) => ({
+                ...occurrence, course_code, start_time: occurrence.start_time.slice(0, 5), end_time: occurrence.end_time.slice(0, 5),
+            });
+            for (const { session, slot } of moves) {
+                await notifyClassAudience(connection, [session.schedule_id], {
+                    type: 'ClassRescheduled', title: `Class moved: ${session.course_code}`,
+                    message: `${describeClass(noticeClass(session, session.course_code))} has been moved to ${describeClass(noticeClass(slot, session.course_code))}.`,
+                }, session === offered ? [swap.requester_id] : []);
+            }
         }
 
+        await connection.query(
+            "UPDATE ClassSwaps SET status = ?, responded_at = NOW() WHERE swap_id = ?",
+            [status, id]
+        );
+        await connection.commit();
+        console.log(`Swap ${id} ${status.toLowerCase()} by professor ${professor_id}.`);
+        res.json({
+            message: status === 'Accepted' ? 'Swap accepted. Both classes have moved.'
+                : status === 'Rejected' ? 'Swap declined.' : 'Swap withdrawn.',
+        });
     } catch (error) {
-        if (connection) await connection.rollback(); // Rollback on any error during the process
-        console.error(`Error booking extra class for professor ${professor_id}:`, error);
-        // Handle specific foreign key errors if needed
-        if (error.code === 'ER_NO_REFERENCED_ROW_2' || error.errno === 1452) {
-             return res.status(400).json({ message: 'Invalid Course, Batch, or Classroom ID provided. Please ensure they exist.' });
+        if (connection) await connection.rollback();
+        console.error(`Error updating swap ${id} for professor ${professor_id}:`, error);
+        res.status(500).json({ message: 'Server error updating swap.' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// === ROOM RESERVATION ROUTES (seminars, meetings, exams and other non-class use of rooms) ===
+
+const RESERVATION_KINDS = ['Seminar', 'Meeting', 'Exam', 'Event', 'Other'];
+
+// GET Room reservations, upcoming by default
+// Query: optional from / to (YYYY-MM-DD) and classroom_id. Everyone on staff sees every reservation;
+// `can_manage` marks the ones the current user may delete (admins: all, professors: their own).
+app.get('/api/reservations', verifyToken, isProfessorOrAdmin, async (req, res) => {
+    const { from, to, classroom_id } = req.query;
+    if ((from && !DATE_REGEX.test(from)) || (to && !DATE_REGEX.test(to))) {
+        return res.status(400).json({ message: 'Invalid date format. Use YYYY-MM-DD.' });
+    }
+
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        const [rows] = await connection.query(`
+            SELECT r.reservation_id, r.title, r.kind, r.organizer, r.classroom_id, cr.room_number, cr.building,
+                   DATE_FORMAT(r.reservation_date, '%Y-%m-%d') AS reservation_date,
+                   TIME_FORMAT(r.start_time, '%H:%i') AS start_time, TIME_FORMAT(r.end_time, '%H:%i') AS end_time,
+                   r.created_by, u.full_name AS created_by_name,
+                   (? = 'Administrator' OR r.created_by = ?) AS can_manage,
+                   COALESCE((
+                       SELECT GROUP_CONCAT(CONCAT(br.branch_code,'-',d.division_name,'-',b.batch_name) ORDER BY br.branch_code, d.division_name, b.batch_name SEPARATOR ', ')
+                       FROM RoomReservationBatches rb
+                       JOIN Batches b ON rb.batch_id = b.batch_id
+                       JOIN Divisions d ON b.division_id = d.division_id
+                       JOIN Branches br ON d.branch_id = br.branch_id
+                       WHERE rb.reservation_id = r.reservation_id
+                   ), '') AS batch_details
+            FROM RoomReservations r
+            JOIN Classrooms cr ON r.classroom_id = cr.classroom_id
+            LEFT JOIN Users u ON r.created_by = u.user_id
+            WHERE r.reservation_date >= COALESCE(?, CURDATE())
+              AND (? IS NULL OR r.reservation_date <= ?)
+              AND (? IS NULL OR r.classroom_id = ?)
+            ORDER BY r.reservation_date, r.start_time, cr.room_number
+        `, [req.user.role, req.user.user_id, from || null, to || null, to || null, classroom_id || null, classroom_id || null]);
+        res.json(rows.map(row => ({ ...row, can_manage: Boolean(row.can_manage) })));
+    } catch (error) {
+        console.error('Error fetching room reservations:', error);
+        res.status(500).json({ message: 'Server error fetching room reservations' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// POST Reserve a room
+// Body: { title, kind, organizer, classroom_id, reservation_date, start_time, end_time,
+//         optional batch_ids / division_ids (attendees, who are busy for the duration) }
+// The room and the attendees must be free: classes and other reservations clash just like for a class booking.
+app.post('/api/reservations', verifyToken, isProfessorOrAdmin, auditLog('RoomReservation', 'create'), async (req, res) => {
+    const { title, kind = 'Other', organizer, classroom_id, reservation_date, start_time, end_time, batch_ids, division_ids } = req.body;
+    console.log(`User ${req.user.user_id} reserving a room:`, req.body);
+
+    if (!title || !String(title).trim() || !organizer || !String(organizer).trim() || classroom_id == null || !reservation_date || !start_time || !end_time) {
+        return res.status(400).json({ message: 'Missing required fields (Title, Organizer, Classroom, Date, Times).' });
+    }
+    if (!RESERVATION_KINDS.includes(kind)) {
+        return res.status(400).json({ message: `Kind must be one of: ${RESERVATION_KINDS.join(', ')}.` });
+    }
+    const slotError = validateExtraSlot({ class_date: reservation_date, start_time, end_time });
+    if (slotError) {
+        return res.status(400).json({ message: slotError });
+    }
+    const hasAttendees = (Array.isArray(batch_ids) && batch_ids.length > 0) || (Array.isArray(division_ids) && division_ids.length > 0);
+
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        await connection.beginTransaction();
+
+        let batchIds = [];
+        if (hasAttendees) {
+            const audience = await resolveAudienceBatchIds(connection, { batch_ids, division_ids });
+            if (audience.error) {
+                await connection.rollback();
+                return res.status(400).json({ message: audience.error });
+            }
+            batchIds = audience.batchIds;
         }
-        res.status(500).json({ message: 'Server error during booking process.' });
+
+        const conflicts = await findScheduleConflicts(connection, {
+            classType: 'Extra', classDate: reservation_date, dayOfWeek: getDayOfWeek(reservation_date),
+            startTime: start_time, endTime: end_time, classroomId: classroom_id, batchIds,
+        });
+        if (conflicts.length > 0) {
+            await connection.rollback();
+            const conflictResponse = buildConflictResponse(conflicts);
+            console.warn(`Room reservation rejected: ${conflictResponse.message}`);
+            return res.status(409).json(conflictResponse);
+        }
+
+        const [result] = await connection.query(
+            `INSERT INTO RoomReservations (title, kind, organizer, classroom_id, reservation_date, start_time, end_time, created_by)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+            [String(title).trim(), kind, String(organizer).trim(), classroom_id, reservation_date,
+                normalizeTime(start_time), normalizeTime(end_time), req.user.user_id]
+        );
+        if (batchIds.length > 0) {
+            await connection.query(
+                "INSERT INTO RoomReservationBatches (reservation_id, batch_id) VALUES ?",
+                [batchIds.map(batchId => [result.insertId, batchId])]
+            );
+        }
+        await connection.commit();
+        console.log(`Room reservation ${result.insertId} created.`);
+        res.status(201).json({ message: 'Room reserved successfully!', reservation_id: result.insertId });
+    } catch (error) {
+        if (connection) await connection.rollback();
+        console.error('Error reserving room:', error);
+        if (error.errno === 1452) {
+            return res.status(400).json({ message: 'Invalid Classroom ID provided.' });
+        }
+        res.status(500).json({ message: 'Server error reserving room' });
     } finally {
-        if (connection) connection.release(); // Always release connection
+        if (connection) connection.release();
+    }
+});
+
+// DELETE Cancel a room reservation (admins any, professors only their own)
+app.delete('/api/reservations/:id', verifyToken, isProfessorOrAdmin, auditLog('RoomReservation', 'delete'), async (req, res) => {
+    const { id } = req.params;
+    console.log(`User ${req.user.user_id} cancelling room reservation ${id}`);
+
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        const [result] = await connection.query(
+            "DELETE FROM RoomReservations WHERE reservation_id = ? AND (? = 'Administrator' OR created_by = ?)",
+            [id, req.user.role, req.user.user_id]
+        );
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ message: 'Reservation not found or not yours to cancel.' });
+        }
+        res.json({ message: 'Reservation cancelled.' });
+    } catch (error) {
+        console.error(`Error cancelling room reservation ${id}:`, error);
+        res.status(500).json({ message: 'Server error cancelling reservation' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+
+// === SCHEDULE CHECK ROUTE (dry run, nothing is written) ===
+
+// POST Check a proposed slot without booking it
+// Body: same payload as /api/book-extra-class (class_type 'Extra', the default) or as a Base entry
+// (class_type 'Base', audience in batch_ids / division_ids); exclude_schedule_id skips the entry being edited.
+// Extra audiences follow the booking rules (audience_scope + batch_id / division_id / branch_id).
+// Professors always check their own slots; admins pass professor_id.
+app.post('/api/schedule/check', verifyToken, isProfessorOrAdmin, async (req, res) => {
+    const classType = req.body.class_type || 'Extra';
+    const payload = {
+        ...req.body,
+        professor_id: req.user.role === 'Professor' ? req.user.user_id : req.body.professor_id,
+    };
+    const { course_id, professor_id, batch_id, division_id, branch_id, classroom_id, class_date, start_time, end_time } = payload;
+
+    let validationError;
+    if (classType === 'Base') {
+        validationError = validateBaseEntry(payload);
+    } else if (classType === 'Extra') {
+        validationError = (course_id == null || professor_id == null || (batch_id == null && division_id == null && branch_id == null) || classroom_id == null || !class_date || !start_time || !end_time)
+            ? 'Missing required fields (Course, Professor, Audience, Classroom, Date, Times).'
+            : validateExtraSlot({ class_date, start_time, end_time });
+    } else {
+        validationError = "Class type must be 'Extra' or 'Base'.";
+    }
+    if (validationError) {
+        return res.status(400).json({ message: validationError });
+    }
+
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        // The checks lock rows FOR UPDATE, so run them in a transaction that is always rolled back
+        await connection.beginTransaction();
+
+        const audience = classType === 'Base'
+            ? await resolveAudienceBatchIds(connection, payload)
+            : await resolveExtraAudience(connection, payload, course_id);
+        if (audience.error) {
+            await connection.rollback();
+            return res.status(400).json({ message: audience.error });
+        }
+        const { batchIds } = audience;
+
+        const holidayMessage = classType === 'Extra' ? await getHolidayBlockMessage(connection, class_date) : null;
+        const unsuitableReason = await checkRoomSuitability(connection, {
+            courseId: course_id, classroomId: classroom_id, batchIds,
+        });
+        const slot = {
+            classType,
+            classDate: classType === 'Extra' ? class_date : null,
+            dayOfWeek: classType === 'Extra' ? getDayOfWeek(class_date) : payload.day_of_week,
+            termId: payload.term_id ?? null,
+            startTime: start_time, endTime: end_time,
+            classroomId: classroom_id, professorId: professor_id, batchIds, courseId: course_id,
+        };
+        const exclude = { excludeScheduleId: payload.exclude_schedule_id ?? null };
+        const transitions = await checkTransitions(connection, slot, exclude);
+        const conflicts = [
+            ...await findScheduleConflicts(connection, slot, exclude),
+            ...transitions.blocking,
+            ...await findWorkloadViolations(connection, slot, exclude),
+        ];
+        const studentClashes = await findStudentClashes(connection, slot, exclude);
+
+        await connection.rollback();
+
+        const problems = [holidayMessage, unsuitableReason].filter(Boolean);
+        const conflictResponse = conflicts.length > 0 ? buildConflictResponse(conflicts) : { conflicts: [] };
+        const ok = problems.length === 0 && conflicts.length === 0;
+        res.json({
+            ok,
+            message: ok ? 'No conflicts: this slot can be booked.' : [...problems, conflictResponse.message].filter(Boolean).join(' '),
+            holiday: holidayMessage,
+            suitability: unsuitableReason,
+            conflicts: conflictResponse.conflicts,
+            // Non-blocking: short walks between buildings (unless TRANSITION_POLICY=block) and elective student clashes
+            ...buildBookingWarnings(transitions.warnings, studentClashes),
+        });
+    } catch (error) {
+        if (connection) await connection.rollback();
+        console.error('Error checking proposed slot:', error);
+        res.status(500).json({ message: 'Server error checking proposed slot' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+
+// === CLASSROOM AVAILABILITY ROUTES ===
+
+// GET Free classrooms for a time window, best fit first
+// Query: date (YYYY-MM-DD) OR day_of_week (+ optional term_id) for Base, start_time, end_time,
+//        optional min_capacity and type
+app.get('/api/classrooms/available', verifyToken, isProfessorOrAdmin, async (req, res) => {
+    const { date, day_of_week, term_id, start_time, end_time, type } = req.query;
+    const minCapacity = req.query.min_capacity ? parseInt(req.query.min_capacity) : 0;
+
+    if ((!date && !day_of_week) || !start_time || !end_time) {
+        return res.status(400).json({ message: 'A date or weekday, start time and end time are required.' });
+    }
+    if (date && (!DATE_REGEX.test(date) || !getDayOfWeek(date))) {
+        return res.status(400).json({ message: 'Invalid date format. Use YYYY-MM-DD.' });
+    }
+    if (!date && !WEEK_DAYS.includes(day_of_week)) {
+        return res.status(400).json({ message: `Invalid day of week. Use one of: ${WEEK_DAYS.join(', ')}.` });
+    }
+    if (!TIME_REGEX.test(start_time) || !TIME_REGEX.test(end_time)) {
+        return res.status(400).json({ message: 'Invalid time format (HH:MM).' });
+    }
+    if (normalizeTime(start_time) >= normalizeTime(end_time)) {
+        return res.status(400).json({ message: 'Start time must be before end time.' });
+    }
+    if (isNaN(minCapacity) || minCapacity < 0) {
+        return res.status(400).json({ message: 'Minimum capacity must be a non-negative number.' });
+    }
+
+    let connection;
+    try {
+        connection = await pool.getConnection();
+
+        // Best fit = fewest empty seats for the requested capacity
+        const [classrooms] = await connection.query(`
+            SELECT classroom_id, room_number, building, floor, capacity, type
+            FROM Classrooms
+            WHERE capacity >= ? AND (? IS NULL OR type = ?)
+            ORDER BY capacity ASC, building, room_number
+        `, [minCapacity, type || null, type || null]);
+
+        const bookings = date
+            ? [...await findBookingsOnDate(connection, date), ...await findReservationsOnDate(connection, date), ...await findExamDutiesOnDate(connection, date)]
+            : [
+                ...await findBookingsOnWeekday(connection, day_of_week, term_id || null),
+                ...await findReservationsOnWeekday(connection, day_of_week, term_id || null),
+                ...await findExamDutiesOnWeekday(connection, day_of_week, term_id || null),
+            ];
+        const start = toMinutes(start_time);
+        const end = toMinutes(end_time);
+        const busyRoomIds = new Set(bookings
+            .filter(b => toMinutes(b.start_time) < end && toMinutes(b.end_time) > start)
+            .map(b => b.classroom_id));
+
+        const available = classrooms
+            .filter(room => !busyRoomIds.has(room.classroom_id))
+            .map(room => ({ ...room, spare_seats: room.capacity - minCapacity }));
+        res.json(available);
+    } catch (error) {
+        console.error('Error searching free classrooms:', error);
+        res.status(500).json({ message: 'Server error searching free classrooms' });
+    } finally {
+        if (connection) connection.release();
     }
 });
 
@@ -1060,44 +5359,54 @@ app.get('/api/student/my-schedule', verifyToken, isStudent, async (req, res) =>
     try {
         connection = await pool.getConnection();
 
-        // Return classes for the student's batch AND include Extra classes for any batch in the student's division.
-        // This ensures division-level Extra classes (created for other batches in the same division)
-        // are visible to the student.
+        // Return every class the student's batch attends: its own, combined lectures, and Extra classes whose
+        // audience scope (batch / division / branch) covers it. Scopes are expanded into ScheduleBatches at
+        // booking time, so this is the same audience the conflict check used.
+        // Elective classes are attended by enrollment instead, whichever batches they are offered to.
         const query = `
             SELECT 
-                s.schedule_id, s.class_type, s.day_of_week, s.class_date,
+                s.schedule_id, s.class_type, s.audience_scope, s.day_of_week, s.class_date,
                 DATE_FORMAT(s.start_time, '%Y-%m-%d %H:%i:%s') as start_time_alias,
                 DATE_FORMAT(s.end_time, '%Y-%m-%d %H:%i:%s') as end_time_alias,
                 COALESCE(c.course_name, 'Unknown Course') as course_name,
                 COALESCE(c.course_code, 'N/A') as course_code,
                 c.type as course_type,
+                COALESCE(c.is_elective, FALSE) AS is_elective,
                 COALESCE(u_prof.full_name, 'Unknown Professor') AS professor_name,
                 COALESCE(cr.room_number, 'N/A') as room_number,
                 COALESCE(b.batch_name, 'N/A') as batch_name,
-                COALESCE(d.division_name, 'N/A') as division_name
+                COALESCE(d.division_name, 'N/A') as division_name,
+                DATE_FORMAT(t.start_date, '%Y-%m-%d') AS term_start_date,
+                DATE_FORMAT(t.end_date, '%Y-%m-%d') AS term_end_date
             FROM Schedule s
             LEFT JOIN Batches b ON s.batch_id = b.batch_id
             LEFT JOIN Divisions d ON b.division_id = d.division_id
             LEFT JOIN Courses c ON s.course_id = c.course_id
             LEFT JOIN Users u_prof ON s.professor_id = u_prof.user_id
             LEFT JOIN Classrooms cr ON s.classroom_id = cr.classroom_id
+            LEFT JOIN AcademicTerms t ON s.term_id = t.term_id
             WHERE (
-                s.batch_id = ?
-            ) OR (
-                s.class_type = 'Extra' AND d.division_id = ?
-            )
+                    COALESCE(c.is_elective, FALSE) = FALSE
+                    AND EXISTS (SELECT 1 FROM ScheduleBatches sb WHERE sb.schedule_id = s.schedule_id AND sb.batch_id = ?)
+                )
+               OR EXISTS (SELECT 1 FROM CourseEnrollments ce WHERE ce.course_id = s.course_id AND ce.student_id = ?)
             ORDER BY start_time_alias, class_date;
         `;
 
-        const params = [studentBatchId, studentDivisionId];
+        const params = [studentBatchId, studentUserId];
 
         const [schedule] = await connection.query(query, params);
 
         console.log(`Found ${schedule.length} schedule events for student (Batch: ${studentBatchId}, Division: ${studentDivisionId}).`);
 
-        // Rename alias back to start_time/end_time for frontend compatibility
-        const finalSchedule = schedule.map(item => ({
+        // Rename alias back to start_time/end_time for frontend compatibility.
+        // A covered Extra class shows its substitute; Base rows list substitutes per date.
+        const withSubstitutes = await attachSubstitutes(connection, await withCancelledDates(connection, schedule));
+        const finalSchedule = (await attachAudiences(connection, withSubstitutes)).map(item => ({
             ...item,
+            ...(item.class_type === 'Extra' && item.substitutes.length > 0
+                ? { professor_name: item.substitutes[0].professor_name, regular_professor_name: item.professor_name }
+                : {}),
             start_time: item.start_time_alias,
             end_time: item.end_time_alias,
             // Optionally remove aliases if frontend doesn't use them
@@ -1116,6 +5425,207 @@ app.get('/api/student/my-schedule', verifyToken, isStudent, async (req, res) =>
 });
 
 
+// GET Student's Exams - every upcoming exam they write (their batch's, and their electives'), with session, rooms and invigilators
+app.get('/api/student/my-exams', verifyToken, isStudent, async (req, res) => {
+    const studentUserId = req.user.user_id;
+    const studentBatchId = req.user.batch_id;
+    if (!studentBatchId) {
+        return res.status(400).json({ message: 'User data is missing batch information.' });
+    }
+
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        const [exams] = await connection.query(`
+            SELECT e.exam_id, es.session_name, c.course_code, c.course_name, e.notes,
+                   DATE_FORMAT(es.exam_date, '%Y-%m-%d') AS exam_date,
+                   TIME_FORMAT(es.start_time, '%H:%i') AS start_time, TIME_FORMAT(es.end_time, '%H:%i') AS end_time
+            FROM Exams e
+            JOIN ExamSessions es ON e.session_id = es.session_id
+            JOIN Courses c ON e.course_id = c.course_id
+            JOIN Users u ON u.user_id = ?
+            WHERE ${STUDENT_SITS_EXAM} AND es.exam_date >= CURDATE()
+            ORDER BY es.exam_date, es.start_time
+        `, [studentUserId]);
+        res.json(await hydrateExams(connection, exams));
+    } catch (error) {
+        console.error('Error fetching student exams:', error);
+        res.status(500).json({ message: 'Server error fetching exams' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+
+// --- ** Student Electives ** ---
+
+// Elective course with its seat usage and upcoming classes, for the selection list
+const ELECTIVE_CLASSES_QUERY = `
+    SELECT s.schedule_id, s.course_id, s.class_type, s.day_of_week, s.class_date,
+           TIME_FORMAT(s.start_time, '%H:%i') AS start_time, TIME_FORMAT(s.end_time, '%H:%i') AS end_time,
+           COALESCE(u.full_name, 'Unknown Professor') AS professor_name,
+           COALESCE(cr.room_number, 'N/A') AS room_number
+    FROM Schedule s
+    LEFT JOIN Users u ON s.professor_id = u.user_id
+    LEFT JOIN Classrooms cr ON s.classroom_id = cr.classroom_id
+    LEFT JOIN AcademicTerms t ON s.term_id = t.term_id
+    WHERE s.course_id IN (?)
+      AND (s.class_type = 'Extra' AND s.class_date >= CURDATE() OR s.class_type = 'Base' AND (t.end_date IS NULL OR t.end_date >= CURDATE()))
+    ORDER BY FIELD(s.day_of_week, 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'), s.start_time
+`;
+
+// Elective courses offered in the student's branch, or one of them when courseId is given
+const getBranchElectives = async (connection, student, courseId = null, { lock = false } = {}) => {
+    const [courses] = await connection.query(`
+        SELECT c.course_id, c.course_code, c.course_name, c.credits, c.type, c.elective_seats
+        FROM Courses c
+        JOIN Divisions d ON d.division_id = ? AND d.branch_id = c.branch_id
+        WHERE c.is_elective AND (? IS NULL OR c.course_id = ?)
+        ORDER BY c.course_code
+        ${lock ? 'FOR UPDATE' : ''}
+    `, [student.division_id, courseId, courseId]);
+    return courses;
+};
+
+// Clash list -> 'CS501 Monday 10:00-11:00 clashes with your CS301 Base class (Monday 10:30-11:30)'
+const describeEnrollmentClash = (courseCode, clash) => {
+    const when = (row) => (row.class_type === 'Extra' ? row.class_date : row.day_of_week);
+    return `${courseCode} ${when(clash.elective)} ${clash.elective.start_time}-${clash.elective.end_time} clashes with your ${clash.course_code} ${clash.class_type} class (${when(clash)} ${clash.start_time}-${clash.end_time})`;
+};
+
+// GET Electives the student can choose from: seats, enrollment state, upcoming classes and,
+// for electives they have not joined, the classes that would clash with their timetable
+app.get('/api/student/electives', verifyToken, isStudent, async (req, res) => {
+    const student = { studentId: req.user.user_id, batchId: req.user.batch_id, division_id: req.user.division_id };
+    if (!student.batchId || !student.division_id) {
+        return res.status(400).json({ message: 'User data is missing batch or division information.' });
+    }
+
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        const courses = await getBranchElectives(connection, student);
+        if (courses.length === 0) return res.json([]);
+
+        const courseIds = courses.map(course => course.course_id);
+        const [counts] = await connection.query(`
+            SELECT course_id, COUNT(*) AS enrolled_count, SUM(student_id = ?) AS enrolled
+            FROM CourseEnrollments WHERE course_id IN (?)
+            GROUP BY course_id
+        `, [student.studentId, courseIds]);
+        const [classes] = await connection.query(ELECTIVE_CLASSES_QUERY, [courseIds]);
+
+        const electives = [];
+        for (const course of courses) {
+            const count = counts.find(row => row.course_id === course.course_id);
+            const enrolled = Boolean(count && Number(count.enrolled));
+            const enrolledCount = count ? Number(count.enrolled_count) : 0;
+            electives.push({
+                ...course,
+                enrolled,
+                enrolled_count: enrolledCount,
+                seats_left: course.elective_seats == null ? null : Math.max(course.elective_seats - enrolledCount, 0),
+                classes: classes.filter(cls => cls.course_id === course.course_id),
+                clashes: enrolled ? [] : await findEnrollmentClashes(connection, student, course.course_id),
+            });
+        }
+        res.json(electives);
+    } catch (error) {
+        console.error(`Error fetching electives for student ${student.studentId}:`, error);
+        res.status(500).json({ message: 'Server error fetching electives.' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// POST Enroll in an elective (branch electives only, within the seat limit, without timetable clashes)
+app.post('/api/student/electives/:courseId/enroll', verifyToken, isStudent, auditLog('CourseEnrollment', 'enroll', { entityId: (req) => req.params.courseId }), async (req, res) => {
+    const { courseId } = req.params;
+    const student = { studentId: req.user.user_id, batchId: req.user.batch_id, division_id: req.user.division_id };
+    console.log(`Student ${student.studentId} enrolling in elective ${courseId}`);
+    if (!student.batchId || !student.division_id) {
+        return res.status(400).json({ message: 'User data is missing batch or division information.' });
+    }
+
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        await connection.beginTransaction();
+
+        // Lock the course row so concurrent enrollments cannot both take the last seat
+        const [course] = await getBranchElectives(connection, student, courseId, { lock: true });
+        if (!course) {
+            await connection.rollback();
+            return res.status(404).json({ message: 'Elective not found for your branch.' });
+        }
+        const [existing] = await connection.query(
+            "SELECT enrollment_id FROM CourseEnrollments WHERE course_id = ? AND student_id = ?",
+            [course.course_id, student.studentId]
+        );
+        if (existing.length > 0) {
+            await connection.rollback();
+            return res.status(409).json({ message: `You are already enrolled in ${course.course_code}.` });
+        }
+        if (course.elective_seats != null && await getEnrollmentCount(connection, course.course_id) >= course.elective_seats) {
+            await connection.rollback();
+            return res.status(409).json({ message: `${course.course_code} is full (${course.elective_seats} seats).` });
+        }
+
+        const clashes = await findEnrollmentClashes(connection, student, course.course_id);
+        if (clashes.length > 0) {
+            await connection.rollback();
+            const details = clashes.map(clash => describeEnrollmentClash(course.course_code, clash));
+            console.warn(`Enrollment of student ${student.studentId} in ${course.course_code} rejected: ${details.join('; ')}`);
+            return res.status(409).json({
+                message: `Cannot enroll in ${course.course_code}: ${details.join('; ')}.`,
+                clashes,
+            });
+        }
+
+        await connection.query(
+            "INSERT INTO CourseEnrollments (course_id, student_id) VALUES (?, ?)",
+            [course.course_id, student.studentId]
+        );
+        await connection.commit();
+        res.status(201).json({ message: `Enrolled in ${course.course_code}.` });
+    } catch (error) {
+        if (connection) await connection.rollback();
+        console.error(`Error enrolling student ${student.studentId} in elective ${courseId}:`, error);
+        if (error.code === 'ER_DUP_ENTRY') {
+            return res.status(409).json({ message: 'You are already enrolled in this elective.' });
+        }
+        res.status(500).json({ message: 'Server error during enrollment.' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// DELETE Drop an elective
+app.delete('/api/student/electives/:courseId', verifyToken, isStudent, auditLog('CourseEnrollment', 'unenroll', { entityId: (req) => req.params.courseId }), async (req, res) => {
+    const { courseId } = req.params;
+    const studentId = req.user.user_id;
+    console.log(`Student ${studentId} dropping elective ${courseId}`);
+
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        const [result] = await connection.query(
+            "DELETE FROM CourseEnrollments WHERE course_id = ? AND student_id = ?",
+            [courseId, studentId]
+        );
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ message: 'You are not enrolled in this elective.' });
+        }
+        res.json({ message: 'Elective dropped.' });
+    } catch (error) {
+        console.error(`Error dropping elective ${courseId} for student ${studentId}:`, error);
+        res.status(500).json({ message: 'Server error dropping elective.' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+
 // GET Student's Details
 app.get('/api/student/my-details', verifyToken, isStudent, async (req, res) => {
     const student_id = req.user.user_id;
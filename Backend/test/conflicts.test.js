@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { findSlotClashes, getTransitionMatrix, formatConflictMessage, DEFAULT_TRANSITION_MINUTES } from '../lib/conflicts.js';
+
+const slot = (overrides = {}) => ({
+    dayOfWeek: 'Monday', startTime: '09:00', endTime: '10:00', classroomId: 10, professorId: 7, batchIds: [1],
+    ...overrides,
+});
+
+test('findSlotClashes lists every entity two overlapping slots share', () => {
+    assert.deepEqual(findSlotClashes(slot(), slot({ startTime: '09:30:00', endTime: '10:30:00' })), ['Classroom', 'Professor', 'Batch']);
+    assert.deepEqual(findSlotClashes(slot(), slot({ classroomId: 11, professorId: 8, batchIds: [2, 1] })), ['Batch']);
+    assert.deepEqual(findSlotClashes(slot(), slot({ classroomId: 11, professorId: 8, batchId: 1, batchIds: undefined })), ['Batch']);
+});
+
+test('findSlotClashes ignores slots that only touch or fall on another day', () => {
+    assert.deepEqual(findSlotClashes(slot(), slot({ startTime: '10:00', endTime: '11:00' })), []);
+    assert.deepEqual(findSlotClashes(slot(), slot({ dayOfWeek: 'Tuesday' })), []);
+    assert.deepEqual(findSlotClashes(slot({ classDate: '2026-03-02' }), slot({ classDate: '2026-03-09' })), []);
+});
+
+// Just enough of a mysql2 connection for getTransitionMatrix
+const transitionsConnection = (rows) => ({ query: async () => [rows] });
+
+test('a listed building pair applies both ways unless its reverse is listed', async () => {
+    const { minutesBetween, maxMinutes } = await getTransitionMatrix(transitionsConnection([
+        { from_building: 'Main', to_building: 'Annex', minutes: 10 },
+        { from_building: 'Main', to_building: 'Labs', minutes: 5 },
+        { from_building: 'Labs', to_building: 'Main', minutes: 8 },
+    ]));
+
+    assert.equal(minutesBetween('Main', 'Annex'), 10);
+    assert.equal(minutesBetween('Annex', 'Main'), 10);
+    assert.equal(minutesBetween('Main', 'Labs'), 5);
+    assert.equal(minutesBetween('Labs', 'Main'), 8);
+    assert.equal(maxMinutes, Math.max(10, DEFAULT_TRANSITION_MINUTES));
+});
+
+test('the same or an unknown building needs no walking time; an unlisted pair takes the default', async () => {
+    const { minutesBetween } = await getTransitionMatrix(transitionsConnection([]));
+    assert.equal(minutesBetween('Main', 'Main'), 0);
+    assert.equal(minutesBetween('Main', null), 0);
+    assert.equal(minutesBetween('Main', 'Annex'), DEFAULT_TRANSITION_MINUTES);
+});
+
+test('a walking-time clash names the gap and the time needed', () => {
+    const message = formatConflictMessage({
+        rule: 'Transition', class_type: 'Base', day_of_week: 'Monday', course_code: 'CS101',
+        existing_start: '08:00', existing_end: '09:00', adjacent: 'before',
+        from_building: 'Annex', to_building: 'Main', gap_minutes: 5, required_minutes: 10,
+        conflict_entity: 'Professor', conflict_details: 'Dr. Rao',
+    });
+    assert.equal(message,
+        'Conflict: Professor (Dr. Rao) has 5 min to get from Annex to Main after the CS101 Base class (Monday 08:00-09:00); 10 min needed.');
+});
@@ -0,0 +1,34 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { allocateExamRooms } from '../lib/exams.js';
+
+const rooms = [
+    { classroom_id: 1, room_number: 'R101', capacity: 60 },
+    { classroom_id: 2, room_number: 'R102', capacity: 30 },
+    { classroom_id: 3, room_number: 'R201', capacity: 120 },
+];
+const seating = ({ allocations }) => allocations.map(room => [room.room_number, room.seats_allocated]);
+
+test('seats everyone in the smallest room that holds them', () => {
+    const result = allocateExamRooms(rooms, 45);
+    assert.deepEqual(seating(result), [['R101', 45]]);
+    assert.equal(result.shortfall, 0);
+});
+
+test('fills the largest room first when no single room is big enough', () => {
+    const result = allocateExamRooms(rooms, 150);
+    assert.deepEqual(seating(result), [['R201', 120], ['R102', 30]]);
+    assert.equal(result.shortfall, 0);
+});
+
+test('reports the candidates left without a seat when every room is full', () => {
+    const result = allocateExamRooms(rooms, 250);
+    assert.deepEqual(seating(result), [['R201', 120], ['R101', 60], ['R102', 30]]);
+    assert.equal(result.shortfall, 40);
+});
+
+test('leaves the rooms untouched and seats nobody for an empty exam', () => {
+    const input = [...rooms];
+    assert.deepEqual(allocateExamRooms(input, 0), { allocations: [], shortfall: 0 });
+    assert.deepEqual(input, rooms);
+});
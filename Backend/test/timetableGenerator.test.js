@@ -0,0 +1,94 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateTimetable } from '../lib/timetableGenerator.js';
+
+const professor = { user_id: 7, full_name: 'Dr. Rao' };
+const batches = [
+    { batch_id: 1, label: 'CS-A-A1', size: 30 },
+    { batch_id: 2, label: 'CS-A-A2', size: 30 },
+];
+const lectureRoom = { classroom_id: 10, room_number: 'R101', capacity: 80, type: 'Theory' };
+const labRoom = { classroom_id: 11, room_number: 'L1', capacity: 35, type: 'Lab' };
+// Monday and Tuesday, 09:00-12:00
+const windows = [
+    { day: 'Monday', start: 540, end: 720 },
+    { day: 'Tuesday', start: 540, end: 720 },
+];
+const lecture = (overrides = {}) => ({
+    course: { course_id: 1, course_code: 'CS101', type: 'Theory' },
+    professor, kind: 'Lecture', hours: 2, audience: 'division', sessionPeriods: 1,
+    ...overrides,
+});
+
+const overlaps = (a, b) => a.day === b.day && a.start < b.end && a.end > b.start;
+
+test('places every session without a clash and spreads a course over the days', () => {
+    const { placements, unplaced } = generateTimetable({
+        requirements: [lecture(), lecture({ course: { course_id: 2, course_code: 'CS102', type: 'Theory' } })],
+        batches, classrooms: [lectureRoom], windows, periodMinutes: 60, busy: [],
+    });
+
+    assert.equal(unplaced.length, 0);
+    assert.equal(placements.length, 4);
+    placements.forEach((a, i) => placements.slice(i + 1).forEach(b => assert.ok(!overlaps(a, b), 'sessions share the professor, batches and room')));
+    const cs101Days = placements.filter(p => p.requirement.course.course_code === 'CS101').map(p => p.day);
+    assert.deepEqual(cs101Days.sort(), ['Monday', 'Tuesday']);
+});
+
+test('keeps clear of existing bookings', () => {
+    const busy = [
+        { day: 'Monday', start: 540, end: 720, classroomId: null, professorId: professor.user_id, batchIds: [] },
+        { day: 'Tuesday', start: 540, end: 600, classroomId: lectureRoom.classroom_id, professorId: null, batchIds: [] },
+    ];
+    const { placements, unplaced } = generateTimetable({
+        requirements: [lecture({ hours: 1 })], batches, classrooms: [lectureRoom], windows, periodMinutes: 60, busy,
+    });
+
+    assert.equal(unplaced.length, 0);
+    assert.deepEqual(placements.map(({ day, start, end }) => ({ day, start, end })), [{ day: 'Tuesday', start: 600, end: 660 }]);
+});
+
+test('gives each batch its own lab session in a Lab room', () => {
+    const { placements, unplaced } = generateTimetable({
+        requirements: [lecture({ kind: 'Lab', audience: 'batch', hours: 2, sessionPeriods: 2 })],
+        batches, classrooms: [lectureRoom, labRoom], windows, periodMinutes: 60, busy: [],
+    });
+
+    assert.equal(unplaced.length, 0);
+    assert.equal(placements.length, 2);
+    placements.forEach(p => {
+        assert.equal(p.classroom.classroom_id, labRoom.classroom_id);
+        assert.equal(p.end - p.start, 120);
+        assert.equal(p.batches.length, 1);
+    });
+});
+
+test('explains why sessions stay unplaced', () => {
+    const noRoom = generateTimetable({
+        requirements: [lecture({ hours: 1 })], batches, classrooms: [labRoom], windows, periodMinutes: 60, busy: [],
+    });
+    assert.equal(noRoom.placements.length, 0);
+    assert.deepEqual(noRoom.unplaced.map(({ missing, reason }) => ({ missing, reason })), [
+        { missing: 1, reason: 'No room seats 60 students.' },
+    ]);
+
+    const tooShort = generateTimetable({
+        requirements: [lecture({ hours: 4, sessionPeriods: 4 })], batches, classrooms: [lectureRoom], windows, periodMinutes: 60, busy: [],
+    });
+    assert.equal(tooShort.unplaced[0].reason, 'No allowed window is long enough for a 240-minute session.');
+
+    const professorAway = generateTimetable({
+        requirements: [lecture()], batches, classrooms: [lectureRoom], windows, periodMinutes: 60,
+        busy: windows.map(({ day, start, end }) => ({ day, start, end, classroomId: null, professorId: professor.user_id, batchIds: [] })),
+    });
+    assert.equal(professorAway.unplaced[0].missing, 2);
+    assert.equal(professorAway.unplaced[0].reason, 'Dr. Rao has no free 60-minute period in the allowed windows.');
+
+    const overLimit = generateTimetable({
+        requirements: [lecture({ hours: 3 })], batches, classrooms: [lectureRoom], windows: windows.slice(0, 1), periodMinutes: 60, busy: [],
+        workloads: new Map([[professor.user_id, { policy: { max_daily_hours: 2, max_weekly_hours: null, max_consecutive: null }, classes: [] }]]),
+    });
+    assert.equal(overLimit.placements.length, 2);
+    assert.equal(overLimit.unplaced[0].reason,
+        'Every free period would take Dr. Rao over their workload limits (daily or weekly hours, or classes in a row).');
+});
@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { diffEntries } from '../lib/timetableVersions.js';
+
+const row = (scheduleId, overrides = {}) => ({
+    schedule_id: scheduleId, course_id: 1, professor_id: 7, classroom_id: 10,
+    day_of_week: 'Monday', start_time: '09:00', end_time: '10:00', batch_ids: [1],
+    ...overrides,
+});
+const entry = (entryId, sourceScheduleId, overrides = {}) => {
+    const { schedule_id, ...fields } = row(null, overrides);
+    return { entry_id: entryId, source_schedule_id: sourceScheduleId, ...fields };
+};
+
+test('matches entries to live rows through source_schedule_id', () => {
+    const live = [row(100), row(101, { day_of_week: 'Tuesday' }), row(102, { day_of_week: 'Wednesday' })];
+    const entries = [
+        entry(1, 100),
+        entry(2, 101, { day_of_week: 'Tuesday', start_time: '11:00', end_time: '12:00' }),
+        entry(3, null, { day_of_week: 'Friday' }),
+    ];
+    const diff = diffEntries(live, entries);
+
+    assert.deepEqual(diff.unchanged, [{ before: live[0], after: entries[0] }]);
+    assert.deepEqual(diff.changed, [{ before: live[1], after: entries[1] }]);
+    assert.deepEqual(diff.added, [entries[2]]);
+    assert.deepEqual(diff.removed, [live[2]]);
+});
+
+test('a different audience is a change', () => {
+    const live = [row(100, { batch_ids: [1, 2] })];
+    const diff = diffEntries(live, [entry(1, 100, { batch_ids: [1] })]);
+    assert.equal(diff.changed.length, 1);
+    assert.equal(diff.unchanged.length, 0);
+});
+
+test('an entry whose source row is gone or already matched is new', () => {
+    const live = [row(100)];
+    const entries = [entry(1, 100), entry(2, 100, { start_time: '10:00', end_time: '11:00' }), entry(3, 999)];
+    const diff = diffEntries(live, entries);
+
+    assert.deepEqual(diff.unchanged.map(pair => pair.after), [entries[0]]);
+    assert.deepEqual(diff.added, [entries[1], entries[2]]);
+    assert.deepEqual(diff.removed, []);
+});
+
+test('an empty version removes every live row', () => {
+    const live = [row(100), row(101)];
+    assert.deepEqual(diffEntries(live, []), { added: [], changed: [], unchanged: [], removed: live });
+});
@@ -0,0 +1,57 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { WORKLOAD_MIN_BREAK_MINUTES, splitIntoRuns, checkWorkload, toHours } from '../lib/workload.js';
+
+const unlimited = { max_daily_hours: null, max_weekly_hours: null, max_consecutive: null };
+
+test('a break shorter than WORKLOAD_MIN_BREAK_MINUTES keeps classes in one run', () => {
+    const first = { start: 540, end: 600 };
+    const second = { start: 600 + WORKLOAD_MIN_BREAK_MINUTES - 1, end: 660 + WORKLOAD_MIN_BREAK_MINUTES };
+    assert.deepEqual(splitIntoRuns([second, first]), [[first, second]]);
+});
+
+test('a break of exactly WORKLOAD_MIN_BREAK_MINUTES starts a new run', () => {
+    const first = { start: 540, end: 600 };
+    const second = { start: 600 + WORKLOAD_MIN_BREAK_MINUTES, end: 660 + WORKLOAD_MIN_BREAK_MINUTES };
+    assert.deepEqual(splitIntoRuns([first, second]), [[first], [second]]);
+});
+
+test('a run continues from the latest end, not the last class to start', () => {
+    const long = { start: 540, end: 720 };
+    const inside = { start: 570, end: 600 };
+    const after = { start: 720, end: 780 };
+    assert.deepEqual(splitIntoRuns([long, inside, after]), [[long, inside, after]]);
+});
+
+test('checkWorkload flags a class that makes the run too long, at the break boundary', () => {
+    const policy = { ...unlimited, max_consecutive: 2 };
+    const classes = [{ day: 'Monday', start: 540, end: 600 }, { day: 'Monday', start: 600, end: 660 }];
+
+    const backToBack = { day: 'Monday', start: 660 + WORKLOAD_MIN_BREAK_MINUTES - 1, end: 720 + WORKLOAD_MIN_BREAK_MINUTES };
+    assert.deepEqual(checkWorkload(classes, backToBack, policy), [{ rule: 'Consecutive', load: 3, limit: 2 }]);
+
+    const afterBreak = { day: 'Monday', start: 660 + WORKLOAD_MIN_BREAK_MINUTES, end: 720 + WORKLOAD_MIN_BREAK_MINUTES };
+    assert.deepEqual(checkWorkload(classes, afterBreak, policy), []);
+
+    const otherDay = { day: 'Tuesday', start: 660, end: 720 };
+    assert.deepEqual(checkWorkload(classes, otherDay, policy), []);
+});
+
+test('checkWorkload measures daily and weekly hours including the proposed class', () => {
+    const classes = [
+        { day: 'Monday', start: 540, end: 660 },
+        { day: 'Tuesday', start: 540, end: 720 },
+    ];
+    const proposed = { day: 'Monday', start: 840, end: 930 };
+
+    assert.deepEqual(checkWorkload(classes, proposed, { ...unlimited, max_daily_hours: 3.5, max_weekly_hours: 6.5 }), []);
+    assert.deepEqual(checkWorkload(classes, proposed, { ...unlimited, max_daily_hours: 3, max_weekly_hours: 6 }), [
+        { rule: 'DailyHours', load: 3.5, limit: 3 },
+        { rule: 'WeeklyHours', load: 6.5, limit: 6 },
+    ]);
+});
+
+test('toHours rounds to two decimals', () => {
+    assert.equal(toHours(50), 0.83);
+    assert.equal(toHours(90), 1.5);
+});
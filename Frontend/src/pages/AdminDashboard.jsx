@@ -1,7 +1,8 @@
-import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
 import logo from '../../Utils/logo.png';
 import axios from 'axios';
 import { useNavigate } from 'react-router-dom';
+import * as XLSX from 'xlsx';
 
 // --- API Base URL & Helpers ---
 const API_BASE_URL = 'https://noclash.onrender.com/api'; // Ensure this matches your backend
@@ -92,7 +93,7 @@ const Modal = ({ isOpen, onClose, title, children }) => {
 };
 
 // Reusable Input Field
-const InputField = ({ label, name, id, type = 'text', value, onChange, placeholder, required = true, disabled = false, error = null }) => (
+const InputField = ({ label, name, id, type = 'text', value, onChange, placeholder, required = true, disabled = false, error = null, step }) => (
     <div className="mb-4">
         <label className="block text-gray-700 text-sm font-bold mb-2" htmlFor={id || name}>
             {label} {required && <span className="text-red-500">*</span>}
@@ -102,6 +103,7 @@ const InputField = ({ label, name, id, type = 'text', value, onChange, placehold
             id={id || name}
             name={name}
             type={type}
+            step={step}
             placeholder={placeholder || label}
             value={value}
             onChange={onChange}
@@ -168,10 +170,122 @@ const Button = ({ children, onClick, type = 'button', variant = 'primary', disab
     );
 };
 
+// --- Notification Bell (same as the Professor and Student dashboards') ---
+const NOTIFICATION_POLL_MS = 60000;
+
+function NotificationBell() {
+    const [isOpen, setIsOpen] = useState(false);
+    const [unreadCount, setUnreadCount] = useState(0);
+    const [notifications, setNotifications] = useState([]);
+    const [loading, setLoading] = useState(false);
+    const bellRef = useRef(null);
+
+    // Unread badge: polled, since changes are made by other users
+    useEffect(() => {
+        const fetchCount = () => apiClient.get('/notifications/unread-count')
+            .then(response => setUnreadCount(response.data?.unread_count || 0))
+            .catch(err => console.error("Error fetching notification count:", err));
+        fetchCount();
+        const timer = setInterval(fetchCount, NOTIFICATION_POLL_MS);
+        return () => clearInterval(timer);
+    }, []);
+
+    // Close the panel if clicked outside
+    useEffect(() => {
+        function handleClickOutside(event) {
+            if (bellRef.current && !bellRef.current.contains(event.target)) {
+                setIsOpen(false);
+            }
+        }
+        document.addEventListener("mousedown", handleClickOutside);
+        return () => document.removeEventListener("mousedown", handleClickOutside);
+    }, [bellRef]);
+
+    const handleToggle = async () => {
+        if (isOpen) { setIsOpen(false); return; }
+        setIsOpen(true); setLoading(true);
+        try {
+            const response = await apiClient.get('/notifications');
+            setNotifications(response.data?.notifications || []);
+            setUnreadCount(response.data?.unread_count || 0);
+        } catch (err) {
+            console.error("Error fetching notifications:", err);
+        } finally { setLoading(false); }
+    };
+
+    const handleMarkRead = async (notification) => {
+        if (notification.is_read) return;
+        try {
+            const response = await apiClient.put(`/notifications/${notification.notification_id}/read`);
+            setNotifications(prev => prev.map(n => n.notification_id === notification.notification_id ? { ...n, is_read: true } : n));
+            setUnreadCount(response.data?.unread_count || 0);
+        } catch (err) {
+            console.error("Error marking notification read:", err);
+        }
+    };
+
+    const handleMarkAllRead = async () => {
+        try {
+            await apiClient.put('/notifications/read-all');
+            setNotifications(prev => prev.map(n => ({ ...n, is_read: true })));
+            setUnreadCount(0);
+        } catch (err) {
+            console.error("Error marking notifications read:", err);
+        }
+    };
+
+    return (
+        <div className="relative" ref={bellRef}>
+            <button
+                onClick={handleToggle}
+                className="relative p-2 rounded-md text-gray-500 hover:text-gray-700 hover:bg-gray-100 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500"
+                aria-label={`Notifications${unreadCount > 0 ? ` (${unreadCount} unread)` : ''}`} aria-haspopup="true"
+            >
+                <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M15 17h5l-1.405-1.405A2.032 2.032 0 0118 14.158V11a6.002 6.002 0 00-4-5.659V5a2 2 0 10-4 0v.341C7.67 6.165 6 8.388 6 11v3.159c0 .538-.214 1.055-.595 1.436L4 17h5m6 0v1a3 3 0 11-6 0v-1m6 0H9"></path>
+                </svg>
+                {unreadCount > 0 && (
+                    <span className="absolute -top-0.5 -right-0.5 min-w-[1.25rem] h-5 px-1 rounded-full bg-red-600 text-white text-xs font-bold flex items-center justify-center">
+                        {unreadCount > 99 ? '99+' : unreadCount}
+                    </span>
+                )}
+            </button>
+
+            {isOpen && (
+                <div className="origin-top-right absolute right-0 mt-2 w-80 sm:w-96 rounded-md shadow-lg bg-white ring-1 ring-black ring-opacity-5 z-20">
+                    <div className="flex justify-between items-center px-4 py-2 border-b">
+                        <span className="text-sm font-semibold text-gray-800">Notifications</span>
+                        {unreadCount > 0 && (
+                            <button onClick={handleMarkAllRead} className="text-xs text-indigo-600 hover:text-indigo-800 font-medium">Mark all as read</button>
+                        )}
+                    </div>
+                    <div className="max-h-96 overflow-y-auto divide-y divide-gray-100">
+                        {loading && <LoadingSpinner size="h-6 w-6" />}
+                        {!loading && notifications.length === 0 && (
+                            <p className="text-sm text-gray-500 italic text-center py-6">No notifications yet.</p>
+                        )}
+                        {!loading && notifications.map(notification => (
+                            <button
+                                key={notification.notification_id}
+                                onClick={() => handleMarkRead(notification)}
+                                className={`block w-full text-left px-4 py-3 hover:bg-gray-50 ${notification.is_read ? '' : 'bg-indigo-50'}`}
+                            >
+                                <p className={`text-sm ${notification.is_read ? 'text-gray-700' : 'text-gray-900 font-semibold'}`}>{notification.title}</p>
+                                <p className="text-xs text-gray-600 mt-0.5">{notification.message}</p>
+                                <p className="text-xs text-gray-400 mt-1">{new Date(notification.created_at).toLocaleString()}</p>
+                            </button>
+                        ))}
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+}
+
 // --- Admin Dashboard Component ---
 function AdminDashboard() {
     const navigate = useNavigate();
-    const [activeTab, setActiveTab] = useState('pending'); // 'pending', 'all', 'classrooms', 'courses', 'structure'
+    const [activeTab, setActiveTab] = useState('pending'); // 'pending', 'all', 'classrooms', 'courses', 'structure', 'terms', 'timetable', 'import', 'generate', 'rooms'
     const [userData, setUserData] = useState(null);
 
     // --- Authentication & Authorization Check ---
@@ -214,6 +328,18 @@ function AdminDashboard() {
             case 'classrooms': return <ManageClassrooms />;
             case 'courses': return <ManageCourses />;
             case 'structure': return <ManageAcademicStructure />;
+            case 'terms': return <ManageTermsAndHolidays />;
+            case 'leave': return <ProfessorUnavailability />;
+            case 'workload': return <WorkloadReport />;
+            case 'timetable': return <ManageBaseTimetable />;
+            case 'drafts': return <TimetableDrafts />;
+            case 'import': return <ImportBaseTimetable />;
+            case 'generate': return <TimetableGenerator />;
+            case 'rooms': return <FreeClassroomSearch />;
+            case 'reservations': return <RoomReservations />;
+            case 'exams': return <ExamTimetable />;
+            case 'walking': return <BuildingTransitions />;
+            case 'audit': return <AuditLog />;
             default: return <PendingApprovals />;
         }
     };
@@ -247,6 +373,7 @@ function AdminDashboard() {
                     </h1>
                     <div className="flex items-center space-x-4">
                         <span className="text-sm text-gray-600 hidden sm:inline">Welcome, {userData.full_name}!</span>
+                        <NotificationBell />
                         <Button onClick={handleLogout} variant="danger" className="text-xs px-3 py-1.5">
                             Logout
                         </Button>
@@ -261,8 +388,20 @@ function AdminDashboard() {
                         <TabButton tabId="pending">Pending Approvals</TabButton>
                         <TabButton tabId="all">Manage Users</TabButton>
                         <TabButton tabId="classrooms">Classrooms</TabButton>
+                        <TabButton tabId="walking">Walking Times</TabButton>
                         <TabButton tabId="courses">Courses</TabButton>
                         <TabButton tabId="structure">Academic Structure</TabButton>
+                        <TabButton tabId="terms">Terms &amp; Holidays</TabButton>
+                        <TabButton tabId="leave">Professor Leave</TabButton>
+                        <TabButton tabId="workload">Workload</TabButton>
+                        <TabButton tabId="timetable">Base Timetable</TabButton>
+                        <TabButton tabId="drafts">Timetable Drafts</TabButton>
+                        <TabButton tabId="import">Import Timetable</TabButton>
+                        <TabButton tabId="generate">Generate Timetable</TabButton>
+                        <TabButton tabId="rooms">Free Rooms</TabButton>
+                        <TabButton tabId="reservations">Room Reservations</TabButton>
+                        <TabButton tabId="exams">Exams</TabButton>
+                        <TabButton tabId="audit">Audit Log</TabButton>
                     </nav>
                 </div>
 
@@ -836,6 +975,121 @@ function ClassroomFormModal({ isOpen, onClose, onSave, classroom }) {
     );
 }
 
+// --- Walking Times Between Buildings ---
+
+// Minutes needed between back-to-back classes in two buildings, edited as one value per pair of buildings
+function BuildingTransitions() {
+    const [buildings, setBuildings] = useState([]);
+    const [minutes, setMinutes] = useState({}); // 'A\nB' (the pair sorted) -> minutes as typed
+    const [settings, setSettings] = useState({ default_minutes: 0, policy: 'warn' });
+    const [loading, setLoading] = useState(true);
+    const [saving, setSaving] = useState(false);
+    const [error, setError] = useState('');
+
+    const fetchTransitions = useCallback(async () => {
+        setLoading(true); setError('');
+        try {
+            const response = await apiClient.get('/admin/building-transitions');
+            const { buildings: names = [], transitions = [], default_minutes, policy } = response.data || {};
+            setBuildings(names);
+            setSettings({ default_minutes, policy });
+            const pairMinutes = {};
+            transitions.forEach(t => {
+                const key = [t.from_building, t.to_building].sort().join('\n');
+                // Keep the longer walk when both directions are listed
+                pairMinutes[key] = String(Math.max(t.minutes, Number(pairMinutes[key] ?? 0)));
+            });
+            setMinutes(pairMinutes);
+        } catch (err) {
+            console.error("Error fetching building transitions:", err);
+            setError(err.response?.data?.message || err.message || "Failed to load walking times.");
+        } finally { setLoading(false); }
+    }, []);
+
+    useEffect(() => { fetchTransitions(); }, [fetchTransitions]);
+
+    const pairs = useMemo(() => buildings.flatMap((from, i) => buildings.slice(i + 1).map(to => [from, to])), [buildings]);
+
+    const handleSave = async () => {
+        const transitions = Object.entries(minutes)
+            .filter(([, value]) => value !== '')
+            .map(([key, value]) => {
+                const [from_building, to_building] = key.split('\n');
+                return { from_building, to_building, minutes: parseInt(value) };
+            });
+        if (transitions.some(t => isNaN(t.minutes) || t.minutes < 0)) {
+            alert('Walking times must be whole minutes (0 or more).'); return;
+        }
+        setSaving(true);
+        try {
+            const response = await apiClient.put('/admin/building-transitions', { transitions });
+            alert(response.data.message || 'Walking times saved.');
+            fetchTransitions();
+        } catch (err) {
+            console.error("Error saving building transitions:", err);
+            alert(`Error saving walking times: ${err.response?.data?.message || err.message}`);
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    return (
+        <div className="bg-white shadow-lg overflow-hidden sm:rounded-lg p-4 sm:p-6">
+            <div className="flex justify-between items-center mb-5 border-b pb-2">
+                <h2 className="text-xl font-semibold text-gray-800">Walking Times Between Buildings</h2>
+                <Button variant="primary" onClick={handleSave} disabled={loading || saving || pairs.length === 0}>
+                    {saving ? 'Saving...' : 'Save Walking Times'}
+                </Button>
+            </div>
+            <p className="text-sm text-gray-600 mb-4">
+                Back-to-back classes of the same professor or batch in two buildings need at least this many minutes between them.
+                Empty pairs use the default of {settings.default_minutes} min. Too-short gaps are {settings.policy === 'block' ? 'rejected as conflicts' : 'reported as warnings'} when booking.
+            </p>
+
+            {loading && <LoadingSpinner />}
+            {error && !loading && <ErrorMessage message={error} />}
+
+            {!loading && !error && pairs.length === 0 && (
+                <p className="text-gray-500 italic text-center py-4">Walking times need classrooms in at least two buildings.</p>
+            )}
+
+            {!loading && !error && pairs.length > 0 && (
+                <div className="overflow-x-auto relative border rounded-md">
+                    <table className="min-w-full divide-y divide-gray-200">
+                        <thead className="bg-gray-50">
+                            <tr>
+                                <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Between</th>
+                                <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">And</th>
+                                <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Minutes</th>
+                            </tr>
+                        </thead>
+                        <tbody className="bg-white divide-y divide-gray-200">
+                            {pairs.map(([from, to]) => {
+                                const key = [from, to].sort().join('\n');
+                                return (
+                                    <tr key={key} className="hover:bg-gray-50 transition-colors duration-150">
+                                        <td className="px-4 py-2 whitespace-nowrap text-sm text-gray-800">{from}</td>
+                                        <td className="px-4 py-2 whitespace-nowrap text-sm text-gray-800">{to}</td>
+                                        <td className="px-4 py-2 whitespace-nowrap text-sm">
+                                            <input
+                                                type="number" min="0" max="120" value={minutes[key] ?? ''}
+                                                placeholder={String(settings.default_minutes)}
+                                                onChange={(e) => setMinutes(prev => ({ ...prev, [key]: e.target.value }))}
+                                                disabled={saving}
+                                                className="shadow-sm border rounded-lg w-24 py-1 px-2 text-gray-700 focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                                            />
+                                        </td>
+                                    </tr>
+                                );
+                            })}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+        </div>
+    );
+}
+
 // --- Resource Management: Courses ---
 
 function ManageCourses() {
@@ -845,6 +1099,7 @@ function ManageCourses() {
     const [error, setError] = useState('');
     const [isModalOpen, setIsModalOpen] = useState(false);
     const [editingCourse, setEditingCourse] = useState(null); // null for 'Add', object for 'Edit'
+    const [rosterCourse, setRosterCourse] = useState(null); // Elective whose enrolled students are shown
 
     const fetchCoursesAndBranches = useCallback(async () => {
         setLoading(true); setError('');
@@ -876,6 +1131,7 @@ function ManageCourses() {
                  ...courseData,
                  branch_id: parseInt(courseData.branch_id),
                  credits: parseInt(courseData.credits),
+                 elective_seats: courseData.is_elective && courseData.elective_seats !== '' ? parseInt(courseData.elective_seats) : null,
              };
             if (editingCourse) {
                 // Assuming PUT /api/admin/courses/:id
@@ -954,8 +1210,14 @@ function ManageCourses() {
                                          <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${c.type === 'Lab' ? 'bg-yellow-100 text-yellow-800' : 'bg-green-100 text-green-800'}`}>
                                              {c.type}
                                          </span>
+                                         {!!c.is_elective && (
+                                             <span className="ml-1 px-2 inline-flex text-xs leading-5 font-semibold rounded-full bg-purple-100 text-purple-800">
+                                                 Elective · {c.enrolled_count ?? 0}{c.elective_seats != null ? `/${c.elective_seats}` : ''} enrolled
+                                             </span>
+                                         )}
                                      </td>
                                      <td className="px-4 py-4 whitespace-nowrap text-right text-sm font-medium space-x-2">
+                                         {!!c.is_elective && <Button variant="link" onClick={() => setRosterCourse(c)} className="text-xs px-2 py-1">Students</Button>}
                                          <Button variant="link" onClick={() => handleOpenEditModal(c)} className="text-xs px-2 py-1">Edit</Button>
                                          <Button variant="danger-link" onClick={() => handleDeleteCourse(c.course_id, c.course_code)} className="text-xs px-2 py-1">Delete</Button>
                                      </td>
@@ -973,15 +1235,57 @@ function ManageCourses() {
                 course={editingCourse}
                 branches={branches} // Pass branches data to the modal
             />
+            <EnrollmentsModal course={rosterCourse} onClose={() => setRosterCourse(null)} />
         </div>
     );
 }
 
+// Students enrolled in an elective course
+function EnrollmentsModal({ course, onClose }) {
+    const [students, setStudents] = useState([]);
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        if (!course) return;
+        setLoading(true); setError(''); setStudents([]);
+        apiClient.get(`/admin/courses/${course.course_id}/enrollments`)
+            .then(res => setStudents(Array.isArray(res.data?.students) ? res.data.students : []))
+            .catch(err => setError(err.response?.data?.message || 'Failed to load enrolled students.'))
+            .finally(() => setLoading(false));
+    }, [course]);
+
+    return (
+        <Modal isOpen={!!course} onClose={onClose} title={course ? `Enrolled in ${course.course_code} (${course.course_name})` : ''}>
+            {loading && <LoadingSpinner />}
+            {error && !loading && <ErrorMessage message={error} />}
+            {!loading && !error && students.length === 0 && (
+                <p className="text-gray-500 italic text-center py-4">No students have enrolled yet.</p>
+            )}
+            {!loading && !error && students.length > 0 && (
+                <>
+                    <p className="text-sm text-gray-600 mb-2">
+                        {students.length}{course?.elective_seats != null ? ` of ${course.elective_seats}` : ''} seat(s) taken.
+                    </p>
+                    <ul className="divide-y border rounded-md max-h-80 overflow-y-auto">
+                        {students.map(student => (
+                            <li key={student.user_id} className="px-3 py-2 text-sm flex justify-between">
+                                <span>{student.full_name} <span className="text-gray-500">({student.email})</span></span>
+                                <span className="text-gray-600">{student.batch_label || 'N/A'}</span>
+                            </li>
+                        ))}
+                    </ul>
+                </>
+            )}
+        </Modal>
+    );
+}
+
 // Modal Form for Adding/Editing Courses
 function CourseFormModal({ isOpen, onClose, onSave, course, branches }) {
     const isEditing = course != null;
     const initialFormData = useMemo(() => ({
-        course_code: '', course_name: '', branch_id: '', credits: '', type: 'Theory'
+        course_code: '', course_name: '', branch_id: '', credits: '', type: 'Theory', is_elective: false, elective_seats: ''
     }), []); // Memoize initial state
 
     const [formData, setFormData] = useState(initialFormData);
@@ -997,7 +1301,9 @@ function CourseFormModal({ isOpen, onClose, onSave, course, branches }) {
                     course_name: course.course_name || '',
                     branch_id: course.branch_id || '',
                     credits: course.credits || '',
-                    type: course.type || 'Theory'
+                    type: course.type || 'Theory',
+                    is_elective: !!course.is_elective,
+                    elective_seats: course.elective_seats ?? ''
                 });
             } else {
                  setFormData(initialFormData); // Reset form if adding
@@ -1008,8 +1314,8 @@ function CourseFormModal({ isOpen, onClose, onSave, course, branches }) {
 
 
     const handleChange = (e) => {
-        const { name, value } = e.target;
-        setFormData(prev => ({ ...prev, [name]: value }));
+        const { name, value, type, checked } = e.target;
+        setFormData(prev => ({ ...prev, [name]: type === 'checkbox' ? checked : value }));
     };
 
     const handleSubmit = async (e) => {
@@ -1022,6 +1328,9 @@ function CourseFormModal({ isOpen, onClose, onSave, course, branches }) {
         if (isNaN(parseInt(formData.credits))) {
             setError("Credits must be a number."); return;
         }
+        if (formData.is_elective && formData.elective_seats !== '' && !(parseInt(formData.elective_seats) > 0)) {
+            setError("Elective seats must be a positive number (or empty for no limit)."); return;
+        }
 
         setLoading(true);
         try {
@@ -1052,6 +1361,13 @@ function CourseFormModal({ isOpen, onClose, onSave, course, branches }) {
                     <option value="Theory">Theory</option>
                     <option value="Lab">Lab</option>
                 </SelectField>
+                <label className="flex items-center text-sm text-gray-700 mb-4">
+                    <input type="checkbox" name="is_elective" checked={formData.is_elective} onChange={handleChange} className="mr-2" />
+                    Elective (students enroll individually, across batches)
+                </label>
+                {formData.is_elective && (
+                    <InputField label="Seats (empty for no limit)" name="elective_seats" type="number" value={formData.elective_seats} onChange={handleChange} required={false} placeholder="e.g., 60" />
+                )}
 
                  <div className="flex justify-end space-x-3 pt-3 border-t mt-6">
                      <Button type="button" variant="secondary" onClick={onClose} disabled={loading}>Cancel</Button>
@@ -1173,5 +1489,2929 @@ function ManageAcademicStructure() {
 }
 
 
+// --- Academic Terms & Holidays ---
+
+function ManageTermsAndHolidays() {
+    const [terms, setTerms] = useState([]);
+    const [holidays, setHolidays] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState('');
+    const [isTermModalOpen, setIsTermModalOpen] = useState(false);
+    const [editingTerm, setEditingTerm] = useState(null); // null for 'Add', object for 'Edit'
+    const [holidayForm, setHolidayForm] = useState({ holiday_date: '', description: '', allow_extra_classes: false });
+    const [holidayError, setHolidayError] = useState('');
+    const [savingHoliday, setSavingHoliday] = useState(false);
+
+    const fetchData = useCallback(async () => {
+        setLoading(true); setError('');
+        try {
+            const [termsRes, holidaysRes] = await Promise.all([
+                apiClient.get('/admin/terms'),
+                apiClient.get('/admin/holidays'),
+            ]);
+            setTerms(Array.isArray(termsRes.data) ? termsRes.data : []);
+            setHolidays(Array.isArray(holidaysRes.data) ? holidaysRes.data : []);
+        } catch (err) {
+            console.error("Error fetching terms or holidays:", err);
+            setError(err.response?.data?.message || err.message || "Failed to load terms and holidays.");
+        } finally { setLoading(false); }
+    }, []);
+
+    useEffect(() => { fetchData(); }, [fetchData]);
+
+    const handleOpenAddTerm = () => { setEditingTerm(null); setIsTermModalOpen(true); };
+    const handleOpenEditTerm = (term) => { setEditingTerm(term); setIsTermModalOpen(true); };
+    const handleCloseTermModal = () => { setIsTermModalOpen(false); setEditingTerm(null); };
+
+    const handleSaveTerm = async (termData) => {
+        try {
+            if (editingTerm) {
+                await apiClient.put(`/admin/terms/${editingTerm.term_id}`, termData);
+                alert('Term updated successfully!');
+            } else {
+                await apiClient.post('/admin/terms', termData);
+                alert('Term added successfully!');
+            }
+            handleCloseTermModal();
+            fetchData();
+        } catch (err) {
+            console.error("Error saving term:", err);
+            throw new Error(err.response?.data?.message || "Failed to save term.");
+        }
+    };
+
+    const handleDeleteTerm = async (term) => {
+        if (!window.confirm(`DELETE term ${term.term_name}? This cannot be undone.`)) return;
+        try {
+            await apiClient.delete(`/admin/terms/${term.term_id}`);
+            alert('Term deleted successfully!');
+            fetchData();
+        } catch (err) {
+            console.error(`Error deleting term ${term.term_id}:`, err);
+            alert(`Failed to delete term: ${err.response?.data?.message || err.message || 'Server error'}`);
+        }
+    };
+
+    const handleHolidayChange = (e) => {
+        const { name, value, type, checked } = e.target;
+        setHolidayError('');
+        setHolidayForm(prev => ({ ...prev, [name]: type === 'checkbox' ? checked : value }));
+    };
+
+    const handleAddHoliday = async (e) => {
+        e.preventDefault();
+        if (!holidayForm.holiday_date || !holidayForm.description.trim()) {
+            setHolidayError("Date and description are required."); return;
+        }
+        setSavingHoliday(true); setHolidayError('');
+        try {
+            await apiClient.post('/admin/holidays', holidayForm);
+            setHolidayForm({ holiday_date: '', description: '', allow_extra_classes: false });
+            fetchData();
+        } catch (err) {
+            console.error("Error adding holiday:", err);
+            setHolidayError(err.response?.data?.message || err.message || "Failed to add holiday.");
+        } finally { setSavingHoliday(false); }
+    };
+
+    const handleToggleOverride = async (holiday) => {
+        try {
+            await apiClient.put(`/admin/holidays/${holiday.holiday_id}`, {
+                description: holiday.description,
+                allow_extra_classes: !holiday.allow_extra_classes,
+            });
+            fetchData();
+        } catch (err) {
+            console.error(`Error updating holiday ${holiday.holiday_id}:`, err);
+            alert(`Failed to update holiday: ${err.response?.data?.message || err.message || 'Server error'}`);
+        }
+    };
+
+    const handleDeleteHoliday = async (holiday) => {
+        if (!window.confirm(`DELETE holiday ${holiday.description} on ${holiday.holiday_date}?`)) return;
+        try {
+            await apiClient.delete(`/admin/holidays/${holiday.holiday_id}`);
+            fetchData();
+        } catch (err) {
+            console.error(`Error deleting holiday ${holiday.holiday_id}:`, err);
+            alert(`Failed to delete holiday: ${err.response?.data?.message || err.message || 'Server error'}`);
+        }
+    };
+
+    return (
+        <div className="space-y-6">
+            <div className="bg-white shadow-lg overflow-hidden sm:rounded-lg p-4 sm:p-6">
+                <div className="flex justify-between items-center mb-5 border-b pb-2">
+                    <h2 className="text-xl font-semibold text-gray-800">Academic Terms</h2>
+                    <Button variant="primary" onClick={handleOpenAddTerm}>
+                        + Add Term
+                    </Button>
+                </div>
+
+                {loading && <LoadingSpinner />}
+                {error && !loading && <ErrorMessage message={error} />}
+
+                {!loading && !error && terms.length === 0 && (
+                    <p className="text-gray-500 italic text-center py-4">No terms defined. Base classes need a term to know when they run.</p>
+                )}
+
+                {!loading && !error && terms.length > 0 && (
+                    <div className="overflow-x-auto relative border rounded-md">
+                        <table className="min-w-full divide-y divide-gray-200">
+                            <thead className="bg-gray-50">
+                                <tr>
+                                    <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Term</th>
+                                    <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Starts</th>
+                                    <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Ends</th>
+                                    <th scope="col" className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+                                </tr>
+                            </thead>
+                            <tbody className="bg-white divide-y divide-gray-200">
+                                {terms.map(term => (
+                                    <tr key={term.term_id} className="hover:bg-gray-50 transition-colors duration-150">
+                                        <td className="px-4 py-4 whitespace-nowrap text-sm font-medium text-gray-900">{term.term_name}</td>
+                                        <td className="px-4 py-4 whitespace-nowrap text-sm text-gray-600">{term.start_date}</td>
+                                        <td className="px-4 py-4 whitespace-nowrap text-sm text-gray-600">{term.end_date}</td>
+                                        <td className="px-4 py-4 whitespace-nowrap text-right text-sm font-medium space-x-2">
+                                            <Button variant="link" onClick={() => handleOpenEditTerm(term)} className="text-xs px-2 py-1">Edit</Button>
+                                            <Button variant="danger-link" onClick={() => handleDeleteTerm(term)} className="text-xs px-2 py-1">Delete</Button>
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                )}
+            </div>
+
+            <div className="bg-white shadow-lg overflow-hidden sm:rounded-lg p-4 sm:p-6">
+                <h2 className="text-xl font-semibold mb-5 text-gray-800 border-b pb-2">Holidays</h2>
+                <form onSubmit={handleAddHoliday} className="mb-4">
+                    {holidayError && <p className="bg-red-100 text-red-700 p-3 rounded text-sm border border-red-300 mb-3">{holidayError}</p>}
+                    <div className="grid grid-cols-1 md:grid-cols-3 gap-x-4 items-end">
+                        <InputField label="Date" name="holiday_date" type="date" value={holidayForm.holiday_date} onChange={handleHolidayChange} disabled={savingHoliday} />
+                        <InputField label="Description" name="description" value={holidayForm.description} onChange={handleHolidayChange} placeholder="e.g., Diwali" disabled={savingHoliday} />
+                        <div className="mb-4">
+                            <Button type="submit" variant="primary" disabled={savingHoliday} className="w-full">
+                                {savingHoliday ? 'Adding...' : '+ Add Holiday'}
+                            </Button>
+                        </div>
+                    </div>
+                    <label className="inline-flex items-center text-sm text-gray-700">
+                        <input type="checkbox" name="allow_extra_classes" checked={holidayForm.allow_extra_classes} onChange={handleHolidayChange} disabled={savingHoliday} className="mr-2" />
+                        Allow professors to book extra classes on this date
+                    </label>
+                </form>
+
+                {!loading && !error && holidays.length === 0 && (
+                    <p className="text-gray-500 italic text-center py-4">No holidays defined.</p>
+                )}
+
+                {!loading && !error && holidays.length > 0 && (
+                    <div className="overflow-x-auto relative border rounded-md">
+                        <table className="min-w-full divide-y divide-gray-200">
+                            <thead className="bg-gray-50">
+                                <tr>
+                                    <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Date</th>
+                                    <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Description</th>
+                                    <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Extra Classes</th>
+                                    <th scope="col" className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+                                </tr>
+                            </thead>
+                            <tbody className="bg-white divide-y divide-gray-200">
+                                {holidays.map(holiday => (
+                                    <tr key={holiday.holiday_id} className="hover:bg-gray-50 transition-colors duration-150">
+                                        <td className="px-4 py-4 whitespace-nowrap text-sm font-medium text-gray-900">{holiday.holiday_date}</td>
+                                        <td className="px-4 py-4 whitespace-nowrap text-sm text-gray-600">{holiday.description}</td>
+                                        <td className="px-4 py-4 whitespace-nowrap text-sm">
+                                            <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${holiday.allow_extra_classes ? 'bg-green-100 text-green-800' : 'bg-red-100 text-red-800'}`}>
+                                                {holiday.allow_extra_classes ? 'Allowed' : 'Blocked'}
+                                            </span>
+                                        </td>
+                                        <td className="px-4 py-4 whitespace-nowrap text-right text-sm font-medium space-x-2">
+                                            <Button variant="link" onClick={() => handleToggleOverride(holiday)} className="text-xs px-2 py-1">
+                                                {holiday.allow_extra_classes ? 'Block Extras' : 'Allow Extras'}
+                                            </Button>
+                                            <Button variant="danger-link" onClick={() => handleDeleteHoliday(holiday)} className="text-xs px-2 py-1">Delete</Button>
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                )}
+            </div>
+
+            <TermFormModal
+                isOpen={isTermModalOpen}
+                onClose={handleCloseTermModal}
+                onSave={handleSaveTerm}
+                term={editingTerm}
+            />
+        </div>
+    );
+}
+
+// Modal Form for Adding/Editing Academic Terms
+function TermFormModal({ isOpen, onClose, onSave, term }) {
+    const isEditing = term != null;
+    const [formData, setFormData] = useState({ term_name: '', start_date: '', end_date: '' });
+    const [error, setError] = useState('');
+    const [loading, setLoading] = useState(false);
+
+    useEffect(() => {
+        if (isOpen) {
+            setFormData({
+                term_name: term?.term_name || '',
+                start_date: term?.start_date || '',
+                end_date: term?.end_date || '',
+            });
+            setError('');
+        }
+    }, [term, isOpen]);
+
+    const handleChange = (e) => {
+        const { name, value } = e.target;
+        setFormData(prev => ({ ...prev, [name]: value }));
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setError('');
+        if (!formData.term_name.trim() || !formData.start_date || !formData.end_date) {
+            setError("Term name, start date and end date are required."); return;
+        }
+        if (formData.start_date > formData.end_date) {
+            setError("Start date must be on or before the end date."); return;
+        }
+        setLoading(true);
+        try {
+            await onSave(formData);
+        } catch (apiError) {
+            setError(apiError.message || "Failed to save term.");
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    return (
+        <Modal isOpen={isOpen} onClose={onClose} title={isEditing ? 'Edit Term' : 'Add New Term'}>
+            <form onSubmit={handleSubmit} className="space-y-4">
+                {error && <p className="bg-red-100 text-red-700 p-3 rounded text-sm border border-red-300">{error}</p>}
+                <InputField label="Term Name" name="term_name" value={formData.term_name} onChange={handleChange} placeholder="e.g., Odd Semester 2025-26" />
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-x-4">
+                    <InputField label="Start Date" name="start_date" type="date" value={formData.start_date} onChange={handleChange} />
+                    <InputField label="End Date" name="end_date" type="date" value={formData.end_date} onChange={handleChange} />
+                </div>
+                <div className="flex justify-end space-x-3 pt-3 border-t mt-6">
+                    <Button type="button" variant="secondary" onClick={onClose} disabled={loading}>Cancel</Button>
+                    <Button type="submit" variant="primary" disabled={loading}>
+                        {loading ? 'Saving...' : (isEditing ? 'Update Term' : 'Add Term')}
+                    </Button>
+                </div>
+            </form>
+        </Modal>
+    );
+}
+
+
+// --- Professor Unavailability (leave approval) ---
+
+const UNAVAILABILITY_STATUS_STYLES = {
+    Pending: 'bg-yellow-100 text-yellow-800',
+    Approved: 'bg-green-100 text-green-800',
+    Rejected: 'bg-red-100 text-red-800',
+};
+
+function ProfessorUnavailability() {
+    const [requests, setRequests] = useState([]);
+    const [professors, setProfessors] = useState([]);
+    const [statusFilter, setStatusFilter] = useState('Pending');
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState('');
+    const [coverTarget, setCoverTarget] = useState(null); // { entry, date } of a flagged class being covered
+
+    const fetchRequests = useCallback(async () => {
+        setLoading(true);
+        setError('');
+        try {
+            const response = await apiClient.get('/admin/unavailability', { params: { status: statusFilter || undefined } });
+            setRequests(Array.isArray(response.data) ? response.data : []);
+        } catch (err) {
+            console.error("Error fetching unavailability requests:", err);
+            setError(err.response?.data?.message || err.message || "Failed to load unavailability requests.");
+        } finally {
+            setLoading(false);
+        }
+    }, [statusFilter]);
+
+    useEffect(() => {
+        fetchRequests();
+    }, [fetchRequests]);
+
+    // Substitute candidates only need to be loaded once
+    useEffect(() => {
+        apiClient.get('/admin/users')
+            .then(response => setProfessors((Array.isArray(response.data) ? response.data : [])
+                .filter(u => u.role === 'Professor' && u.approval_status === 'Approved')))
+            .catch(err => console.error("Error fetching professors:", err));
+    }, []);
+
+    const handleReview = async (request, status) => {
+        const verb = status === 'Approved' ? 'Approve' : 'Reject';
+        const warning = status === 'Approved' && request.affected_classes.length > 0
+            ? ` ${request.affected_classes.length} scheduled class(es) fall inside it.`
+            : '';
+        if (!window.confirm(`${verb} ${request.professor_name}'s unavailability from ${request.start_date} ${request.start_time} to ${request.end_date} ${request.end_time}?${warning}`)) return;
+        try {
+            const response = await apiClient.put(`/admin/unavailability/${request.unavailability_id}`, { status });
+            alert(response.data.message || `Unavailability ${status.toLowerCase()}.`);
+            fetchRequests();
+        } catch (err) {
+            console.error(`Error reviewing unavailability ${request.unavailability_id}:`, err);
+            alert(`Failed to update unavailability: ${err.response?.data?.message || err.message || 'Server error'}`);
+        }
+    };
+
+    return (
+        <div className="bg-white shadow-lg overflow-hidden sm:rounded-lg p-4 sm:p-6">
+            <div className="flex flex-wrap justify-between items-center mb-5 border-b pb-2 gap-4">
+                <h2 className="text-xl font-semibold text-gray-800">Professor Leave &amp; Unavailability</h2>
+                <select
+                    value={statusFilter}
+                    onChange={(e) => setStatusFilter(e.target.value)}
+                    className="border border-gray-300 rounded py-1 px-2 text-sm text-gray-700 focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                >
+                    <option value="Pending">Pending</option>
+                    <option value="Approved">Approved</option>
+                    <option value="Rejected">Rejected</option>
+                    <option value="">All</option>
+                </select>
+            </div>
+            <p className="text-sm text-gray-600 mb-4">
+                Approved windows block the professor in every conflict check, the free-slot finder and the timetable generator.
+                Classes already scheduled inside a window are flagged until they are moved or a substitute covers them.
+            </p>
+
+            {error && <ErrorMessage message={error} />}
+            {loading ? <LoadingSpinner /> : requests.length === 0 ? (
+                <p className="text-gray-500 italic text-center py-4">No {statusFilter ? statusFilter.toLowerCase() : ''} unavailability requests.</p>
+            ) : (
+                <div className="overflow-x-auto relative">
+                    <table className="min-w-full divide-y divide-gray-200 border">
+                        <thead className="bg-gray-50">
+                            <tr>
+                                <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Professor</th>
+                                <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Window</th>
+                                <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Reason</th>
+                                <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                                <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Scheduled Classes Inside</th>
+                                <th scope="col" className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+                            </tr>
+                        </thead>
+                        <tbody className="bg-white divide-y divide-gray-200">
+                            {requests.map(request => (
+                                <tr key={request.unavailability_id} className="hover:bg-gray-50 transition-colors duration-150 align-top">
+                                    <td className="px-4 py-4 whitespace-nowrap text-sm font-medium text-gray-900">{request.professor_name}</td>
+                                    <td className="px-4 py-4 whitespace-nowrap text-sm text-gray-600">
+                                        {request.start_date} {request.start_time}<br />to {request.end_date} {request.end_time}
+                                    </td>
+                                    <td className="px-4 py-4 text-sm text-gray-600">{request.reason || '-'}</td>
+                                    <td className="px-4 py-4 whitespace-nowrap text-sm">
+                                        <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${UNAVAILABILITY_STATUS_STYLES[request.status] || ''}`}>{request.status}</span>
+                                        {request.reviewed_by_name && <p className="text-xs text-gray-500 mt-1">by {request.reviewed_by_name}</p>}
+                                    </td>
+                                    <td className="px-4 py-4 text-sm">
+                                        {request.affected_classes.length === 0 ? (
+                                            <span className="text-gray-400">None</span>
+                                        ) : (
+                                            <ul className="text-red-700 space-y-1">
+                                                {request.affected_classes.map(cls => (
+                                                    <li key={`${cls.schedule_id}-${cls.class_date}`}>
+                                                        {cls.course_code} ({cls.class_type}) {cls.class_date} {cls.start_time}-{cls.end_time}
+                                                        <span className="text-gray-500"> · {cls.batch_details}</span>
+                                                        <Button
+                                                            variant="link"
+                                                            onClick={() => setCoverTarget({ entry: { ...cls, professor_id: request.professor_id }, date: cls.class_date })}
+                                                            className="text-xs px-1 py-0 ml-1"
+                                                        >
+                                                            Assign cover
+                                                        </Button>
+                                                    </li>
+                                                ))}
+                                            </ul>
+                                        )}
+                                    </td>
+                                    <td className="px-4 py-4 whitespace-nowrap text-right text-sm font-medium space-x-2">
+                                        {request.status !== 'Approved' && (
+                                            <Button variant="success" onClick={() => handleReview(request, 'Approved')} className="text-xs px-2 py-1">Approve</Button>
+                                        )}
+                                        {request.status !== 'Rejected' && (
+                                            <Button variant="danger" onClick={() => handleReview(request, 'Rejected')} className="text-xs px-2 py-1">Reject</Button>
+                                        )}
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+
+            <SubstitutesModal
+                entry={coverTarget?.entry ?? null}
+                date={coverTarget?.date}
+                professors={professors}
+                onClose={() => setCoverTarget(null)}
+                onChanged={() => { setCoverTarget(null); fetchRequests(); }}
+            />
+        </div>
+    );
+}
+
+// --- Professor Workload ---
+
+const WORKLOAD_FIELDS = [
+    { name: 'max_daily_hours', label: 'Max Hours per Day', unit: 'h', step: '0.1' },
+    { name: 'max_weekly_hours', label: 'Max Hours per Week', unit: 'h', step: '0.1' },
+    { name: 'max_consecutive', label: 'Max Classes in a Row', unit: '', step: '1' },
+];
+
+// Limits object -> form values (null = empty)
+const toLimitForm = (limits) => Object.fromEntries(WORKLOAD_FIELDS.map(({ name }) => [name, limits?.[name] != null ? String(limits[name]) : '']));
+
+// 'load / limit' cell, red when the limit is exceeded
+const LoadCell = ({ load, limit, unit }) => (
+    <td className={`px-4 py-4 whitespace-nowrap text-sm ${limit != null && load > limit ? 'text-red-700 font-semibold' : 'text-gray-700'}`}>
+        {load}{unit} <span className="text-gray-400 font-normal">/ {limit != null ? `${limit}${unit}` : '∞'}</span>
+    </td>
+);
+
+// Each professor's teaching load in a week against their workload limits, and the policies themselves
+function WorkloadReport() {
+    const [report, setReport] = useState(null);
+    const [weekStart, setWeekStart] = useState('');
+    const [globalForm, setGlobalForm] = useState(toLimitForm(null));
+    const [editing, setEditing] = useState(null); // Professor row whose own limits are being edited
+    const [loading, setLoading] = useState(true);
+    const [saving, setSaving] = useState(false);
+    const [error, setError] = useState('');
+
+    const fetchReport = useCallback(async () => {
+        setLoading(true); setError('');
+        try {
+            const response = await apiClient.get('/admin/workload', { params: { week_start: weekStart || undefined } });
+            setReport(response.data);
+            setGlobalForm(toLimitForm(response.data?.global));
+        } catch (err) {
+            console.error("Error fetching workload report:", err);
+            setError(err.response?.data?.message || err.message || "Failed to load the workload report.");
+        } finally { setLoading(false); }
+    }, [weekStart]);
+
+    useEffect(() => { fetchReport(); }, [fetchReport]);
+
+    const handleSaveGlobal = async (e) => {
+        e.preventDefault();
+        setSaving(true);
+        try {
+            const response = await apiClient.put('/admin/workload-policies/global', globalForm);
+            alert(response.data.message || 'Global workload policy saved.');
+            fetchReport();
+        } catch (err) {
+            console.error("Error saving global workload policy:", err);
+            alert(`Error saving workload policy: ${err.response?.data?.message || err.message}`);
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const handleReset = async (professor) => {
+        if (!window.confirm(`Reset ${professor.full_name} to the global workload limits?`)) return;
+        try {
+            const response = await apiClient.delete(`/admin/workload-policies/${professor.professor_id}`);
+            alert(response.data.message || 'Workload policy reset.');
+            fetchReport();
+        } catch (err) {
+            console.error("Error resetting workload policy:", err);
+            alert(`Error resetting workload policy: ${err.response?.data?.message || err.message}`);
+        }
+    };
+
+    const professors = report?.professors || [];
+    const overCount = professors.filter(p => p.over_limits.length > 0).length;
+
+    return (
+        <div className="bg-white shadow-lg overflow-hidden sm:rounded-lg p-4 sm:p-6">
+            <div className="flex flex-wrap justify-between items-center gap-3 mb-5 border-b pb-2">
+                <h2 className="text-xl font-semibold text-gray-800">Professor Workload</h2>
+                <div className="flex items-center gap-2">
+                    <label htmlFor="workloadWeek" className="text-sm text-gray-600">Week of</label>
+                    <input
+                        id="workloadWeek" type="date" value={weekStart || report?.week_start || ''}
+                        onChange={(e) => setWeekStart(e.target.value)}
+                        className="shadow-sm border rounded-lg py-1 px-2 text-sm text-gray-700 focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                    />
+                </div>
+            </div>
+
+            <form onSubmit={handleSaveGlobal} className="mb-6 p-4 border rounded-md bg-gray-50">
+                <h3 className="text-md font-semibold text-gray-700 mb-1">Global Limits</h3>
+                <p className="text-xs text-gray-500 mb-3">
+                    Apply to every professor without limits of their own; leave a field empty for no limit.
+                    Classes less than {report?.min_break_minutes ?? 15} min apart count as in a row.
+                    Extra bookings, Base entries and generated timetables that break a limit are rejected as conflicts.
+                </p>
+                <div className="grid grid-cols-1 sm:grid-cols-4 gap-4 items-end">
+                    {WORKLOAD_FIELDS.map(field => (
+                        <InputField
+                            key={field.name} label={field.label} name={field.name} id={`global_${field.name}`} type="number" step={field.step}
+                            value={globalForm[field.name]} required={false} placeholder="No limit"
+                            onChange={(e) => setGlobalForm(prev => ({ ...prev, [field.name]: e.target.value }))}
+                            disabled={saving}
+                        />
+                    ))}
+                    <Button type="submit" variant="primary" disabled={saving} className="mb-4">{saving ? 'Saving...' : 'Save Global Limits'}</Button>
+                </div>
+            </form>
+
+            {loading && <LoadingSpinner />}
+            {error && !loading && <ErrorMessage message={error} />}
+
+            {!loading && !error && report && (
+                <>
+                    <p className="text-sm text-gray-600 mb-3">
+                        {report.week_start} to {report.week_end} · {overCount === 0
+                            ? 'no professor is over their limits.'
+                            : <span className="text-red-700 font-semibold">{overCount} professor(s) over their limits.</span>}
+                    </p>
+                    {professors.length === 0 ? (
+                        <p className="text-gray-500 italic text-center py-4">No approved professors found.</p>
+                    ) : (
+                        <div className="overflow-x-auto relative">
+                            <table className="min-w-full divide-y divide-gray-200 border">
+                                <thead className="bg-gray-50">
+                                    <tr>
+                                        <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Professor</th>
+                                        <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Classes</th>
+                                        <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Week</th>
+                                        <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Busiest Day</th>
+                                        <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Longest Run</th>
+                                        <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Hours by Day</th>
+                                        <th scope="col" className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Limits</th>
+                                    </tr>
+                                </thead>
+                                <tbody className="bg-white divide-y divide-gray-200">
+                                    {professors.map(professor => (
+                                        <tr key={professor.professor_id} className={`transition-colors duration-150 ${professor.over_limits.length > 0 ? 'bg-red-50' : 'hover:bg-gray-50'}`}>
+                                            <td className="px-4 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
+                                                {professor.full_name}
+                                                {professor.overrides && <span className="ml-2 px-2 inline-flex text-xs leading-5 font-semibold rounded-full bg-indigo-100 text-indigo-800">Own limits</span>}
+                                            </td>
+                                            <td className="px-4 py-4 whitespace-nowrap text-sm text-gray-700">{professor.class_count}</td>
+                                            <LoadCell load={professor.weekly_hours} limit={professor.limits.max_weekly_hours} unit="h" />
+                                            <LoadCell load={professor.busiest_day_hours} limit={professor.limits.max_daily_hours} unit="h" />
+                                            <LoadCell load={professor.longest_run} limit={professor.limits.max_consecutive} unit="" />
+                                            <td className="px-4 py-4 whitespace-nowrap text-xs text-gray-500">
+                                                {professor.daily.map(day => (
+                                                    <span key={day.date} title={day.date} className={`inline-block w-9 text-center ${professor.limits.max_daily_hours != null && day.hours > professor.limits.max_daily_hours ? 'text-red-700 font-semibold' : ''}`}>
+                                                        {day.hours || '·'}
+                                                    </span>
+                                                ))}
+                                            </td>
+                                            <td className="px-4 py-4 whitespace-nowrap text-right text-sm font-medium space-x-2">
+                                                <Button variant="link" onClick={() => setEditing(professor)} className="text-xs px-1 py-0">Edit</Button>
+                                                {professor.overrides && (
+                                                    <Button variant="danger-link" onClick={() => handleReset(professor)} className="text-xs px-1 py-0">Reset</Button>
+                                                )}
+                                            </td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                            <p className="text-xs text-gray-500 mt-2">Hours by day run Monday to Sunday.</p>
+                        </div>
+                    )}
+                </>
+            )}
+
+            <WorkloadPolicyModal
+                professor={editing}
+                globalLimits={report?.global}
+                onClose={() => setEditing(null)}
+                onSaved={() => { setEditing(null); fetchReport(); }}
+            />
+        </div>
+    );
+}
+
+// A professor's own workload limits; empty fields follow the global policy
+function WorkloadPolicyModal({ professor, globalLimits, onClose, onSaved }) {
+    const [form, setForm] = useState(toLimitForm(null));
+    const [saving, setSaving] = useState(false);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        setForm(toLimitForm(professor?.overrides));
+        setError('');
+    }, [professor]);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setSaving(true); setError('');
+        try {
+            await apiClient.put(`/admin/workload-policies/${professor.professor_id}`, form);
+            onSaved();
+        } catch (err) {
+            console.error("Error saving workload policy:", err);
+            setError(err.response?.data?.message || err.message || 'Failed to save workload limits.');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    return (
+        <Modal isOpen={!!professor} onClose={onClose} title={professor ? `Workload Limits: ${professor.full_name}` : ''}>
+            <form onSubmit={handleSubmit} className="space-y-2">
+                {error && <p className="bg-red-100 text-red-700 p-3 rounded text-sm border border-red-300">{error}</p>}
+                <p className="text-sm text-gray-600 mb-2">Leave a field empty to use the global limit.</p>
+                {WORKLOAD_FIELDS.map(field => (
+                    <InputField
+                        key={field.name} label={field.label} name={field.name} id={`own_${field.name}`} type="number" step={field.step}
+                        value={form[field.name]} required={false}
+                        placeholder={globalLimits?.[field.name] != null ? `Global: ${globalLimits[field.name]}${field.unit}` : 'Global: no limit'}
+                        onChange={(e) => setForm(prev => ({ ...prev, [field.name]: e.target.value }))}
+                        disabled={saving}
+                    />
+                ))}
+                <div className="flex justify-end space-x-3 pt-2">
+                    <Button variant="secondary" onClick={onClose} disabled={saving}>Cancel</Button>
+                    <Button type="submit" variant="primary" disabled={saving}>{saving ? 'Saving...' : 'Save Limits'}</Button>
+                </div>
+            </form>
+        </Modal>
+    );
+}
+
+// --- Room Reservations (seminars, meetings, exams) ---
+
+const RESERVATION_KINDS = ['Seminar', 'Meeting', 'Exam', 'Event', 'Other'];
+
+function RoomReservations() {
+    const emptyForm = { title: '', kind: 'Seminar', organizer: '', classroom_id: '', reservation_date: '', start_time: '10:00', end_time: '11:00' };
+    const [reservations, setReservations] = useState([]);
+    const [classrooms, setClassrooms] = useState([]);
+    const [structure, setStructure] = useState([]);
+    const [form, setForm] = useState(emptyForm);
+    const [attendeeBatchIds, setAttendeeBatchIds] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState('');
+    const [formError, setFormError] = useState('');
+    const [conflicts, setConflicts] = useState([]);
+    const [saving, setSaving] = useState(false);
+
+    const fetchReservations = useCallback(async () => {
+        setLoading(true); setError('');
+        try {
+            const response = await apiClient.get('/reservations');
+            setReservations(Array.isArray(response.data) ? response.data : []);
+        } catch (err) {
+            console.error("Error fetching room reservations:", err);
+            setError(err.response?.data?.message || err.message || "Failed to load room reservations.");
+        } finally { setLoading(false); }
+    }, []);
+
+    useEffect(() => { fetchReservations(); }, [fetchReservations]);
+
+    useEffect(() => {
+        Promise.all([apiClient.get('/admin/classrooms'), apiClient.get('/admin/structure')])
+            .then(([classroomsRes, structureRes]) => {
+                setClassrooms(Array.isArray(classroomsRes.data) ? classroomsRes.data : []);
+                setStructure(Array.isArray(structureRes.data) ? structureRes.data : []);
+            })
+            .catch(err => console.error("Error fetching rooms or academic structure:", err));
+    }, []);
+
+    const handleChange = (e) => {
+        const { name, value } = e.target;
+        setFormError(''); setConflicts([]);
+        setForm(prev => ({ ...prev, [name]: value }));
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setFormError(''); setConflicts([]);
+        if (!form.title.trim() || !form.organizer.trim() || !form.classroom_id || !form.reservation_date) {
+            setFormError("Title, organizer, room and date are required."); return;
+        }
+        if (form.start_time >= form.end_time) {
+            setFormError("Start time must be before end time."); return;
+        }
+        setSaving(true);
+        try {
+            await apiClient.post('/reservations', {
+                ...form,
+                classroom_id: parseInt(form.classroom_id),
+                batch_ids: attendeeBatchIds,
+            });
+            alert('Room reserved successfully!');
+            setForm(emptyForm);
+            setAttendeeBatchIds([]);
+            fetchReservations();
+        } catch (err) {
+            console.error("Error reserving room:", err);
+            setFormError(err.response?.data?.message || err.message || "Failed to reserve room.");
+            setConflicts(Array.isArray(err.response?.data?.conflicts) ? err.response.data.conflicts : []);
+        } finally { setSaving(false); }
+    };
+
+    const handleDelete = async (reservation) => {
+        if (!window.confirm(`Cancel "${reservation.title}" in ${reservation.room_number} on ${reservation.reservation_date}?`)) return;
+        try {
+            await apiClient.delete(`/reservations/${reservation.reservation_id}`);
+            fetchReservations();
+        } catch (err) {
+            console.error(`Error cancelling reservation ${reservation.reservation_id}:`, err);
+            alert(`Failed to cancel reservation: ${err.response?.data?.message || err.message || 'Server error'}`);
+        }
+    };
+
+    return (
+        <div className="space-y-6">
+            <div className="bg-white shadow-lg overflow-hidden sm:rounded-lg p-4 sm:p-6">
+                <h2 className="text-xl font-semibold mb-5 text-gray-800 border-b pb-2">Reserve a Room</h2>
+                <p className="text-sm text-gray-600 mb-4">
+                    Seminars, meetings, exams and events hold their room like a class does. Attendee batches, when selected, are busy for the duration as well.
+                </p>
+                {formError && (
+                    <div className="bg-red-100 text-red-700 p-3 rounded text-sm border border-red-300 mb-4">
+                        <p>{formError}</p>
+                        {conflicts.length > 1 && (
+                            <ul className="list-disc list-inside mt-1">
+                                {conflicts.map((conflict, i) => (
+                                    <li key={`${conflict.schedule_id ?? conflict.reservation_id}-${conflict.entity}-${i}`}>
+                                        {conflict.entity} ({conflict.details}):{' '}
+                                        {conflict.class_type === 'Reservation' ? `${conflict.kind} "${conflict.title}"`
+                                            : conflict.class_type === 'Leave' ? 'unavailable'
+                                            : `${conflict.course_code} ${conflict.class_type} class`}, {conflict.start_time}-{conflict.end_time}
+                                    </li>
+                                ))}
+                            </ul>
+                        )}
+                    </div>
+                )}
+                <form onSubmit={handleSubmit}>
+                    <div className="grid grid-cols-1 md:grid-cols-3 gap-x-4">
+                        <InputField label="Title" name="title" value={form.title} onChange={handleChange} placeholder="e.g., Industry Seminar on AI" disabled={saving} />
+                        <SelectField label="Kind" name="kind" value={form.kind} onChange={handleChange} disabled={saving}>
+                            {RESERVATION_KINDS.map(kind => <option key={kind} value={kind}>{kind}</option>)}
+                        </SelectField>
+                        <InputField label="Organizer" name="organizer" value={form.organizer} onChange={handleChange} placeholder="e.g., CS Department" disabled={saving} />
+                        <SelectField label="Room" name="classroom_id" value={form.classroom_id} onChange={handleChange} disabled={saving}>
+                            <option value="">-- Select Room --</option>
+                            {classrooms.map(room => (
+                                <option key={room.classroom_id} value={room.classroom_id}>{room.room_number} ({room.building}, {room.capacity} seats)</option>
+                            ))}
+                        </SelectField>
+                        <InputField label="Date" name="reservation_date" type="date" value={form.reservation_date} onChange={handleChange} disabled={saving} />
+                        <div className="grid grid-cols-2 gap-x-4">
+                            <InputField label="Start" name="start_time" type="time" value={form.start_time} onChange={handleChange} disabled={saving} />
+                            <InputField label="End" name="end_time" type="time" value={form.end_time} onChange={handleChange} disabled={saving} />
+                        </div>
+                    </div>
+                    <AudiencePicker structure={structure} selectedBatchIds={attendeeBatchIds} onChange={setAttendeeBatchIds} label="Attendee Batches (optional)" required={false} />
+                    <div className="flex justify-end">
+                        <Button type="submit" variant="primary" disabled={saving}>{saving ? 'Reserving...' : 'Reserve Room'}</Button>
+                    </div>
+                </form>
+            </div>
+
+            <div className="bg-white shadow-lg overflow-hidden sm:rounded-lg p-4 sm:p-6">
+                <h2 className="text-xl font-semibold mb-5 text-gray-800 border-b pb-2">Upcoming Reservations</h2>
+                {error && <ErrorMessage message={error} />}
+                {loading ? <LoadingSpinner /> : reservations.length === 0 ? (
+                    <p className="text-gray-500 italic text-center py-4">No upcoming room reservations.</p>
+                ) : (
+                    <div className="overflow-x-auto relative">
+                        <table className="min-w-full divide-y divide-gray-200 border">
+                            <thead className="bg-gray-50">
+                                <tr>
+                                    <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">When</th>
+                                    <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Room</th>
+                                    <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Title</th>
+                                    <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Organizer</th>
+                                    <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Attendees</th>
+                                    <th scope="col" className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+                                </tr>
+                            </thead>
+                            <tbody className="bg-white divide-y divide-gray-200">
+                                {reservations.map(reservation => (
+                                    <tr key={reservation.reservation_id} className="hover:bg-gray-50 transition-colors duration-150">
+                                        <td className="px-4 py-4 whitespace-nowrap text-sm text-gray-900">{reservation.reservation_date} {reservation.start_time}-{reservation.end_time}</td>
+                                        <td className="px-4 py-4 whitespace-nowrap text-sm text-gray-600">{reservation.room_number}</td>
+                                        <td className="px-4 py-4 text-sm text-gray-900">
+                                            {reservation.title}
+                                            <span className="ml-2 px-2 inline-flex text-xs leading-5 font-semibold rounded-full bg-purple-100 text-purple-800">{reservation.kind}</span>
+                                        </td>
+                                        <td className="px-4 py-4 text-sm text-gray-600">
+                                            {reservation.organizer}
+                                            {reservation.created_by_name && <p className="text-xs text-gray-500">booked by {reservation.created_by_name}</p>}
+                                        </td>
+                                        <td className="px-4 py-4 text-sm text-gray-600">{reservation.batch_details || '-'}</td>
+                                        <td className="px-4 py-4 whitespace-nowrap text-right text-sm font-medium">
+                                            <Button variant="danger-link" onClick={() => handleDelete(reservation)} className="text-xs px-2 py-1">Cancel</Button>
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+}
+
+// --- Exam Timetable (sessions, exams, rooms and invigilators) ---
+
+// One line per clash returned with a 409 from the exam routes
+const describeExamConflict = (conflict) => {
+    if (conflict.class_type === 'Exam') {
+        if (conflict.rule === 'DailyLimit') return `${conflict.entity} (${conflict.details}): daily exam limit reached (${conflict.course_code})`;
+        return `${conflict.entity} (${conflict.details}): ${conflict.course_code} exam, ${conflict.class_date} ${conflict.start_time}-${conflict.end_time}`;
+    }
+    if (conflict.class_type === 'Leave') return `${conflict.entity} (${conflict.details}): unavailable${conflict.reason ? ` (${conflict.reason})` : ''}, ${conflict.start_time}-${conflict.end_time}`;
+    return `${conflict.entity} (${conflict.details}): ${conflict.course_code || conflict.title} ${conflict.class_type === 'Reservation' ? conflict.kind : `${conflict.class_type} class`}, ${conflict.start_time}-${conflict.end_time}`;
+};
+
+const ExamConflictError = ({ message, conflicts }) => (
+    <div className="bg-red-100 text-red-700 p-3 rounded text-sm border border-red-300 mb-4">
+        <p>{message}</p>
+        {conflicts.length > 1 && (
+            <ul className="list-disc list-inside mt-1">
+                {conflicts.map((conflict, i) => <li key={i}>{describeExamConflict(conflict)}</li>)}
+            </ul>
+        )}
+    </div>
+);
+
+function ExamTimetable() {
+    const emptySession = { exam_date: '', session_name: 'Morning', start_time: '10:00', end_time: '13:00' };
+    const [sessions, setSessions] = useState([]);
+    const [exams, setExams] = useState([]);
+    const [courses, setCourses] = useState([]);
+    const [structure, setStructure] = useState([]);
+    const [professors, setProfessors] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState('');
+    const [sessionForm, setSessionForm] = useState(emptySession);
+    const [sessionError, setSessionError] = useState('');
+    const [examForm, setExamForm] = useState({ session_id: '', course_id: '', notes: '' });
+    const [examBatchIds, setExamBatchIds] = useState([]);
+    const [examError, setExamError] = useState({ message: '', conflicts: [] });
+    const [saving, setSaving] = useState(false);
+    const [roomsExam, setRoomsExam] = useState(null);
+    const [invigilatorExam, setInvigilatorExam] = useState(null);
+
+    const fetchData = useCallback(async () => {
+        setLoading(true); setError('');
+        try {
+            const [sessionsRes, examsRes] = await Promise.all([
+                apiClient.get('/admin/exam-sessions'),
+                apiClient.get('/admin/exams'),
+            ]);
+            setSessions(Array.isArray(sessionsRes.data) ? sessionsRes.data : []);
+            setExams(Array.isArray(examsRes.data) ? examsRes.data : []);
+        } catch (err) {
+            console.error("Error fetching exam timetable:", err);
+            setError(err.response?.data?.message || err.message || "Failed to load the exam timetable.");
+        } finally { setLoading(false); }
+    }, []);
+
+    useEffect(() => { fetchData(); }, [fetchData]);
+
+    useEffect(() => {
+        Promise.all([apiClient.get('/admin/courses'), apiClient.get('/admin/structure'), apiClient.get('/admin/users')])
+            .then(([coursesRes, structureRes, usersRes]) => {
+                setCourses(Array.isArray(coursesRes.data) ? coursesRes.data : []);
+                setStructure(Array.isArray(structureRes.data) ? structureRes.data : []);
+                setProfessors((Array.isArray(usersRes.data) ? usersRes.data : [])
+                    .filter(u => u.role === 'Professor' && u.approval_status === 'Approved'));
+            })
+            .catch(err => console.error("Error fetching courses, structure or professors:", err));
+    }, []);
+
+    const handleSessionChange = (e) => {
+        const { name, value } = e.target;
+        setSessionError('');
+        setSessionForm(prev => ({ ...prev, [name]: value }));
+    };
+
+    const handleAddSession = async (e) => {
+        e.preventDefault();
+        if (!sessionForm.exam_date || !sessionForm.session_name.trim()) {
+            setSessionError("Date and session name are required."); return;
+        }
+        if (sessionForm.start_time >= sessionForm.end_time) {
+            setSessionError("Start time must be before end time."); return;
+        }
+        setSaving(true);
+        try {
+            await apiClient.post('/admin/exam-sessions', sessionForm);
+            setSessionForm(prev => ({ ...emptySession, exam_date: prev.exam_date }));
+            fetchData();
+        } catch (err) {
+            console.error("Error adding exam session:", err);
+            setSessionError(err.response?.data?.message || err.message || "Failed to add exam session.");
+        } finally { setSaving(false); }
+    };
+
+    const handleDeleteSession = async (session) => {
+        const warning = session.exam_count > 0 ? ` Its ${session.exam_count} exam(s) will be deleted too.` : '';
+        if (!window.confirm(`DELETE the ${session.session_name} session on ${session.exam_date}?${warning}`)) return;
+        try {
+            await apiClient.delete(`/admin/exam-sessions/${session.session_id}`);
+            fetchData();
+        } catch (err) {
+            console.error(`Error deleting exam session ${session.session_id}:`, err);
+            alert(`Failed to delete exam session: ${err.response?.data?.message || err.message || 'Server error'}`);
+        }
+    };
+
+    const handleExamChange = (e) => {
+        const { name, value } = e.target;
+        setExamError({ message: '', conflicts: [] });
+        setExamForm(prev => ({ ...prev, [name]: value }));
+    };
+
+    const handleAddExam = async (e) => {
+        e.preventDefault();
+        if (!examForm.session_id || !examForm.course_id) {
+            setExamError({ message: "Session and course are required.", conflicts: [] }); return;
+        }
+        setSaving(true);
+        try {
+            await apiClient.post('/admin/exams', {
+                session_id: parseInt(examForm.session_id),
+                course_id: parseInt(examForm.course_id),
+                batch_ids: examBatchIds,
+                notes: examForm.notes || undefined,
+            });
+            setExamForm(prev => ({ ...prev, course_id: '', notes: '' }));
+            setExamBatchIds([]);
+            fetchData();
+        } catch (err) {
+            console.error("Error scheduling exam:", err);
+            setExamError({
+                message: err.response?.data?.message || err.message || "Failed to schedule exam.",
+                conflicts: Array.isArray(err.response?.data?.conflicts) ? err.response.data.conflicts : [],
+            });
+        } finally { setSaving(false); }
+    };
+
+    const handleDeleteExam = async (exam) => {
+        if (!window.confirm(`DELETE the ${exam.course_code} exam on ${exam.exam_date}?`)) return;
+        try {
+            await apiClient.delete(`/admin/exams/${exam.exam_id}`);
+            fetchData();
+        } catch (err) {
+            console.error(`Error deleting exam ${exam.exam_id}:`, err);
+            alert(`Failed to delete exam: ${err.response?.data?.message || err.message || 'Server error'}`);
+        }
+    };
+
+    const handleAutoSeat = async (exam) => {
+        try {
+            const response = await apiClient.put(`/admin/exams/${exam.exam_id}/rooms`, {});
+            alert(response.data.message || 'Rooms allocated.');
+            fetchData();
+        } catch (err) {
+            console.error(`Error allocating rooms for exam ${exam.exam_id}:`, err);
+            alert(`Failed to allocate rooms: ${err.response?.data?.message || err.message || 'Server error'}`);
+        }
+    };
+
+    return (
+        <div className="space-y-6">
+            <div className="bg-white shadow-lg overflow-hidden sm:rounded-lg p-4 sm:p-6">
+                <h2 className="text-xl font-semibold mb-5 text-gray-800 border-b pb-2">Exam Sessions</h2>
+                {sessionError && <p className="bg-red-100 text-red-700 p-3 rounded text-sm border border-red-300 mb-4">{sessionError}</p>}
+                <form onSubmit={handleAddSession} className="grid grid-cols-1 md:grid-cols-5 gap-x-4">
+                    <InputField label="Date" name="exam_date" type="date" value={sessionForm.exam_date} onChange={handleSessionChange} disabled={saving} />
+                    <InputField label="Session" name="session_name" value={sessionForm.session_name} onChange={handleSessionChange} placeholder="e.g., Morning" disabled={saving} />
+                    <InputField label="Start" name="start_time" type="time" value={sessionForm.start_time} onChange={handleSessionChange} disabled={saving} />
+                    <InputField label="End" name="end_time" type="time" value={sessionForm.end_time} onChange={handleSessionChange} disabled={saving} />
+                    <div className="mb-4 flex items-end">
+                        <Button type="submit" variant="primary" className="w-full" disabled={saving}>+ Add Session</Button>
+                    </div>
+                </form>
+                {loading ? <LoadingSpinner /> : sessions.length === 0 ? (
+                    <p className="text-gray-500 italic text-center py-4">No upcoming exam sessions.</p>
+                ) : (
+                    <ul className="divide-y border rounded-md text-sm">
+                        {sessions.map(session => (
+                            <li key={session.session_id} className="flex justify-between items-center px-4 py-2">
+                                <span className="text-gray-800">
+                                    {session.exam_date} · {session.session_name} {session.start_time}-{session.end_time}
+                                    <span className="text-gray-500"> · {session.exam_count} exam{Number(session.exam_count) === 1 ? '' : 's'}</span>
+                                </span>
+                                <Button variant="danger-link" onClick={() => handleDeleteSession(session)} className="text-xs px-2 py-1">Delete</Button>
+                            </li>
+                        ))}
+                    </ul>
+                )}
+            </div>
+
+            <div className="bg-white shadow-lg overflow-hidden sm:rounded-lg p-4 sm:p-6">
+                <h2 className="text-xl font-semibold mb-5 text-gray-800 border-b pb-2">Schedule an Exam</h2>
+                <p className="text-sm text-gray-600 mb-4">
+                    Without selected batches, the exam is written by every batch the course is taught to. No batch may sit two exams at once or exceed the daily exam limit.
+                </p>
+                {examError.message && <ExamConflictError message={examError.message} conflicts={examError.conflicts} />}
+                <form onSubmit={handleAddExam}>
+                    <div className="grid grid-cols-1 md:grid-cols-3 gap-x-4">
+                        <SelectField label="Session" name="session_id" value={examForm.session_id} onChange={handleExamChange} disabled={saving}>
+                            <option value="">-- Select Session --</option>
+                            {sessions.map(session => (
+                                <option key={session.session_id} value={session.session_id}>{session.exam_date} {session.session_name} ({session.start_time}-{session.end_time})</option>
+                            ))}
+                        </SelectField>
+                        <SelectField label="Course" name="course_id" value={examForm.course_id} onChange={handleExamChange} disabled={saving}>
+                            <option value="">-- Select Course --</option>
+                            {courses.map(course => (
+                                <option key={course.course_id} value={course.course_id}>{course.course_code} - {course.course_name}</option>
+                            ))}
+                        </SelectField>
+                        <InputField label="Notes" name="notes" value={examForm.notes} onChange={handleExamChange} required={false} placeholder="e.g., Calculators allowed" disabled={saving} />
+                    </div>
+                    <AudiencePicker structure={structure} selectedBatchIds={examBatchIds} onChange={(ids) => { setExamError({ message: '', conflicts: [] }); setExamBatchIds(ids); }} label="Batches Writing (optional)" required={false} />
+                    <div className="flex justify-end">
+                        <Button type="submit" variant="primary" disabled={saving}>{saving ? 'Saving...' : 'Schedule Exam'}</Button>
+                    </div>
+                </form>
+            </div>
+
+            <div className="bg-white shadow-lg overflow-hidden sm:rounded-lg p-4 sm:p-6">
+                <h2 className="text-xl font-semibold mb-5 text-gray-800 border-b pb-2">Upcoming Exams</h2>
+                {error && <ErrorMessage message={error} />}
+                {loading ? <LoadingSpinner /> : exams.length === 0 ? (
+                    <p className="text-gray-500 italic text-center py-4">No upcoming exams.</p>
+                ) : (
+                    <div className="overflow-x-auto relative border rounded-md">
+                        <table className="min-w-full divide-y divide-gray-200">
+                            <thead className="bg-gray-50">
+                                <tr>
+                                    <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">When</th>
+                                    <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Course</th>
+                                    <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Batches</th>
+                                    <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Seating</th>
+                                    <th scope="col" className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+                                </tr>
+                            </thead>
+                            <tbody className="bg-white divide-y divide-gray-200">
+                                {exams.map(exam => (
+                                    <tr key={exam.exam_id} className="hover:bg-gray-50 transition-colors duration-150 align-top">
+                                        <td className="px-4 py-4 whitespace-nowrap text-sm text-gray-900">
+                                            {exam.exam_date}<br /><span className="text-gray-500">{exam.session_name} {exam.start_time}-{exam.end_time}</span>
+                                        </td>
+                                        <td className="px-4 py-4 text-sm text-gray-900">
+                                            {exam.course_code} - {exam.course_name}
+                                            {exam.notes && <p className="text-xs text-gray-500 italic">{exam.notes}</p>}
+                                        </td>
+                                        <td className="px-4 py-4 text-sm text-gray-600">{exam.batch_details}<p className="text-xs text-gray-500">{exam.headcount} candidates</p></td>
+                                        <td className="px-4 py-4 text-sm">
+                                            {exam.rooms.length === 0 ? <span className="text-red-600">Not seated</span> : (
+                                                <ul className="space-y-1 text-gray-600">
+                                                    {exam.rooms.map(room => (
+                                                        <li key={room.classroom_id}>
+                                                            {room.room_number} ({room.seats_allocated}/{room.capacity})
+                                                            <span className={room.invigilators.length === 0 ? 'text-red-600' : 'text-gray-500'}>
+                                                                {' '}· {room.invigilators.length === 0 ? 'no invigilator' : room.invigilators.map(p => p.full_name).join(', ')}
+                                                            </span>
+                                                        </li>
+                                                    ))}
+                                                </ul>
+                                            )}
+                                            {exam.rooms.length > 0 && exam.seats_allocated < exam.headcount && (
+                                                <p className="text-xs text-red-600 mt-1">{exam.headcount - exam.seats_allocated} candidates without a seat</p>
+                                            )}
+                                        </td>
+                                        <td className="px-4 py-4 whitespace-nowrap text-right text-sm font-medium space-x-2">
+                                            <Button variant="link" onClick={() => handleAutoSeat(exam)} className="text-xs px-1 py-0">Auto-seat</Button>
+                                            <Button variant="link" onClick={() => setRoomsExam(exam)} className="text-xs px-1 py-0">Rooms</Button>
+                                            <Button variant="link" onClick={() => setInvigilatorExam(exam)} className="text-xs px-1 py-0" disabled={exam.rooms.length === 0}>Invigilators</Button>
+                                            <Button variant="danger-link" onClick={() => handleDeleteExam(exam)} className="text-xs px-1 py-0">Delete</Button>
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                )}
+            </div>
+
+            <ExamRoomsModal exam={roomsExam} onClose={() => setRoomsExam(null)} onSaved={() => { setRoomsExam(null); fetchData(); }} />
+            <InvigilatorsModal exam={invigilatorExam} professors={professors} onClose={() => setInvigilatorExam(null)} onSaved={() => { setInvigilatorExam(null); fetchData(); }} />
+        </div>
+    );
+}
+
+// Pick the rooms an exam is seated in; candidates fill them in the order ticked
+function ExamRoomsModal({ exam, onClose, onSaved }) {
+    const [freeRooms, setFreeRooms] = useState([]);
+    const [headcount, setHeadcount] = useState(0);
+    const [selectedIds, setSelectedIds] = useState([]);
+    const [loading, setLoading] = useState(false);
+    const [saving, setSaving] = useState(false);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        if (!exam) return;
+        setError('');
+        setSelectedIds(exam.rooms.map(room => room.classroom_id));
+        setLoading(true);
+        apiClient.get(`/admin/exams/${exam.exam_id}/free-rooms`)
+            .then(response => {
+                setFreeRooms(Array.isArray(response.data.classrooms) ? response.data.classrooms : []);
+                setHeadcount(response.data.headcount || 0);
+            })
+            .catch(err => setError(err.response?.data?.message || 'Failed to load free rooms.'))
+            .finally(() => setLoading(false));
+    }, [exam]);
+
+    const toggleRoom = (roomId) => {
+        setError('');
+        setSelectedIds(prev => prev.includes(roomId) ? prev.filter(id => id !== roomId) : [...prev, roomId]);
+    };
+
+    const selectedSeats = freeRooms.filter(room => selectedIds.includes(room.classroom_id)).reduce((sum, room) => sum + room.capacity, 0);
+
+    const handleSave = async () => {
+        if (selectedIds.length === 0) {
+            setError('Select at least one room.'); return;
+        }
+        setSaving(true); setError('');
+        try {
+            const response = await apiClient.put(`/admin/exams/${exam.exam_id}/rooms`, { classroom_ids: selectedIds });
+            alert(response.data.message || 'Rooms allocated.');
+            onSaved();
+        } catch (err) {
+            console.error(`Error allocating rooms for exam ${exam.exam_id}:`, err);
+            setError(err.response?.data?.message || err.message || 'Failed to allocate rooms.');
+        } finally { setSaving(false); }
+    };
+
+    return (
+        <Modal isOpen={!!exam} onClose={onClose} title={exam ? `Rooms for ${exam.course_code} (${exam.exam_date} ${exam.session_name})` : ''}>
+            {error && <p className="bg-red-100 text-red-700 p-3 rounded text-sm border border-red-300 mb-4">{error}</p>}
+            {loading ? <LoadingSpinner /> : (
+                <>
+                    <p className="text-sm text-gray-600 mb-2">
+                        {headcount} candidates · {selectedSeats} seats selected
+                    </p>
+                    <div className="border border-gray-300 rounded-md max-h-64 overflow-y-auto divide-y mb-4">
+                        {freeRooms.length === 0 ? (
+                            <p className="text-gray-500 italic text-center py-4 text-sm">No rooms are free during this session.</p>
+                        ) : freeRooms.map(room => (
+                            <label key={room.classroom_id} className="flex items-center px-3 py-2 text-sm text-gray-700">
+                                <input type="checkbox" className="mr-2" checked={selectedIds.includes(room.classroom_id)} onChange={() => toggleRoom(room.classroom_id)} />
+                                {room.room_number} ({room.building}) · {room.capacity} seats · {room.type}
+                            </label>
+                        ))}
+                    </div>
+                </>
+            )}
+            <div className="flex justify-end space-x-3">
+                <Button variant="secondary" onClick={onClose} disabled={saving}>Cancel</Button>
+                <Button variant="primary" onClick={handleSave} disabled={saving || loading}>{saving ? 'Saving...' : 'Save Rooms'}</Button>
+            </div>
+        </Modal>
+    );
+}
+
+// Assign invigilators to each room of an exam
+function InvigilatorsModal({ exam, professors, onClose, onSaved }) {
+    const [duties, setDuties] = useState({}); // classroom_id -> [professor_id]
+    const [saving, setSaving] = useState(false);
+    const [error, setError] = useState({ message: '', conflicts: [] });
+
+    useEffect(() => {
+        if (!exam) return;
+        setError({ message: '', conflicts: [] });
+        setDuties(Object.fromEntries(exam.rooms.map(room => [room.classroom_id, room.invigilators.map(p => p.professor_id)])));
+    }, [exam]);
+
+    const assigned = Object.values(duties).flat();
+
+    const addInvigilator = (roomId, professorId) => {
+        if (!professorId) return;
+        setError({ message: '', conflicts: [] });
+        setDuties(prev => ({ ...prev, [roomId]: [...(prev[roomId] || []), Number(professorId)] }));
+    };
+    const removeInvigilator = (roomId, professorId) => {
+        setError({ message: '', conflicts: [] });
+        setDuties(prev => ({ ...prev, [roomId]: prev[roomId].filter(id => id !== professorId) }));
+    };
+
+    const handleSave = async () => {
+        setSaving(true);
+        try {
+            const assignments = Object.entries(duties).flatMap(([roomId, professorIds]) =>
+                professorIds.map(professorId => ({ classroom_id: Number(roomId), professor_id: professorId })));
+            const response = await apiClient.put(`/admin/exams/${exam.exam_id}/invigilators`, { assignments });
+            alert(response.data.message || 'Invigilators assigned.');
+            onSaved();
+        } catch (err) {
+            console.error(`Error assigning invigilators for exam ${exam.exam_id}:`, err);
+            setError({
+                message: err.response?.data?.message || err.message || 'Failed to assign invigilators.',
+                conflicts: Array.isArray(err.response?.data?.conflicts) ? err.response.data.conflicts : [],
+            });
+        } finally { setSaving(false); }
+    };
+
+    const professorName = (id) => professors.find(p => p.user_id === id)?.full_name || `Professor ${id}`;
+
+    return (
+        <Modal isOpen={!!exam} onClose={onClose} title={exam ? `Invigilators for ${exam.course_code} (${exam.exam_date} ${exam.session_name})` : ''}>
+            {error.message && <ExamConflictError message={error.message} conflicts={error.conflicts} />}
+            {exam && (
+                <div className="space-y-4 mb-4">
+                    {exam.rooms.map(room => (
+                        <div key={room.classroom_id} className="border rounded-md p-3">
+                            <p className="text-sm font-medium text-gray-800 mb-2">{room.room_number} · {room.seats_allocated} candidates</p>
+                            <div className="flex flex-wrap gap-2 mb-2">
+                                {(duties[room.classroom_id] || []).map(professorId => (
+                                    <span key={professorId} className="inline-flex items-center px-2 py-1 rounded-full bg-indigo-100 text-indigo-800 text-xs">
+                                        {professorName(professorId)}
+                                        <button type="button" className="ml-1 text-indigo-500 hover:text-indigo-800" onClick={() => removeInvigilator(room.classroom_id, professorId)} aria-label="Remove">×</button>
+                                    </span>
+                                ))}
+                            </div>
+                            <select
+                                value=""
+                                onChange={(e) => addInvigilator(room.classroom_id, e.target.value)}
+                                className="border border-gray-300 rounded py-1 px-2 text-sm text-gray-700 focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                            >
+                                <option value="">+ Add invigilator</option>
+                                {professors.filter(p => !assigned.includes(p.user_id)).map(p => (
+                                    <option key={p.user_id} value={p.user_id}>{p.full_name}</option>
+                                ))}
+                            </select>
+                        </div>
+                    ))}
+                </div>
+            )}
+            <div className="flex justify-end space-x-3">
+                <Button variant="secondary" onClick={onClose} disabled={saving}>Cancel</Button>
+                <Button variant="primary" onClick={handleSave} disabled={saving}>{saving ? 'Saving...' : 'Save Invigilators'}</Button>
+            </div>
+        </Modal>
+    );
+}
+
+// --- Base Timetable Management ---
+
+const WEEK_DAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+
+function ManageBaseTimetable() {
+    const [entries, setEntries] = useState([]);
+    const [courses, setCourses] = useState([]);
+    const [classrooms, setClassrooms] = useState([]);
+    const [professors, setProfessors] = useState([]);
+    const [structure, setStructure] = useState([]);
+    const [terms, setTerms] = useState([]);
+    const [filterBatchId, setFilterBatchId] = useState('');
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState('');
+    const [isModalOpen, setIsModalOpen] = useState(false);
+    const [editingEntry, setEditingEntry] = useState(null); // null for 'Add', object for 'Edit'
+    const [exceptionsEntry, setExceptionsEntry] = useState(null); // Entry whose cancelled dates are being managed
+    const [substitutesEntry, setSubstitutesEntry] = useState(null); // Entry whose substitutes are being managed
+
+    // Dropdown data only needs to be loaded once
+    const fetchFormData = useCallback(async () => {
+        try {
+            const [coursesRes, classroomsRes, usersRes, structureRes, termsRes] = await Promise.all([
+                apiClient.get('/admin/courses'),
+                apiClient.get('/admin/classrooms'),
+                apiClient.get('/admin/users'),
+                apiClient.get('/admin/structure'),
+                apiClient.get('/admin/terms'),
+            ]);
+            setCourses(Array.isArray(coursesRes.data) ? coursesRes.data : []);
+            setClassrooms(Array.isArray(classroomsRes.data) ? classroomsRes.data : []);
+            setProfessors((Array.isArray(usersRes.data) ? usersRes.data : [])
+                .filter(u => u.role === 'Professor' && u.approval_status === 'Approved'));
+            setStructure(Array.isArray(structureRes.data) ? structureRes.data : []);
+            setTerms(Array.isArray(termsRes.data) ? termsRes.data : []);
+        } catch (err) {
+            console.error("Error fetching timetable form data:", err);
+            setError(err.response?.data?.message || err.message || "Failed to load form data.");
+        }
+    }, []);
+
+    const fetchEntries = useCallback(async () => {
+        setLoading(true); setError('');
+        try {
+            const response = await apiClient.get('/admin/base-schedule', {
+                params: filterBatchId ? { batch_id: filterBatchId } : {}
+            });
+            setEntries(Array.isArray(response.data) ? response.data : []);
+        } catch (err) {
+            console.error("Error fetching base timetable:", err);
+            setError(err.response?.data?.message || err.message || "Failed to load base timetable.");
+        } finally { setLoading(false); }
+    }, [filterBatchId]);
+
+    useEffect(() => { fetchFormData(); }, [fetchFormData]);
+    useEffect(() => { fetchEntries(); }, [fetchEntries]);
+
+    // Flatten the nested structure for the batch filter dropdown
+    const allBatches = useMemo(() => structure.flatMap(branch =>
+        (branch.divisions || []).flatMap(div =>
+            (div.batches || []).map(batch => ({
+                batch_id: batch.batch_id,
+                label: `${branch.branch_code}-${div.division_name}-${batch.batch_name}`
+            }))
+        )
+    ), [structure]);
+
+    const handleOpenAddModal = () => { setEditingEntry(null); setIsModalOpen(true); };
+    const handleOpenEditModal = (entry) => { setEditingEntry(entry); setIsModalOpen(true); };
+    const handleCloseModal = () => { setIsModalOpen(false); setEditingEntry(null); };
+
+    const handleSaveEntry = async (entryData) => {
+        try {
+            // Elective students who would be double-booked come back as a warning
+            if (editingEntry) {
+                const response = await apiClient.put(`/admin/base-schedule/${editingEntry.schedule_id}`, entryData);
+                alert(['Timetable entry updated successfully!', response.data?.warning].filter(Boolean).join('\n\n'));
+            } else {
+                const response = await apiClient.post('/admin/base-schedule', entryData);
+                alert(['Timetable entry added successfully!', response.data?.warning].filter(Boolean).join('\n\n'));
+            }
+            handleCloseModal();
+            fetchEntries();
+        } catch (err) {
+            console.error("Error saving timetable entry:", err);
+            // Re-throw so the modal can show the conflict reason(s)
+            const saveError = new Error(err.response?.data?.message || "Failed to save timetable entry.");
+            saveError.conflicts = err.response?.data?.conflicts || [];
+            throw saveError;
+        }
+    };
+
+    const handleDeleteEntry = async (entry) => {
+        if (!window.confirm(`DELETE ${entry.course_code} on ${entry.day_of_week} ${entry.start_time}-${entry.end_time} for ${entry.batch_details}?`)) return;
+        try {
+            await apiClient.delete(`/admin/base-schedule/${entry.schedule_id}`);
+            alert('Timetable entry deleted successfully!');
+            fetchEntries();
+        } catch (err) {
+            console.error(`Error deleting timetable entry ${entry.schedule_id}:`, err);
+            alert(`Failed to delete timetable entry: ${err.response?.data?.message || err.message || 'Server error'}`);
+        }
+    };
+
+    return (
+        <div className="bg-white shadow-lg overflow-hidden sm:rounded-lg p-4 sm:p-6">
+            <div className="flex justify-between items-center mb-5 border-b pb-2">
+                <h2 className="text-xl font-semibold text-gray-800">Manage Base Timetable</h2>
+                <Button variant="primary" onClick={handleOpenAddModal}>
+                    + Add Timetable Entry
+                </Button>
+            </div>
+
+            <div className="max-w-xs">
+                <SelectField label="Filter by Batch" name="filter_batch_id" value={filterBatchId} onChange={(e) => setFilterBatchId(e.target.value)} required={false}>
+                    <option value="">All Batches</option>
+                    {allBatches.map(b => <option key={b.batch_id} value={b.batch_id}>{b.label}</option>)}
+                </SelectField>
+            </div>
+
+            {loading && <LoadingSpinner />}
+            {error && !loading && <ErrorMessage message={error} />}
+
+            {!loading && !error && entries.length === 0 && (
+                <p className="text-gray-500 italic text-center py-4">No Base timetable entries found. Add one to get started.</p>
+            )}
+
+            {!loading && !error && entries.length > 0 && (
+                <div className="overflow-x-auto relative border rounded-md">
+                    <table className="min-w-full divide-y divide-gray-200">
+                        <thead className="bg-gray-50">
+                            <tr>
+                                <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Day</th>
+                                <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Time</th>
+                                <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Course</th>
+                                <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Professor</th>
+                                <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Batches</th>
+                                <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Room</th>
+                                <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Term</th>
+                                <th scope="col" className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+                            </tr>
+                        </thead>
+                        <tbody className="bg-white divide-y divide-gray-200">
+                            {entries.map((entry) => (
+                                <tr key={entry.schedule_id} className="hover:bg-gray-50 transition-colors duration-150">
+                                    <td className="px-4 py-4 whitespace-nowrap text-sm font-medium text-gray-900">{entry.day_of_week}</td>
+                                    <td className="px-4 py-4 whitespace-nowrap text-sm text-gray-600">{entry.start_time} - {entry.end_time}</td>
+                                    <td className="px-4 py-4 whitespace-nowrap text-sm text-gray-600">{entry.course_code} - {entry.course_name}</td>
+                                    <td className="px-4 py-4 whitespace-nowrap text-sm text-gray-600">{entry.professor_name || 'N/A'}</td>
+                                    <td className="px-4 py-4 whitespace-nowrap text-sm text-gray-600">{entry.batch_details || 'N/A'}</td>
+                                    <td className="px-4 py-4 whitespace-nowrap text-sm text-gray-600">{entry.room_number || 'N/A'}</td>
+                                    <td className="px-4 py-4 whitespace-nowrap text-sm text-gray-600">{entry.term_name || 'N/A'}</td>
+                                    <td className="px-4 py-4 whitespace-nowrap text-right text-sm font-medium space-x-2">
+                                        <Button variant="link" onClick={() => handleOpenEditModal(entry)} className="text-xs px-2 py-1">Edit</Button>
+                                        <Button variant="link" onClick={() => setExceptionsEntry(entry)} className="text-xs px-2 py-1">
+                                            Cancellations{entry.cancelled_dates?.length ? ` (${entry.cancelled_dates.length})` : ''}
+                                        </Button>
+                                        <Button variant="link" onClick={() => setSubstitutesEntry(entry)} className="text-xs px-2 py-1">
+                                            Substitutes{entry.substitutes?.length ? ` (${entry.substitutes.length})` : ''}
+                                        </Button>
+                                        <Button variant="danger-link" onClick={() => handleDeleteEntry(entry)} className="text-xs px-2 py-1">Delete</Button>
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+
+            <BaseScheduleFormModal
+                isOpen={isModalOpen}
+                onClose={handleCloseModal}
+                onSave={handleSaveEntry}
+                entry={editingEntry}
+                courses={courses}
+                classrooms={classrooms}
+                professors={professors}
+                structure={structure}
+                terms={terms}
+            />
+
+            <ScheduleExceptionsModal
+                entry={exceptionsEntry}
+                onClose={() => setExceptionsEntry(null)}
+                onChanged={() => { setExceptionsEntry(null); fetchEntries(); }}
+            />
+
+            <SubstitutesModal
+                entry={substitutesEntry}
+                professors={professors}
+                onClose={() => setSubstitutesEntry(null)}
+                onChanged={() => { setSubstitutesEntry(null); fetchEntries(); }}
+            />
+        </div>
+    );
+}
+
+// Modal for cancelling / restoring single dates of a Base timetable entry
+function ScheduleExceptionsModal({ entry, onClose, onChanged }) {
+    const [exceptionDate, setExceptionDate] = useState('');
+    const [reason, setReason] = useState('');
+    const [error, setError] = useState('');
+    const [loading, setLoading] = useState(false);
+
+    useEffect(() => {
+        setExceptionDate(''); setReason(''); setError('');
+    }, [entry]);
+
+    const handleCancelDate = async (e) => {
+        e.preventDefault();
+        setError('');
+        if (!exceptionDate) { setError("Please pick a date."); return; }
+        setLoading(true);
+        try {
+            await apiClient.post(`/schedule/${entry.schedule_id}/exceptions`, { exception_date: exceptionDate, reason });
+            alert(`Class cancelled for ${exceptionDate}.`);
+            onChanged();
+        } catch (err) {
+            console.error("Error cancelling occurrence:", err);
+            setError(err.response?.data?.message || err.message || "Failed to cancel occurrence.");
+        } finally { setLoading(false); }
+    };
+
+    const handleRestore = async (date) => {
+        if (!window.confirm(`Restore ${entry.course_code} on ${date}?`)) return;
+        setLoading(true); setError('');
+        try {
+            await apiClient.delete(`/schedule/${entry.schedule_id}/exceptions/${date}`);
+            alert(`Class restored for ${date}.`);
+            onChanged();
+        } catch (err) {
+            console.error("Error restoring occurrence:", err);
+            setError(err.response?.data?.message || err.message || "Failed to restore occurrence.");
+        } finally { setLoading(false); }
+    };
+
+    return (
+        <Modal isOpen={entry != null} onClose={onClose} title={`Cancelled Dates: ${entry?.course_code || ''} (${entry?.day_of_week || ''} ${entry?.start_time || ''})`}>
+            {entry && (
+                <div className="space-y-4">
+                    {error && <p className="bg-red-100 text-red-700 p-3 rounded text-sm border border-red-300">{error}</p>}
+                    {entry.cancelled_dates.length === 0 ? (
+                        <p className="text-gray-500 italic text-sm">No dates are cancelled for this class.</p>
+                    ) : (
+                        <ul className="divide-y border rounded-md">
+                            {entry.cancelled_dates.map(date => (
+                                <li key={date} className="flex justify-between items-center px-3 py-2 text-sm text-gray-700">
+                                    {date}
+                                    <Button variant="link" onClick={() => handleRestore(date)} className="text-xs px-2 py-1" disabled={loading}>Restore</Button>
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+                    <form onSubmit={handleCancelDate} className="border-t pt-4">
+                        <InputField label={`Cancel on (${entry.day_of_week})`} name="exception_date" type="date" value={exceptionDate} onChange={(e) => setExceptionDate(e.target.value)} />
+                        <InputField label="Reason" name="reason" value={reason} onChange={(e) => setReason(e.target.value)} placeholder="e.g., Room unavailable" required={false} />
+                        <div className="flex justify-end space-x-3">
+                            <Button type="button" variant="secondary" onClick={onClose} disabled={loading}>Close</Button>
+                            <Button type="submit" variant="danger" disabled={loading}>{loading ? 'Saving...' : 'Cancel This Date'}</Button>
+                        </div>
+                    </form>
+                </div>
+            )}
+        </Modal>
+    );
+}
+
+// Modal for assigning a substitute professor to single occurrences of a class.
+// With `date` the occurrence is fixed (e.g. a class flagged by a leave request); otherwise any date can be picked.
+function SubstitutesModal({ entry, date = '', professors, onClose, onChanged }) {
+    const [form, setForm] = useState({ class_date: date, substitute_professor_id: '', note: '' });
+    const [error, setError] = useState('');
+    const [conflicts, setConflicts] = useState([]);
+    const [loading, setLoading] = useState(false);
+
+    useEffect(() => {
+        setForm({ class_date: date, substitute_professor_id: '', note: '' });
+        setError(''); setConflicts([]);
+    }, [entry, date]);
+
+    const handleChange = (e) => {
+        const { name, value } = e.target;
+        setError(''); setConflicts([]);
+        setForm(prev => ({ ...prev, [name]: value }));
+    };
+
+    const handleAssign = async (e) => {
+        e.preventDefault();
+        setError(''); setConflicts([]);
+        if (!form.class_date || !form.substitute_professor_id) { setError("Please pick a date and a substitute."); return; }
+        setLoading(true);
+        try {
+            const response = await apiClient.post(`/admin/schedule/${entry.schedule_id}/substitutes`, {
+                class_date: form.class_date,
+                substitute_professor_id: parseInt(form.substitute_professor_id),
+                note: form.note,
+            });
+            alert(response.data.message || 'Substitute assigned.');
+            if (response.data.warning) alert(response.data.warning);
+            onChanged();
+        } catch (err) {
+            console.error("Error assigning substitute:", err);
+            setError(err.response?.data?.message || err.message || "Failed to assign substitute.");
+            setConflicts(Array.isArray(err.response?.data?.conflicts) ? err.response.data.conflicts : []);
+        } finally { setLoading(false); }
+    };
+
+    const handleRemove = async (classDate) => {
+        if (!window.confirm(`Remove the substitute for ${entry.course_code} on ${classDate}?`)) return;
+        setLoading(true); setError('');
+        try {
+            await apiClient.delete(`/admin/schedule/${entry.schedule_id}/substitutes/${classDate}`);
+            alert(`Substitute removed for ${classDate}.`);
+            onChanged();
+        } catch (err) {
+            console.error("Error removing substitute:", err);
+            setError(err.response?.data?.message || err.message || "Failed to remove substitute.");
+        } finally { setLoading(false); }
+    };
+
+    const substitutes = entry?.substitutes || [];
+
+    return (
+        <Modal isOpen={entry != null} onClose={onClose} title={`Substitutes: ${entry?.course_code || ''} (${date || entry?.day_of_week || ''} ${entry?.start_time || ''})`}>
+            {entry && (
+                <div className="space-y-4">
+                    {error && (
+                        <div className="bg-red-100 text-red-700 p-3 rounded text-sm border border-red-300">
+                            <p>{error}</p>
+                            {conflicts.length > 1 && (
+                                <ul className="list-disc list-inside mt-1">
+                                    {conflicts.map((conflict, i) => (
+                                        <li key={`${conflict.schedule_id}-${i}`}>
+                                            {conflict.class_type === 'Leave'
+                                                ? `Unavailable${conflict.reason ? ` (${conflict.reason})` : ''}, ${conflict.class_date} ${conflict.start_time}-${conflict.end_time}`
+                                                : `${conflict.course_code} ${conflict.class_type} class, ${conflict.start_time}-${conflict.end_time}`}
+                                        </li>
+                                    ))}
+                                </ul>
+                            )}
+                        </div>
+                    )}
+                    {substitutes.length > 0 && (
+                        <ul className="divide-y border rounded-md">
+                            {substitutes.map(sub => (
+                                <li key={sub.class_date} className="flex justify-between items-center px-3 py-2 text-sm text-gray-700">
+                                    {sub.class_date}: {sub.professor_name}
+                                    <Button variant="danger-link" onClick={() => handleRemove(sub.class_date)} className="text-xs px-2 py-1" disabled={loading}>Remove</Button>
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+                    <form onSubmit={handleAssign} className={substitutes.length > 0 ? 'border-t pt-4' : ''}>
+                        <InputField label={entry.day_of_week && !date ? `Date (${entry.day_of_week})` : 'Date'} name="class_date" type="date" value={form.class_date} onChange={handleChange} disabled={loading || Boolean(date)} />
+                        <SelectField label="Substitute Professor" name="substitute_professor_id" value={form.substitute_professor_id} onChange={handleChange} disabled={loading}>
+                            <option value="">-- Select Professor --</option>
+                            {professors.filter(p => p.user_id !== entry.professor_id).map(p => (
+                                <option key={p.user_id} value={p.user_id}>{p.full_name}</option>
+                            ))}
+                        </SelectField>
+                        <InputField label="Note" name="note" value={form.note} onChange={handleChange} placeholder="e.g., Covering medical leave" required={false} disabled={loading} />
+                        <p className="text-xs text-gray-500 mb-4">The substitute must be free at that time; they see the class in their schedule and students see their name.</p>
+                        <div className="flex justify-end space-x-3">
+                            <Button type="button" variant="secondary" onClick={onClose} disabled={loading}>Close</Button>
+                            <Button type="submit" variant="primary" disabled={loading}>{loading ? 'Saving...' : 'Assign Substitute'}</Button>
+                        </div>
+                    </form>
+                </div>
+            )}
+        </Modal>
+    );
+}
+
+// Checkbox picker for the batches attending an entry: single batches, whole divisions, or several divisions
+function AudiencePicker({ structure, selectedBatchIds, onChange, label = 'Batches Attending', required = true }) {
+    const toggleBatch = (batchId) => {
+        onChange(selectedBatchIds.includes(batchId)
+            ? selectedBatchIds.filter(id => id !== batchId)
+            : [...selectedBatchIds, batchId]);
+    };
+    const toggleDivision = (division, allSelected) => {
+        const divisionBatchIds = (division.batches || []).map(b => b.batch_id);
+        onChange(allSelected
+            ? selectedBatchIds.filter(id => !divisionBatchIds.includes(id))
+            : [...new Set([...selectedBatchIds, ...divisionBatchIds])]);
+    };
+
+    return (
+        <div className="mb-4">
+            <label className="block text-sm font-medium text-gray-700 mb-1">{label}{required && <span className="text-red-500">*</span>}</label>
+            <div className="border border-gray-300 rounded-md max-h-48 overflow-y-auto divide-y">
+                {structure.flatMap(branch => (branch.divisions || []).map(division => {
+                    const batches = division.batches || [];
+                    const allSelected = batches.length > 0 && batches.every(b => selectedBatchIds.includes(b.batch_id));
+                    return (
+                        <div key={division.division_id} className="px-3 py-2 text-sm">
+                            <label className="flex items-center font-medium text-gray-700">
+                                <input type="checkbox" className="mr-2" checked={allSelected} disabled={batches.length === 0} onChange={() => toggleDivision(division, allSelected)} />
+                                {branch.branch_code}-{division.division_name} (whole division)
+                            </label>
+                            <div className="flex flex-wrap gap-x-4 mt-1 ml-6">
+                                {batches.map(batch => (
+                                    <label key={batch.batch_id} className="flex items-center text-gray-600">
+                                        <input type="checkbox" className="mr-1" checked={selectedBatchIds.includes(batch.batch_id)} onChange={() => toggleBatch(batch.batch_id)} />
+                                        {batch.batch_name}
+                                    </label>
+                                ))}
+                            </div>
+                        </div>
+                    );
+                }))}
+            </div>
+            {selectedBatchIds.length > 1 && (
+                <p className="text-xs text-gray-500 mt-1">Combined lecture: {selectedBatchIds.length} batches attend together.</p>
+            )}
+        </div>
+    );
+}
+
+// Modal Form for Adding/Editing Base Timetable Entries
+// `termId` fixes the term (draft entries belong to their draft's term)
+function BaseScheduleFormModal({ isOpen, onClose, onSave, entry, courses, classrooms, professors, structure, terms, termId = null }) {
+    const isEditing = entry != null;
+    const initialFormData = useMemo(() => ({
+        course_id: '', professor_id: '', batch_ids: [],
+        classroom_id: '', term_id: '', day_of_week: 'Monday', start_time: '09:00', end_time: '10:00'
+    }), []);
+
+    const [formData, setFormData] = useState(initialFormData);
+    const [error, setError] = useState('');
+    const [conflicts, setConflicts] = useState([]); // Structured clashes from a 409
+    const [loading, setLoading] = useState(false);
+
+    useEffect(() => {
+        if (isOpen) {
+            if (isEditing) {
+                setFormData({
+                    course_id: entry.course_id || '',
+                    professor_id: entry.professor_id || '',
+                    batch_ids: entry.batch_ids || [],
+                    classroom_id: entry.classroom_id || '',
+                    term_id: termId ?? entry.term_id ?? '',
+                    day_of_week: entry.day_of_week || 'Monday',
+                    start_time: entry.start_time || '09:00',
+                    end_time: entry.end_time || '10:00'
+                });
+            } else {
+                setFormData({ ...initialFormData, term_id: termId ?? '' });
+            }
+            setError(''); setConflicts([]);
+        }
+    }, [entry, isEditing, isOpen, initialFormData, termId]);
+
+    const handleChange = (e) => {
+        const { name, value } = e.target;
+        setError(''); setConflicts([]);
+        setFormData(prev => ({ ...prev, [name]: value }));
+    };
+
+    const handleAudienceChange = (batchIds) => {
+        setError(''); setConflicts([]);
+        setFormData(prev => ({ ...prev, batch_ids: batchIds }));
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setError('');
+        if (!formData.course_id || !formData.professor_id || formData.batch_ids.length === 0 || !formData.classroom_id || !formData.term_id || !formData.day_of_week) {
+            setError("All fields are required, including at least one batch."); return;
+        }
+        if (formData.start_time >= formData.end_time) {
+            setError("Start time must be before end time."); return;
+        }
+
+        const dataToSave = {
+            course_id: parseInt(formData.course_id),
+            professor_id: parseInt(formData.professor_id),
+            batch_ids: formData.batch_ids,
+            classroom_id: parseInt(formData.classroom_id),
+            term_id: parseInt(formData.term_id),
+            day_of_week: formData.day_of_week,
+            start_time: formData.start_time,
+            end_time: formData.end_time,
+        };
+
+        setLoading(true);
+        try {
+            await onSave(dataToSave);
+        } catch (apiError) {
+            setError(apiError.message || "Failed to save timetable entry.");
+            setConflicts(apiError.conflicts || []);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    return (
+        <Modal isOpen={isOpen} onClose={onClose} title={isEditing ? 'Edit Timetable Entry' : 'Add Timetable Entry'}>
+            <form onSubmit={handleSubmit} className="space-y-4">
+                {error && conflicts.length === 0 && <p className="bg-red-100 text-red-700 p-3 rounded text-sm border border-red-300">{error}</p>}
+                {conflicts.length > 0 && (
+                    <div className="bg-red-100 text-red-700 p-3 rounded text-sm border border-red-300">
+                        <p className="font-semibold">{conflicts.length} conflict{conflicts.length > 1 ? 's' : ''} found:</p>
+                        <ul className="list-disc list-inside mt-1">
+                            {conflicts.map((conflict, i) => (
+                                <li key={`${conflict.schedule_id}-${conflict.entity}-${i}`}>
+                                    {conflict.class_type === 'Leave' ? (
+                                        <>{conflict.entity} ({conflict.details}): unavailable{conflict.reason ? ` (${conflict.reason})` : ''}, {conflict.class_date} {conflict.start_time}-{conflict.end_time}</>
+                                    ) : conflict.class_type === 'Reservation' ? (
+                                        <>{conflict.entity} ({conflict.details}): reserved for {conflict.kind} "{conflict.title}", {conflict.class_date} {conflict.start_time}-{conflict.end_time}</>
+                                    ) : conflict.class_type === 'Workload' ? (
+                                        <>
+                                            {conflict.entity} ({conflict.details}):{' '}
+                                            {conflict.rule === 'Consecutive'
+                                                ? `${conflict.load} classes in a row on ${conflict.day_of_week}, at most ${conflict.limit} allowed`
+                                                : `${conflict.load} h ${conflict.rule === 'DailyHours' ? `on ${conflict.day_of_week}` : 'per week'}, limit ${conflict.limit} h`}
+                                        </>
+                                    ) : conflict.rule === 'Transition' ? (
+                                        <>
+                                            {conflict.entity} ({conflict.details}): {conflict.gap_minutes} min to walk from {conflict.from_building} to {conflict.to_building}{' '}
+                                            {conflict.adjacent === 'before' ? 'after' : 'before'} {conflict.course_code} {conflict.class_type} class ({conflict.class_type === 'Extra' ? conflict.class_date : conflict.day_of_week} {conflict.start_time}-{conflict.end_time}), {conflict.required_minutes} min needed
+                                        </>
+                                    ) : (
+                                        <>
+                                            {conflict.entity} ({conflict.details}): {conflict.course_code} {conflict.class_type} class,{' '}
+                                            {conflict.class_type === 'Extra' ? conflict.class_date : conflict.day_of_week} {conflict.start_time}-{conflict.end_time}
+                                        </>
+                                    )}
+                                </li>
+                            ))}
+                        </ul>
+                    </div>
+                )}
+                <SelectField label="Course" name="course_id" value={formData.course_id} onChange={handleChange}>
+                    <option value="" disabled>-- Select Course --</option>
+                    {courses.map(c => <option key={c.course_id} value={c.course_id}>{c.course_code} - {c.course_name} ({c.type})</option>)}
+                </SelectField>
+                <SelectField label="Professor" name="professor_id" value={formData.professor_id} onChange={handleChange}>
+                    <option value="" disabled>-- Select Professor --</option>
+                    {professors.map(p => <option key={p.user_id} value={p.user_id}>{p.full_name}</option>)}
+                </SelectField>
+                <AudiencePicker structure={structure} selectedBatchIds={formData.batch_ids} onChange={handleAudienceChange} />
+                <SelectField label="Classroom / Lab" name="classroom_id" value={formData.classroom_id} onChange={handleChange}>
+                    <option value="" disabled>-- Select Classroom --</option>
+                    {classrooms.map(cr => <option key={cr.classroom_id} value={cr.classroom_id}>{cr.room_number} ({cr.type} - {cr.building})</option>)}
+                </SelectField>
+                <SelectField label="Academic Term" name="term_id" value={formData.term_id} onChange={handleChange} disabled={termId != null}>
+                    <option value="" disabled>-- Select Term --</option>
+                    {terms.map(t => <option key={t.term_id} value={t.term_id}>{t.term_name} ({t.start_date} to {t.end_date})</option>)}
+                </SelectField>
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-x-4">
+                    <SelectField label="Day" name="day_of_week" value={formData.day_of_week} onChange={handleChange}>
+                        {WEEK_DAYS.map(day => <option key={day} value={day}>{day}</option>)}
+                    </SelectField>
+                    <InputField label="Start Time" name="start_time" type="time" value={formData.start_time} onChange={handleChange} />
+                    <InputField label="End Time" name="end_time" type="time" value={formData.end_time} onChange={handleChange} />
+                </div>
+
+                <div className="flex justify-end space-x-3 pt-3 border-t mt-6">
+                    <Button type="button" variant="secondary" onClick={onClose} disabled={loading}>Cancel</Button>
+                    <Button type="submit" variant="primary" disabled={loading}>
+                        {loading ? 'Checking...' : (isEditing ? 'Update Entry' : 'Add Entry')}
+                    </Button>
+                </div>
+            </form>
+        </Modal>
+    );
+}
+
+
+// --- Timetable Drafts (versions of a term's Base timetable) ---
+
+const VERSION_STATUS_STYLES = {
+    Draft: 'bg-yellow-100 text-yellow-800',
+    Published: 'bg-green-100 text-green-800',
+    Superseded: 'bg-gray-100 text-gray-700',
+};
+
+const describeDraftEntry = (entry) => `${entry.course_code} ${entry.day_of_week} ${entry.start_time}-${entry.end_time} · ${entry.batch_details} · ${entry.room_number || 'N/A'}`;
+
+// Admins copy a term's timetable into a draft, rework it with conflict checks, preview and publish it;
+// superseded versions can be rolled back to
+function TimetableDrafts() {
+    const [terms, setTerms] = useState([]);
+    const [termId, setTermId] = useState('');
+    const [versions, setVersions] = useState([]);
+    const [newDraftName, setNewDraftName] = useState('');
+    const [openVersionId, setOpenVersionId] = useState(null);
+    const [loading, setLoading] = useState(false);
+    const [busy, setBusy] = useState(false);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        apiClient.get('/admin/terms')
+            .then(response => {
+                const list = Array.isArray(response.data) ? response.data : [];
+                setTerms(list);
+                if (list.length > 0) setTermId(prev => prev || String(list[0].term_id));
+            })
+            .catch(err => setError(err.response?.data?.message || 'Failed to load terms.'));
+    }, []);
+
+    const fetchVersions = useCallback(async () => {
+        if (!termId) return;
+        setLoading(true); setError('');
+        try {
+            const response = await apiClient.get('/admin/timetable-versions', { params: { term_id: termId } });
+            setVersions(Array.isArray(response.data) ? response.data : []);
+        } catch (err) {
+            console.error("Error fetching timetable versions:", err);
+            setError(err.response?.data?.message || err.message || "Failed to load timetable versions.");
+        } finally { setLoading(false); }
+    }, [termId]);
+
+    useEffect(() => { setOpenVersionId(null); fetchVersions(); }, [fetchVersions]);
+
+    const handleCreateDraft = async (e, fromVersion = null) => {
+        e?.preventDefault();
+        const name = fromVersion ? `Copy of ${fromVersion.name}`.slice(0, 100) : newDraftName.trim();
+        if (!name) { alert('Give the draft a name.'); return; }
+        setBusy(true);
+        try {
+            const response = await apiClient.post('/admin/timetable-versions', {
+                term_id: parseInt(termId), name, from_version_id: fromVersion?.version_id,
+            });
+            setNewDraftName('');
+            await fetchVersions();
+            setOpenVersionId(response.data.version_id);
+        } catch (err) {
+            console.error("Error creating timetable draft:", err);
+            alert(`Error creating draft: ${err.response?.data?.message || err.message}`);
+        } finally { setBusy(false); }
+    };
+
+    // Publish a draft or roll back to a superseded version; conflicts come back per entry
+    const handleGoLive = async (version) => {
+        const action = version.status === 'Draft' ? 'publish' : 'rollback';
+        const prompt = action === 'publish'
+            ? `Publish "${version.name}"? It replaces the live timetable of this term; the current one is kept for rollback.`
+            : `Roll back to "${version.name}"? It replaces the live timetable of this term; the current one is kept.`;
+        if (!window.confirm(prompt)) return;
+        setBusy(true);
+        try {
+            const response = await apiClient.post(`/admin/timetable-versions/${version.version_id}/${action}`);
+            alert(response.data.message);
+            setOpenVersionId(null);
+            fetchVersions();
+        } catch (err) {
+            console.error(`Error during ${action}:`, err);
+            const problems = err.response?.data?.problems || [];
+            alert([
+                err.response?.data?.message || err.message,
+                ...problems.map(p => `\n${p.course_code} ${p.day_of_week} ${p.start_time}-${p.end_time} (${p.batch_details}):\n  ${p.errors.join('\n  ')}`),
+            ].join('\n'));
+        } finally { setBusy(false); }
+    };
+
+    const handleDelete = async (version) => {
+        if (!window.confirm(`Delete the ${version.status.toLowerCase()} version "${version.name}"?`)) return;
+        try {
+            await apiClient.delete(`/admin/timetable-versions/${version.version_id}`);
+            if (openVersionId === version.version_id) setOpenVersionId(null);
+            fetchVersions();
+        } catch (err) {
+            console.error("Error deleting timetable version:", err);
+            alert(`Error deleting version: ${err.response?.data?.message || err.message}`);
+        }
+    };
+
+    const openVersion = versions.find(v => v.version_id === openVersionId) || null;
+
+    return (
+        <div className="bg-white shadow-lg overflow-hidden sm:rounded-lg p-4 sm:p-6">
+            <div className="flex flex-wrap justify-between items-center gap-3 mb-5 border-b pb-2">
+                <h2 className="text-xl font-semibold text-gray-800">Timetable Drafts</h2>
+                <div className="w-64">
+                    <SelectField label="Term" name="draft_term_id" value={termId} onChange={(e) => setTermId(e.target.value)} required={false}>
+                        {terms.map(t => <option key={t.term_id} value={t.term_id}>{t.term_name}</option>)}
+                    </SelectField>
+                </div>
+            </div>
+            <p className="text-sm text-gray-600 mb-4">
+                A draft starts as a copy of the term's live Base timetable. Edit it freely (every change is conflict-checked as if
+                the draft were live), preview what would change, then publish it in one step. Students keep seeing the live
+                timetable until then, and the replaced timetable is kept so a bad publish can be rolled back.
+            </p>
+
+            <form onSubmit={handleCreateDraft} className="flex flex-wrap items-end gap-3 mb-6">
+                <div className="w-72">
+                    <InputField label="New Draft Name" name="new_draft_name" value={newDraftName} onChange={(e) => setNewDraftName(e.target.value)} placeholder="e.g. Week 12 rework" required={false} disabled={busy || !termId} />
+                </div>
+                <Button type="submit" variant="primary" disabled={busy || !termId} className="mb-4">+ Draft from Live Timetable</Button>
+            </form>
+
+            {loading && <LoadingSpinner />}
+            {error && !loading && <ErrorMessage message={error} />}
+
+            {!loading && !error && versions.length === 0 && (
+                <p className="text-gray-500 italic text-center py-4">No drafts or versions for this term yet.</p>
+            )}
+
+            {!loading && !error && versions.length > 0 && (
+                <div className="overflow-x-auto relative border rounded-md mb-6">
+                    <table className="min-w-full divide-y divide-gray-200">
+                        <thead className="bg-gray-50">
+                            <tr>
+                                <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Version</th>
+                                <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                                <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Entries</th>
+                                <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">History</th>
+                                <th scope="col" className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+                            </tr>
+                        </thead>
+                        <tbody className="bg-white divide-y divide-gray-200">
+                            {versions.map(version => (
+                                <tr key={version.version_id} className={`transition-colors duration-150 ${version.version_id === openVersionId ? 'bg-indigo-50' : 'hover:bg-gray-50'}`}>
+                                    <td className="px-4 py-3 text-sm font-medium text-gray-900">{version.name}</td>
+                                    <td className="px-4 py-3 whitespace-nowrap text-sm">
+                                        <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${VERSION_STATUS_STYLES[version.status] || ''}`}>{version.status}</span>
+                                    </td>
+                                    <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-600">{version.entry_count}</td>
+                                    <td className="px-4 py-3 text-xs text-gray-500">
+                                        Created {new Date(version.created_at).toLocaleString()}{version.created_by_name ? ` by ${version.created_by_name}` : ''}
+                                        {version.published_at && <><br />Published {new Date(version.published_at).toLocaleString()}{version.published_by_name ? ` by ${version.published_by_name}` : ''}</>}
+                                    </td>
+                                    <td className="px-4 py-3 whitespace-nowrap text-right text-sm font-medium space-x-2">
+                                        <Button variant="link" onClick={() => setOpenVersionId(version.version_id === openVersionId ? null : version.version_id)} className="text-xs px-1 py-0">
+                                            {version.version_id === openVersionId ? 'Close' : version.status === 'Draft' ? 'Edit' : 'View'}
+                                        </Button>
+                                        {version.status === 'Draft' && (
+                                            <Button variant="success" onClick={() => handleGoLive(version)} disabled={busy} className="text-xs px-2 py-1">Publish</Button>
+                                        )}
+                                        {version.status === 'Superseded' && (
+                                            <Button variant="secondary" onClick={() => handleGoLive(version)} disabled={busy} className="text-xs px-2 py-1">Roll Back</Button>
+                                        )}
+                                        {version.status !== 'Draft' && (
+                                            <Button variant="link" onClick={() => handleCreateDraft(null, version)} disabled={busy} className="text-xs px-1 py-0">Copy to Draft</Button>
+                                        )}
+                                        {version.status !== 'Published' && (
+                                            <Button variant="danger-link" onClick={() => handleDelete(version)} className="text-xs px-1 py-0">Delete</Button>
+                                        )}
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+
+            {openVersion && <TimetableVersionEditor version={openVersion} terms={terms} onChanged={fetchVersions} />}
+        </div>
+    );
+}
+
+// Entries of one version; drafts can be edited, and any version previewed against the live timetable
+function TimetableVersionEditor({ version, terms, onChanged }) {
+    const [entries, setEntries] = useState([]);
+    const [formData, setFormData] = useState({ courses: [], classrooms: [], professors: [], structure: [] });
+    const [preview, setPreview] = useState(null);
+    const [isModalOpen, setIsModalOpen] = useState(false);
+    const [editingEntry, setEditingEntry] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [previewing, setPreviewing] = useState(false);
+    const [error, setError] = useState('');
+    const isDraft = version.status === 'Draft';
+
+    const fetchEntries = useCallback(async () => {
+        setLoading(true); setError('');
+        try {
+            const response = await apiClient.get(`/admin/timetable-versions/${version.version_id}`);
+            setEntries(Array.isArray(response.data?.entries) ? response.data.entries : []);
+        } catch (err) {
+            console.error("Error fetching version entries:", err);
+            setError(err.response?.data?.message || err.message || "Failed to load the version.");
+        } finally { setLoading(false); }
+    }, [version.version_id]);
+
+    useEffect(() => { setPreview(null); fetchEntries(); }, [fetchEntries]);
+
+    // Dropdown data for the entry form
+    useEffect(() => {
+        if (!isDraft) return;
+        Promise.all([
+            apiClient.get('/admin/courses'),
+            apiClient.get('/admin/classrooms'),
+            apiClient.get('/admin/users'),
+            apiClient.get('/admin/structure'),
+        ]).then(([coursesRes, classroomsRes, usersRes, structureRes]) => setFormData({
+            courses: Array.isArray(coursesRes.data) ? coursesRes.data : [],
+            classrooms: Array.isArray(classroomsRes.data) ? classroomsRes.data : [],
+            professors: (Array.isArray(usersRes.data) ? usersRes.data : []).filter(u => u.role === 'Professor' && u.approval_status === 'Approved'),
+            structure: Array.isArray(structureRes.data) ? structureRes.data : [],
+        })).catch(err => console.error("Error fetching draft form data:", err));
+    }, [isDraft]);
+
+    const handlePreview = async () => {
+        setPreviewing(true);
+        try {
+            const response = await apiClient.get(`/admin/timetable-versions/${version.version_id}/preview`);
+            setPreview(response.data);
+        } catch (err) {
+            console.error("Error previewing version:", err);
+            alert(`Error previewing version: ${err.response?.data?.message || err.message}`);
+        } finally { setPreviewing(false); }
+    };
+
+    const afterChange = () => { setPreview(null); fetchEntries(); onChanged(); };
+
+    const handleSaveEntry = async (entryData) => {
+        try {
+            const response = editingEntry
+                ? await apiClient.put(`/admin/timetable-versions/${version.version_id}/entries/${editingEntry.entry_id}`, entryData)
+                : await apiClient.post(`/admin/timetable-versions/${version.version_id}/entries`, entryData);
+            if (response.data?.warning) alert(response.data.warning);
+            setIsModalOpen(false); setEditingEntry(null);
+            afterChange();
+        } catch (err) {
+            console.error("Error saving draft entry:", err);
+            const saveError = new Error(err.response?.data?.message || "Failed to save draft entry.");
+            saveError.conflicts = err.response?.data?.conflicts || [];
+            throw saveError;
+        }
+    };
+
+    const handleDeleteEntry = async (entry) => {
+        if (!window.confirm(`Remove ${describeDraftEntry(entry)} from the draft?`)) return;
+        try {
+            await apiClient.delete(`/admin/timetable-versions/${version.version_id}/entries/${entry.entry_id}`);
+            afterChange();
+        } catch (err) {
+            console.error("Error removing draft entry:", err);
+            alert(`Error removing entry: ${err.response?.data?.message || err.message}`);
+        }
+    };
+
+    const problemsByEntry = new Map((preview?.problems || []).map(p => [p.entry_id, p.errors]));
+
+    return (
+        <div className="border-t pt-4">
+            <div className="flex flex-wrap justify-between items-center gap-3 mb-3">
+                <h3 className="text-lg font-semibold text-gray-800">{version.name} <span className="text-sm font-normal text-gray-500">({version.status})</span></h3>
+                <div className="space-x-2">
+                    <Button variant="secondary" onClick={handlePreview} disabled={previewing || loading}>{previewing ? 'Checking...' : 'Preview Changes'}</Button>
+                    {isDraft && <Button variant="primary" onClick={() => { setEditingEntry(null); setIsModalOpen(true); }}>+ Add Entry</Button>}
+                </div>
+            </div>
+
+            {preview && (
+                <div className="mb-4 p-3 border rounded-md bg-gray-50 text-sm space-y-2">
+                    <p className="font-semibold text-gray-700">
+                        Against the live timetable: {preview.changes.added.length} added, {preview.changes.changed.length} changed,{' '}
+                        {preview.changes.removed.length} removed, {preview.changes.unchanged} unchanged.
+                    </p>
+                    {preview.problems.length === 0
+                        ? <p className="text-green-700">No conflicts: this version can go live.</p>
+                        : <p className="text-red-700 font-semibold">{preview.problems.length} entr{preview.problems.length === 1 ? 'y has' : 'ies have'} conflicts (marked below) and must be fixed first.</p>}
+                    {preview.changes.added.length > 0 && (
+                        <div><p className="text-green-700 font-medium">Added</p><ul className="list-disc list-inside text-gray-700">{preview.changes.added.map(e => <li key={e.entry_id}>{describeDraftEntry(e)}</li>)}</ul></div>
+                    )}
+                    {preview.changes.changed.length > 0 && (
+                        <div><p className="text-yellow-700 font-medium">Changed</p><ul className="list-disc list-inside text-gray-700">{preview.changes.changed.map(({ before, after }) => (
+                            <li key={after.entry_id}>{describeDraftEntry(before)} → {describeDraftEntry(after)}{after.professor_id !== before.professor_id ? ` (now ${after.professor_name})` : ''}</li>
+                        ))}</ul></div>
+                    )}
+                    {preview.changes.removed.length > 0 && (
+                        <div><p className="text-red-700 font-medium">Removed</p><ul className="list-disc list-inside text-gray-700">{preview.changes.removed.map(e => <li key={e.schedule_id}>{describeDraftEntry(e)}</li>)}</ul></div>
+                    )}
+                </div>
+            )}
+
+            {loading && <LoadingSpinner />}
+            {error && !loading && <ErrorMessage message={error} />}
+            {!loading && !error && entries.length === 0 && <p className="text-gray-500 italic text-center py-4">This version has no entries.</p>}
+            {!loading && !error && entries.length > 0 && (
+                <div className="overflow-x-auto relative border rounded-md">
+                    <table className="min-w-full divide-y divide-gray-200">
+                        <thead className="bg-gray-50">
+                            <tr>
+                                <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Day</th>
+                                <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Time</th>
+                                <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Course</th>
+                                <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Professor</th>
+                                <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Batches</th>
+                                <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Room</th>
+                                {isDraft && <th scope="col" className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>}
+                            </tr>
+                        </thead>
+                        <tbody className="bg-white divide-y divide-gray-200">
+                            {entries.map(entry => {
+                                const problems = problemsByEntry.get(entry.entry_id);
+                                return (
+                                    <tr key={entry.entry_id} className={`transition-colors duration-150 align-top ${problems ? 'bg-red-50' : 'hover:bg-gray-50'}`}>
+                                        <td className="px-4 py-3 whitespace-nowrap text-sm font-medium text-gray-900">{entry.day_of_week}</td>
+                                        <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-600">{entry.start_time} - {entry.end_time}</td>
+                                        <td className="px-4 py-3 text-sm text-gray-600">
+                                            {entry.course_code}
+                                            {problems && <ul className="text-xs text-red-700 mt-1 list-disc list-inside">{problems.map((message, i) => <li key={i}>{message}</li>)}</ul>}
+                                        </td>
+                                        <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-600">{entry.professor_name || 'N/A'}</td>
+                                        <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-600">{entry.batch_details}</td>
+                                        <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-600">{entry.room_number}</td>
+                                        {isDraft && (
+                                            <td className="px-4 py-3 whitespace-nowrap text-right text-sm font-medium space-x-2">
+                                                <Button variant="link" onClick={() => { setEditingEntry(entry); setIsModalOpen(true); }} className="text-xs px-1 py-0">Edit</Button>
+                                                <Button variant="danger-link" onClick={() => handleDeleteEntry(entry)} className="text-xs px-1 py-0">Remove</Button>
+                                            </td>
+                                        )}
+                                    </tr>
+                                );
+                            })}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+
+            {isDraft && (
+                <BaseScheduleFormModal
+                    isOpen={isModalOpen}
+                    onClose={() => { setIsModalOpen(false); setEditingEntry(null); }}
+                    onSave={handleSaveEntry}
+                    entry={editingEntry}
+                    courses={formData.courses}
+                    classrooms={formData.classrooms}
+                    professors={formData.professors}
+                    structure={formData.structure}
+                    terms={terms}
+                    termId={version.term_id}
+                />
+            )}
+        </div>
+    );
+}
+
+// --- Timetable Generator ---
+
+const newGeneratorRequirement = () => ({ course_id: '', professor_id: '', kind: 'Lecture', hours_per_week: '3', audience: 'division' });
+
+function TimetableGenerator() {
+    const [structure, setStructure] = useState([]);
+    const [courses, setCourses] = useState([]);
+    const [professors, setProfessors] = useState([]);
+    const [terms, setTerms] = useState([]);
+    const [branchId, setBranchId] = useState('');
+    const [divisionId, setDivisionId] = useState('');
+    const [termId, setTermId] = useState('');
+    const [periodMinutes, setPeriodMinutes] = useState('60');
+    const [windows, setWindows] = useState(() =>
+        WEEK_DAYS.slice(0, 5).map(day => ({ day_of_week: day, start_time: '09:00', end_time: '17:00' }))
+    );
+    const [requirements, setRequirements] = useState([newGeneratorRequirement()]);
+    const [result, setResult] = useState(null); // Response of /admin/timetable/generate
+    const [commitReport, setCommitReport] = useState(null);
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        const fetchFormData = async () => {
+            try {
+                const [structureRes, coursesRes, usersRes, termsRes] = await Promise.all([
+                    apiClient.get('/admin/structure'),
+                    apiClient.get('/admin/courses'),
+                    apiClient.get('/admin/users'),
+                    apiClient.get('/admin/terms'),
+                ]);
+                setStructure(Array.isArray(structureRes.data) ? structureRes.data : []);
+                setCourses(Array.isArray(coursesRes.data) ? coursesRes.data : []);
+                setProfessors((Array.isArray(usersRes.data) ? usersRes.data : [])
+                    .filter(u => u.role === 'Professor' && u.approval_status === 'Approved'));
+                setTerms(Array.isArray(termsRes.data) ? termsRes.data : []);
+            } catch (err) {
+                console.error("Error fetching generator form data:", err);
+                setError(err.response?.data?.message || err.message || "Failed to load form data.");
+            }
+        };
+        fetchFormData();
+    }, []);
+
+    const availableDivisions = useMemo(() => {
+        const branch = structure.find(b => b.branch_id === parseInt(branchId));
+        return branch ? branch.divisions : [];
+    }, [branchId, structure]);
+
+    // Any change to the inputs invalidates the current draft
+    const resetDraft = () => { setResult(null); setCommitReport(null); setError(''); };
+
+    const updateWindow = (index, field, value) => {
+        resetDraft();
+        setWindows(prev => prev.map((w, i) => (i === index ? { ...w, [field]: value } : w)));
+    };
+    const updateRequirement = (index, field, value) => {
+        resetDraft();
+        setRequirements(prev => prev.map((r, i) => (i === index ? { ...r, [field]: value } : r)));
+    };
+
+    const handleGenerate = async () => {
+        resetDraft();
+        if (!divisionId || !termId) { setError("Select a division and a term."); return; }
+        if (requirements.some(r => !r.course_id || !r.professor_id || !(parseFloat(r.hours_per_week) > 0))) {
+            setError("Every requirement needs a course, a professor and weekly hours."); return;
+        }
+        setLoading(true);
+        try {
+            const response = await apiClient.post('/admin/timetable/generate', {
+                division_id: parseInt(divisionId),
+                term_id: parseInt(termId),
+                period_minutes: parseInt(periodMinutes),
+                windows,
+                requirements: requirements.map(r => ({
+                    ...r,
+                    course_id: parseInt(r.course_id),
+                    professor_id: parseInt(r.professor_id),
+                    hours_per_week: parseFloat(r.hours_per_week),
+                })),
+            });
+            setResult(response.data);
+        } catch (err) {
+            console.error("Error generating timetable:", err);
+            setError(err.response?.data?.message || err.message || "Failed to generate timetable.");
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const handleRemoveDraftEntry = (index) => {
+        setResult(prev => ({ ...prev, draft: prev.draft.filter((_, i) => i !== index) }));
+    };
+
+    const handleCommit = async () => {
+        if (!window.confirm(`Save ${result.draft.length} draft session(s) to the Base timetable?`)) return;
+        setLoading(true); setError(''); setCommitReport(null);
+        try {
+            const response = await apiClient.post('/admin/timetable/commit', { term_id: result.term_id, entries: result.draft });
+            const walkingWarnings = (response.data.results || []).flatMap(r => r.warnings || []);
+            alert([response.data.message || 'Timetable committed successfully!', ...walkingWarnings].join('\n'));
+            setResult(null);
+        } catch (err) {
+            console.error("Error committing timetable:", err);
+            if (err.response?.data?.results) setCommitReport(err.response.data.results.filter(r => r.status !== 'OK'));
+            setError(err.response?.data?.message || err.message || "Failed to commit timetable.");
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    return (
+        <div className="bg-white shadow-lg overflow-hidden sm:rounded-lg p-4 sm:p-6">
+            <h2 className="text-xl font-semibold mb-5 text-gray-800 border-b pb-2">Generate Division Timetable</h2>
+
+            <div className="grid grid-cols-1 md:grid-cols-4 gap-x-4">
+                <SelectField label="Branch" name="gen_branch_id" value={branchId} onChange={(e) => { resetDraft(); setBranchId(e.target.value); setDivisionId(''); }}>
+                    <option value="" disabled>-- Branch --</option>
+                    {structure.map(b => <option key={b.branch_id} value={b.branch_id}>{b.branch_code}</option>)}
+                </SelectField>
+                <SelectField label="Division" name="gen_division_id" value={divisionId} onChange={(e) => { resetDraft(); setDivisionId(e.target.value); }} disabled={!branchId}>
+                    <option value="" disabled>-- Division --</option>
+                    {availableDivisions.map(d => <option key={d.division_id} value={d.division_id}>{d.division_name}</option>)}
+                </SelectField>
+                <SelectField label="Academic Term" name="gen_term_id" value={termId} onChange={(e) => { resetDraft(); setTermId(e.target.value); }}>
+                    <option value="" disabled>-- Term --</option>
+                    {terms.map(t => <option key={t.term_id} value={t.term_id}>{t.term_name}</option>)}
+                </SelectField>
+                <SelectField label="Period Length" name="gen_period_minutes" value={periodMinutes} onChange={(e) => { resetDraft(); setPeriodMinutes(e.target.value); }}>
+                    <option value="45">45 minutes</option>
+                    <option value="50">50 minutes</option>
+                    <option value="60">60 minutes</option>
+                </SelectField>
+            </div>
+
+            <h3 className="text-sm font-semibold text-gray-700 mt-2 mb-2">Allowed Time Windows</h3>
+            <div className="space-y-2 mb-4">
+                {windows.map((w, index) => (
+                    <div key={index} className="flex items-center space-x-2">
+                        <select value={w.day_of_week} onChange={(e) => updateWindow(index, 'day_of_week', e.target.value)} className="border border-gray-300 rounded py-1 px-2 text-sm">
+                            {WEEK_DAYS.map(day => <option key={day} value={day}>{day}</option>)}
+                        </select>
+                        <input type="time" value={w.start_time} onChange={(e) => updateWindow(index, 'start_time', e.target.value)} className="border border-gray-300 rounded py-1 px-2 text-sm" />
+                        <span className="text-gray-500 text-sm">to</span>
+                        <input type="time" value={w.end_time} onChange={(e) => updateWindow(index, 'end_time', e.target.value)} className="border border-gray-300 rounded py-1 px-2 text-sm" />
+                        <Button variant="danger-link" onClick={() => { resetDraft(); setWindows(prev => prev.filter((_, i) => i !== index)); }} className="text-xs px-2 py-1">Remove</Button>
+                    </div>
+                ))}
+                <Button variant="link" onClick={() => { resetDraft(); setWindows(prev => [...prev, { day_of_week: 'Monday', start_time: '09:00', end_time: '13:00' }]); }} className="text-xs px-2 py-1">+ Add Window</Button>
+            </div>
+
+            <h3 className="text-sm font-semibold text-gray-700 mb-2">Course Requirements (hours per week)</h3>
+            <div className="space-y-2 mb-4">
+                {requirements.map((r, index) => (
+                    <div key={index} className="flex flex-wrap items-center gap-2">
+                        <select value={r.course_id} onChange={(e) => updateRequirement(index, 'course_id', e.target.value)} className="border border-gray-300 rounded py-1 px-2 text-sm">
+                            <option value="" disabled>-- Course --</option>
+                            {courses.map(c => <option key={c.course_id} value={c.course_id}>{c.course_code} ({c.type})</option>)}
+                        </select>
+                        <select value={r.professor_id} onChange={(e) => updateRequirement(index, 'professor_id', e.target.value)} className="border border-gray-300 rounded py-1 px-2 text-sm">
+                            <option value="" disabled>-- Professor --</option>
+                            {professors.map(p => <option key={p.user_id} value={p.user_id}>{p.full_name}</option>)}
+                        </select>
+                        <select value={r.kind} onChange={(e) => updateRequirement(index, 'kind', e.target.value)} className="border border-gray-300 rounded py-1 px-2 text-sm">
+                            <option value="Lecture">Lecture</option>
+                            <option value="Lab">Lab (2 periods)</option>
+                        </select>
+                        <input type="number" min="1" value={r.hours_per_week} onChange={(e) => updateRequirement(index, 'hours_per_week', e.target.value)} className="border border-gray-300 rounded py-1 px-2 text-sm w-20" aria-label="Hours per week" />
+                        <select value={r.audience} onChange={(e) => updateRequirement(index, 'audience', e.target.value)} className="border border-gray-300 rounded py-1 px-2 text-sm">
+                            <option value="division">Whole division</option>
+                            <option value="batch">Each batch</option>
+                        </select>
+                        <Button variant="danger-link" onClick={() => { resetDraft(); setRequirements(prev => prev.filter((_, i) => i !== index)); }} className="text-xs px-2 py-1">Remove</Button>
+                    </div>
+                ))}
+                <Button variant="link" onClick={() => { resetDraft(); setRequirements(prev => [...prev, newGeneratorRequirement()]); }} className="text-xs px-2 py-1">+ Add Requirement</Button>
+            </div>
+
+            <div className="flex space-x-3 mb-4">
+                <Button variant="primary" onClick={handleGenerate} disabled={loading}>
+                    {loading && !result ? 'Generating...' : 'Generate Draft'}
+                </Button>
+                {result && (
+                    <Button variant="success" onClick={handleCommit} disabled={loading || result.draft.length === 0}>
+                        {loading ? 'Saving...' : `Commit ${result.draft.length} Sessions`}
+                    </Button>
+                )}
+            </div>
+
+            {loading && <LoadingSpinner />}
+            {error && !loading && <ErrorMessage message={error} />}
+            {commitReport && commitReport.length > 0 && (
+                <ul className="list-disc list-inside text-sm text-red-700 mb-4">
+                    {commitReport.map(r => <li key={r.entry}>Entry {r.entry}: {r.errors.join(' ')}</li>)}
+                </ul>
+            )}
+
+            {result && !loading && (
+                <div className="space-y-4">
+                    <p className="text-sm font-medium text-gray-700">{result.message}</p>
+                    {result.draft.length > 0 && (
+                        <div className="overflow-x-auto relative border rounded-md">
+                            <table className="min-w-full divide-y divide-gray-200">
+                                <thead className="bg-gray-50">
+                                    <tr>
+                                        <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Day</th>
+                                        <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Time</th>
+                                        <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Course</th>
+                                        <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Professor</th>
+                                        <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Batches</th>
+                                        <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Room</th>
+                                        <th scope="col" className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+                                    </tr>
+                                </thead>
+                                <tbody className="bg-white divide-y divide-gray-200">
+                                    {result.draft.map((entry, index) => (
+                                        <tr key={`${entry.day_of_week}-${entry.start_time}-${entry.course_id}-${entry.batch_ids.join('-')}`} className="hover:bg-gray-50 transition-colors duration-150">
+                                            <td className="px-4 py-4 whitespace-nowrap text-sm font-medium text-gray-900">{entry.day_of_week}</td>
+                                            <td className="px-4 py-4 whitespace-nowrap text-sm text-gray-600">{entry.start_time} - {entry.end_time}</td>
+                                            <td className="px-4 py-4 whitespace-nowrap text-sm text-gray-600">{entry.course_code} ({entry.kind})</td>
+                                            <td className="px-4 py-4 whitespace-nowrap text-sm text-gray-600">{entry.professor_name}</td>
+                                            <td className="px-4 py-4 whitespace-nowrap text-sm text-gray-600">{entry.batch_details}</td>
+                                            <td className="px-4 py-4 whitespace-nowrap text-sm text-gray-600">{entry.room_number}</td>
+                                            <td className="px-4 py-4 whitespace-nowrap text-right text-sm font-medium">
+                                                <Button variant="danger-link" onClick={() => handleRemoveDraftEntry(index)} className="text-xs px-2 py-1">Remove</Button>
+                                            </td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                    )}
+                    {result.unplaced.length > 0 && (
+                        <div className="p-3 bg-red-50 rounded-md border border-red-200">
+                            <p className="text-sm font-semibold text-red-700 mb-1">Could not be placed:</p>
+                            <ul className="list-disc list-inside text-sm text-red-700">
+                                {result.unplaced.map((u, i) => (
+                                    <li key={i}>
+                                        {u.course_code} ({u.kind}) for {u.batch_details}, {u.sessions_missing} session(s): {u.reason}
+                                    </li>
+                                ))}
+                            </ul>
+                        </div>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+}
+
+// --- Free Classroom Search ---
+
+function FreeClassroomSearch() {
+    const [criteria, setCriteria] = useState({
+        mode: 'date', date: '', day_of_week: 'Monday', start_time: '09:00', end_time: '10:00', min_capacity: '', type: ''
+    });
+    const [rooms, setRooms] = useState(null); // null until the first search
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState('');
+
+    const handleChange = (e) => {
+        const { name, value } = e.target;
+        setError('');
+        setCriteria(prev => ({ ...prev, [name]: value }));
+    };
+
+    const handleSearch = async (e) => {
+        e.preventDefault();
+        setError('');
+        if (criteria.start_time >= criteria.end_time) {
+            setError("Start time must be before end time."); return;
+        }
+        setLoading(true);
+        try {
+            const response = await apiClient.get('/classrooms/available', {
+                params: {
+                    ...(criteria.mode === 'date' ? { date: criteria.date } : { day_of_week: criteria.day_of_week }),
+                    start_time: criteria.start_time,
+                    end_time: criteria.end_time,
+                    min_capacity: criteria.min_capacity || undefined,
+                    type: criteria.type || undefined,
+                }
+            });
+            setRooms(Array.isArray(response.data) ? response.data : []);
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to search classrooms.');
+            setRooms(null);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    return (
+        <div className="bg-white shadow-lg overflow-hidden sm:rounded-lg p-4 sm:p-6">
+            <h2 className="text-xl font-semibold mb-5 text-gray-800 border-b pb-2">Find a Free Classroom</h2>
+            <form onSubmit={handleSearch}>
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-x-4">
+                    <SelectField label="Search By" name="mode" value={criteria.mode} onChange={handleChange} disabled={loading}>
+                        <option value="date">Specific date</option>
+                        <option value="weekday">Every week (Base)</option>
+                    </SelectField>
+                    {criteria.mode === 'date' ? (
+                        <InputField label="Date" name="date" type="date" value={criteria.date} onChange={handleChange} disabled={loading} />
+                    ) : (
+                        <SelectField label="Day" name="day_of_week" value={criteria.day_of_week} onChange={handleChange} disabled={loading}>
+                            {WEEK_DAYS.map(day => <option key={day} value={day}>{day}</option>)}
+                        </SelectField>
+                    )}
+                    <div className="grid grid-cols-2 gap-x-4">
+                        <InputField label="Start" name="start_time" type="time" value={criteria.start_time} onChange={handleChange} disabled={loading} />
+                        <InputField label="End" name="end_time" type="time" value={criteria.end_time} onChange={handleChange} disabled={loading} />
+                    </div>
+                    <InputField label="Minimum Capacity" name="min_capacity" type="number" value={criteria.min_capacity} onChange={handleChange} required={false} placeholder="e.g., 60" disabled={loading} />
+                    <SelectField label="Room Type" name="type" value={criteria.type} onChange={handleChange} required={false} disabled={loading}>
+                        <option value="">Any</option>
+                        <option value="Theory">Theory</option>
+                        <option value="Lab">Lab</option>
+                    </SelectField>
+                    <div className="mb-4 flex items-end">
+                        <Button type="submit" variant="primary" className="w-full" disabled={loading}>
+                            {loading ? 'Searching...' : 'Search'}
+                        </Button>
+                    </div>
+                </div>
+            </form>
+
+            {loading && <LoadingSpinner />}
+            {error && !loading && <ErrorMessage message={error} />}
+
+            {rooms && !loading && rooms.length === 0 && (
+                <p className="text-gray-500 italic text-center py-4">No classrooms are free for this window.</p>
+            )}
+
+            {rooms && !loading && rooms.length > 0 && (
+                <div className="overflow-x-auto relative border rounded-md">
+                    <table className="min-w-full divide-y divide-gray-200">
+                        <thead className="bg-gray-50">
+                            <tr>
+                                <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Room</th>
+                                <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Building / Floor</th>
+                                <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Type</th>
+                                <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Capacity</th>
+                                <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Spare Seats</th>
+                            </tr>
+                        </thead>
+                        <tbody className="bg-white divide-y divide-gray-200">
+                            {rooms.map(room => (
+                                <tr key={room.classroom_id} className="hover:bg-gray-50 transition-colors duration-150">
+                                    <td className="px-4 py-4 whitespace-nowrap text-sm font-medium text-gray-900">{room.room_number}</td>
+                                    <td className="px-4 py-4 whitespace-nowrap text-sm text-gray-600">{room.building} / {room.floor}</td>
+                                    <td className="px-4 py-4 whitespace-nowrap text-sm text-gray-600">{room.type}</td>
+                                    <td className="px-4 py-4 whitespace-nowrap text-sm text-gray-600">{room.capacity}</td>
+                                    <td className="px-4 py-4 whitespace-nowrap text-sm text-gray-600">{room.spare_seats}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+        </div>
+    );
+}
+
+
+// --- Base Timetable Import (CSV / XLSX) ---
+
+// Spreadsheet header (lower-cased, spaces -> underscores) -> field expected by the import API
+const IMPORT_COLUMN_ALIASES = {
+    course_code: 'course_code', course: 'course_code',
+    professor_email: 'professor_email', professor: 'professor_email', email: 'professor_email',
+    batch: 'batch', 'branch-division-batch': 'batch', branch_division_batch: 'batch',
+    room_number: 'room_number', room: 'room_number', classroom: 'room_number',
+    day: 'day', day_of_week: 'day',
+    start_time: 'start_time', start: 'start_time',
+    end_time: 'end_time', end: 'end_time',
+};
+
+// Spreadsheet time cells may arrive as day fractions (0.375) or '9:00 AM' strings
+const toImportTime = (value) => {
+    if (typeof value === 'number') {
+        const totalMinutes = Math.round(value * 24 * 60);
+        return `${String(Math.floor(totalMinutes / 60) % 24).padStart(2, '0')}:${String(totalMinutes % 60).padStart(2, '0')}`;
+    }
+    const text = String(value ?? '').trim();
+    const match = text.match(/^(\d{1,2}):(\d{2})(?::\d{2})?\s*(AM|PM)$/i);
+    if (!match) return text;
+    let hours = parseInt(match[1]) % 12;
+    if (match[3].toUpperCase() === 'PM') hours += 12;
+    return `${String(hours).padStart(2, '0')}:${match[2]}`;
+};
+
+const parseTimetableFile = async (file) => {
+    const workbook = XLSX.read(await file.arrayBuffer(), { type: 'array', raw: true });
+    const sheet = workbook.Sheets[workbook.SheetNames[0]];
+    const rawRows = XLSX.utils.sheet_to_json(sheet, { defval: '' });
+    return rawRows.map(rawRow => {
+        const row = {};
+        Object.entries(rawRow).forEach(([header, value]) => {
+            const field = IMPORT_COLUMN_ALIASES[header.trim().toLowerCase().replace(/\s+/g, '_')];
+            if (field) row[field] = field.endsWith('_time') ? toImportTime(value) : String(value).trim();
+        });
+        return row;
+    });
+};
+
+function ImportBaseTimetable() {
+    const [terms, setTerms] = useState([]);
+    const [termId, setTermId] = useState('');
+    const [fileName, setFileName] = useState('');
+    const [rows, setRows] = useState([]);
+    const [report, setReport] = useState(null); // { message, summary, results }
+    const [dryRunPassed, setDryRunPassed] = useState(false);
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        apiClient.get('/admin/terms')
+            .then(response => setTerms(Array.isArray(response.data) ? response.data : []))
+            .catch(err => {
+                console.error("Error fetching academic terms:", err);
+                setError(err.response?.data?.message || err.message || "Failed to load academic terms.");
+            });
+    }, []);
+
+    const handleTermChange = (e) => {
+        setTermId(e.target.value);
+        setReport(null); setDryRunPassed(false); // A dry run only holds for the term it was run against
+    };
+
+    const handleFileChange = async (e) => {
+        const file = e.target.files?.[0];
+        setError(''); setReport(null); setDryRunPassed(false); setRows([]);
+        if (!file) { setFileName(''); return; }
+        setFileName(file.name);
+        try {
+            const parsedRows = await parseTimetableFile(file);
+            if (parsedRows.length === 0) {
+                setError("The file does not contain any rows.");
+                return;
+            }
+            setRows(parsedRows);
+        } catch (err) {
+            console.error("Error parsing timetable file:", err);
+            setError("Could not read the file. Please upload a valid CSV or XLSX spreadsheet.");
+        }
+    };
+
+    const submitImport = async (dryRun) => {
+        setLoading(true); setError('');
+        try {
+            const response = await apiClient.post('/admin/base-schedule/import', { dry_run: dryRun, term_id: parseInt(termId), rows });
+            setReport(response.data);
+            if (dryRun) {
+                setDryRunPassed(response.data.summary?.failed === 0);
+            } else {
+                alert(response.data.message || 'Timetable imported successfully!');
+                setRows([]); setFileName(''); setDryRunPassed(false);
+            }
+        } catch (err) {
+            console.error("Error importing timetable:", err);
+            // 409 responses still carry the per-row report
+            if (err.response?.data?.results) setReport(err.response.data);
+            setError(err.response?.data?.message || err.message || "Failed to import timetable.");
+            setDryRunPassed(false);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const failedResults = report?.results?.filter(r => r.status !== 'OK') || [];
+    // Rows that can be imported but leave too little walking time are listed too
+    const flaggedResults = report?.results?.filter(r => r.status !== 'OK' || r.warnings?.length > 0) || [];
+
+    return (
+        <div className="bg-white shadow-lg overflow-hidden sm:rounded-lg p-4 sm:p-6">
+            <h2 className="text-xl font-semibold mb-5 text-gray-800 border-b pb-2">Import Base Timetable</h2>
+            <div className="p-3 mb-4 bg-gray-100 rounded-md border text-sm text-gray-600">
+                <p>Upload a CSV or XLSX file with a header row containing these columns:</p>
+                <p className="font-mono mt-1">course_code, professor_email, batch, room_number, day, start_time, end_time</p>
+                <p className="italic mt-1">Batch is written as Branch-Division-Batch (e.g. CS-A-A1), or Branch-Division (e.g. CS-A) for the whole division; list several with ';' for a combined lecture (e.g. CS-A-A1; CS-A-A2). All rows are added to the selected term. Run a dry run first; the import adds all rows or none of them.</p>
+            </div>
+
+            <div className="max-w-md">
+                <SelectField label="Academic Term" name="import_term_id" value={termId} onChange={handleTermChange} disabled={loading}>
+                    <option value="" disabled>-- Select Term --</option>
+                    {terms.map(t => <option key={t.term_id} value={t.term_id}>{t.term_name} ({t.start_date} to {t.end_date})</option>)}
+                </SelectField>
+            </div>
+
+            <div className="mb-4">
+                <label className="block text-gray-700 text-sm font-bold mb-2" htmlFor="timetable_file">Timetable File</label>
+                <input
+                    id="timetable_file" type="file" accept=".csv,.xlsx,.xls"
+                    onChange={handleFileChange} disabled={loading}
+                    className="block w-full text-sm text-gray-700 file:mr-4 file:py-2 file:px-4 file:rounded-lg file:border-0 file:font-semibold file:bg-indigo-50 file:text-indigo-700 hover:file:bg-indigo-100"
+                />
+                {fileName && <p className="text-xs text-gray-500 mt-1">{fileName}: {rows.length} row(s) read.</p>}
+            </div>
+
+            <div className="flex space-x-3 mb-4">
+                <Button variant="secondary" onClick={() => submitImport(true)} disabled={loading || rows.length === 0 || !termId}>
+                    {loading ? 'Checking...' : 'Dry Run'}
+                </Button>
+                <Button variant="success" onClick={() => submitImport(false)} disabled={loading || !dryRunPassed}>
+                    Import {rows.length > 0 ? `${rows.length} Rows` : ''}
+                </Button>
+            </div>
+
+            {loading && <LoadingSpinner />}
+            {error && !loading && <ErrorMessage message={error} />}
+
+            {report && !loading && (
+                <div className="space-y-3">
+                    <p className={`text-sm font-medium ${failedResults.length === 0 ? 'text-green-700' : 'text-gray-700'}`}>
+                        {report.message} ({report.summary?.valid ?? 0} OK, {report.summary?.failed ?? 0} with problems)
+                    </p>
+                    {flaggedResults.length > 0 && (
+                        <div className="overflow-x-auto relative border rounded-md">
+                            <table className="min-w-full divide-y divide-gray-200">
+                                <thead className="bg-gray-50">
+                                    <tr>
+                                        <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Row</th>
+                                        <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Entry</th>
+                                        <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Problems</th>
+                                    </tr>
+                                </thead>
+                                <tbody className="bg-white divide-y divide-gray-200">
+                                    {flaggedResults.map(result => (
+                                        <tr key={result.row} className="hover:bg-gray-50 transition-colors duration-150">
+                                            <td className="px-4 py-4 whitespace-nowrap text-sm font-medium text-gray-900">{result.row}</td>
+                                            <td className="px-4 py-4 whitespace-nowrap text-sm text-gray-600">
+                                                {result.input.course_code} / {result.input.batch} / {result.input.day} {result.input.start_time}-{result.input.end_time} / {result.input.room_number}
+                                            </td>
+                                            <td className="px-4 py-4 text-sm text-red-700">
+                                                <ul className="list-disc list-inside">
+                                                    {result.errors.map((msg, i) => <li key={i}>{msg}</li>)}
+                                                    {result.warnings?.map((msg, i) => <li key={`w${i}`} className="text-yellow-700">{msg}</li>)}
+                                                </ul>
+                                            </td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+}
+
+
+// --- Audit Log ---
+
+const EMPTY_AUDIT_FILTERS = { entity_type: '', action: '', actor: '', entity_id: '', from: '', to: '' };
+
+const formatAuditValue = (value) => (value == null ? '—' : typeof value === 'object' ? JSON.stringify(value) : String(value));
+
+// Field-by-field view of an entry's before/after values; changed fields are highlighted
+function AuditValues({ before, after }) {
+    const fields = [...new Set([...Object.keys(before || {}), ...Object.keys(after || {})])];
+    if (fields.length === 0) return <p className="text-xs text-gray-500 italic">No values recorded.</p>;
+    return (
+        <table className="text-xs w-full">
+            <thead>
+                <tr className="text-gray-500">
+                    <th className="text-left font-medium pr-4 py-1">Field</th>
+                    <th className="text-left font-medium pr-4 py-1">Before</th>
+                    <th className="text-left font-medium py-1">After</th>
+                </tr>
+            </thead>
+            <tbody>
+                {fields.map(field => {
+                    const oldValue = formatAuditValue(before?.[field]);
+                    const newValue = formatAuditValue(after?.[field]);
+                    const changed = before && after && oldValue !== newValue;
+                    return (
+                        <tr key={field} className={changed ? 'bg-yellow-50' : ''}>
+                            <td className="pr-4 py-1 font-mono text-gray-700 align-top">{field}</td>
+                            <td className="pr-4 py-1 text-gray-600 break-all align-top">{before ? oldValue : ''}</td>
+                            <td className={`py-1 break-all align-top ${changed ? 'text-gray-900 font-semibold' : 'text-gray-600'}`}>{after ? newValue : ''}</td>
+                        </tr>
+                    );
+                })}
+            </tbody>
+        </table>
+    );
+}
+
+// Who changed what and when, with filters; entries are written by the API on every successful change
+function AuditLog() {
+    const [filters, setFilters] = useState(EMPTY_AUDIT_FILTERS);
+    const [applied, setApplied] = useState(EMPTY_AUDIT_FILTERS);
+    const [page, setPage] = useState(1);
+    const [log, setLog] = useState({ entries: [], total: 0, page_size: 50, entity_types: [], actions: [] });
+    const [expandedId, setExpandedId] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState('');
+
+    const fetchLog = useCallback(async () => {
+        setLoading(true); setError('');
+        try {
+            const params = Object.fromEntries(Object.entries(applied).filter(([, value]) => value !== ''));
+            const response = await apiClient.get('/admin/audit-log', { params: { ...params, page } });
+            setLog(response.data);
+        } catch (err) {
+            console.error("Error fetching audit log:", err);
+            setError(err.response?.data?.message || err.message || "Failed to load the audit log.");
+        } finally { setLoading(false); }
+    }, [applied, page]);
+
+    useEffect(() => { fetchLog(); }, [fetchLog]);
+
+    const handleFilterChange = (e) => setFilters(prev => ({ ...prev, [e.target.name]: e.target.value }));
+    const handleApply = (e) => { e.preventDefault(); setPage(1); setApplied(filters); };
+    const handleClear = () => { setFilters(EMPTY_AUDIT_FILTERS); setPage(1); setApplied(EMPTY_AUDIT_FILTERS); };
+
+    const pageCount = Math.max(Math.ceil(log.total / log.page_size), 1);
+
+    return (
+        <div className="bg-white shadow-lg overflow-hidden sm:rounded-lg p-4 sm:p-6">
+            <div className="flex justify-between items-center mb-5 border-b pb-2">
+                <h2 className="text-xl font-semibold text-gray-800">Audit Log</h2>
+                <Button variant="secondary" onClick={fetchLog} disabled={loading}>Refresh</Button>
+            </div>
+
+            <form onSubmit={handleApply} className="mb-6 p-4 border rounded-md bg-gray-50">
+                <div className="grid grid-cols-1 sm:grid-cols-3 lg:grid-cols-6 gap-x-4">
+                    <SelectField label="Entity" name="entity_type" value={filters.entity_type} onChange={handleFilterChange} required={false}>
+                        <option value="">All entities</option>
+                        {log.entity_types.map(type => <option key={type} value={type}>{type}</option>)}
+                    </SelectField>
+                    <InputField label="Entity ID" name="entity_id" value={filters.entity_id} onChange={handleFilterChange} required={false} />
+                    <SelectField label="Action" name="action" value={filters.action} onChange={handleFilterChange} required={false}>
+                        <option value="">All actions</option>
+                        {log.actions.map(action => <option key={action} value={action}>{action}</option>)}
+                    </SelectField>
+                    <InputField label="Actor Email" name="actor" value={filters.actor} onChange={handleFilterChange} placeholder="e.g. admin@" required={false} />
+                    <InputField label="From" name="from" type="date" value={filters.from} onChange={handleFilterChange} required={false} />
+                    <InputField label="To" name="to" type="date" value={filters.to} onChange={handleFilterChange} required={false} />
+                </div>
+                <div className="flex justify-end space-x-3">
+                    <Button type="button" variant="secondary" onClick={handleClear}>Clear</Button>
+                    <Button type="submit" variant="primary">Apply Filters</Button>
+                </div>
+            </form>
+
+            {loading && <LoadingSpinner />}
+            {error && !loading && <ErrorMessage message={error} />}
+            {!loading && !error && log.entries.length === 0 && (
+                <p className="text-gray-500 italic text-center py-4">No audit entries match these filters.</p>
+            )}
+            {!loading && !error && log.entries.length > 0 && (
+                <>
+                    <div className="overflow-x-auto relative border rounded-md">
+                        <table className="min-w-full divide-y divide-gray-200">
+                            <thead className="bg-gray-50">
+                                <tr>
+                                    <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">When</th>
+                                    <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Actor</th>
+                                    <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Action</th>
+                                    <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Entity</th>
+                                    <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Request</th>
+                                    <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">IP</th>
+                                    <th scope="col" className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Values</th>
+                                </tr>
+                            </thead>
+                            <tbody className="bg-white divide-y divide-gray-200">
+                                {log.entries.map(entry => (
+                                    <React.Fragment key={entry.audit_id}>
+                                        <tr className="hover:bg-gray-50 transition-colors duration-150">
+                                            <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-600">{new Date(entry.created_at).toLocaleString()}</td>
+                                            <td className="px-4 py-3 text-sm text-gray-900">
+                                                {entry.actor_name || entry.actor_email || <span className="italic text-gray-500">Anonymous</span>}
+                                                {entry.actor_role && <span className="block text-xs text-gray-500">{entry.actor_role}{entry.actor_name ? ` · ${entry.actor_email}` : ''}</span>}
+                                            </td>
+                                            <td className="px-4 py-3 whitespace-nowrap text-sm font-medium text-gray-800">{entry.action}</td>
+                                            <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-600">{entry.entity_type}{entry.entity_id ? ` #${entry.entity_id}` : ''}</td>
+                                            <td className="px-4 py-3 text-xs text-gray-500 font-mono break-all">{entry.method} {entry.path}</td>
+                                            <td className="px-4 py-3 whitespace-nowrap text-xs text-gray-500">{entry.ip_address || 'N/A'}</td>
+                                            <td className="px-4 py-3 whitespace-nowrap text-right text-sm">
+                                                <Button variant="link" onClick={() => setExpandedId(expandedId === entry.audit_id ? null : entry.audit_id)} className="text-xs px-1 py-0">
+                                                    {expandedId === entry.audit_id ? 'Hide' : 'Show'}
+                                                </Button>
+                                            </td>
+                                        </tr>
+                                        {expandedId === entry.audit_id && (
+                                            <tr className="bg-gray-50">
+                                                <td colSpan={7} className="px-4 py-3">
+                                                    <AuditValues before={entry.before_values} after={entry.after_values} />
+                                                </td>
+                                            </tr>
+                                        )}
+                                    </React.Fragment>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                    <div className="flex justify-between items-center mt-4 text-sm text-gray-600">
+                        <span>{log.total} entr{log.total === 1 ? 'y' : 'ies'} · page {log.page} of {pageCount}</span>
+                        <div className="space-x-2">
+                            <Button variant="secondary" onClick={() => setPage(p => p - 1)} disabled={page <= 1}>Previous</Button>
+                            <Button variant="secondary" onClick={() => setPage(p => p + 1)} disabled={page >= pageCount}>Next</Button>
+                        </div>
+                    </div>
+                </>
+            )}
+        </div>
+    );
+}
+
 export default AdminDashboard;
 
@@ -46,6 +46,43 @@ const ErrorMessage = ({ message }) => (
     </div>
 );
 
+// Every clash returned with a 409 booking response
+const ConflictList = ({ conflicts }) => (
+    <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded relative my-4" role="alert">
+        <strong className="font-bold">{conflicts.length} conflict{conflicts.length > 1 ? 's' : ''} found:</strong>
+        <ul className="list-disc list-inside mt-1 text-sm">
+            {conflicts.map((conflict, i) => (
+                <li key={`${conflict.schedule_id}-${conflict.entity}-${i}`}>
+                    {conflict.class_type === 'Leave' ? (
+                        <>{conflict.entity} ({conflict.details}): unavailable{conflict.reason ? ` (${conflict.reason})` : ''}, {conflict.class_date} {conflict.start_time}-{conflict.end_time}</>
+                    ) : conflict.class_type === 'Reservation' ? (
+                        <>{conflict.entity} ({conflict.details}): reserved for {conflict.kind} "{conflict.title}", {conflict.class_date} {conflict.start_time}-{conflict.end_time}</>
+                    ) : conflict.class_type === 'Workload' ? (
+                        <>
+                            {conflict.entity} ({conflict.details}): over the workload limit,{' '}
+                            {conflict.rule === 'Consecutive'
+                                ? `${conflict.load} classes in a row on ${conflict.class_date || conflict.day_of_week} (at most ${conflict.limit})`
+                                : conflict.rule === 'DailyHours'
+                                    ? `${conflict.load} h on ${conflict.class_date || conflict.day_of_week} (limit ${conflict.limit} h per day)`
+                                    : `${conflict.load} h ${conflict.week_start ? `in the week of ${conflict.week_start}` : 'a week'} (limit ${conflict.limit} h per week)`}
+                        </>
+                    ) : conflict.rule === 'Transition' ? (
+                        <>
+                            {conflict.entity} ({conflict.details}): {conflict.gap_minutes} min to walk from {conflict.from_building} to {conflict.to_building}{' '}
+                            {conflict.adjacent === 'before' ? 'after' : 'before'} {conflict.course_code} {conflict.class_type} class ({conflict.class_type === 'Extra' ? conflict.class_date : conflict.day_of_week} {conflict.start_time}-{conflict.end_time}), {conflict.required_minutes} min needed
+                        </>
+                    ) : (
+                        <>
+                            {conflict.entity} ({conflict.details}): {conflict.course_code} {conflict.class_type} class,{' '}
+                            {conflict.class_type === 'Extra' ? conflict.class_date : conflict.day_of_week} {conflict.start_time}-{conflict.end_time}
+                        </>
+                    )}
+                </li>
+            ))}
+        </ul>
+    </div>
+);
+
 const SelectField = ({ label, name, id, value, onChange, children, required = true, disabled = false, error = null }) => (
      <div className="mb-4">
         <label className="block text-gray-700 text-sm font-bold mb-2" htmlFor={id || name}>
@@ -128,6 +165,12 @@ const getStartOfWeek = (date) => {
     return new Date(d.setDate(diff));
 };
 
+const getStartOfDay = (date) => {
+    const d = new Date(date);
+    d.setHours(0, 0, 0, 0);
+    return d;
+};
+
 const formatDateShort = (date) => {
     return date.toLocaleDateString('en-US', { month: 'numeric', day: 'numeric' });
 };
@@ -163,21 +206,261 @@ const parseDateTimeString = (dateTimeStr) => {
 };
 
 
+// Local calendar date -> 'YYYY-MM-DD' (matches DATE values from the backend)
+const toDateKey = (date) => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+// Base classes only run between their term's start and end dates (no term = every week)
+const isWithinTerm = (event, dateKey) =>
+    (!event.termStart || dateKey >= event.termStart) && (!event.termEnd || dateKey <= event.termEnd);
+
+// Date -> 'HH:MM' for <input type="time">
+const toTimeInputValue = (date) => {
+    if (!date || isNaN(date)) return '';
+    return `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+};
+
 const WEEK_DAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
 
 
 // --- 1. Book Extra Class Form Component ---
+
+// Elective students who would have two classes at once; a warning only, the slot can still be booked
+const StudentClashWarning = ({ report }) => {
+    if (!report?.student_count) return null;
+    return (
+        <div className="bg-yellow-50 border border-yellow-300 text-yellow-800 text-sm px-4 py-2 rounded mb-4">
+            <p className="font-semibold">{report.student_count} student{report.student_count === 1 ? '' : 's'} would have a clash:</p>
+            <ul className="list-disc list-inside">
+                {report.classes.map(cls => (
+                    <li key={cls.schedule_id}>
+                        {cls.course_code} {cls.class_type} class, {cls.class_type === 'Extra' ? cls.class_date : cls.day_of_week} {cls.start_time}-{cls.end_time} ({cls.student_count} student{cls.student_count === 1 ? '' : 's'})
+                    </li>
+                ))}
+            </ul>
+        </div>
+    );
+};
+
+// Back-to-back classes that leave too little time to walk between buildings; a warning unless the server blocks them
+const TransitionWarning = ({ warnings }) => {
+    if (!warnings?.length) return null;
+    return (
+        <div className="bg-yellow-50 border border-yellow-300 text-yellow-800 text-sm px-4 py-2 rounded mb-4">
+            <p className="font-semibold">Tight walk between buildings:</p>
+            <ul className="list-disc list-inside">
+                {warnings.map((warning, i) => (
+                    <li key={`${warning.schedule_id}-${warning.entity}-${i}`}>
+                        {warning.entity} ({warning.details}): {warning.gap_minutes} min from {warning.from_building} to {warning.to_building}{' '}
+                        {warning.adjacent === 'before' ? 'after' : 'before'} {warning.course_code} ({warning.start_time}-{warning.end_time}), {warning.required_minutes} min needed
+                    </li>
+                ))}
+            </ul>
+        </div>
+    );
+};
+
+// Verdict of the live dry-run check shown under the booking form
+const LiveCheckResult = ({ checking, result }) => {
+    if (checking) return <p className="text-xs text-gray-500 italic">Checking for conflicts...</p>;
+    if (!result) return null;
+    if (result.ok) {
+        return (
+            <div>
+                <p className="bg-green-50 border border-green-300 text-green-700 text-sm px-4 py-2 rounded mb-2">{result.message}</p>
+                <TransitionWarning warnings={result.transition_warnings} />
+                <StudentClashWarning report={result.student_clashes} />
+            </div>
+        );
+    }
+    const problems = [result.holiday, result.suitability].filter(Boolean);
+    return (
+        <div>
+            {problems.map(problem => <ErrorMessage key={problem} message={problem} />)}
+            {result.conflicts?.length > 0 && <ConflictList conflicts={result.conflicts} />}
+            {problems.length === 0 && !result.conflicts?.length && <ErrorMessage message={result.message} />}
+            <TransitionWarning warnings={result.transition_warnings} />
+            <StudentClashWarning report={result.student_clashes} />
+        </div>
+    );
+};
+// Suggests windows where the professor, the audience and a room are all free; clicking one fills the booking form
+function FreeSlotFinder({ resolveAudience, courseId, disabled, onSelect }) {
+    const [criteria, setCriteria] = useState(() => ({
+        duration: '60', from: toDateKey(new Date()), to: toDateKey(addDays(new Date(), 6)), room_type: ''
+    }));
+    const [slots, setSlots] = useState(null); // null until the first search
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState('');
+
+    const handleChange = (e) => {
+        const { name, value } = e.target;
+        setCriteria(prev => ({ ...prev, [name]: value }));
+    };
+
+    const handleSearch = async () => {
+        setError('');
+        const { audience, error: audienceError } = resolveAudience();
+        if (audienceError) { setError(audienceError); return; }
+        setLoading(true);
+        try {
+            const response = await apiClient.get('/professor/available-slots', {
+                // With a course selected, only rooms suitable for it (type and size) are offered
+                params: { ...criteria, ...audience, course_id: courseId || undefined, room_type: criteria.room_type || undefined }
+            });
+            setSlots(response.data.slots || []);
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to find free slots.');
+            setSlots(null);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    // Group suggestions by date for display
+    const slotsByDate = useMemo(() => (slots || []).reduce((groups, slot) => {
+        (groups[slot.class_date] = groups[slot.class_date] || []).push(slot);
+        return groups;
+    }, {}), [slots]);
+
+    return (
+        <div className="bg-green-50 p-4 rounded-lg space-y-3 border border-green-200">
+            <h3 className="text-sm font-semibold text-gray-700">Find a Free Slot</h3>
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+                <SelectField label="Duration" name="duration" value={criteria.duration} onChange={handleChange} disabled={disabled || loading}>
+                    <option value="60">1 hour</option>
+                    <option value="90">1.5 hours</option>
+                    <option value="120">2 hours</option>
+                    <option value="180">3 hours</option>
+                </SelectField>
+                <InputField label="From" name="from" type="date" value={criteria.from} onChange={handleChange} min={toDateKey(new Date())} disabled={disabled || loading} />
+                <InputField label="To" name="to" type="date" value={criteria.to} onChange={handleChange} min={criteria.from} disabled={disabled || loading} />
+                <SelectField label="Room Type" name="room_type" value={criteria.room_type} onChange={handleChange} disabled={disabled || loading} required={false}>
+                    <option value="">Any</option>
+                    <option value="Theory">Theory</option>
+                    <option value="Lab">Lab</option>
+                </SelectField>
+            </div>
+            <Button type="button" variant="secondary" onClick={handleSearch} disabled={disabled || loading}>
+                {loading ? 'Searching...' : 'Find Free Slots'}
+            </Button>
+            {error && <ErrorMessage message={error} />}
+            {slots && slots.length === 0 && !loading && (
+                <p className="text-sm text-gray-500 italic">No free slots in this range. Try other dates or a shorter duration.</p>
+            )}
+            {Object.entries(slotsByDate).map(([date, dateSlots]) => (
+                <div key={date}>
+                    <p className="text-xs font-semibold text-gray-600 mb-1">{dateSlots[0].day_of_week}, {date}</p>
+                    <div className="flex flex-wrap gap-2">
+                        {dateSlots.map(slot => (
+                            <button
+                                key={`${date}-${slot.start_time}`} type="button"
+                                onClick={() => onSelect(slot)}
+                                title={`Free rooms: ${slot.classrooms.map(r => r.room_number).join(', ')}`}
+                                className="px-2 py-1 text-xs rounded-md border border-green-300 bg-white text-green-800 hover:bg-green-100 transition"
+                            >
+                                {slot.start_time}-{slot.end_time} · {slot.classrooms[0].room_number}
+                                {slot.classrooms.length > 1 ? ` (+${slot.classrooms.length - 1})` : ''}
+                            </button>
+                        ))}
+                    </div>
+                </div>
+            ))}
+        </div>
+    );
+}
+
+// Repeat options of a booking: weekly from the chosen date (until a date or for a count) or a custom list of dates
+function RecurrenceFields({ recurrence, onChange, disabled }) {
+    const [newDate, setNewDate] = useState('');
+    const update = (field, value) => onChange({ ...recurrence, [field]: value });
+
+    return (
+        <div className="bg-yellow-50 p-4 rounded-lg space-y-3 border border-yellow-200">
+            <SelectField label="Repeat" name="repeat_type" value={recurrence.type} onChange={(e) => update('type', e.target.value)} disabled={disabled} required={false}>
+                <option value="none">Does not repeat</option>
+                <option value="weekly">Weekly from the chosen date</option>
+                <option value="dates">On custom dates</option>
+            </SelectField>
+            {recurrence.type === 'weekly' && (
+                <div className="grid grid-cols-2 gap-4">
+                    <SelectField label="Ends" name="ends" value={recurrence.ends} onChange={(e) => update('ends', e.target.value)} disabled={disabled}>
+                        <option value="count">After a number of weeks</option>
+                        <option value="date">On a date</option>
+                    </SelectField>
+                    {recurrence.ends === 'count'
+                        ? <InputField label="Occurrences" name="count" type="number" value={recurrence.count} onChange={(e) => update('count', e.target.value)} min="1" disabled={disabled} />
+                        : <InputField label="Until" name="end_date" type="date" value={recurrence.end_date} onChange={(e) => update('end_date', e.target.value)} disabled={disabled} />}
+                </div>
+            )}
+            {recurrence.type === 'dates' && (
+                <div>
+                    <div className="flex items-end space-x-2">
+                        <InputField label="Add Date" name="new_date" type="date" value={newDate} onChange={(e) => setNewDate(e.target.value)} min={toDateKey(new Date())} disabled={disabled} required={false} />
+                        <Button type="button" variant="secondary" className="mb-4" disabled={disabled || !newDate}
+                            onClick={() => { update('dates', [...new Set([...recurrence.dates, newDate])].sort()); setNewDate(''); }}>
+                            Add
+                        </Button>
+                    </div>
+                    <div className="flex flex-wrap gap-2">
+                        {recurrence.dates.map(date => (
+                            <button key={date} type="button" disabled={disabled} title="Remove date"
+                                onClick={() => update('dates', recurrence.dates.filter(d => d !== date))}
+                                className="px-2 py-1 text-xs rounded-md border border-yellow-300 bg-white text-yellow-800 hover:bg-yellow-100 transition">
+                                {date} &times;
+                            </button>
+                        ))}
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+}
+
+// Per-date result of a series check, with the two ways to book it
+const SeriesReport = ({ report, booking, onBook }) => (
+    <div className="border border-gray-200 rounded-lg p-4 space-y-3">
+        <p className="text-sm font-semibold text-gray-700">{report.message}</p>
+        <ul className="divide-y text-sm">
+            {report.occurrences.map(occurrence => (
+                <li key={occurrence.class_date} className="py-2">
+                    <span className={`mr-2 px-2 py-0.5 inline-flex text-xs font-semibold rounded-full ${occurrence.status === 'clear' ? 'bg-green-100 text-green-800' : 'bg-red-100 text-red-800'}`}>
+                        {occurrence.status === 'clear' ? 'Clear' : occurrence.status === 'conflict' ? 'Conflict' : 'Blocked'}
+                    </span>
+                    {occurrence.day_of_week}, {occurrence.class_date}
+                    {occurrence.status !== 'clear' && <p className="text-xs text-red-700 mt-1">{occurrence.message}</p>}
+                    {occurrence.warning && <p className="text-xs text-yellow-700 mt-1">{occurrence.warning}</p>}
+                </li>
+            ))}
+        </ul>
+        <div className="flex space-x-3">
+            <Button type="button" variant="primary" onClick={() => onBook('clear_only')} disabled={booking || report.summary.clear === 0}>
+                {booking ? 'Booking...' : `Book ${report.summary.clear} Clear Date${report.summary.clear === 1 ? '' : 's'}`}
+            </Button>
+            <Button type="button" variant="secondary" onClick={() => onBook('all')} disabled={booking || report.summary.unavailable > 0}>
+                Book Whole Series
+            </Button>
+        </div>
+    </div>
+);
+
+const NO_RECURRENCE = { type: 'none', ends: 'count', count: '6', end_date: '', dates: [] };
+
 function BookExtraClassForm({ courses, classrooms, structure, loadingData, onBookingSuccess }) {
     const today = useMemo(() => new Date().toISOString().split('T')[0], []);
     const branches = structure;
     const [selectedBranchId, setSelectedBranchId] = useState('');
     const [selectedDivisionId, setSelectedDivisionId] = useState('');
     const [formData, setFormData] = useState({
-        course_id: '', batch_id: '', classroom_id: '',
+        course_id: '', audience_scope: 'batch', batch_id: '', classroom_id: '',
         class_date: '', start_time: '09:00', end_time: '10:00'
     });
     const [loading, setLoading] = useState(false);
     const [error, setError] = useState('');
+    const [conflicts, setConflicts] = useState([]); // Structured clashes from the last 409
+    const [liveCheck, setLiveCheck] = useState(null); // Verdict of /schedule/check for the current fields
+    const [checking, setChecking] = useState(false);
+    const [recurrence, setRecurrence] = useState(NO_RECURRENCE);
+    const [seriesReport, setSeriesReport] = useState(null); // Per-date result of the last series check
 
     const availableDivisions = useMemo(() => {
         if (!selectedBranchId) return [];
@@ -198,16 +481,9 @@ function BookExtraClassForm({ courses, classrooms, structure, loadingData, onBoo
         }, {});
     }, [courses]);
 
-    const isPracticalCourse = useMemo(() => {
-        const courseId = parseInt(formData.course_id);
-        if (!courseId) return false;
-        const courseType = courseTypeMap[courseId];
-        return courseType && courseType.toLowerCase() !== 'theory';
-    }, [formData.course_id, courseTypeMap]);
-
     const handleChange = (e) => {
         const { name, value } = e.target;
-        setError('');
+        setError(''); setConflicts([]); setSeriesReport(null);
         if (name === 'branch_id') {
             setSelectedBranchId(value);
             setSelectedDivisionId('');
@@ -215,53 +491,159 @@ function BookExtraClassForm({ courses, classrooms, structure, loadingData, onBoo
         } else if (name === 'division_id') {
             setSelectedDivisionId(value);
             setFormData(prev => ({ ...prev, division_id: value, batch_id: '' }));
+        } else if (name === 'course_id') {
+            // Theory lectures usually go to the whole division, practicals to one batch
+            const courseType = courseTypeMap[parseInt(value)];
+            const audienceScope = courseType && courseType.toLowerCase() === 'theory' ? 'division' : 'batch';
+            setFormData(prev => ({ ...prev, course_id: value, audience_scope: audienceScope }));
         } else {
             setFormData(prev => ({ ...prev, [name]: value }));
         }
     };
 
+    // Audience payload for the chosen scope: { audience_scope, batch_id | division_id | branch_id }
+    const resolveAudience = useCallback(() => {
+        const scope = formData.audience_scope;
+        if (!selectedBranchId) return { error: "Branch is required." };
+        if (scope === 'branch') {
+            return { audience: { audience_scope: scope, branch_id: parseInt(selectedBranchId) } };
+        }
+        if (!selectedDivisionId) return { error: "Division is required." };
+        if (scope === 'division') {
+            return { audience: { audience_scope: scope, division_id: parseInt(selectedDivisionId) } };
+        }
+        const batchId = parseInt(formData.batch_id);
+        return batchId
+            ? { audience: { audience_scope: scope, batch_id: batchId } }
+            : { error: "Target Batch is required for a single-batch class." };
+    }, [formData.audience_scope, formData.batch_id, selectedBranchId, selectedDivisionId]);
+
+    // --- Live conflict check: dry-run the slot whenever the form is complete ---
+    useEffect(() => {
+        const { audience } = resolveAudience();
+        const { course_id, classroom_id, class_date, start_time, end_time } = formData;
+        if (!audience || !course_id || !classroom_id || !class_date || !start_time || !end_time || start_time >= end_time) {
+            setLiveCheck(null); setChecking(false);
+            return;
+        }
+        let stale = false;
+        const timer = setTimeout(async () => {
+            setChecking(true);
+            try {
+                const response = await apiClient.post('/schedule/check', {
+                    class_type: 'Extra', course_id: parseInt(course_id), ...audience,
+                    classroom_id: parseInt(classroom_id), class_date, start_time, end_time,
+                });
+                if (!stale) setLiveCheck(response.data);
+            } catch (err) {
+                if (!stale) setLiveCheck({ ok: false, message: err.response?.data?.message || 'Could not check this slot.', conflicts: [] });
+            } finally {
+                if (!stale) setChecking(false);
+            }
+        }, 400); // Debounce while the professor is still typing
+        return () => { stale = true; clearTimeout(timer); };
+    }, [formData, resolveAudience]);
+
+    const handleRecurrenceChange = (value) => {
+        setError(''); setSeriesReport(null);
+        setRecurrence(value);
+    };
+
+    const handleSelectSlot = (slot) => {
+        setError(''); setConflicts([]); setSeriesReport(null);
+        setFormData(prev => ({
+            ...prev,
+            class_date: slot.class_date,
+            start_time: slot.start_time,
+            end_time: slot.end_time,
+            classroom_id: String(slot.classrooms[0].classroom_id),
+        }));
+        toast.success(`Filled in ${slot.class_date} ${slot.start_time}-${slot.end_time} in ${slot.classrooms[0].room_number}.`);
+    };
+
+    const resetForm = () => {
+        setFormData({ course_id: '', audience_scope: 'batch', batch_id: '', classroom_id: '', class_date: '', start_time: '09:00', end_time: '10:00' });
+        setSelectedBranchId(''); setSelectedDivisionId('');
+        setRecurrence(NO_RECURRENCE); setSeriesReport(null);
+    };
+
+    // Series request: 'check' reports every date, 'clear_only' / 'all' book them as one series
+    const submitSeries = async (mode) => {
+        const { audience, error: audienceError } = resolveAudience();
+        if (audienceError) { setError(audienceError); return; }
+        const seriesRecurrence = recurrence.type === 'dates'
+            ? { type: 'dates', dates: recurrence.dates }
+            : {
+                type: 'weekly', start_date: formData.class_date,
+                ...(recurrence.ends === 'count' ? { count: parseInt(recurrence.count) } : { end_date: recurrence.end_date }),
+            };
+        setLoading(true); setError('');
+        try {
+            const response = await apiClient.post('/professor/extra-series', {
+                course_id: parseInt(formData.course_id),
+                ...audience,
+                classroom_id: parseInt(formData.classroom_id),
+                start_time: formData.start_time,
+                end_time: formData.end_time,
+                recurrence: seriesRecurrence,
+                mode,
+            });
+            if (mode === 'check') {
+                setSeriesReport(response.data);
+            } else {
+                toast.success(response.data.message || 'Series booked successfully!');
+                onBookingSuccess();
+                resetForm();
+            }
+        } catch (err) {
+            const message = err.response?.data?.message || 'Server error during series booking.';
+            setError(message);
+            if (err.response?.data?.occurrences) setSeriesReport(err.response.data);
+            toast.error(message, { duration: 6000 });
+        } finally {
+            setLoading(false);
+        }
+    };
+
     const handleSubmit = async (e) => {
         e.preventDefault();
-        setError('');
-        setLoading(true);
+        setError(''); setConflicts([]);
 
         if (formData.start_time >= formData.end_time) {
-            setError("Start time must be before end time."); setLoading(false); return;
+            setError("Start time must be before end time."); return;
         }
-        if (!selectedDivisionId) {
-            setError("Branch and Division are required."); setLoading(false); return;
+        if (recurrence.type !== 'none') {
+            if (recurrence.type === 'dates' && recurrence.dates.length === 0) { setError("Add at least one date to the series."); return; }
+            if (recurrence.type === 'weekly' && !formData.class_date) { setError("Pick the date of the first class."); return; }
+            await submitSeries('check');
+            return;
         }
+        setLoading(true);
 
-        let targetBatchId = parseInt(formData.batch_id);
-        if (isPracticalCourse) {
-            if (!targetBatchId) {
-                setError("Target Batch is required for Practical/Lab classes."); setLoading(false); return;
-            }
-        } else {
-            const division = availableDivisions.find(d => d.division_id === parseInt(selectedDivisionId));
-            if (division && division.batches.length > 0) {
-                targetBatchId = division.batches[0].batch_id;
-                console.log(`Theory Class: Using placeholder Batch ID ${targetBatchId} for division ${selectedDivisionId}.`);
-            } else {
-                setError("Could not find placeholder batch for this division."); setLoading(false); return;
-            }
+        const { audience, error: audienceError } = resolveAudience();
+        if (audienceError) {
+            setError(audienceError); setLoading(false); return;
         }
 
         try {
             const payload = {
-                ...formData,
                 course_id: parseInt(formData.course_id),
-                batch_id: targetBatchId,
+                ...audience,
                 classroom_id: parseInt(formData.classroom_id),
+                class_date: formData.class_date,
+                start_time: formData.start_time,
+                end_time: formData.end_time,
             };
             const response = await apiClient.post('/book-extra-class', payload);
             toast.success(response.data.message || 'Class booked successfully!');
+            if (response.data.warning) toast(response.data.warning, { icon: '⚠️', duration: 8000 });
             onBookingSuccess();
-            setFormData({ course_id: '', batch_id: '', classroom_id: '', class_date: '', start_time: '09:00', end_time: '10:00' });
-            setSelectedBranchId(''); setSelectedDivisionId('');
+            resetForm();
         } catch (err) {
             const message = err.response?.data?.message || 'Server error during booking.';
-            setError(message); toast.error(message, { duration: 6000 });
+            const clashes = err.response?.data?.conflicts || [];
+            setError(message); setConflicts(clashes);
+            toast.error(clashes.length > 1 ? `${clashes.length} conflicts found. See the form for details.` : message, { duration: 6000 });
         } finally {
             setLoading(false);
         }
@@ -271,38 +653,51 @@ function BookExtraClassForm({ courses, classrooms, structure, loadingData, onBoo
         <div className="p-6 bg-white shadow-lg rounded-xl border border-indigo-100">
             <h2 className="text-2xl font-bold text-indigo-700 mb-6 border-b pb-2">Book Extra Class</h2>
             {(loadingData || loading) && <LoadingSpinner />}
-            {error && <ErrorMessage message={error} />}
+            {conflicts.length > 0 ? <ConflictList conflicts={conflicts} /> : error && <ErrorMessage message={error} />}
             <form onSubmit={handleSubmit} className="space-y-4">
                 <SelectField label="Course" name="course_id" value={formData.course_id} onChange={handleChange} disabled={loadingData || loading}>
                     <option value="" disabled>Select Course</option>
                     {courses.map(c => <option key={c.course_id} value={c.course_id}>{c.course_code} - {c.course_name} ({c.type})</option>)}
                 </SelectField>
                 <div className="bg-indigo-50 p-4 rounded-lg space-y-4 border border-indigo-200">
-                    <h3 className="text-sm font-semibold text-gray-700">Target Student Group (Batch required only for Practical/Lab)</h3>
+                    <h3 className="text-sm font-semibold text-gray-700">Target Student Group</h3>
+                    <SelectField label="Audience" name="audience_scope" value={formData.audience_scope} onChange={handleChange} disabled={loadingData || loading}>
+                        <option value="batch">Single batch</option>
+                        <option value="division">Whole division</option>
+                        <option value="branch">Whole branch</option>
+                    </SelectField>
                     <SelectField label="Branch" name="branch_id" value={selectedBranchId} onChange={handleChange} disabled={loadingData || loading}>
                         <option value="" disabled>Select Branch</option>
                         {branches.map(b => <option key={b.branch_id} value={b.branch_id}>{b.branch_name} ({b.branch_code})</option>)}
                     </SelectField>
-                    <SelectField label="Division" name="division_id" value={selectedDivisionId} onChange={handleChange} disabled={!selectedBranchId || loadingData || loading}>
-                        <option value="" disabled>{selectedBranchId ? 'Select Division' : 'Select Branch first'}</option>
-                        {availableDivisions.map(d => <option key={d.division_id} value={d.division_id}>Division {d.division_name}</option>)}
-                    </SelectField>
-                    <SelectField label={`Target Batch ${isPracticalCourse ? '(Required)' : '(Auto-selected for Theory)'}`} name="batch_id" value={formData.batch_id} onChange={handleChange} disabled={!selectedDivisionId || loadingData || loading || !isPracticalCourse} required={isPracticalCourse} error={!isPracticalCourse && selectedDivisionId ? "Handled automatically." : null}>
-                        <option value="" disabled>{selectedDivisionId ? (isPracticalCourse ? 'Select Specific Batch' : 'Select for Lab/Practical') : 'Select Division first'}</option>
-                        {availableBatches.map(b => <option key={b.batch_id} value={b.batch_id}>Batch {b.batch_name}</option>)}
-                    </SelectField>
+                    {formData.audience_scope !== 'branch' && (
+                        <SelectField label="Division" name="division_id" value={selectedDivisionId} onChange={handleChange} disabled={!selectedBranchId || loadingData || loading}>
+                            <option value="" disabled>{selectedBranchId ? 'Select Division' : 'Select Branch first'}</option>
+                            {availableDivisions.map(d => <option key={d.division_id} value={d.division_id}>Division {d.division_name}</option>)}
+                        </SelectField>
+                    )}
+                    {formData.audience_scope === 'batch' && (
+                        <SelectField label="Target Batch" name="batch_id" value={formData.batch_id} onChange={handleChange} disabled={!selectedDivisionId || loadingData || loading}>
+                            <option value="" disabled>{selectedDivisionId ? 'Select Specific Batch' : 'Select Division first'}</option>
+                            {availableBatches.map(b => <option key={b.batch_id} value={b.batch_id}>Batch {b.batch_name}</option>)}
+                        </SelectField>
+                    )}
                 </div>
+                <FreeSlotFinder resolveAudience={resolveAudience} courseId={formData.course_id} disabled={loadingData || loading} onSelect={handleSelectSlot} />
                 <SelectField label="Classroom / Lab" name="classroom_id" value={formData.classroom_id} onChange={handleChange} disabled={loadingData || loading}>
                     <option value="" disabled>Select Classroom</option>
                     {classrooms.map(cr => <option key={cr.classroom_id} value={cr.classroom_id}>{cr.room_number} ({cr.type} - {cr.building})</option>)}
                 </SelectField>
                 <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
-                    <InputField label="Date" name="class_date" type="date" value={formData.class_date} onChange={handleChange} min={today} disabled={loadingData || loading} />
+                    <InputField label={recurrence.type === 'weekly' ? 'First Date' : 'Date'} name="class_date" type="date" value={formData.class_date} onChange={handleChange} min={today} disabled={loadingData || loading || recurrence.type === 'dates'} required={recurrence.type !== 'dates'} />
                     <InputField label="Start Time" name="start_time" type="time" value={formData.start_time} onChange={handleChange} disabled={loadingData || loading} />
                     <InputField label="End Time" name="end_time" type="time" value={formData.end_time} onChange={handleChange} disabled={loadingData || loading} />
                 </div>
+                <RecurrenceFields recurrence={recurrence} onChange={handleRecurrenceChange} disabled={loadingData || loading} />
+                {recurrence.type === 'none' && <LiveCheckResult checking={checking} result={liveCheck} />}
+                {seriesReport && <SeriesReport report={seriesReport} booking={loading} onBook={submitSeries} />}
                 <Button type="submit" variant="primary" className="w-full" disabled={loading || loadingData}>
-                    {loading ? 'Checking...' : 'Book Class & Check Conflict'}
+                    {loading ? 'Checking...' : (recurrence.type === 'none' ? 'Book Class & Check Conflict' : 'Check Every Date in the Series')}
                 </Button>
             </form>
         </div>
@@ -311,17 +706,195 @@ function BookExtraClassForm({ courses, classrooms, structure, loadingData, onBoo
 
 // --- 2. View My Schedule Component (Calendar Layout) ---
 
-const EventItem = ({ event }) => (
-    <div className={`p-2 rounded-lg mb-2 ${event.type === 'Base' ? 'bg-indigo-50 border-indigo-300' : 'bg-yellow-50 border-yellow-400'} border shadow-sm`}>
-        <p className="font-semibold text-sm text-gray-800">{formatTime(event.start)} - {formatTime(event.end)}</p>
-        <p className="text-xs font-medium text-gray-700">{event.title}</p>
+// coveredBy: substitute teaching this occurrence of the professor's own class
+const EventItem = ({ event, onClick, cancelled = false, coveredBy = null }) => (
+    <div
+        className={`p-2 rounded-lg mb-2 ${cancelled ? 'bg-gray-50 border-gray-300 opacity-70' : event.type === 'Base' ? 'bg-indigo-50 border-indigo-300' : 'bg-yellow-50 border-yellow-400'} border shadow-sm ${onClick ? 'cursor-pointer hover:shadow-md transition' : ''}`}
+        onClick={onClick}
+        title={onClick ? (event.type === 'Base' ? 'Click to cancel or restore this occurrence' : 'Click to reschedule or cancel') : undefined}
+    >
+        <p className={`font-semibold text-sm text-gray-800 ${cancelled ? 'line-through' : ''}`}>{formatTime(event.start)} - {formatTime(event.end)}</p>
+        <p className={`text-xs font-medium text-gray-700 ${cancelled ? 'line-through' : ''}`}>{event.title}</p>
         <p className="text-xs text-gray-600">{event.details}</p>
         <span className={`mt-1 px-2 py-0.5 inline-flex text-xs leading-5 font-semibold rounded-full ${event.type === 'Base' ? 'bg-indigo-100 text-indigo-800' : 'bg-yellow-100 text-yellow-800'}`}>
             {event.type}
         </span>
+        {cancelled && (
+            <span className="mt-1 ml-1 px-2 py-0.5 inline-flex text-xs leading-5 font-semibold rounded-full bg-red-100 text-red-800">
+                Cancelled
+            </span>
+        )}
+        {coveredBy && !cancelled && (
+            <span className="mt-1 ml-1 px-2 py-0.5 inline-flex text-xs leading-5 font-semibold rounded-full bg-green-100 text-green-800">
+                Covered by {coveredBy}
+            </span>
+        )}
+        {event.isCover && (
+            <span className="mt-1 ml-1 px-2 py-0.5 inline-flex text-xs leading-5 font-semibold rounded-full bg-purple-100 text-purple-800">
+                Covering for {event.coverFor}
+            </span>
+        )}
     </div>
 );
 
+// Modal for cancelling (or restoring) a single occurrence of a weekly Base class
+function BaseOccurrenceModal({ event, dateKey, isCancelled, onClose, onChanged }) {
+    const [reason, setReason] = useState('');
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState('');
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setLoading(true); setError('');
+        try {
+            const response = isCancelled
+                ? await apiClient.delete(`/schedule/${event.id}/exceptions/${dateKey}`)
+                : await apiClient.post(`/schedule/${event.id}/exceptions`, { exception_date: dateKey, reason });
+            toast.success(response.data.message || 'Schedule updated.');
+            onChanged();
+        } catch (err) {
+            const message = err.response?.data?.message || 'Failed to update this class.';
+            setError(message); toast.error(message, { duration: 6000 });
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    return (
+        <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50 flex justify-center items-center p-4" onClick={onClose}>
+            <div className="relative bg-white p-8 rounded-lg shadow-xl w-full max-w-md" onClick={e => e.stopPropagation()}>
+                <h2 className="text-xl font-bold mb-1 text-gray-800">{isCancelled ? 'Restore Class' : 'Cancel Class for One Day'}</h2>
+                <p className="text-sm text-gray-600 mb-4">{event.title}<br />{dateKey} ({event.dayOfWeek}), {formatTime(event.start)} - {formatTime(event.end)}</p>
+                {error && <ErrorMessage message={error} />}
+                <form onSubmit={handleSubmit} className="space-y-4">
+                    {!isCancelled && (
+                        <InputField label="Reason" name="reason" value={reason} onChange={(e) => setReason(e.target.value)} placeholder="e.g., Professor on leave" required={false} disabled={loading} />
+                    )}
+                    <p className="text-xs text-gray-500">
+                        {isCancelled
+                            ? 'The weekly class will take place again on this date.'
+                            : 'Only this date is cancelled; the weekly class stays in the timetable and the slot becomes free for extra bookings.'}
+                    </p>
+                    <div className="flex justify-end space-x-3 mt-6">
+                        <Button type="button" variant="secondary" onClick={onClose} disabled={loading}>Close</Button>
+                        <Button type="submit" variant={isCancelled ? 'primary' : 'danger'} disabled={loading}>
+                            {loading ? 'Saving...' : (isCancelled ? 'Restore Class' : 'Cancel This Date')}
+                        </Button>
+                    </div>
+                </form>
+            </div>
+        </div>
+    );
+}
+
+// Modal for rescheduling or cancelling one of the professor's Extra classes
+function ExtraClassModal({ event, classrooms, onClose, onChanged }) {
+    const today = useMemo(() => new Date().toISOString().split('T')[0], []);
+    const [formData, setFormData] = useState({
+        class_date: event.classDateStr,
+        start_time: toTimeInputValue(event.start),
+        end_time: toTimeInputValue(event.end),
+        classroom_id: event.classroomId ? String(event.classroomId) : '',
+    });
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState('');
+    const [conflicts, setConflicts] = useState([]);
+
+    const handleChange = (e) => {
+        const { name, value } = e.target;
+        setError(''); setConflicts([]);
+        setFormData(prev => ({ ...prev, [name]: value }));
+    };
+
+    const handleReschedule = async (e) => {
+        e.preventDefault();
+        if (formData.start_time >= formData.end_time) {
+            setError("Start time must be before end time."); return;
+        }
+        setLoading(true); setError(''); setConflicts([]);
+        try {
+            const response = await apiClient.put(`/professor/extra-classes/${event.id}`, {
+                ...formData,
+                classroom_id: parseInt(formData.classroom_id),
+            });
+            toast.success(response.data.message || 'Class rescheduled!');
+            if (response.data.warning) toast(response.data.warning, { icon: '⚠️', duration: 8000 });
+            onChanged();
+        } catch (err) {
+            const message = err.response?.data?.message || 'Server error during reschedule.';
+            const clashes = err.response?.data?.conflicts || [];
+            setError(message); setConflicts(clashes);
+            toast.error(clashes.length > 1 ? `${clashes.length} conflicts found.` : message, { duration: 6000 });
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const handleCancelSeries = async () => {
+        if (!window.confirm(`Cancel every upcoming class in this series of ${event.title}? This cannot be undone.`)) return;
+        setLoading(true); setError('');
+        try {
+            const response = await apiClient.delete(`/professor/extra-series/${event.seriesId}`);
+            toast.success(response.data.message || 'Series cancelled.');
+            onChanged();
+        } catch (err) {
+            const message = err.response?.data?.message || 'Server error during cancellation.';
+            setError(message); toast.error(message);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const handleCancelClass = async () => {
+        if (!window.confirm(`Cancel ${event.title} on ${event.classDateStr}? This cannot be undone.`)) return;
+        setLoading(true); setError('');
+        try {
+            const response = await apiClient.delete(`/professor/extra-classes/${event.id}`);
+            toast.success(response.data.message || 'Class cancelled.');
+            onChanged();
+        } catch (err) {
+            const message = err.response?.data?.message || 'Server error during cancellation.';
+            setError(message); toast.error(message);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    return (
+        <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50 flex justify-center items-center p-4" onClick={onClose}>
+            <div className="relative bg-white p-8 rounded-lg shadow-xl w-full max-w-md" onClick={e => e.stopPropagation()}>
+                <h2 className="text-xl font-bold mb-1 text-gray-800">Manage Extra Class</h2>
+                <p className="text-sm text-gray-600 mb-4">{event.title}<br />{event.details}</p>
+                {conflicts.length > 0 ? <ConflictList conflicts={conflicts} /> : error && <ErrorMessage message={error} />}
+                <form onSubmit={handleReschedule} className="space-y-4">
+                    <SelectField label="Classroom / Lab" name="classroom_id" value={formData.classroom_id} onChange={handleChange} disabled={loading}>
+                        <option value="" disabled>Select Classroom</option>
+                        {classrooms.map(cr => <option key={cr.classroom_id} value={cr.classroom_id}>{cr.room_number} ({cr.type} - {cr.building})</option>)}
+                    </SelectField>
+                    <InputField label="Date" name="class_date" type="date" value={formData.class_date} onChange={handleChange} min={today} disabled={loading} />
+                    <div className="grid grid-cols-2 gap-4">
+                        <InputField label="Start Time" name="start_time" type="time" value={formData.start_time} onChange={handleChange} disabled={loading} />
+                        <InputField label="End Time" name="end_time" type="time" value={formData.end_time} onChange={handleChange} disabled={loading} />
+                    </div>
+                    {event.seriesId && (
+                        <p className="text-xs text-gray-500">
+                            Part of a recurring series.{' '}
+                            <button type="button" className="text-red-600 hover:underline" onClick={handleCancelSeries} disabled={loading}>Cancel the whole series</button>
+                        </p>
+                    )}
+                    <div className="flex justify-between space-x-3 mt-6">
+                        <Button type="button" variant="danger" onClick={handleCancelClass} disabled={loading}>Cancel Class</Button>
+                        <div className="flex space-x-3">
+                            <Button type="button" variant="secondary" onClick={onClose} disabled={loading}>Close</Button>
+                            <Button type="submit" variant="primary" disabled={loading}>{loading ? 'Checking...' : 'Reschedule'}</Button>
+                        </div>
+                    </div>
+                </form>
+            </div>
+        </div>
+    );
+}
+
 const CalendarHeader = ({ currentWeekStart, onPrev, onNext, onToday }) => {
     const endDate = addDays(currentWeekStart, 6);
     return (
@@ -338,29 +911,47 @@ const CalendarHeader = ({ currentWeekStart, onPrev, onNext, onToday }) => {
     );
 };
 
-function ViewMySchedule({ refreshKey }) {
+function ViewMySchedule({ refreshKey, classrooms }) {
     const [events, setEvents] = useState([]);
+    const [holidays, setHolidays] = useState({}); // { 'YYYY-MM-DD': description } for the visible week
     const [loading, setLoading] = useState(true);
     const [error, setError] = useState('');
     const [currentWeekStart, setCurrentWeekStart] = useState(getStartOfWeek(new Date()));
+    const [selectedEvent, setSelectedEvent] = useState(null);
+    const [selectedOccurrence, setSelectedOccurrence] = useState(null); // { event, dateKey, isCancelled }
+    const [localRefreshKey, setLocalRefreshKey] = useState(0);
 
     useEffect(() => {
         const fetchSchedule = async () => {
             setLoading(true); setError('');
             try {
-                const response = await apiClient.get('/professor/my-schedule');
+                const [response, holidaysResponse] = await Promise.all([
+                    apiClient.get('/professor/my-schedule'),
+                    apiClient.get('/holidays', {
+                        params: { from: toDateKey(currentWeekStart), to: toDateKey(addDays(currentWeekStart, 6)) }
+                    }),
+                ]);
+                setHolidays(Object.fromEntries(holidaysResponse.data.map(h => [h.holiday_date, h.description])));
                 const processedEvents = response.data.map(event => {
                     const startDate = parseDateTimeString(event.start_time);
                     const endDate = parseDateTimeString(event.end_time);
-                    const classDateForExtra = event.class_type === 'Extra' ? parseDateTimeString(event.class_date) : null;
-                    if (!startDate || !endDate || (event.class_type === 'Extra' && !classDateForExtra)) {
+                    // Covered occurrences of colleagues' classes happen once, on their class_date
+                    const isSingleDate = event.class_type === 'Extra' || event.is_cover;
+                    const classDateForExtra = isSingleDate ? parseDateTimeString(event.class_date) : null;
+                    if (!startDate || !endDate || (isSingleDate && !classDateForExtra)) {
                         console.warn("Skipping invalid event data:", event); return null;
                     }
                     return {
-                        id: event.schedule_id, title: `${event.course_code}: ${event.course_name}`,
-                        details: `Batch: ${event.batch_details || 'N/A'}, Room: ${event.room_number}`,
+                        id: event.is_cover ? `cover-${event.schedule_id}-${event.class_date}` : event.schedule_id,
+                        title: `${event.course_code}: ${event.course_name}`,
+                        details: `${event.batch_ids?.length > 1 ? 'Batches' : 'Batch'}: ${event.batch_details || 'N/A'}, Room: ${event.room_number}`,
                         start: startDate, end: endDate, type: event.class_type,
-                        dayOfWeek: event.day_of_week, classDate: classDateForExtra
+                        dayOfWeek: event.day_of_week, classDate: classDateForExtra,
+                        classDateStr: event.class_date, classroomId: event.classroom_id, seriesId: event.series_id,
+                        cancelledDates: event.cancelled_dates || [],
+                        substitutes: Object.fromEntries((event.substitutes || []).map(sub => [sub.class_date, sub.professor_name])),
+                        isCover: Boolean(event.is_cover), coverFor: event.covering_for,
+                        termStart: event.term_start_date, termEnd: event.term_end_date
                     };
                 }).filter(Boolean);
                 setEvents(processedEvents);
@@ -372,7 +963,16 @@ function ViewMySchedule({ refreshKey }) {
             }
         };
         fetchSchedule();
-    }, [refreshKey, currentWeekStart]);
+    }, [refreshKey, localRefreshKey, currentWeekStart]);
+
+    // Only upcoming own Extra classes can be rescheduled or cancelled
+    const isEditableEvent = (event) => event.type === 'Extra' && !event.isCover && event.classDate && event.classDate >= getStartOfDay(new Date());
+
+    const handleEventChanged = () => {
+        setSelectedEvent(null);
+        setSelectedOccurrence(null);
+        setLocalRefreshKey(prev => prev + 1);
+    };
 
     const goToPreviousWeek = () => { setCurrentWeekStart(addDays(currentWeekStart, -7)); };
     const goToNextWeek = () => { setCurrentWeekStart(addDays(currentWeekStart, 7)); };
@@ -389,8 +989,10 @@ function ViewMySchedule({ refreshKey }) {
                 <div className="grid grid-cols-7 min-w-[800px] border-t border-l border-gray-200">
                     {WEEK_DAYS.map((dayName, index) => {
                         const currentDayDateLocal = addDays(currentWeekStart, index);
+                        const dateKey = toDateKey(currentDayDateLocal);
+                        const holiday = holidays[dateKey];
                         const dayEvents = events.filter(event => {
-                            if (event.type === 'Base') return event.dayOfWeek === dayName;
+                            if (event.type === 'Base' && !event.isCover) return event.dayOfWeek === dayName && !holiday && isWithinTerm(event, dateKey);
                             else return event.classDate && isSameDay(event.classDate, currentDayDateLocal);
                         }).sort((a, b) => a.start.getTime() - b.start.getTime());
                         const isToday = isSameDay(currentDayDateLocal, new Date());
@@ -399,15 +1001,664 @@ function ViewMySchedule({ refreshKey }) {
                                 <div className={`p-2 border-b border-gray-200 ${isToday ? 'bg-indigo-50' : 'bg-gray-50'}`}>
                                     <p className={`font-semibold text-center text-sm ${isToday ? 'text-indigo-600' : 'text-gray-700'}`}>{dayName}</p>
                                     <p className={`text-center text-xs ${isToday ? 'text-indigo-500' : 'text-gray-500'}`}>{formatDateShort(currentDayDateLocal)}</p>
+                                    {holiday && <p className="text-center text-xs font-semibold text-orange-600 mt-1">Holiday: {holiday}</p>}
                                 </div>
                                 <div className="p-2 flex-grow overflow-y-auto">
-                                    {dayEvents.length > 0 ? dayEvents.map(event => <EventItem key={event.id} event={event} />) : <p className="text-xs text-gray-400 text-center pt-4">Free</p>}
+                                    {dayEvents.length > 0 ? dayEvents.map(event => {
+                                        const isCancelled = event.type === 'Base' && !event.isCover && event.cancelledDates.includes(dateKey);
+                                        let handleClick;
+                                        if (event.type === 'Base' && !event.isCover && currentDayDateLocal >= getStartOfDay(new Date())) {
+                                            handleClick = () => setSelectedOccurrence({ event, dateKey, isCancelled });
+                                        } else if (isEditableEvent(event)) {
+                                            handleClick = () => setSelectedEvent(event);
+                                        }
+                                        return <EventItem key={event.id} event={event} cancelled={isCancelled} coveredBy={event.substitutes[dateKey]} onClick={handleClick} />;
+                                    }) : <p className="text-xs text-gray-400 text-center pt-4">Free</p>}
                                 </div>
                             </div>
                         );
                     })}
                 </div>
             </div>
+            {selectedOccurrence && (
+                <BaseOccurrenceModal
+                    event={selectedOccurrence.event}
+                    dateKey={selectedOccurrence.dateKey}
+                    isCancelled={selectedOccurrence.isCancelled}
+                    onClose={() => setSelectedOccurrence(null)}
+                    onChanged={handleEventChanged}
+                />
+            )}
+            {selectedEvent && (
+                <ExtraClassModal
+                    event={selectedEvent}
+                    classrooms={classrooms}
+                    onClose={() => setSelectedEvent(null)}
+                    onChanged={handleEventChanged}
+                />
+            )}
+        </div>
+    );
+}
+
+// --- Free Classroom Search ---
+
+function FreeClassroomSearch() {
+    const [criteria, setCriteria] = useState({
+        mode: 'date', date: '', day_of_week: 'Monday', start_time: '09:00', end_time: '10:00', min_capacity: '', type: ''
+    });
+    const [rooms, setRooms] = useState(null); // null until the first search
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState('');
+
+    const handleChange = (e) => {
+        const { name, value } = e.target;
+        setError('');
+        setCriteria(prev => ({ ...prev, [name]: value }));
+    };
+
+    const handleSearch = async (e) => {
+        e.preventDefault();
+        setError('');
+        if (criteria.start_time >= criteria.end_time) {
+            setError("Start time must be before end time."); return;
+        }
+        setLoading(true);
+        try {
+            const response = await apiClient.get('/classrooms/available', {
+                params: {
+                    ...(criteria.mode === 'date' ? { date: criteria.date } : { day_of_week: criteria.day_of_week }),
+                    start_time: criteria.start_time,
+                    end_time: criteria.end_time,
+                    min_capacity: criteria.min_capacity || undefined,
+                    type: criteria.type || undefined,
+                }
+            });
+            setRooms(Array.isArray(response.data) ? response.data : []);
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to search classrooms.');
+            setRooms(null);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    return (
+        <div className="bg-white shadow-lg overflow-hidden sm:rounded-lg p-4 sm:p-6">
+            <h2 className="text-xl font-semibold mb-5 text-gray-800 border-b pb-2">Find a Free Classroom</h2>
+            <form onSubmit={handleSearch}>
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-x-4">
+                    <SelectField label="Search By" name="mode" value={criteria.mode} onChange={handleChange} disabled={loading}>
+                        <option value="date">Specific date</option>
+                        <option value="weekday">Every week (Base)</option>
+                    </SelectField>
+                    {criteria.mode === 'date' ? (
+                        <InputField label="Date" name="date" type="date" value={criteria.date} onChange={handleChange} disabled={loading} />
+                    ) : (
+                        <SelectField label="Day" name="day_of_week" value={criteria.day_of_week} onChange={handleChange} disabled={loading}>
+                            {WEEK_DAYS.map(day => <option key={day} value={day}>{day}</option>)}
+                        </SelectField>
+                    )}
+                    <div className="grid grid-cols-2 gap-x-4">
+                        <InputField label="Start" name="start_time" type="time" value={criteria.start_time} onChange={handleChange} disabled={loading} />
+                        <InputField label="End" name="end_time" type="time" value={criteria.end_time} onChange={handleChange} disabled={loading} />
+                    </div>
+                    <InputField label="Minimum Capacity" name="min_capacity" type="number" value={criteria.min_capacity} onChange={handleChange} required={false} placeholder="e.g., 60" disabled={loading} />
+                    <SelectField label="Room Type" name="type" value={criteria.type} onChange={handleChange} required={false} disabled={loading}>
+                        <option value="">Any</option>
+                        <option value="Theory">Theory</option>
+                        <option value="Lab">Lab</option>
+                    </SelectField>
+                    <div className="mb-4 flex items-end">
+                        <Button type="submit" variant="primary" className="w-full" disabled={loading}>
+                            {loading ? 'Searching...' : 'Search'}
+                        </Button>
+                    </div>
+                </div>
+            </form>
+
+            {loading && <LoadingSpinner />}
+            {error && !loading && <ErrorMessage message={error} />}
+
+            {rooms && !loading && rooms.length === 0 && (
+                <p className="text-gray-500 italic text-center py-4">No classrooms are free for this window.</p>
+            )}
+
+            {rooms && !loading && rooms.length > 0 && (
+                <div className="overflow-x-auto relative border rounded-md">
+                    <table className="min-w-full divide-y divide-gray-200">
+                        <thead className="bg-gray-50">
+                            <tr>
+                                <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Room</th>
+                                <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Building / Floor</th>
+                                <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Type</th>
+                                <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Capacity</th>
+                                <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Spare Seats</th>
+                            </tr>
+                        </thead>
+                        <tbody className="bg-white divide-y divide-gray-200">
+                            {rooms.map(room => (
+                                <tr key={room.classroom_id} className="hover:bg-gray-50 transition-colors duration-150">
+                                    <td className="px-4 py-4 whitespace-nowrap text-sm font-medium text-gray-900">{room.room_number}</td>
+                                    <td className="px-4 py-4 whitespace-nowrap text-sm text-gray-600">{room.building} / {room.floor}</td>
+                                    <td className="px-4 py-4 whitespace-nowrap text-sm text-gray-600">{room.type}</td>
+                                    <td className="px-4 py-4 whitespace-nowrap text-sm text-gray-600">{room.capacity}</td>
+                                    <td className="px-4 py-4 whitespace-nowrap text-sm text-gray-600">{room.spare_seats}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+        </div>
+    );
+}
+
+// --- Room Reservations (seminars, meetings, exams) ---
+const RESERVATION_KINDS = ['Seminar', 'Meeting', 'Exam', 'Event', 'Other'];
+
+// Reserve a room for something that is not a class; reservations hold the room (and attendee batches) like a class
+function RoomReservations({ classrooms, structure, loadingData }) {
+    const emptyForm = { title: '', kind: 'Seminar', organizer: '', classroom_id: '', reservation_date: '', start_time: '10:00', end_time: '11:00' };
+    const [reservations, setReservations] = useState([]);
+    const [form, setForm] = useState(emptyForm);
+    const [attendeeBatchIds, setAttendeeBatchIds] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [submitting, setSubmitting] = useState(false);
+    const [error, setError] = useState('');
+    const [conflicts, setConflicts] = useState([]);
+
+    const fetchReservations = useCallback(async () => {
+        setLoading(true);
+        try {
+            const response = await apiClient.get('/reservations');
+            setReservations(Array.isArray(response.data) ? response.data : []);
+        } catch (err) {
+            toast.error(err.response?.data?.message || 'Failed to load room reservations.');
+        } finally {
+            setLoading(false);
+        }
+    }, []);
+
+    useEffect(() => { fetchReservations(); }, [fetchReservations]);
+
+    const handleChange = (e) => {
+        const { name, value } = e.target;
+        setError(''); setConflicts([]);
+        setForm(prev => ({ ...prev, [name]: value }));
+    };
+
+    const toggleBatch = (batchId) => {
+        setConflicts([]);
+        setAttendeeBatchIds(prev => prev.includes(batchId) ? prev.filter(id => id !== batchId) : [...prev, batchId]);
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setError(''); setConflicts([]);
+        if (form.start_time >= form.end_time) {
+            setError('Start time must be before end time.'); return;
+        }
+        setSubmitting(true);
+        try {
+            const response = await apiClient.post('/reservations', {
+                ...form, classroom_id: parseInt(form.classroom_id), batch_ids: attendeeBatchIds,
+            });
+            toast.success(response.data.message || 'Room reserved.');
+            setForm(emptyForm);
+            setAttendeeBatchIds([]);
+            fetchReservations();
+        } catch (err) {
+            const message = err.response?.data?.message || 'Failed to reserve room.';
+            const clashes = err.response?.data?.conflicts;
+            setError(message);
+            setConflicts(Array.isArray(clashes) ? clashes : []);
+            toast.error(Array.isArray(clashes) && clashes.length > 1 ? `${clashes.length} conflicts found.` : message, { duration: 6000 });
+        } finally {
+            setSubmitting(false);
+        }
+    };
+
+    const handleDelete = async (reservation) => {
+        if (!window.confirm(`Cancel "${reservation.title}" in ${reservation.room_number} on ${reservation.reservation_date}?`)) return;
+        try {
+            const response = await apiClient.delete(`/reservations/${reservation.reservation_id}`);
+            toast.success(response.data.message || 'Reservation cancelled.');
+            fetchReservations();
+        } catch (err) {
+            toast.error(err.response?.data?.message || 'Failed to cancel reservation.');
+        }
+    };
+
+    const disabled = submitting || loadingData;
+
+    return (
+        <div className="space-y-6">
+            <div className="bg-white shadow-lg overflow-hidden sm:rounded-lg p-4 sm:p-6">
+                <h2 className="text-xl font-semibold mb-5 text-gray-800 border-b pb-2">Reserve a Room</h2>
+                <p className="text-sm text-gray-600 mb-4">
+                    For seminars, meetings, exams and events. The room, and any attendee batches, must be free; classes cannot be booked over a reservation.
+                </p>
+                {conflicts.length > 0 ? <ConflictList conflicts={conflicts} /> : error && <ErrorMessage message={error} />}
+                <form onSubmit={handleSubmit}>
+                    <div className="grid grid-cols-1 md:grid-cols-3 gap-x-4">
+                        <InputField label="Title" name="title" value={form.title} onChange={handleChange} placeholder="e.g., Guest Lecture on Cloud Security" disabled={disabled} />
+                        <SelectField label="Kind" name="kind" value={form.kind} onChange={handleChange} disabled={disabled}>
+                            {RESERVATION_KINDS.map(kind => <option key={kind} value={kind}>{kind}</option>)}
+                        </SelectField>
+                        <InputField label="Organizer" name="organizer" value={form.organizer} onChange={handleChange} placeholder="e.g., IT Department" disabled={disabled} />
+                        <SelectField label="Room" name="classroom_id" value={form.classroom_id} onChange={handleChange} disabled={disabled}>
+                            <option value="">-- Select Room --</option>
+                            {classrooms.map(room => (
+                                <option key={room.classroom_id} value={room.classroom_id}>{room.room_number} ({room.building})</option>
+                            ))}
+                        </SelectField>
+                        <InputField label="Date" name="reservation_date" type="date" value={form.reservation_date} onChange={handleChange} disabled={disabled} />
+                        <div className="grid grid-cols-2 gap-x-4">
+                            <InputField label="Start" name="start_time" type="time" value={form.start_time} onChange={handleChange} disabled={disabled} />
+                            <InputField label="End" name="end_time" type="time" value={form.end_time} onChange={handleChange} disabled={disabled} />
+                        </div>
+                    </div>
+                    <div className="mb-4">
+                        <label className="block text-gray-700 text-sm font-bold mb-2">Attendee Batches (optional)</label>
+                        <div className="border border-gray-300 rounded-md max-h-40 overflow-y-auto divide-y">
+                            {structure.flatMap(branch => (branch.divisions || []).map(division => (
+                                <div key={division.division_id} className="px-3 py-2 text-sm flex flex-wrap items-center gap-x-4">
+                                    <span className="font-medium text-gray-700">{branch.branch_code}-{division.division_name}</span>
+                                    {(division.batches || []).map(batch => (
+                                        <label key={batch.batch_id} className="flex items-center text-gray-600">
+                                            <input type="checkbox" className="mr-1" checked={attendeeBatchIds.includes(batch.batch_id)} onChange={() => toggleBatch(batch.batch_id)} disabled={disabled} />
+                                            {batch.batch_name}
+                                        </label>
+                                    ))}
+                                </div>
+                            )))}
+                        </div>
+                    </div>
+                    <div className="flex justify-end">
+                        <Button type="submit" variant="primary" disabled={disabled}>{submitting ? 'Reserving...' : 'Reserve Room'}</Button>
+                    </div>
+                </form>
+            </div>
+
+            <div className="bg-white shadow-lg overflow-hidden sm:rounded-lg p-4 sm:p-6">
+                <h2 className="text-xl font-semibold mb-5 text-gray-800 border-b pb-2">Upcoming Reservations</h2>
+                {loading ? <LoadingSpinner /> : reservations.length === 0 ? (
+                    <p className="text-gray-500 italic text-center py-4">No upcoming room reservations.</p>
+                ) : (
+                    <div className="overflow-x-auto relative border rounded-md">
+                        <table className="min-w-full divide-y divide-gray-200">
+                            <thead className="bg-gray-50">
+                                <tr>
+                                    <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">When</th>
+                                    <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Room</th>
+                                    <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Title</th>
+                                    <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Organizer</th>
+                                    <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Attendees</th>
+                                    <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+                                </tr>
+                            </thead>
+                            <tbody className="bg-white divide-y divide-gray-200">
+                                {reservations.map(reservation => (
+                                    <tr key={reservation.reservation_id} className="hover:bg-gray-50 transition-colors duration-150">
+                                        <td className="px-4 py-4 whitespace-nowrap text-sm text-gray-900">{reservation.reservation_date} {reservation.start_time}-{reservation.end_time}</td>
+                                        <td className="px-4 py-4 whitespace-nowrap text-sm text-gray-600">{reservation.room_number}</td>
+                                        <td className="px-4 py-4 text-sm text-gray-900">{reservation.title} <span className="text-xs text-gray-500">({reservation.kind})</span></td>
+                                        <td className="px-4 py-4 text-sm text-gray-600">{reservation.organizer}</td>
+                                        <td className="px-4 py-4 text-sm text-gray-600">{reservation.batch_details || '-'}</td>
+                                        <td className="px-4 py-4 whitespace-nowrap text-sm">
+                                            {reservation.can_manage && (
+                                                <Button variant="danger" className="text-xs px-2 py-1" onClick={() => handleDelete(reservation)}>Cancel</Button>
+                                            )}
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+}
+
+// --- Class Swaps with colleagues ---
+const SWAP_STATUS_STYLES = {
+    Pending: 'bg-yellow-100 text-yellow-800',
+    Accepted: 'bg-green-100 text-green-800',
+    Rejected: 'bg-red-100 text-red-800',
+    Cancelled: 'bg-gray-100 text-gray-700',
+};
+
+const describeOccurrence = (o) =>
+    `${o.start_time}-${o.end_time} ${o.course_code} (${o.class_type})${o.professor_name ? ` · ${o.professor_name}` : ''} · ${o.room_number} · ${o.batch_details}`;
+
+// Classes taking place on a date (own or colleagues'), for picking one side of a swap
+function OccurrencePicker({ label, whose, date, onDateChange, value, onChange, disabled }) {
+    const [occurrences, setOccurrences] = useState([]);
+    const [loading, setLoading] = useState(false);
+
+    useEffect(() => {
+        if (!date) { setOccurrences([]); return; }
+        let ignore = false;
+        setLoading(true);
+        apiClient.get('/professor/occurrences', { params: { date, whose } })
+            .then(response => { if (!ignore) setOccurrences(Array.isArray(response.data) ? response.data : []); })
+            .catch(err => { if (!ignore) { setOccurrences([]); toast.error(err.response?.data?.message || 'Failed to load classes.'); } })
+            .finally(() => { if (!ignore) setLoading(false); });
+        return () => { ignore = true; };
+    }, [date, whose]);
+
+    return (
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-x-4">
+            <InputField label={`${label} Date`} name={`${whose}_date`} type="date" value={date} onChange={(e) => onDateChange(e.target.value)} disabled={disabled} />
+            <div className="md:col-span-2">
+                <SelectField label={`${label} Class`} name={`${whose}_schedule_id`} value={value} onChange={(e) => onChange(e.target.value)} disabled={disabled || loading || !date}>
+                    <option value="">{loading ? 'Loading...' : date && occurrences.length === 0 ? 'No classes on this date' : '-- Select Class --'}</option>
+                    {occurrences.map(o => (
+                        <option key={o.schedule_id} value={o.schedule_id}>{describeOccurrence(o)}</option>
+                    ))}
+                </SelectField>
+            </div>
+        </div>
+    );
+}
+
+// Propose exchanging one of your occurrences with a colleague's; answer the swaps others propose
+function ClassSwaps({ onSwapped }) {
+    const emptyForm = { my_date: '', my_schedule_id: '', their_date: '', their_schedule_id: '', message: '' };
+    const [swaps, setSwaps] = useState([]);
+    const [form, setForm] = useState(emptyForm);
+    const [loading, setLoading] = useState(true);
+    const [submitting, setSubmitting] = useState(false);
+    const [error, setError] = useState('');
+    const [conflicts, setConflicts] = useState([]);
+
+    const fetchSwaps = useCallback(async () => {
+        setLoading(true);
+        try {
+            const response = await apiClient.get('/professor/swaps');
+            setSwaps(Array.isArray(response.data) ? response.data : []);
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to load swaps.');
+        } finally {
+            setLoading(false);
+        }
+    }, []);
+
+    useEffect(() => { fetchSwaps(); }, [fetchSwaps]);
+
+    const updateForm = (changes) => {
+        setError(''); setConflicts([]);
+        setForm(prev => ({ ...prev, ...changes }));
+    };
+
+    const handlePropose = async (e) => {
+        e.preventDefault();
+        setError(''); setConflicts([]);
+        if (!form.my_schedule_id || !form.their_schedule_id) {
+            setError('Pick your class and the colleague\'s class to swap with.'); return;
+        }
+        setSubmitting(true);
+        try {
+            const response = await apiClient.post('/professor/swaps', {
+                my_schedule_id: parseInt(form.my_schedule_id), my_date: form.my_date,
+                their_schedule_id: parseInt(form.their_schedule_id), their_date: form.their_date,
+                message: form.message || undefined,
+            });
+            toast.success(response.data.message || 'Swap proposed.');
+            setForm(emptyForm);
+            fetchSwaps();
+        } catch (err) {
+            const message = err.response?.data?.message || 'Failed to propose swap.';
+            setError(message); toast.error(message);
+        } finally {
+            setSubmitting(false);
+        }
+    };
+
+    const handleRespond = async (swap, status) => {
+        const prompt = status === 'Accepted' ? `Accept the swap with ${swap.requester_name}? Both classes will move.`
+            : status === 'Rejected' ? `Decline the swap with ${swap.requester_name}?`
+            : `Withdraw your swap proposal to ${swap.recipient_name}?`;
+        if (!window.confirm(prompt)) return;
+        setError(''); setConflicts([]);
+        try {
+            const response = await apiClient.put(`/professor/swaps/${swap.swap_id}`, { status });
+            toast.success(response.data.message || 'Swap updated.');
+            fetchSwaps();
+            if (status === 'Accepted') onSwapped();
+        } catch (err) {
+            const message = err.response?.data?.message || 'Failed to update swap.';
+            const clashes = err.response?.data?.conflicts;
+            setError(message);
+            setConflicts(Array.isArray(clashes) ? clashes : []);
+            toast.error(Array.isArray(clashes) && clashes.length > 1 ? `${clashes.length} conflicts found.` : message, { duration: 6000 });
+        }
+    };
+
+    return (
+        <div className="space-y-6">
+            <div className="bg-white shadow-lg overflow-hidden sm:rounded-lg p-4 sm:p-6">
+                <h2 className="text-xl font-semibold mb-5 text-gray-800 border-b pb-2">Propose a Swap</h2>
+                <p className="text-sm text-gray-600 mb-4">
+                    Offer one of your classes in exchange for a colleague's. If they accept, each class moves into the other's date, time and room.
+                </p>
+                <form onSubmit={handlePropose}>
+                    <OccurrencePicker
+                        label="Your" whose="mine" date={form.my_date} value={form.my_schedule_id} disabled={submitting}
+                        onDateChange={(date) => updateForm({ my_date: date, my_schedule_id: '' })}
+                        onChange={(id) => updateForm({ my_schedule_id: id })}
+                    />
+                    <OccurrencePicker
+                        label="Their" whose="others" date={form.their_date} value={form.their_schedule_id} disabled={submitting}
+                        onDateChange={(date) => updateForm({ their_date: date, their_schedule_id: '' })}
+                        onChange={(id) => updateForm({ their_schedule_id: id })}
+                    />
+                    <div className="grid grid-cols-1 md:grid-cols-4 gap-x-4">
+                        <div className="md:col-span-3">
+                            <InputField label="Message" name="message" value={form.message} onChange={(e) => updateForm({ message: e.target.value })} required={false} placeholder="e.g., Conference on Tuesday morning" disabled={submitting} />
+                        </div>
+                        <div className="mb-4 flex items-end">
+                            <Button type="submit" variant="primary" className="w-full" disabled={submitting}>
+                                {submitting ? 'Sending...' : 'Propose Swap'}
+                            </Button>
+                        </div>
+                    </div>
+                </form>
+            </div>
+
+            <div className="bg-white shadow-lg overflow-hidden sm:rounded-lg p-4 sm:p-6">
+                <h2 className="text-xl font-semibold mb-5 text-gray-800 border-b pb-2">My Swaps</h2>
+                {conflicts.length > 0 ? <ConflictList conflicts={conflicts} /> : error && <ErrorMessage message={error} />}
+                {loading ? <LoadingSpinner /> : swaps.length === 0 ? (
+                    <p className="text-gray-500 italic text-center py-4">No swaps proposed yet.</p>
+                ) : (
+                    <div className="overflow-x-auto relative border rounded-md">
+                        <table className="min-w-full divide-y divide-gray-200">
+                            <thead className="bg-gray-50">
+                                <tr>
+                                    <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">With</th>
+                                    <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">You Give</th>
+                                    <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">You Get</th>
+                                    <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                                    <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+                                </tr>
+                            </thead>
+                            <tbody className="bg-white divide-y divide-gray-200">
+                                {swaps.map(swap => {
+                                    const outgoing = swap.direction === 'outgoing';
+                                    return (
+                                        <tr key={swap.swap_id} className="hover:bg-gray-50 transition-colors duration-150 align-top">
+                                            <td className="px-4 py-4 text-sm text-gray-900">
+                                                {outgoing ? `To ${swap.recipient_name}` : `From ${swap.requester_name}`}
+                                                {swap.message && <p className="text-xs text-gray-500 italic mt-1">"{swap.message}"</p>}
+                                            </td>
+                                            <td className="px-4 py-4 text-sm text-gray-600">{outgoing ? swap.requester_summary : swap.recipient_summary}</td>
+                                            <td className="px-4 py-4 text-sm text-gray-600">{outgoing ? swap.recipient_summary : swap.requester_summary}</td>
+                                            <td className="px-4 py-4 whitespace-nowrap text-sm">
+                                                <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${SWAP_STATUS_STYLES[swap.status] || ''}`}>{swap.status}</span>
+                                            </td>
+                                            <td className="px-4 py-4 whitespace-nowrap text-sm space-x-2">
+                                                {swap.status === 'Pending' && !outgoing && (
+                                                    <>
+                                                        <Button variant="primary" className="text-xs px-2 py-1" onClick={() => handleRespond(swap, 'Accepted')}>Accept</Button>
+                                                        <Button variant="danger" className="text-xs px-2 py-1" onClick={() => handleRespond(swap, 'Rejected')}>Decline</Button>
+                                                    </>
+                                                )}
+                                                {swap.status === 'Pending' && outgoing && (
+                                                    <Button variant="secondary" className="text-xs px-2 py-1" onClick={() => handleRespond(swap, 'Cancelled')}>Withdraw</Button>
+                                                )}
+                                            </td>
+                                        </tr>
+                                    );
+                                })}
+                            </tbody>
+                        </table>
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+}
+
+// --- My Unavailability (leave requests) ---
+const UNAVAILABILITY_STATUS_STYLES = {
+    Pending: 'bg-yellow-100 text-yellow-800',
+    Approved: 'bg-green-100 text-green-800',
+    Rejected: 'bg-red-100 text-red-800',
+};
+
+// Whole days unless times are given; approved windows block bookings and free-slot suggestions
+function MyUnavailability() {
+    const emptyForm = { start_date: '', end_date: '', start_time: '', end_time: '', reason: '' };
+    const [windows, setWindows] = useState([]);
+    const [form, setForm] = useState(emptyForm);
+    const [loading, setLoading] = useState(true);
+    const [submitting, setSubmitting] = useState(false);
+    const [error, setError] = useState('');
+
+    const fetchWindows = useCallback(async () => {
+        setLoading(true);
+        try {
+            const response = await apiClient.get('/professor/unavailability');
+            setWindows(Array.isArray(response.data) ? response.data : []);
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to load your unavailability.');
+        } finally {
+            setLoading(false);
+        }
+    }, []);
+
+    useEffect(() => { fetchWindows(); }, [fetchWindows]);
+
+    const handleChange = (e) => {
+        const { name, value } = e.target;
+        setError('');
+        setForm(prev => ({ ...prev, [name]: value }));
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setError('');
+        if ((form.start_time === '') !== (form.end_time === '')) {
+            setError('Give both a start and an end time, or neither for whole days.'); return;
+        }
+        setSubmitting(true);
+        try {
+            const response = await apiClient.post('/professor/unavailability', {
+                start_date: form.start_date,
+                end_date: form.end_date || undefined,
+                start_time: form.start_time || undefined,
+                end_time: form.end_time || undefined,
+                reason: form.reason || undefined,
+            });
+            toast.success(response.data.message || 'Unavailability submitted.', { duration: 6000 });
+            setForm(emptyForm);
+            fetchWindows();
+        } catch (err) {
+            const message = err.response?.data?.message || 'Failed to submit unavailability.';
+            setError(message); toast.error(message);
+        } finally {
+            setSubmitting(false);
+        }
+    };
+
+    const handleWithdraw = async (entry) => {
+        if (!window.confirm(`Withdraw your unavailability from ${entry.start_date} ${entry.start_time} to ${entry.end_date} ${entry.end_time}?`)) return;
+        try {
+            const response = await apiClient.delete(`/professor/unavailability/${entry.unavailability_id}`);
+            toast.success(response.data.message || 'Unavailability withdrawn.');
+            fetchWindows();
+        } catch (err) {
+            toast.error(err.response?.data?.message || 'Failed to withdraw unavailability.');
+        }
+    };
+
+    const now = new Date();
+    const isOver = (entry) => new Date(`${entry.end_date}T${entry.end_time}`) <= now;
+
+    return (
+        <div className="bg-white shadow-lg overflow-hidden sm:rounded-lg p-4 sm:p-6">
+            <h2 className="text-xl font-semibold mb-5 text-gray-800 border-b pb-2">My Unavailability</h2>
+            <p className="text-sm text-gray-600 mb-4">
+                Submit leave or other times you cannot teach. Once an administrator approves it, nothing can be booked for you in that entry.
+                Leave the times empty to block whole days.
+            </p>
+            <form onSubmit={handleSubmit}>
+                <div className="grid grid-cols-1 md:grid-cols-4 gap-x-4">
+                    <InputField label="From Date" name="start_date" type="date" value={form.start_date} onChange={handleChange} disabled={submitting} />
+                    <InputField label="From Time" name="start_time" type="time" value={form.start_time} onChange={handleChange} required={false} disabled={submitting} />
+                    <InputField label="To Date" name="end_date" type="date" value={form.end_date} onChange={handleChange} required={false} disabled={submitting} />
+                    <InputField label="To Time" name="end_time" type="time" value={form.end_time} onChange={handleChange} required={false} disabled={submitting} />
+                </div>
+                <div className="grid grid-cols-1 md:grid-cols-4 gap-x-4">
+                    <div className="md:col-span-3">
+                        <InputField label="Reason" name="reason" value={form.reason} onChange={handleChange} required={false} placeholder="e.g., Conference, medical leave" disabled={submitting} />
+                    </div>
+                    <div className="mb-4 flex items-end">
+                        <Button type="submit" variant="primary" className="w-full" disabled={submitting}>
+                            {submitting ? 'Submitting...' : 'Submit for Approval'}
+                        </Button>
+                    </div>
+                </div>
+            </form>
+
+            {error && <ErrorMessage message={error} />}
+            {loading ? <LoadingSpinner /> : windows.length === 0 ? (
+                <p className="text-gray-500 italic text-center py-4">You have not submitted any unavailability.</p>
+            ) : (
+                <div className="overflow-x-auto relative border rounded-md">
+                    <table className="min-w-full divide-y divide-gray-200">
+                        <thead className="bg-gray-50">
+                            <tr>
+                                <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">From</th>
+                                <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">To</th>
+                                <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Reason</th>
+                                <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                                <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+                            </tr>
+                        </thead>
+                        <tbody className="bg-white divide-y divide-gray-200">
+                            {windows.map(entry => (
+                                <tr key={entry.unavailability_id} className="hover:bg-gray-50 transition-colors duration-150">
+                                    <td className="px-4 py-4 whitespace-nowrap text-sm text-gray-900">{entry.start_date} {entry.start_time}</td>
+                                    <td className="px-4 py-4 whitespace-nowrap text-sm text-gray-900">{entry.end_date} {entry.end_time}</td>
+                                    <td className="px-4 py-4 text-sm text-gray-600">{entry.reason || '-'}</td>
+                                    <td className="px-4 py-4 whitespace-nowrap text-sm">
+                                        <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${UNAVAILABILITY_STATUS_STYLES[entry.status] || ''}`}>{entry.status}</span>
+                                    </td>
+                                    <td className="px-4 py-4 whitespace-nowrap text-sm">
+                                        {!isOver(entry) && (
+                                            <Button variant="danger" className="text-xs px-2 py-1" onClick={() => handleWithdraw(entry)}>Withdraw</Button>
+                                        )}
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
         </div>
     );
 }
@@ -476,6 +1727,118 @@ function ChangePasswordModal({ isOpen, onClose, onSubmit }) {
     );
 }
 
+// --- Notification Bell (unread badge and recent notifications) ---
+const NOTIFICATION_POLL_MS = 60000;
+
+function NotificationBell() {
+    const [isOpen, setIsOpen] = useState(false);
+    const [unreadCount, setUnreadCount] = useState(0);
+    const [notifications, setNotifications] = useState([]);
+    const [loading, setLoading] = useState(false);
+    const bellRef = useRef(null);
+
+    // Unread badge: polled, since changes are made by other users
+    useEffect(() => {
+        const fetchCount = () => apiClient.get('/notifications/unread-count')
+            .then(response => setUnreadCount(response.data?.unread_count || 0))
+            .catch(err => console.error("Error fetching notification count:", err));
+        fetchCount();
+        const timer = setInterval(fetchCount, NOTIFICATION_POLL_MS);
+        return () => clearInterval(timer);
+    }, []);
+
+    // Close the panel if clicked outside
+    useEffect(() => {
+        function handleClickOutside(event) {
+            if (bellRef.current && !bellRef.current.contains(event.target)) {
+                setIsOpen(false);
+            }
+        }
+        document.addEventListener("mousedown", handleClickOutside);
+        return () => document.removeEventListener("mousedown", handleClickOutside);
+    }, [bellRef]);
+
+    const handleToggle = async () => {
+        if (isOpen) { setIsOpen(false); return; }
+        setIsOpen(true); setLoading(true);
+        try {
+            const response = await apiClient.get('/notifications');
+            setNotifications(response.data?.notifications || []);
+            setUnreadCount(response.data?.unread_count || 0);
+        } catch (err) {
+            console.error("Error fetching notifications:", err);
+        } finally { setLoading(false); }
+    };
+
+    const handleMarkRead = async (notification) => {
+        if (notification.is_read) return;
+        try {
+            const response = await apiClient.put(`/notifications/${notification.notification_id}/read`);
+            setNotifications(prev => prev.map(n => n.notification_id === notification.notification_id ? { ...n, is_read: true } : n));
+            setUnreadCount(response.data?.unread_count || 0);
+        } catch (err) {
+            console.error("Error marking notification read:", err);
+        }
+    };
+
+    const handleMarkAllRead = async () => {
+        try {
+            await apiClient.put('/notifications/read-all');
+            setNotifications(prev => prev.map(n => ({ ...n, is_read: true })));
+            setUnreadCount(0);
+        } catch (err) {
+            console.error("Error marking notifications read:", err);
+        }
+    };
+
+    return (
+        <div className="relative" ref={bellRef}>
+            <button
+                onClick={handleToggle}
+                className="relative p-2 rounded-md text-gray-500 hover:text-gray-700 hover:bg-gray-100 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500"
+                aria-label={`Notifications${unreadCount > 0 ? ` (${unreadCount} unread)` : ''}`} aria-haspopup="true"
+            >
+                <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M15 17h5l-1.405-1.405A2.032 2.032 0 0118 14.158V11a6.002 6.002 0 00-4-5.659V5a2 2 0 10-4 0v.341C7.67 6.165 6 8.388 6 11v3.159c0 .538-.214 1.055-.595 1.436L4 17h5m6 0v1a3 3 0 11-6 0v-1m6 0H9"></path>
+                </svg>
+                {unreadCount > 0 && (
+                    <span className="absolute -top-0.5 -right-0.5 min-w-[1.25rem] h-5 px-1 rounded-full bg-red-600 text-white text-xs font-bold flex items-center justify-center">
+                        {unreadCount > 99 ? '99+' : unreadCount}
+                    </span>
+                )}
+            </button>
+
+            {isOpen && (
+                <div className="origin-top-right absolute right-0 mt-2 w-80 sm:w-96 rounded-md shadow-lg bg-white ring-1 ring-black ring-opacity-5 z-20">
+                    <div className="flex justify-between items-center px-4 py-2 border-b">
+                        <span className="text-sm font-semibold text-gray-800">Notifications</span>
+                        {unreadCount > 0 && (
+                            <button onClick={handleMarkAllRead} className="text-xs text-indigo-600 hover:text-indigo-800 font-medium">Mark all as read</button>
+                        )}
+                    </div>
+                    <div className="max-h-96 overflow-y-auto divide-y divide-gray-100">
+                        {loading && <LoadingSpinner size="h-6 w-6" />}
+                        {!loading && notifications.length === 0 && (
+                            <p className="text-sm text-gray-500 italic text-center py-6">No notifications yet.</p>
+                        )}
+                        {!loading && notifications.map(notification => (
+                            <button
+                                key={notification.notification_id}
+                                onClick={() => handleMarkRead(notification)}
+                                className={`block w-full text-left px-4 py-3 hover:bg-gray-50 ${notification.is_read ? '' : 'bg-indigo-50'}`}
+                            >
+                                <p className={`text-sm ${notification.is_read ? 'text-gray-700' : 'text-gray-900 font-semibold'}`}>{notification.title}</p>
+                                <p className="text-xs text-gray-600 mt-0.5">{notification.message}</p>
+                                <p className="text-xs text-gray-400 mt-1">{new Date(notification.created_at).toLocaleString()}</p>
+                            </button>
+                        ))}
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+}
+
 // --- NEW: Dropdown Menu Component ---
 function DropdownMenu({ onLogout, onChangePassword }) {
     const [isOpen, setIsOpen] = useState(false);
@@ -628,7 +1991,11 @@ function ProfessorDashboard() {
             case 'book': return (
                 <BookExtraClassForm courses={courses} classrooms={classrooms} structure={structure} loadingData={loadingData} onBookingSuccess={onBookingSuccess} />
             );
-            case 'my-schedule': return loadingData ? <LoadingSpinner size="h-12 w-12" /> : <ViewMySchedule refreshKey={refreshScheduleKey} />;
+            case 'my-schedule': return loadingData ? <LoadingSpinner size="h-12 w-12" /> : <ViewMySchedule refreshKey={refreshScheduleKey} classrooms={classrooms} />;
+            case 'free-rooms': return <FreeClassroomSearch />;
+            case 'unavailability': return <MyUnavailability />;
+            case 'swaps': return <ClassSwaps onSwapped={onBookingSuccess} />;
+            case 'reservations': return <RoomReservations classrooms={classrooms} structure={structure} loadingData={loadingData} />;
             default: return <BookExtraClassForm courses={courses} classrooms={classrooms} structure={structure} loadingData={loadingData} onBookingSuccess={onBookingSuccess}/>;
         }
     };
@@ -657,6 +2024,7 @@ function ProfessorDashboard() {
                     {/* --- UPDATED HEADER SECTION --- */}
                     <div className="flex items-center space-x-4">
                         <span className="text-sm text-gray-600 hidden sm:inline">Welcome, {userData.full_name}!</span>
+                        <NotificationBell />
                         {/* --- Dropdown Menu --- */}
                         <DropdownMenu
                             onLogout={handleLogout}
@@ -672,6 +2040,10 @@ function ProfessorDashboard() {
                     <nav className="-mb-px flex px-4 sm:px-6" aria-label="Tabs">
                         <TabButton tabId="book">Book Extra Class</TabButton>
                         <TabButton tabId="my-schedule">My Schedule</TabButton>
+                        <TabButton tabId="free-rooms">Free Rooms</TabButton>
+                        <TabButton tabId="swaps">Swaps</TabButton>
+                        <TabButton tabId="reservations">Room Reservations</TabButton>
+                        <TabButton tabId="unavailability">Unavailability</TabButton>
                     </nav>
                 </div>
                 {/* Tab Content */}
@@ -146,12 +146,20 @@ const parseDateTimeString = (dateTimeStr) => {
     return isNaN(d) ? null : d;
 };
 
+// Local calendar date -> 'YYYY-MM-DD' (matches DATE values from the backend)
+const toDateKey = (date) => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+// Base classes only run between their term's start and end dates (no term = every week)
+const isWithinTerm = (event, dateKey) =>
+    (!event.termStart || dateKey >= event.termStart) && (!event.termEnd || dateKey <= event.termEnd);
+
 const WEEK_DAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
 
 
 // --- Student Schedule View Component ---
-function ViewStudentSchedule({ currentWeekStart }) {
+function ViewStudentSchedule({ currentWeekStart, refreshKey }) {
     const [events, setEvents] = useState([]);
+    const [holidays, setHolidays] = useState({}); // { 'YYYY-MM-DD': description } for the visible week
     const [loading, setLoading] = useState(true);
     const [error, setError] = useState('');
 
@@ -159,7 +167,13 @@ function ViewStudentSchedule({ currentWeekStart }) {
         const fetchSchedule = async () => {
             setLoading(true); setError('');
             try {
-                const response = await apiClient.get('/student/my-schedule');
+                const [response, holidaysResponse] = await Promise.all([
+                    apiClient.get('/student/my-schedule'),
+                    apiClient.get('/holidays', {
+                        params: { from: toDateKey(currentWeekStart), to: toDateKey(addDays(currentWeekStart, 6)) }
+                    }),
+                ]);
+                setHolidays(Object.fromEntries(holidaysResponse.data.map(h => [h.holiday_date, h.description])));
                 const processedEvents = response.data.map(event => {
                     const startDate = parseDateTimeString(event.start_time);
                     const endDate = parseDateTimeString(event.end_time);
@@ -169,9 +183,14 @@ function ViewStudentSchedule({ currentWeekStart }) {
                     }
                     return {
                         id: event.schedule_id, title: `${event.course_code}: ${event.course_name}`,
-                        details: `Professor: ${event.professor_name || 'N/A'}, Room: ${event.room_number}`,
-                        start: startDate, end: endDate, type: event.class_type,
-                        dayOfWeek: event.day_of_week, classDate: classDateForExtra
+                        professorName: event.professor_name || 'N/A',
+                        details: `Room: ${event.room_number}` + (event.batch_ids?.length > 1 ? `, For: ${event.batch_details}` : ''),
+                        // Substitute teaching a given date instead of the usual professor
+                        substitutes: Object.fromEntries((event.substitutes || []).map(sub => [sub.class_date, sub.professor_name])),
+                        start: startDate, end: endDate, type: event.class_type, isElective: !!event.is_elective,
+                        dayOfWeek: event.day_of_week, classDate: classDateForExtra,
+                        cancelledDates: event.cancelled_dates || [],
+                        termStart: event.term_start_date, termEnd: event.term_end_date
                     };
                 }).filter(Boolean);
                 setEvents(processedEvents);
@@ -183,16 +202,31 @@ function ViewStudentSchedule({ currentWeekStart }) {
             }
         };
         fetchSchedule();
-    }, [currentWeekStart]);
+    }, [currentWeekStart, refreshKey]);
 
-    const EventItem = ({ event }) => (
-        <div className={`p-2 rounded-lg mb-2 ${event.type === 'Base' ? 'bg-indigo-50 border-indigo-300' : 'bg-yellow-50 border-yellow-400'} border shadow-sm`}>
-            <p className="font-semibold text-sm text-gray-800">{formatTime(event.start)} - {formatTime(event.end)}</p>
-            <p className="text-xs font-medium text-gray-700">{event.title}</p>
-            <p className="text-xs text-gray-600">{event.details}</p>
+    const EventItem = ({ event, dateKey, cancelled = false }) => (
+        <div className={`p-2 rounded-lg mb-2 ${cancelled ? 'bg-gray-50 border-gray-300 opacity-70' : event.type === 'Base' ? 'bg-indigo-50 border-indigo-300' : 'bg-yellow-50 border-yellow-400'} border shadow-sm`}>
+            <p className={`font-semibold text-sm text-gray-800 ${cancelled ? 'line-through' : ''}`}>{formatTime(event.start)} - {formatTime(event.end)}</p>
+            <p className={`text-xs font-medium text-gray-700 ${cancelled ? 'line-through' : ''}`}>{event.title}</p>
+            <p className="text-xs text-gray-600">Professor: {event.substitutes[dateKey] || event.professorName}, {event.details}</p>
             <span className={`mt-1 px-2 py-0.5 inline-flex text-xs leading-5 font-semibold rounded-full ${event.type === 'Base' ? 'bg-indigo-100 text-indigo-800' : 'bg-yellow-100 text-yellow-800'}`}>
                 {event.type}
             </span>
+            {event.isElective && (
+                <span className="mt-1 ml-1 px-2 py-0.5 inline-flex text-xs leading-5 font-semibold rounded-full bg-purple-100 text-purple-800">
+                    Elective
+                </span>
+            )}
+            {event.substitutes[dateKey] && !cancelled && (
+                <span className="mt-1 ml-1 px-2 py-0.5 inline-flex text-xs leading-5 font-semibold rounded-full bg-green-100 text-green-800">
+                    Substitute
+                </span>
+            )}
+            {cancelled && (
+                <span className="mt-1 ml-1 px-2 py-0.5 inline-flex text-xs leading-5 font-semibold rounded-full bg-red-100 text-red-800">
+                    Cancelled
+                </span>
+            )}
         </div>
     );
 
@@ -205,8 +239,10 @@ function ViewStudentSchedule({ currentWeekStart }) {
                 <div className="grid grid-cols-7 min-w-[800px] border-t border-l border-gray-200">
                     {WEEK_DAYS.map((dayName, index) => {
                         const currentDayDateLocal = addDays(currentWeekStart, index);
+                        const dateKey = toDateKey(currentDayDateLocal);
+                        const holiday = holidays[dateKey];
                         const dayEvents = events.filter(event => {
-                            if (event.type === 'Base') return event.dayOfWeek === dayName;
+                            if (event.type === 'Base') return event.dayOfWeek === dayName && !holiday && isWithinTerm(event, dateKey);
                             else return event.classDate && isSameDay(event.classDate, currentDayDateLocal);
                         }).sort((a, b) => a.start.getTime() - b.start.getTime());
                         const isToday = isSameDay(currentDayDateLocal, new Date());
@@ -215,9 +251,15 @@ function ViewStudentSchedule({ currentWeekStart }) {
                                 <div className={`p-2 border-b border-gray-200 ${isToday ? 'bg-indigo-50' : 'bg-gray-50'}`}>
                                     <p className={`font-semibold text-center text-sm ${isToday ? 'text-indigo-600' : 'text-gray-700'}`}>{dayName}</p>
                                     <p className={`text-center text-xs ${isToday ? 'text-indigo-500' : 'text-gray-500'}`}>{formatDateShort(currentDayDateLocal)}</p>
+                                    {holiday && <p className="text-center text-xs font-semibold text-orange-600 mt-1">Holiday: {holiday}</p>}
                                 </div>
                                 <div className="p-2 flex-grow overflow-y-auto">
-                                    {dayEvents.length > 0 ? dayEvents.map(event => <EventItem key={event.id} event={event} />) : <p className="text-xs text-gray-400 text-center pt-4">Free</p>}
+                                    {dayEvents.length > 0 ? dayEvents.map(event => (
+                                        <EventItem
+                                            key={event.id} event={event} dateKey={dateKey}
+                                            cancelled={event.type === 'Base' && event.cancelledDates.includes(dateKey)}
+                                        />
+                                    )) : <p className="text-xs text-gray-400 text-center pt-4">Free</p>}
                                 </div>
                             </div>
                         );
@@ -228,6 +270,165 @@ function ViewStudentSchedule({ currentWeekStart }) {
     );
 }
 
+// --- Student Exam Timetable Component ---
+function StudentExams() {
+    const [exams, setExams] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        const fetchExams = async () => {
+            setLoading(true); setError('');
+            try {
+                const response = await apiClient.get('/student/my-exams');
+                setExams(Array.isArray(response.data) ? response.data : []);
+            } catch (err) {
+                setError(err.response?.data?.message || "Failed to load exams.");
+            } finally {
+                setLoading(false);
+            }
+        };
+        fetchExams();
+    }, []);
+
+    if (loading) return <LoadingSpinner />;
+    if (error) return <ErrorMessage message={error} />;
+
+    return (
+        <div className="bg-white shadow-lg overflow-hidden sm:rounded-lg p-4 sm:p-6">
+            {exams.length === 0 ? (
+                <p className="text-gray-500 italic text-center py-4">No upcoming exams.</p>
+            ) : (
+                <div className="overflow-x-auto relative border rounded-md">
+                    <table className="min-w-full divide-y divide-gray-200">
+                        <thead className="bg-gray-50">
+                            <tr>
+                                <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Date</th>
+                                <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Session</th>
+                                <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Course</th>
+                                <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Rooms</th>
+                            </tr>
+                        </thead>
+                        <tbody className="bg-white divide-y divide-gray-200">
+                            {exams.map(exam => (
+                                <tr key={exam.exam_id} className="hover:bg-gray-50 transition-colors duration-150 align-top">
+                                    <td className="px-4 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
+                                        {new Date(`${exam.exam_date}T00:00:00`).toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' })}
+                                    </td>
+                                    <td className="px-4 py-4 whitespace-nowrap text-sm text-gray-600">{exam.session_name}, {exam.start_time} - {exam.end_time}</td>
+                                    <td className="px-4 py-4 text-sm text-gray-800">
+                                        {exam.course_code}: {exam.course_name}
+                                        {exam.notes && <p className="text-xs text-gray-500 italic">{exam.notes}</p>}
+                                    </td>
+                                    <td className="px-4 py-4 text-sm text-gray-600">
+                                        {exam.rooms.length > 0 ? exam.rooms.map(room => room.room_number).join(', ') : 'To be announced'}
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+        </div>
+    );
+}
+
+// --- Student Elective Selection Component ---
+const describeClassTime = (cls) => `${cls.class_type === 'Extra' ? cls.class_date : cls.day_of_week} ${cls.start_time}-${cls.end_time}`;
+
+function StudentElectives({ onChanged }) {
+    const [electives, setElectives] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState('');
+    const [savingId, setSavingId] = useState(null); // Course being enrolled in / dropped
+
+    const fetchElectives = useCallback(async () => {
+        setLoading(true); setError('');
+        try {
+            const response = await apiClient.get('/student/electives');
+            setElectives(Array.isArray(response.data) ? response.data : []);
+        } catch (err) {
+            setError(err.response?.data?.message || "Failed to load electives.");
+        } finally {
+            setLoading(false);
+        }
+    }, []);
+
+    useEffect(() => { fetchElectives(); }, [fetchElectives]);
+
+    const handleToggle = async (elective) => {
+        if (elective.enrolled && !window.confirm(`Drop ${elective.course_code}? Your seat may be taken by someone else.`)) return;
+        setSavingId(elective.course_id);
+        try {
+            const response = elective.enrolled
+                ? await apiClient.delete(`/student/electives/${elective.course_id}`)
+                : await apiClient.post(`/student/electives/${elective.course_id}/enroll`);
+            toast.success(response.data.message || 'Electives updated.');
+            fetchElectives();
+            onChanged();
+        } catch (err) {
+            toast.error(err.response?.data?.message || 'Could not update your electives.', { duration: 6000 });
+        } finally {
+            setSavingId(null);
+        }
+    };
+
+    if (loading) return <LoadingSpinner />;
+    if (error) return <ErrorMessage message={error} />;
+
+    return (
+        <div className="bg-white shadow-lg overflow-hidden sm:rounded-lg p-4 sm:p-6">
+            {electives.length === 0 ? (
+                <p className="text-gray-500 italic text-center py-4">No electives are offered to your branch.</p>
+            ) : (
+                <ul className="divide-y divide-gray-200">
+                    {electives.map(elective => {
+                        const full = !elective.enrolled && elective.seats_left === 0;
+                        return (
+                            <li key={elective.course_id} className="py-4 flex flex-col sm:flex-row sm:items-start sm:justify-between gap-3">
+                                <div>
+                                    <p className="font-semibold text-gray-800">
+                                        {elective.course_code}: {elective.course_name}
+                                        {elective.enrolled && (
+                                            <span className="ml-2 px-2 py-0.5 inline-flex text-xs leading-5 font-semibold rounded-full bg-green-100 text-green-800">Enrolled</span>
+                                        )}
+                                    </p>
+                                    <p className="text-xs text-gray-500">
+                                        {elective.credits} credits · {elective.type} ·{' '}
+                                        {elective.elective_seats != null ? `${elective.seats_left} of ${elective.elective_seats} seats left` : `${elective.enrolled_count} enrolled`}
+                                    </p>
+                                    <p className="text-sm text-gray-600 mt-1">
+                                        {elective.classes.length > 0
+                                            ? elective.classes.map(cls => `${describeClassTime(cls)} (${cls.room_number})`).join(', ')
+                                            : 'Not scheduled yet.'}
+                                    </p>
+                                    {elective.clashes.length > 0 && (
+                                        <ul className="text-xs text-red-700 mt-1 list-disc list-inside">
+                                            {elective.clashes.map(clash => (
+                                                <li key={`${clash.elective.schedule_id}-${clash.schedule_id}`}>
+                                                    {describeClassTime(clash.elective)} clashes with your {clash.course_code} {clash.class_type} class ({describeClassTime(clash)})
+                                                </li>
+                                            ))}
+                                        </ul>
+                                    )}
+                                </div>
+                                <Button
+                                    variant={elective.enrolled ? 'danger' : 'primary'}
+                                    onClick={() => handleToggle(elective)}
+                                    disabled={savingId != null || (!elective.enrolled && (full || elective.clashes.length > 0))}
+                                    className="shrink-0"
+                                >
+                                    {savingId === elective.course_id ? 'Saving...' : elective.enrolled ? 'Drop' : full ? 'Full' : 'Enroll'}
+                                </Button>
+                            </li>
+                        );
+                    })}
+                </ul>
+            )}
+        </div>
+    );
+}
+
 // --- Student Profile Component ---
 const InfoItem = ({ label, value }) => (
     <div className="border-b border-gray-200 py-2 sm:py-3">
@@ -307,6 +508,118 @@ function ChangePasswordModal({ isOpen, onClose, onSubmit }) {
     );
 }
 
+// --- Notification Bell (Identical to Professor's) ---
+const NOTIFICATION_POLL_MS = 60000;
+
+function NotificationBell() {
+    const [isOpen, setIsOpen] = useState(false);
+    const [unreadCount, setUnreadCount] = useState(0);
+    const [notifications, setNotifications] = useState([]);
+    const [loading, setLoading] = useState(false);
+    const bellRef = useRef(null);
+
+    // Unread badge: polled, since changes are made by other users
+    useEffect(() => {
+        const fetchCount = () => apiClient.get('/notifications/unread-count')
+            .then(response => setUnreadCount(response.data?.unread_count || 0))
+            .catch(err => console.error("Error fetching notification count:", err));
+        fetchCount();
+        const timer = setInterval(fetchCount, NOTIFICATION_POLL_MS);
+        return () => clearInterval(timer);
+    }, []);
+
+    // Close the panel if clicked outside
+    useEffect(() => {
+        function handleClickOutside(event) {
+            if (bellRef.current && !bellRef.current.contains(event.target)) {
+                setIsOpen(false);
+            }
+        }
+        document.addEventListener("mousedown", handleClickOutside);
+        return () => document.removeEventListener("mousedown", handleClickOutside);
+    }, [bellRef]);
+
+    const handleToggle = async () => {
+        if (isOpen) { setIsOpen(false); return; }
+        setIsOpen(true); setLoading(true);
+        try {
+            const response = await apiClient.get('/notifications');
+            setNotifications(response.data?.notifications || []);
+            setUnreadCount(response.data?.unread_count || 0);
+        } catch (err) {
+            console.error("Error fetching notifications:", err);
+        } finally { setLoading(false); }
+    };
+
+    const handleMarkRead = async (notification) => {
+        if (notification.is_read) return;
+        try {
+            const response = await apiClient.put(`/notifications/${notification.notification_id}/read`);
+            setNotifications(prev => prev.map(n => n.notification_id === notification.notification_id ? { ...n, is_read: true } : n));
+            setUnreadCount(response.data?.unread_count || 0);
+        } catch (err) {
+            console.error("Error marking notification read:", err);
+        }
+    };
+
+    const handleMarkAllRead = async () => {
+        try {
+            await apiClient.put('/notifications/read-all');
+            setNotifications(prev => prev.map(n => ({ ...n, is_read: true })));
+            setUnreadCount(0);
+        } catch (err) {
+            console.error("Error marking notifications read:", err);
+        }
+    };
+
+    return (
+        <div className="relative" ref={bellRef}>
+            <button
+                onClick={handleToggle}
+                className="relative p-2 rounded-md text-gray-500 hover:text-gray-700 hover:bg-gray-100 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500"
+                aria-label={`Notifications${unreadCount > 0 ? ` (${unreadCount} unread)` : ''}`} aria-haspopup="true"
+            >
+                <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M15 17h5l-1.405-1.405A2.032 2.032 0 0118 14.158V11a6.002 6.002 0 00-4-5.659V5a2 2 0 10-4 0v.341C7.67 6.165 6 8.388 6 11v3.159c0 .538-.214 1.055-.595 1.436L4 17h5m6 0v1a3 3 0 11-6 0v-1m6 0H9"></path>
+                </svg>
+                {unreadCount > 0 && (
+                    <span className="absolute -top-0.5 -right-0.5 min-w-[1.25rem] h-5 px-1 rounded-full bg-red-600 text-white text-xs font-bold flex items-center justify-center">
+                        {unreadCount > 99 ? '99+' : unreadCount}
+                    </span>
+                )}
+            </button>
+
+            {isOpen && (
+                <div className="origin-top-right absolute right-0 mt-2 w-80 sm:w-96 rounded-md shadow-lg bg-white ring-1 ring-black ring-opacity-5 z-20">
+                    <div className="flex justify-between items-center px-4 py-2 border-b">
+                        <span className="text-sm font-semibold text-gray-800">Notifications</span>
+                        {unreadCount > 0 && (
+                            <button onClick={handleMarkAllRead} className="text-xs text-indigo-600 hover:text-indigo-800 font-medium">Mark all as read</button>
+                        )}
+                    </div>
+                    <div className="max-h-96 overflow-y-auto divide-y divide-gray-100">
+                        {loading && <LoadingSpinner size="h-6 w-6" />}
+                        {!loading && notifications.length === 0 && (
+                            <p className="text-sm text-gray-500 italic text-center py-6">No notifications yet.</p>
+                        )}
+                        {!loading && notifications.map(notification => (
+                            <button
+                                key={notification.notification_id}
+                                onClick={() => handleMarkRead(notification)}
+                                className={`block w-full text-left px-4 py-3 hover:bg-gray-50 ${notification.is_read ? '' : 'bg-indigo-50'}`}
+                            >
+                                <p className={`text-sm ${notification.is_read ? 'text-gray-700' : 'text-gray-900 font-semibold'}`}>{notification.title}</p>
+                                <p className="text-xs text-gray-600 mt-0.5">{notification.message}</p>
+                                <p className="text-xs text-gray-400 mt-1">{new Date(notification.created_at).toLocaleString()}</p>
+                            </button>
+                        ))}
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+}
+
 // --- NEW: Dropdown Menu Component (Identical to Professor's) ---
 function DropdownMenu({ onLogout, onChangePassword }) {
     const [isOpen, setIsOpen] = useState(false);
@@ -344,6 +657,7 @@ function StudentDashboard() {
     const [loadingDetails, setLoadingDetails] = useState(true);
     const [currentWeekStart, setCurrentWeekStart] = useState(getStartOfWeek(new Date()));
     const [isModalOpen, setIsModalOpen] = useState(false); // State for modal
+    const [scheduleVersion, setScheduleVersion] = useState(0); // Bumped when electives change so the timetable reloads
 
     // --- Authentication & Authorization Check ---
     useEffect(() => {
@@ -454,6 +768,7 @@ function StudentDashboard() {
                     {/* --- UPDATED HEADER SECTION --- */}
                     <div className="flex items-center space-x-4">
                         <span className="text-sm text-gray-600 hidden sm:inline">Welcome, {userData.full_name}!</span>
+                        <NotificationBell />
                          {/* --- Dropdown Menu --- */}
                         <DropdownMenu
                             onLogout={handleLogout}
@@ -471,7 +786,13 @@ function StudentDashboard() {
                 {/* --- Calendar Header --- */}
                 <CalendarHeader /> 
                  {/* --- Schedule View --- */}
-                <ViewStudentSchedule currentWeekStart={currentWeekStart} />
+                <ViewStudentSchedule currentWeekStart={currentWeekStart} refreshKey={scheduleVersion} />
+
+                <h2 className="text-2xl font-bold text-gray-800 mt-8 mb-4 border-b pb-2">My Electives</h2>
+                <StudentElectives onChanged={() => setScheduleVersion(version => version + 1)} />
+
+                <h2 className="text-2xl font-bold text-gray-800 mt-8 mb-4 border-b pb-2">My Exams</h2>
+                <StudentExams />
             </main>
 
              {/* --- Render Change Password Modal --- */}